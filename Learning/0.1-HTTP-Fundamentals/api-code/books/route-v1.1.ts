@@ -1,5 +1,8 @@
 // 🔄 API v1.1: Adding Genre Field (Production Migration Approach)
 // This demonstrates Phase 1: Add optional field without breaking existing clients
+//
+// Kept as the original learning snapshot. The running app now serves this
+// as /api/v1.1/books from src/lib/books, next to v1 (see the README).
 
 // In-memory storage for learning (in real apps, this would be a database)
 let books = [
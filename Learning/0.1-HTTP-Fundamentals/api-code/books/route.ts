@@ -1,5 +1,8 @@
 // Learning API: Books Resource
 // This is your first backend API! 📚
+//
+// Kept as the original learning snapshot. The running app now serves this
+// as /api/v1/books from src/lib/books, sharing storage with v1.1.
 
 // In-memory storage for learning (in real apps, this would be a database)
 let books = [
@@ -2,7 +2,13 @@
 // 🧪 API Testing Script for Learning HTTP Methods
 // Run this with: node test-api.js (after starting your Next.js server)
 
-const BASE_URL = 'http://localhost:3333/api/learning/books';
+// v1 is the original API; v1.1 (genre) is exercised by test-migration.js
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3333/api/v1/books';
+
+// Scripts can't log in - set API_KEY to send an API key with every request
+// (create one at POST /api/api-keys while signed in; the books routes are
+// public, so it only matters once BASE_URL points at a route that checks it)
+const API_KEY = process.env.API_KEY;
 
 // Helper function to make API calls
 async function apiCall(method, url, data = null) {
@@ -10,6 +16,7 @@ async function apiCall(method, url, data = null) {
     method,
     headers: {
       'Content-Type': 'application/json',
+      ...(API_KEY && { 'X-API-Key': API_KEY }),
     },
   };
 
@@ -65,8 +72,7 @@ async function runLearningTests() {
   // Test 4: PUT - Update entire book
   console.log('='.repeat(50));
   console.log('🔄 TEST 4: PUT - Update entire book (replace all fields)');
-  await apiCall('PUT', BASE_URL, {
-    id: 3,
+  await apiCall('PUT', `${BASE_URL}/3`, {
     title: 'Full-Stack Development Mastery',
     author: 'Updated Author',
     pages: 450
@@ -75,8 +81,7 @@ async function runLearningTests() {
   // Test 5: PATCH - Partial update
   console.log('='.repeat(50));
   console.log('🔍 TEST 5: PATCH - Partial update (only change pages)');
-  await apiCall('PATCH', BASE_URL, {
-    id: 3,
+  await apiCall('PATCH', `${BASE_URL}/3`, {
     pages: 500  // Only updating pages, keeping title & author
   });
 
@@ -88,7 +93,7 @@ async function runLearningTests() {
   // Test 7: DELETE - Remove a book
   console.log('='.repeat(50));
   console.log('🗑️ TEST 7: DELETE - Remove book with ID 1');
-  await apiCall('DELETE', `${BASE_URL}?id=1`);
+  await apiCall('DELETE', `${BASE_URL}/1`);
 
   // Test 8: GET - Final state
   console.log('='.repeat(50));
@@ -106,13 +111,17 @@ async function runLearningTests() {
   // Test 10: Error handling - Try to update non-existent book
   console.log('='.repeat(50));
   console.log('❌ TEST 10: Error handling - Update non-existent book');
-  await apiCall('PUT', BASE_URL, {
-    id: 999,
+  await apiCall('PUT', `${BASE_URL}/999`, {
     title: 'Non-existent Book',
     author: 'Ghost Author',
     pages: 100
   });
 
+  // Test 11: The id lives in the URL - you can't POST to a single book
+  console.log('='.repeat(50));
+  console.log('❌ TEST 11: Error handling - POST to a single book (405)');
+  await apiCall('POST', `${BASE_URL}/2`, { title: 'Nope' });
+
   console.log('\n🎉 Learning tests complete!');
   console.log('💡 Key takeaways:');
   console.log('   • GET: Retrieves data (safe, idempotent)');
@@ -1,7 +1,12 @@
 // 🧪 API Migration Testing Script - Testing Genre Field Addition
 // This demonstrates how to handle API changes without breaking existing clients
 
-const BASE_URL = 'http://localhost:3333/api/learning/books';
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3333/api/v1.1/books';
+
+// Scripts can't log in - set API_KEY to send an API key with every request
+// (create one at POST /api/api-keys while signed in; the books routes are
+// public, so it only matters once BASE_URL points at a route that checks it)
+const API_KEY = process.env.API_KEY;
 
 // Helper function to make API calls
 async function apiCall(method, url, data = null) {
@@ -9,6 +14,7 @@ async function apiCall(method, url, data = null) {
     method,
     headers: {
       'Content-Type': 'application/json',
+      ...(API_KEY && { 'X-API-Key': API_KEY }),
     },
   };
 
@@ -68,8 +74,7 @@ async function runMigrationTests() {
   // Test 4: Update genre using PATCH
   if (bookWithoutGenre && bookWithoutGenre.book) {
     console.log('\n📋 TEST 4: Update auto-detected genre');
-    await apiCall('PATCH', BASE_URL, {
-      id: bookWithoutGenre.book.id,
+    await apiCall('PATCH', `${BASE_URL}/${bookWithoutGenre.book.id}`, {
       genre: "Philosophy" // Correct the auto-detected genre
     });
   }
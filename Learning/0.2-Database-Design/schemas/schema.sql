@@ -142,6 +142,24 @@ CREATE INDEX idx_reviews_product ON reviews(product_id);
 CREATE INDEX idx_reviews_user ON reviews(user_id);
 CREATE INDEX idx_reviews_rating ON reviews(rating);
 
+-- =============================================================================
+-- API KEYS TABLE - Scoped keys for scripts and other machine clients
+-- =============================================================================
+CREATE TABLE api_keys (
+    id VARCHAR(16) PRIMARY KEY,            -- Also embedded in the key itself
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(64) NOT NULL,
+    key_hash CHAR(64) NOT NULL,            -- Hex SHA-256; the key is never stored
+    role VARCHAR(50),                      -- Owner's role when the key was created
+    scopes TEXT[] NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX idx_api_keys_user ON api_keys(user_id);
+
 -- =============================================================================
 -- TRIGGERS - Auto-update timestamps
 -- =============================================================================
@@ -215,6 +233,7 @@ COMMENT ON TABLE orders IS 'Customer orders with shipping and billing informatio
 COMMENT ON TABLE order_items IS 'Individual items within orders (order line items)';
 COMMENT ON TABLE cart_items IS 'Shopping cart contents for users';
 COMMENT ON TABLE reviews IS 'Product reviews and ratings from customers';
+COMMENT ON TABLE api_keys IS 'Hashed, scoped API keys that act as their owner';
 
 COMMENT ON COLUMN products.price IS 'Product price in currency units (e.g., USD)';
 COMMENT ON COLUMN products.stock_quantity IS 'Available inventory count';
@@ -228,7 +247,7 @@ COMMENT ON COLUMN reviews.rating IS 'Rating from 1-5 stars';
 DO $$
 BEGIN
     RAISE NOTICE '🎉 E-commerce database schema created successfully!';
-    RAISE NOTICE '📊 Tables created: users, categories, products, orders, order_items, cart_items, reviews';
+    RAISE NOTICE '📊 Tables created: users, categories, products, orders, order_items, cart_items, reviews, api_keys';
     RAISE NOTICE '🔍 Views created: products_with_categories, products_with_ratings';
     RAISE NOTICE '⚡ Indexes and triggers configured for performance';
     RAISE NOTICE '🚀 Ready for sample data and SQL practice!';
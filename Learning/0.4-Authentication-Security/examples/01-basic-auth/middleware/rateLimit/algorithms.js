@@ -0,0 +1,239 @@
+/**
+ * Rate Limiting Algorithms
+ *
+ * Each algorithm is written twice:
+ * - apply(): plain JavaScript, used by the in-memory store
+ * - script: the same logic in Lua, run atomically inside Redis with EVAL
+ *
+ * Both take the previous state plus `now` and return
+ * { allowed, remaining, resetMs, retryAfterMs }.
+ */
+
+/**
+ * Fixed window
+ * Counts requests in aligned windows (e.g. 12:00:00-12:01:00). Cheap and
+ * simple, but allows up to 2x the limit across a window boundary.
+ */
+const fixedWindow = {
+  name: 'fixed-window',
+
+  ttlMs: ({ windowMs }) => windowMs,
+
+  apply(state, { limit, windowMs }, now) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const count = state && state.windowStart === windowStart ? state.count : 0;
+    const resetMs = windowStart + windowMs - now;
+
+    if (count >= limit) {
+      return {
+        state: { windowStart, count },
+        result: { allowed: false, remaining: 0, resetMs, retryAfterMs: resetMs }
+      };
+    }
+
+    return {
+      state: { windowStart, count: count + 1 },
+      result: { allowed: true, remaining: limit - count - 1, resetMs, retryAfterMs: 0 }
+    };
+  },
+
+  // KEYS[1] = key, ARGV = limit, windowMs, now
+  script: `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local windowStart = math.floor(now / window) * window
+local state = redis.call('HMGET', KEYS[1], 'windowStart', 'count')
+local count = 0
+if tonumber(state[1]) == windowStart then count = tonumber(state[2]) end
+local resetMs = windowStart + window - now
+if count >= limit then
+  return {0, 0, resetMs, resetMs}
+end
+redis.call('HSET', KEYS[1], 'windowStart', windowStart, 'count', count + 1)
+redis.call('PEXPIRE', KEYS[1], window)
+return {1, limit - count - 1, resetMs, 0}
+`
+};
+
+/**
+ * Sliding window (counter approximation)
+ * Weights the previous window's count by how much of it still overlaps
+ * the last `windowMs`, which smooths out the fixed window's boundary burst
+ * while storing only two numbers per key.
+ */
+const slidingWindow = {
+  name: 'sliding-window',
+
+  ttlMs: ({ windowMs }) => windowMs * 2,
+
+  apply(state, { limit, windowMs }, now) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let current = 0;
+    let previous = 0;
+
+    if (state && state.windowStart === windowStart) {
+      current = state.current;
+      previous = state.previous;
+    } else if (state && state.windowStart === windowStart - windowMs) {
+      previous = state.current;
+    }
+
+    const elapsed = now - windowStart;
+    const weight = 1 - elapsed / windowMs;
+    const estimated = previous * weight + current;
+    const resetMs = windowMs - elapsed;
+
+    if (estimated + 1 > limit) {
+      // When will enough of the previous window have slid out? If this
+      // window is already full, it becomes the previous one at resetMs.
+      const retryAfterMs = current < limit
+        ? Math.max(Math.ceil(windowMs * (1 - (limit - 1 - current) / previous) - elapsed), 1)
+        : resetMs + Math.ceil(windowMs * (1 - (limit - 1) / current));
+      return {
+        state: { windowStart, current, previous },
+        result: { allowed: false, remaining: 0, resetMs, retryAfterMs }
+      };
+    }
+
+    return {
+      state: { windowStart, current: current + 1, previous },
+      result: {
+        allowed: true,
+        remaining: Math.max(Math.floor(limit - estimated - 1), 0),
+        resetMs,
+        retryAfterMs: 0
+      }
+    };
+  },
+
+  // KEYS[1] = key, ARGV = limit, windowMs, now
+  script: `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local windowStart = math.floor(now / window) * window
+local state = redis.call('HMGET', KEYS[1], 'windowStart', 'current', 'previous')
+local storedStart = tonumber(state[1])
+local current = 0
+local previous = 0
+if storedStart == windowStart then
+  current = tonumber(state[2])
+  previous = tonumber(state[3])
+elseif storedStart == windowStart - window then
+  previous = tonumber(state[2])
+end
+local elapsed = now - windowStart
+local estimated = previous * (1 - elapsed / window) + current
+local resetMs = window - elapsed
+if estimated + 1 > limit then
+  local retryAfterMs
+  if current < limit then
+    retryAfterMs = math.max(math.ceil(window * (1 - (limit - 1 - current) / previous) - elapsed), 1)
+  else
+    retryAfterMs = resetMs + math.ceil(window * (1 - (limit - 1) / current))
+  end
+  return {0, 0, resetMs, retryAfterMs}
+end
+redis.call('HSET', KEYS[1], 'windowStart', windowStart, 'current', current + 1, 'previous', previous)
+redis.call('PEXPIRE', KEYS[1], window * 2)
+return {1, math.max(math.floor(limit - estimated - 1), 0), resetMs, 0}
+`
+};
+
+/**
+ * Token bucket
+ * The bucket holds up to `burst` tokens (default: limit) and refills at
+ * `limit` tokens per `windowMs`. Allows short bursts while enforcing the
+ * average rate.
+ */
+const tokenBucket = {
+  name: 'token-bucket',
+
+  ttlMs: ({ limit, windowMs, burst = limit }) => Math.ceil((burst / limit) * windowMs),
+
+  apply(state, { limit, windowMs, burst = limit }, now) {
+    const ratePerMs = limit / windowMs;
+    const elapsed = state ? Math.max(now - state.updatedAt, 0) : 0;
+    const available = state
+      ? Math.min(burst, state.tokens + elapsed * ratePerMs)
+      : burst;
+
+    if (available < 1) {
+      const retryAfterMs = Math.ceil((1 - available) / ratePerMs);
+      return {
+        state: { tokens: available, updatedAt: now },
+        result: {
+          allowed: false,
+          remaining: 0,
+          resetMs: Math.ceil((burst - available) / ratePerMs),
+          retryAfterMs
+        }
+      };
+    }
+
+    const tokens = available - 1;
+    return {
+      state: { tokens, updatedAt: now },
+      result: {
+        allowed: true,
+        remaining: Math.floor(tokens),
+        resetMs: Math.ceil((burst - tokens) / ratePerMs),
+        retryAfterMs: 0
+      }
+    };
+  },
+
+  // KEYS[1] = key, ARGV = limit, windowMs, now, burst
+  script: `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local burst = tonumber(ARGV[4])
+local rate = limit / window
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local available = burst
+if state[1] then
+  local elapsed = math.max(now - tonumber(state[2]), 0)
+  available = math.min(burst, tonumber(state[1]) + elapsed * rate)
+end
+local ttl = math.ceil(burst / rate)
+if available < 1 then
+  redis.call('HSET', KEYS[1], 'tokens', tostring(available), 'updatedAt', now)
+  redis.call('PEXPIRE', KEYS[1], ttl)
+  return {0, 0, math.ceil((burst - available) / rate), math.ceil((1 - available) / rate)}
+end
+local tokens = available - 1
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], ttl)
+return {1, math.floor(tokens), math.ceil((burst - tokens) / rate), 0}
+`
+};
+
+const ALGORITHMS = {
+  [fixedWindow.name]: fixedWindow,
+  [slidingWindow.name]: slidingWindow,
+  [tokenBucket.name]: tokenBucket
+};
+
+/**
+ * Look up an algorithm by name
+ * @param {string} name - fixed-window, sliding-window or token-bucket
+ * @returns {Object} Algorithm
+ */
+function getAlgorithm(name) {
+  const algorithm = ALGORITHMS[name];
+  if (!algorithm) {
+    throw new Error(
+      `Unknown rate limit algorithm "${name}". Use one of: ${Object.keys(ALGORITHMS).join(', ')}`
+    );
+  }
+  return algorithm;
+}
+
+module.exports = {
+  fixedWindow,
+  slidingWindow,
+  tokenBucket,
+  getAlgorithm
+};
@@ -0,0 +1,147 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Reusable Express middleware for the auth servers:
+ * - Fixed window, sliding window or token bucket algorithm
+ * - Keyed by client IP, authenticated user, route - or any combination
+ * - In-memory store by default, Redis for multiple server instances
+ * - Standard RateLimit-* headers, plus Retry-After on 429 responses
+ *
+ * Usage:
+ *   const { rateLimit } = require('./middleware/rateLimit');
+ *   app.use('/auth/login', rateLimit({ limit: 5, windowMs: 60 * 1000 }));
+ */
+
+const { getAlgorithm } = require('./algorithms');
+const { MemoryRateLimitStore, RedisRateLimitStore } = require('./stores');
+const logger = require('../../utils/logger');
+
+const KEY_GENERATORS = {
+  ip: req => req.ip,
+
+  // Falls back to the IP for anonymous requests, so put this limiter after
+  // the authentication middleware
+  user: req => {
+    const userId = req.user && (req.user.id ?? req.user.sub);
+    return userId !== undefined ? `user:${userId}` : `ip:${req.ip}`;
+  },
+
+  // The route pattern (e.g. /api/users/:id) when used on a route,
+  // otherwise the mount path
+  route: req => {
+    const path = req.route ? req.baseUrl + req.route.path : req.baseUrl + req.path;
+    return `${req.method} ${path.replace(/(.)\/$/, '$1')}`;
+  }
+};
+
+function buildKeyGenerator(keyBy) {
+  if (typeof keyBy === 'function') {
+    return keyBy;
+  }
+
+  const parts = (Array.isArray(keyBy) ? keyBy : [keyBy]).map(part => {
+    if (typeof part === 'function') {
+      return part;
+    }
+    if (!KEY_GENERATORS[part]) {
+      throw new Error(
+        `Unknown rate limit key "${part}". Use one of: ${Object.keys(KEY_GENERATORS).join(', ')}`
+      );
+    }
+    return KEY_GENERATORS[part];
+  });
+
+  return req => parts.map(part => part(req)).join('|');
+}
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} [options.algorithm='fixed-window'] - fixed-window, sliding-window or token-bucket
+ * @param {number} [options.limit=100] - Requests allowed per window (token bucket: refill per window)
+ * @param {number} [options.windowMs=60000] - Window length in milliseconds
+ * @param {number} [options.burst] - Token bucket capacity (defaults to limit)
+ * @param {string|string[]|Function} [options.keyBy='ip'] - ip, user, route, a list of them, or (req) => key
+ * @param {Object} [options.store] - MemoryRateLimitStore (default) or RedisRateLimitStore
+ * @param {string} [options.prefix='rl'] - Prefix for store keys, so limiters don't share counters
+ * @param {string} [options.message] - Error message for 429 responses
+ * @param {Function} [options.skip] - (req) => true to bypass the limiter
+ * @param {boolean} [options.failOpen=true] - Let requests through if the store is unavailable
+ * @returns {Function} Express middleware
+ */
+function rateLimit(options = {}) {
+  const {
+    algorithm: algorithmName = 'fixed-window',
+    limit = 100,
+    windowMs = 60 * 1000,
+    burst,
+    keyBy = 'ip',
+    store = new MemoryRateLimitStore(),
+    prefix = 'rl',
+    message = 'Too many requests, please try again later',
+    skip,
+    failOpen = true
+  } = options;
+
+  const algorithm = getAlgorithm(algorithmName);
+  const keyGenerator = buildKeyGenerator(keyBy);
+  const algorithmOptions = { limit, windowMs, burst: burst ?? limit };
+  const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+  return async (req, res, next) => {
+    if (skip && skip(req)) {
+      return next();
+    }
+
+    const key = `${prefix}:${algorithm.name}:${keyGenerator(req)}`;
+
+    let result;
+    try {
+      result = await store.consume(key, algorithm, algorithmOptions);
+    } catch (error) {
+      logger.error('Rate limit store error', { key, error: error.message });
+      if (failOpen) {
+        return next();
+      }
+      return res.status(503).json({
+        error: 'Service temporarily unavailable'
+      });
+    }
+
+    // When several limiters apply, report the one closest to its limit
+    const reported = res.get('RateLimit-Remaining');
+    if (reported === undefined || result.remaining < Number(reported)) {
+      res.set({
+        'RateLimit-Policy': policy,
+        'RateLimit-Limit': String(algorithmOptions.burst),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+      });
+    }
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(Math.ceil(result.retryAfterMs / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+
+      logger.warn('Rate limit exceeded', {
+        key,
+        path: req.originalUrl,
+        ip: req.ip
+      });
+
+      return res.status(429).json({
+        error: message,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  KEY_GENERATORS
+};
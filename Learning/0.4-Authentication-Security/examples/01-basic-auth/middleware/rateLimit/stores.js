@@ -0,0 +1,85 @@
+/**
+ * Rate Limit Stores
+ *
+ * A store runs an algorithm against the state saved under a key:
+ *
+ *   consume(key, algorithm, options, now) -> { allowed, remaining, resetMs, retryAfterMs }
+ *   reset(key)
+ *
+ * MemoryRateLimitStore keeps state in this process. RedisRateLimitStore
+ * shares it between server instances by running each algorithm as a Lua
+ * script, so the read-modify-write is atomic.
+ */
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map(); // key -> { state, expiresAt }
+  }
+
+  async consume(key, algorithm, options, now = Date.now()) {
+    this.deleteExpired(now);
+
+    const entry = this.entries.get(key);
+    const { state, result } = algorithm.apply(entry ? entry.state : null, options, now);
+    this.entries.set(key, { state, expiresAt: now + algorithm.ttlMs(options) });
+    return result;
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  deleteExpired(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+class RedisRateLimitStore {
+  /**
+   * Works with any client that can send raw Redis commands:
+   * - node-redis v4: client.sendCommand(['EVAL', ...])
+   * - ioredis: client.call('EVAL', ...)
+   * @param {Object} client - Connected Redis client
+   */
+  constructor(client) {
+    if (typeof client?.sendCommand === 'function') {
+      this.send = args => client.sendCommand(args);
+    } else if (typeof client?.call === 'function') {
+      this.send = args => client.call(...args);
+    } else {
+      throw new Error('Redis client must have a sendCommand() or call() method');
+    }
+  }
+
+  async consume(key, algorithm, { limit, windowMs, burst = limit }, now = Date.now()) {
+    const reply = await this.send([
+      'EVAL',
+      algorithm.script,
+      '1',
+      key,
+      String(limit),
+      String(windowMs),
+      String(now),
+      String(burst)
+    ]);
+    const [allowed, remaining, resetMs, retryAfterMs] = reply.map(Number);
+    return { allowed: allowed === 1, remaining, resetMs, retryAfterMs };
+  }
+
+  async reset(key) {
+    await this.send(['DEL', key]);
+  }
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};
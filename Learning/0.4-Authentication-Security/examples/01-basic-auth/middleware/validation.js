@@ -5,7 +5,7 @@
  * Uses express-validator for robust validation
  */
 
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
 
 /**
@@ -83,6 +83,113 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Forgot password validation middleware
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Must be a valid email address')
+    .normalizeEmail()
+    .isLength({ max: 254 })
+    .withMessage('Email must be less than 254 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Reset password validation middleware
+ * Password strength is checked again with User.validatePassword in the route
+ */
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .withMessage('Reset token is required')
+    .isLength({ min: 1, max: 256 })
+    .withMessage('Reset token is invalid'),
+
+  body('password')
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Resend verification email validation middleware
+ * Same rules as forgot password - just an email address
+ */
+const validateResendVerification = validateForgotPassword;
+
+/**
+ * Email verification link validation middleware
+ */
+const validateVerifyEmail = [
+  query('token')
+    .isString()
+    .withMessage('Verification token is required')
+    .isLength({ min: 1, max: 512 })
+    .withMessage('Verification token is invalid'),
+
+  handleValidationErrors
+];
+
+/**
+ * 2FA code validation - accepts a 6-digit TOTP code or a recovery code
+ */
+const twoFactorCode = () => body('code')
+  .isString()
+  .withMessage('Code is required')
+  .trim()
+  .isLength({ min: 6, max: 32 })
+  .withMessage('Code must be a 6-digit code or a recovery code');
+
+/**
+ * Password re-authentication plus a 2FA code
+ * Used to confirm enrollment and to turn 2FA off
+ */
+const validateTwoFactorCode = [
+  ...validateLogin.slice(0, -1),
+  twoFactorCode(),
+
+  handleValidationErrors
+];
+
+/**
+ * Second login step validation middleware
+ */
+const validateTwoFactorLogin = [
+  body('challenge')
+    .isString()
+    .withMessage('Login challenge is required')
+    .isLength({ min: 1, max: 256 })
+    .withMessage('Login challenge is invalid'),
+
+  twoFactorCode(),
+
+  handleValidationErrors
+];
+
+/**
+ * OpenID Connect callback validation - the provider sends either a code
+ * or an error, always with our state
+ */
+const validateOIDCCallback = [
+  query('state')
+    .isString()
+    .withMessage('Login state is required')
+    .isLength({ min: 1, max: 256 })
+    .withMessage('Login state is invalid'),
+
+  query('code')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 2048 })
+    .withMessage('Authorization code is invalid'),
+
+  handleValidationErrors
+];
+
 /**
  * Generic sanitization middleware
  */
@@ -101,6 +208,13 @@ const sanitizeInput = (req, res, next) => {
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateResendVerification,
+  validateVerifyEmail,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateOIDCCallback,
   sanitizeInput,
   handleValidationErrors
 }; 
\ No newline at end of file
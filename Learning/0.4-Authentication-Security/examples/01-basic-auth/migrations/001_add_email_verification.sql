@@ -0,0 +1,13 @@
+-- =============================================================================
+-- 001: Email verification
+-- Needed when USER_STORE=postgres. Run once against the schema from
+-- Learning/0.2-Database-Design/schemas/schema.sql:
+--   psql "$DATABASE_URL" -f migrations/001_add_email_verification.sql
+-- =============================================================================
+
+-- NULL means the address has not been verified yet
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Accounts created before verification existed are treated as verified,
+-- so turning on REQUIRE_EMAIL_VERIFICATION doesn't lock them out
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
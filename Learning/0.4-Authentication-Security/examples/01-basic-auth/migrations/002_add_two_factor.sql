@@ -0,0 +1,13 @@
+-- =============================================================================
+-- 002: TOTP two-factor authentication
+--   psql "$DATABASE_URL" -f migrations/002_add_two_factor.sql
+-- =============================================================================
+
+-- AES-256-GCM encrypted TOTP secret (set during enrollment)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;
+-- NULL until enrollment is confirmed with a code
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
+-- SHA-256 hashes of the unused recovery codes
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_recovery_codes TEXT[] NOT NULL DEFAULT '{}';
+-- Last accepted 30-second time step, so a code can't be used twice
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_used_step INTEGER;
@@ -0,0 +1,23 @@
+-- =============================================================================
+-- 003: OpenID Connect logins
+--   psql "$DATABASE_URL" -f migrations/003_add_user_identities.sql
+-- =============================================================================
+
+-- Accounts created through an identity provider have no password
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- External accounts linked to a user. An identity is the provider's issuer
+-- URL plus its ID for the user (the ID token's `sub`) - never the email,
+-- which can change or be reassigned.
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    -- Email the provider reported when the identity was linked
+    email VARCHAR(255),
+    linked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
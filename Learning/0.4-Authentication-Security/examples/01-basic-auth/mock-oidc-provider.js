@@ -0,0 +1,270 @@
+/**
+ * Mock OpenID Connect Provider
+ *
+ * A tiny identity provider for trying the OIDC login offline:
+ *   npm run mock-idp        (http://localhost:4000)
+ *
+ * It implements just enough of the spec for the code flow with PKCE:
+ * - /.well-known/openid-configuration and /jwks (RS256 key made at startup)
+ * - /authorize shows a "pick a user" page; ?login_hint=<email> skips it
+ * - /token checks the client secret, redirect URI and PKCE verifier and
+ *   returns a signed ID token; codes expire after a minute and work once
+ * - /userinfo returns the user's claims for the access token
+ *
+ * Never use this for anything real - there are no passwords.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const CODE_TTL_SECONDS = 60;
+const TOKEN_TTL_SECONDS = 3600;
+
+const DEFAULT_USERS = [
+  { sub: 'mock-user-1', email: 'alice@example.com', email_verified: true, name: 'Alice Example' },
+  { sub: 'mock-user-2', email: 'bob@example.com', email_verified: false, name: 'Bob Unverified' }
+];
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Create the provider app
+ * @param {Object} [options]
+ * @param {string} [options.issuer='http://localhost:4000'] - Must match the URL clients use
+ * @param {Object[]} [options.clients] - [{ clientId, clientSecret, redirectUris }]
+ * @param {Object[]} [options.users] - Claims for each selectable user
+ * @returns {express.Application} Provider app
+ */
+function createMockProvider({
+  issuer = 'http://localhost:4000',
+  clients = [{
+    clientId: process.env.OIDC_CLIENT_ID || 'basic-auth-example',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || 'mock-client-secret',
+    redirectUris: [process.env.OIDC_REDIRECT_URI || 'http://localhost:3000/auth/oidc/callback']
+  }],
+  users = DEFAULT_USERS
+} = {}) {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const kid = crypto.randomBytes(8).toString('hex');
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  const codes = new Map(); // code -> { clientId, redirectUri, codeChallenge, nonce, sub, expiresAt }
+  const accessTokens = new Map(); // token -> { sub, expiresAt }
+
+  const findClient = clientId => clients.find(client => client.clientId === clientId);
+
+  function signIdToken(claims) {
+    const input = `${base64url({ alg: 'RS256', typ: 'JWT', kid })}.${base64url(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url');
+    return `${input}.${signature}`;
+  }
+
+  function redirectWith(res, redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined) {
+        url.searchParams.set(key, value);
+      }
+    }
+    res.redirect(302, url.toString());
+  }
+
+  /**
+   * Check an authorization request. Bad client IDs and redirect URIs get
+   * an error page - redirecting to an unregistered URI would leak codes.
+   * @returns {Object|null} Validated request, or null if a response was sent
+   */
+  function validateAuthorizeRequest(params, res) {
+    const client = findClient(params.client_id);
+    if (!client || !client.redirectUris.includes(params.redirect_uri)) {
+      res.status(400).send('Unknown client_id or unregistered redirect_uri');
+      return null;
+    }
+
+    const fail = (error, description) => {
+      redirectWith(res, params.redirect_uri, { error, error_description: description, state: params.state });
+      return null;
+    };
+
+    if (params.response_type !== 'code') {
+      return fail('unsupported_response_type', 'Only the code flow is supported');
+    }
+    if (!String(params.scope || '').split(' ').includes('openid')) {
+      return fail('invalid_scope', 'The openid scope is required');
+    }
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+      return fail('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+    }
+
+    return params;
+  }
+
+  function issueCode(res, request, user) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    codes.set(code, {
+      clientId: request.client_id,
+      redirectUri: request.redirect_uri,
+      codeChallenge: request.code_challenge,
+      nonce: request.nonce,
+      sub: user.sub,
+      expiresAt: Date.now() + CODE_TTL_SECONDS * 1000
+    });
+    redirectWith(res, request.redirect_uri, { code, state: request.state });
+  }
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: ['openid', 'email', 'profile'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'email', 'email_verified', 'name']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const request = validateAuthorizeRequest(req.query, res);
+    if (!request) {
+      return;
+    }
+
+    const hinted = users.find(user => user.email === request.login_hint);
+    if (hinted) {
+      return issueCode(res, request, hinted);
+    }
+
+    // Carry the request through the form as hidden fields
+    const hidden = Object.entries(request)
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('');
+    const buttons = users
+      .map(user => `<button name="sub" value="${escapeHtml(user.sub)}">${escapeHtml(user.name)} &lt;${escapeHtml(user.email)}&gt;</button>`)
+      .join('<br>');
+
+    res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<h1>Sign in to ${escapeHtml(request.client_id)}</h1>
+<form method="post" action="/authorize">${hidden}${buttons}<br><br>
+<button name="deny" value="1">Cancel</button></form>`);
+  });
+
+  app.post('/authorize', (req, res) => {
+    const { sub, deny, ...params } = req.body;
+    const request = validateAuthorizeRequest(params, res);
+    if (!request) {
+      return;
+    }
+
+    const user = users.find(candidate => candidate.sub === sub);
+    if (deny || !user) {
+      return redirectWith(res, request.redirect_uri, { error: 'access_denied', state: request.state });
+    }
+    issueCode(res, request, user);
+  });
+
+  app.post('/token', (req, res) => {
+    const tokenError = (status, error, description) =>
+      res.status(status).json({ error, error_description: description });
+
+    // client_secret_basic, falling back to client_secret_post
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+    const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Basic' && credentials) {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    }
+
+    const client = findClient(clientId);
+    if (!client || (client.clientSecret && client.clientSecret !== clientSecret)) {
+      return tokenError(401, 'invalid_client', 'Client authentication failed');
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+      return tokenError(400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    // Single use, even if the rest of the request is wrong
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId) {
+      return tokenError(400, 'invalid_grant', 'Code is invalid, expired or already used');
+    }
+    if (grant.redirectUri !== req.body.redirect_uri) {
+      return tokenError(400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return tokenError(400, 'invalid_grant', 'PKCE code_verifier does not match the code_challenge');
+    }
+
+    const user = users.find(candidate => candidate.sub === grant.sub);
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(32).toString('base64url');
+    accessTokens.set(accessToken, { sub: user.sub, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      id_token: signIdToken({
+        iss: issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + TOKEN_TTL_SECONDS,
+        auth_time: now,
+        ...(grant.nonce && { nonce: grant.nonce }),
+        ...user
+      })
+    });
+  });
+
+  app.get('/userinfo', (req, res) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const session = scheme === 'Bearer' && accessTokens.get(token);
+    if (!session || session.expiresAt < Date.now()) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(users.find(user => user.sub === session.sub));
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+  const issuer = process.env.OIDC_ISSUER || `http://localhost:${port}`;
+
+  createMockProvider({ issuer }).listen(port, () => {
+    console.log(`🪪 Mock OpenID Connect provider at ${issuer}`);
+    console.log(`   Users: ${DEFAULT_USERS.map(user => user.email).join(', ')}`);
+    console.log('   Start the API with OIDC_ISSUER set, then open /auth/oidc/login');
+  });
+}
+
+module.exports = { createMockProvider, DEFAULT_USERS };
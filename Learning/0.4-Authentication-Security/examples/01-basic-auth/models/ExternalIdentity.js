@@ -0,0 +1,86 @@
+/**
+ * External Identities
+ *
+ * Decides which local user an OpenID Connect login belongs to:
+ * - An identity is the provider (issuer) plus its user ID (`sub`) - the
+ *   email is only used the first time, to find or create the account
+ * - An existing account is linked automatically only when both the
+ *   provider and we have verified the email. Otherwise anyone who signs
+ *   up at the provider with your address could take over your account.
+ * - Unknown users get a new, password-less account, but only with an email
+ *   the provider has verified - the address is theirs from then on
+ *   (OIDC_AUTO_PROVISION=false turns this off)
+ * - The email is normalized like the register and login forms do
+ *   (express-validator's normalizeEmail()), so `J.Doe@Gmail.com` from a
+ *   provider finds the account registered as `jdoe@gmail.com`
+ */
+
+const validator = require('validator');
+const { User } = require('./User');
+const { OIDCError } = require('../utils/oidc');
+
+const AUTO_PROVISION = process.env.OIDC_AUTO_PROVISION !== 'false';
+
+class ExternalIdentity {
+  static get autoProvision() {
+    return AUTO_PROVISION;
+  }
+
+  /**
+   * Find, link or create the user for a validated ID token
+   * @param {string} provider - Issuer URL
+   * @param {Object} claims - Claims from OIDCClient.validateIdToken()
+   * @returns {Promise<{user: User, created: boolean, linked: boolean}>}
+   * @throws {OIDCError} EMAIL_REQUIRED, ACCOUNT_EXISTS, ACCOUNT_NOT_FOUND or EMAIL_NOT_VERIFIED
+   */
+  static async resolveUser(provider, claims) {
+    const existing = await User.findByIdentity(provider, claims.sub);
+    if (existing) {
+      return { user: existing, created: false, linked: false };
+    }
+
+    // Same checks as .isEmail().normalizeEmail() in middleware/validation.js
+    const email = typeof claims.email === 'string' && validator.isEmail(claims.email) &&
+      validator.normalizeEmail(claims.email);
+    if (!email) {
+      throw new OIDCError('The identity provider did not share a valid email address', 'EMAIL_REQUIRED');
+    }
+
+    const identity = { provider, subject: claims.sub, email };
+    const emailVerified = claims.email_verified === true;
+
+    const user = await User.findByEmail(email);
+    if (user) {
+      if (!emailVerified || !user.isEmailVerified) {
+        throw new OIDCError(
+          'An account with this email already exists. Verify the email address with both services, then try again.',
+          'ACCOUNT_EXISTS'
+        );
+      }
+
+      await user.linkIdentity(identity);
+      return { user, created: false, linked: true };
+    }
+
+    if (!AUTO_PROVISION) {
+      throw new OIDCError('No account is linked to this identity', 'ACCOUNT_NOT_FOUND');
+    }
+
+    // Claiming an unverified address would block its real owner from
+    // signing up - and hand them this account if they ever verify it
+    if (!emailVerified) {
+      throw new OIDCError(
+        'The identity provider has not verified this email address. Verify it there, then try again.',
+        'EMAIL_NOT_VERIFIED'
+      );
+    }
+
+    return {
+      user: await User.createFromIdentity(identity),
+      created: true,
+      linked: true
+    };
+  }
+}
+
+module.exports = { ExternalIdentity };
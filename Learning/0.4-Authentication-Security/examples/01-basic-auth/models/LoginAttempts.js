@@ -0,0 +1,176 @@
+/**
+ * Failed Login Tracking
+ *
+ * Demonstrates brute-force and credential stuffing protection:
+ * - Separate failure counters per account (email) and per client IP
+ * - Exponential backoff once failures start piling up
+ * - Temporary lockout after too many failures
+ * - Counters are keyed by email whether or not the account exists, so a
+ *   lockout never tells an attacker which addresses are registered
+ */
+
+const { normalizeEmail } = require('../stores/UserStore');
+const logger = require('../utils/logger');
+
+function readInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Read on every call so thresholds can be changed in tests
+function getPolicies() {
+  const backoff = {
+    baseSeconds: readInt('LOGIN_BACKOFF_BASE_SECONDS', 1),
+    maxSeconds: readInt('LOGIN_BACKOFF_MAX_SECONDS', 60)
+  };
+  const lockoutSeconds = readInt('LOGIN_LOCKOUT_MINUTES', 15) * 60;
+
+  return {
+    windowMs: readInt('LOGIN_FAILURE_WINDOW_MINUTES', 15) * 60 * 1000,
+    account: {
+      backoffAfter: readInt('LOGIN_BACKOFF_AFTER', 3),
+      maxFailures: readInt('LOGIN_MAX_FAILURES', 5),
+      lockoutSeconds,
+      ...backoff
+    },
+    ip: {
+      backoffAfter: readInt('LOGIN_IP_BACKOFF_AFTER', 20),
+      maxFailures: readInt('LOGIN_IP_MAX_FAILURES', 50),
+      lockoutSeconds,
+      ...backoff
+    }
+  };
+}
+
+/**
+ * How long to refuse attempts after the given number of failures
+ * @param {number} failures - Consecutive failures so far
+ * @param {Object} policy - Thresholds for the counter
+ * @returns {number} Delay in seconds (0 = no delay)
+ */
+function delayAfter(failures, policy) {
+  if (failures >= policy.maxFailures) {
+    return policy.lockoutSeconds;
+  }
+  if (failures < policy.backoffAfter) {
+    return 0;
+  }
+  const exponent = failures - policy.backoffAfter;
+  return Math.min(policy.baseSeconds * 2 ** exponent, policy.maxSeconds);
+}
+
+/**
+ * Simple in-memory failure counters
+ * Entries are forgotten once there have been no failures for a full window
+ */
+class LoginAttemptStore {
+  static counters = new Map(); // key -> { failures, lastFailureAt, blockedUntil }
+
+  static get(key) {
+    return this.counters.get(key) || null;
+  }
+
+  static set(key, record) {
+    this.counters.set(key, record);
+  }
+
+  static delete(key) {
+    this.counters.delete(key);
+  }
+
+  static deleteExpired(windowMs, now = Date.now()) {
+    for (const [key, record] of this.counters) {
+      if (now - record.lastFailureAt >= windowMs && record.blockedUntil <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+
+  static clear() {
+    this.counters.clear();
+  }
+}
+
+const accountKey = email => `account:${normalizeEmail(email)}`;
+const ipKey = ip => `ip:${ip}`;
+
+class LoginAttempts {
+  /**
+   * Check whether a login attempt may go ahead
+   * @param {string} email - Email being logged into
+   * @param {string} ip - Client IP
+   * @returns {{allowed: boolean, retryAfter: number, reason?: string}}
+   */
+  static check(email, ip, now = Date.now()) {
+    const { windowMs } = getPolicies();
+    LoginAttemptStore.deleteExpired(windowMs, now);
+
+    for (const [reason, key] of [['account', accountKey(email)], ['ip', ipKey(ip)]]) {
+      const record = LoginAttemptStore.get(key);
+      if (record && record.blockedUntil > now) {
+        return {
+          allowed: false,
+          retryAfter: Math.ceil((record.blockedUntil - now) / 1000),
+          reason
+        };
+      }
+    }
+
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  /**
+   * Count a failed attempt against both the account and the IP
+   * @param {string} email - Email being logged into
+   * @param {string} ip - Client IP
+   */
+  static recordFailure(email, ip, now = Date.now()) {
+    const policies = getPolicies();
+
+    for (const [name, key] of [['account', accountKey(email)], ['ip', ipKey(ip)]]) {
+      const previous = LoginAttemptStore.get(key);
+      const failures = previous && now - previous.lastFailureAt < policies.windowMs
+        ? previous.failures + 1
+        : 1;
+      const policy = policies[name];
+      const delaySeconds = delayAfter(failures, policy);
+
+      LoginAttemptStore.set(key, {
+        failures,
+        lastFailureAt: now,
+        blockedUntil: now + delaySeconds * 1000
+      });
+
+      if (failures === policy.maxFailures) {
+        logger.warn('Login locked out after repeated failures', {
+          [name]: name === 'account' ? normalizeEmail(email) : ip,
+          failures,
+          lockoutSeconds: delaySeconds
+        });
+      }
+    }
+  }
+
+  /**
+   * Reset the account counter after a successful login
+   * The IP counter is left alone - otherwise an attacker could clear it by
+   * logging into an account of their own between guesses
+   * @param {string} email - Email that logged in
+   */
+  static recordSuccess(email) {
+    LoginAttemptStore.delete(accountKey(email));
+  }
+
+  /**
+   * Lift any lockout on an account, e.g. after a password reset
+   * @param {string} email - Account email
+   */
+  static unlockAccount(email) {
+    if (LoginAttemptStore.get(accountKey(email))) {
+      logger.info('Account login lockout cleared', { email: normalizeEmail(email) });
+    }
+    LoginAttemptStore.delete(accountKey(email));
+  }
+}
+
+module.exports = { LoginAttempts, LoginAttemptStore, delayAfter };
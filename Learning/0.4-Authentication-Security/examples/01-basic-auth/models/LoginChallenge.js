@@ -0,0 +1,120 @@
+/**
+ * Two-Step Login Challenges
+ *
+ * After the password check, users with 2FA get a challenge instead of a
+ * completed login. The challenge proves the password step succeeded, so
+ * /auth/login/2fa only needs the challenge and a code:
+ * - Random 32-byte token, stored as a SHA-256 hash
+ * - Expires after a few minutes
+ * - Burnt after too many wrong codes, forcing a fresh password check
+ */
+
+const crypto = require('crypto');
+
+const CHALLENGE_TTL_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5;
+const MAX_CODE_ATTEMPTS = 5;
+
+function hashChallenge(challenge) {
+  return crypto.createHash('sha256').update(String(challenge)).digest('hex');
+}
+
+/**
+ * Simple in-memory challenge store
+ */
+class LoginChallengeStore {
+  static challenges = new Map(); // challengeHash -> { userId, expiresAt, attempts }
+
+  static save(challengeHash, record) {
+    this.challenges.set(challengeHash, record);
+  }
+
+  static get(challengeHash) {
+    return this.challenges.get(challengeHash) || null;
+  }
+
+  static delete(challengeHash) {
+    this.challenges.delete(challengeHash);
+  }
+
+  static deleteExpired(now = new Date()) {
+    for (const [challengeHash, record] of this.challenges) {
+      if (record.expiresAt <= now) {
+        this.challenges.delete(challengeHash);
+      }
+    }
+  }
+
+  static clear() {
+    this.challenges.clear();
+  }
+}
+
+class LoginChallenge {
+  static get ttlMinutes() {
+    return CHALLENGE_TTL_MINUTES;
+  }
+
+  /**
+   * Issue a challenge for a user who passed the password check
+   * @param {User} user - User logging in
+   * @returns {string} Raw challenge to return to the client
+   */
+  static issue(user) {
+    LoginChallengeStore.deleteExpired();
+
+    const challenge = crypto.randomBytes(32).toString('hex');
+    LoginChallengeStore.save(hashChallenge(challenge), {
+      userId: user.id,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000),
+      attempts: 0
+    });
+    return challenge;
+  }
+
+  /**
+   * Look up a live challenge
+   * @param {string} challenge - Raw challenge from the client
+   * @returns {number|null} User ID, or null if unknown or expired
+   */
+  static find(challenge) {
+    if (!challenge) {
+      return null;
+    }
+
+    const record = LoginChallengeStore.get(hashChallenge(challenge));
+    if (!record || record.expiresAt <= new Date()) {
+      return null;
+    }
+    return record.userId;
+  }
+
+  /**
+   * Count a wrong code against the challenge
+   * @param {string} challenge - Raw challenge from the client
+   * @returns {boolean} True if the challenge can still be used
+   */
+  static recordFailure(challenge) {
+    const challengeHash = hashChallenge(challenge);
+    const record = LoginChallengeStore.get(challengeHash);
+    if (!record) {
+      return false;
+    }
+
+    record.attempts += 1;
+    if (record.attempts >= MAX_CODE_ATTEMPTS) {
+      LoginChallengeStore.delete(challengeHash);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Finish with a challenge after a successful login
+   * @param {string} challenge - Raw challenge from the client
+   */
+  static complete(challenge) {
+    LoginChallengeStore.delete(hashChallenge(challenge));
+  }
+}
+
+module.exports = { LoginChallenge, LoginChallengeStore };
@@ -0,0 +1,89 @@
+/**
+ * Pending OpenID Connect Logins
+ *
+ * Between the redirect to the identity provider and the callback we have
+ * to remember the nonce and PKCE code verifier for that login:
+ * - Keyed by a SHA-256 hash of the state parameter
+ * - Expires after a few minutes
+ * - Used once - the callback removes it whether or not the login succeeds
+ */
+
+const crypto = require('crypto');
+
+const LOGIN_TTL_MINUTES = parseInt(process.env.OIDC_LOGIN_TTL_MINUTES) || 10;
+
+function hashState(state) {
+  return crypto.createHash('sha256').update(String(state)).digest('hex');
+}
+
+/**
+ * Simple in-memory store of pending logins
+ */
+class OIDCLoginStore {
+  static logins = new Map(); // stateHash -> { nonce, codeVerifier, expiresAt }
+
+  static save(stateHash, record) {
+    this.logins.set(stateHash, record);
+  }
+
+  static get(stateHash) {
+    return this.logins.get(stateHash) || null;
+  }
+
+  static delete(stateHash) {
+    this.logins.delete(stateHash);
+  }
+
+  static deleteExpired(now = new Date()) {
+    for (const [stateHash, record] of this.logins) {
+      if (record.expiresAt <= now) {
+        this.logins.delete(stateHash);
+      }
+    }
+  }
+
+  static clear() {
+    this.logins.clear();
+  }
+}
+
+class OIDCLogin {
+  static get ttlMinutes() {
+    return LOGIN_TTL_MINUTES;
+  }
+
+  /**
+   * Remember a login that is being sent to the provider
+   * @param {Object} request - From OIDCClient.createAuthorizationRequest()
+   */
+  static begin({ state, nonce, codeVerifier }) {
+    OIDCLoginStore.deleteExpired();
+    OIDCLoginStore.save(hashState(state), {
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + LOGIN_TTL_MINUTES * 60 * 1000)
+    });
+  }
+
+  /**
+   * Take the pending login for a state, so it can't be used again
+   * @param {string} state - State from the callback query string
+   * @returns {{nonce: string, codeVerifier: string}|null} Null if unknown or expired
+   */
+  static consume(state) {
+    if (!state) {
+      return null;
+    }
+
+    const stateHash = hashState(state);
+    const record = OIDCLoginStore.get(stateHash);
+    OIDCLoginStore.delete(stateHash);
+
+    if (!record || record.expiresAt <= new Date()) {
+      return null;
+    }
+    return { nonce: record.nonce, codeVerifier: record.codeVerifier };
+  }
+}
+
+module.exports = { OIDCLogin, OIDCLoginStore };
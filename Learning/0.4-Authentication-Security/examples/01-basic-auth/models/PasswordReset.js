@@ -0,0 +1,106 @@
+/**
+ * Password Reset Tokens
+ *
+ * Demonstrates secure reset tokens:
+ * - 32 random bytes, sent to the user only once (in the email)
+ * - Stored as a SHA-256 hash, so a leaked store can't be used to reset
+ *   passwords (bcrypt isn't needed - the token is already high-entropy)
+ * - Single-use and short-lived
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Simple in-memory reset token store
+ * Tokens only live for minutes, so losing them on restart just means the
+ * user asks for a new link
+ */
+class PasswordResetStore {
+  static tokens = new Map(); // tokenHash -> { userId, expiresAt }
+
+  static save(tokenHash, record) {
+    this.tokens.set(tokenHash, record);
+  }
+
+  static take(tokenHash) {
+    const record = this.tokens.get(tokenHash);
+    this.tokens.delete(tokenHash);
+    return record || null;
+  }
+
+  static deleteForUser(userId) {
+    for (const [tokenHash, record] of this.tokens) {
+      if (record.userId === userId) {
+        this.tokens.delete(tokenHash);
+      }
+    }
+  }
+
+  static deleteExpired(now = new Date()) {
+    for (const [tokenHash, record] of this.tokens) {
+      if (record.expiresAt <= now) {
+        this.tokens.delete(tokenHash);
+      }
+    }
+  }
+
+  static clear() {
+    this.tokens.clear();
+  }
+}
+
+class PasswordReset {
+  static get ttlMinutes() {
+    return RESET_TOKEN_TTL_MINUTES;
+  }
+
+  /**
+   * Issue a reset token for a user
+   * Any earlier, unused token for the same user stops working
+   * @param {User} user - User requesting the reset
+   * @returns {string} Raw token to put in the reset link
+   */
+  static issue(user) {
+    PasswordResetStore.deleteExpired();
+    PasswordResetStore.deleteForUser(user.id);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    PasswordResetStore.save(hashToken(token), {
+      userId: user.id,
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+    });
+
+    logger.info('Password reset token issued', { userId: user.id });
+    return token;
+  }
+
+  /**
+   * Consume a reset token
+   * The token is removed whether or not it is still valid, so it can
+   * never be used twice
+   * @param {string} token - Raw token from the reset link
+   * @returns {number|null} User ID if the token was valid, null otherwise
+   */
+  static consume(token) {
+    if (!token) {
+      return null;
+    }
+
+    const record = PasswordResetStore.take(hashToken(token));
+    if (!record || record.expiresAt <= new Date()) {
+      return null;
+    }
+
+    PasswordResetStore.deleteForUser(record.userId);
+    return record.userId;
+  }
+}
+
+module.exports = { PasswordReset, PasswordResetStore };
@@ -0,0 +1,182 @@
+/**
+ * Two-Factor Authentication
+ *
+ * Demonstrates TOTP 2FA on top of password login:
+ * - Enrollment: generate a secret, show it as a QR code, and only switch
+ *   2FA on once the user proves their app works by entering a code
+ * - The TOTP secret must be readable to check codes, so it is encrypted
+ *   (AES-256-GCM) rather than hashed
+ * - One-time recovery codes for a lost phone, stored as SHA-256 hashes
+ * - Each code is accepted once (replay protection by time step)
+ */
+
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { getUserStore } = require('../stores');
+const logger = require('../utils/logger');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Ramen Bae';
+const RECOVERY_CODE_COUNT = 10;
+
+function getEncryptionKey() {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY ||
+    process.env.SESSION_SECRET ||
+    'fallback-secret-change-in-production';
+  // Derive a 256-bit key from whatever string is configured
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate recovery codes like "3f9a2-c81d0"
+ * @returns {string[]} Raw codes, shown to the user once
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+}
+
+class TwoFactor {
+  /**
+   * Start enrollment with a fresh secret
+   * 2FA stays off until confirmEnrollment() succeeds, so a half-finished
+   * setup can't lock the user out
+   * @param {User} user - User enrolling
+   * @returns {Promise<{secret: string, otpauthUri: string}>} Details for the authenticator app
+   */
+  static async beginEnrollment(user) {
+    if (user.isTwoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorSecret = encryptSecret(secret);
+    user.twoFactorLastUsedStep = null;
+    await getUserStore().update({
+      id: user.id,
+      twoFactorSecret: user.twoFactorSecret,
+      twoFactorLastUsedStep: null
+    });
+
+    logger.info('Two-factor enrollment started', { userId: user.id });
+    return {
+      secret,
+      otpauthUri: totp.otpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+    };
+  }
+
+  /**
+   * Turn 2FA on once the user enters a code from their app
+   * @param {User} user - User enrolling
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<string[]|null>} Recovery codes, or null if the code is wrong
+   */
+  static async confirmEnrollment(user, code) {
+    if (user.isTwoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactorSecret) {
+      throw new Error('Two-factor enrollment has not been started');
+    }
+
+    const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactorLastUsedStep = step;
+    await getUserStore().update({
+      id: user.id,
+      twoFactorEnabledAt: user.twoFactorEnabledAt,
+      twoFactorRecoveryCodes: user.twoFactorRecoveryCodes,
+      twoFactorLastUsedStep: step
+    });
+
+    logger.info('Two-factor authentication enabled', { userId: user.id });
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a TOTP code or recovery code for a user with 2FA enabled
+   * A used recovery code is removed; a used TOTP code can't be replayed
+   * @param {User} user - User logging in
+   * @param {string} code - 6-digit TOTP code or a recovery code
+   * @returns {Promise<'totp'|'recovery'|null>} Which kind of code matched, or null
+   */
+  static async verify(user, code) {
+    if (!user.isTwoFactorEnabled || typeof code !== 'string') {
+      return null;
+    }
+
+    const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), code.trim(), {
+      afterStep: user.twoFactorLastUsedStep
+    });
+    if (step !== null) {
+      user.twoFactorLastUsedStep = step;
+      await getUserStore().update({ id: user.id, twoFactorLastUsedStep: step });
+      return 'totp';
+    }
+
+    const hash = hashRecoveryCode(code);
+    if (user.twoFactorRecoveryCodes.includes(hash)) {
+      user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(stored => stored !== hash);
+      await getUserStore().update({
+        id: user.id,
+        twoFactorRecoveryCodes: user.twoFactorRecoveryCodes
+      });
+      logger.warn('Recovery code used', {
+        userId: user.id,
+        remaining: user.twoFactorRecoveryCodes.length
+      });
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn 2FA off and forget the secret and recovery codes
+   * Callers must re-authenticate the user first
+   * @param {User} user - User disabling 2FA
+   */
+  static async disable(user) {
+    user.twoFactorSecret = null;
+    user.twoFactorEnabledAt = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = null;
+    await getUserStore().update({
+      id: user.id,
+      twoFactorSecret: null,
+      twoFactorEnabledAt: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastUsedStep: null
+    });
+
+    logger.info('Two-factor authentication disabled', { userId: user.id });
+  }
+}
+
+module.exports = { TwoFactor };
@@ -10,13 +10,120 @@
 
 const bcrypt = require('bcrypt');
 const logger = require('../utils/logger');
+const { getUserStore } = require('../stores');
 
 class User {
-  constructor(id, email, hashedPassword, createdAt = new Date()) {
+  constructor(id, email, hashedPassword, createdAt = new Date(), emailVerifiedAt = null) {
     this.id = id;
     this.email = email;
     this.hashedPassword = hashedPassword;
     this.createdAt = createdAt;
+    this.emailVerifiedAt = emailVerifiedAt;
+
+    // Two-factor authentication (see models/TwoFactor.js)
+    this.twoFactorSecret = null; // Encrypted TOTP secret
+    this.twoFactorEnabledAt = null;
+    this.twoFactorRecoveryCodes = []; // SHA-256 hashes
+    this.twoFactorLastUsedStep = null;
+
+    // External accounts used to sign in (see routes/oidc.js)
+    this.identities = []; // [{ provider, subject, email, linkedAt }]
+  }
+
+  /**
+   * Whether the user has proven they own their email address
+   * @returns {boolean}
+   */
+  get isEmailVerified() {
+    return Boolean(this.emailVerifiedAt);
+  }
+
+  /**
+   * Whether the user can log in with a password (accounts created through
+   * an identity provider can't)
+   * @returns {boolean}
+   */
+  get hasPassword() {
+    return Boolean(this.hashedPassword);
+  }
+
+  /**
+   * Whether login requires a TOTP or recovery code after the password
+   * @returns {boolean}
+   */
+  get isTwoFactorEnabled() {
+    return Boolean(this.twoFactorEnabledAt && this.twoFactorSecret);
+  }
+
+  /**
+   * Build a User from a stored record
+   * @param {Object|null} record - Record returned by a UserStore
+   * @returns {User|null} User instance or null
+   */
+  static fromRecord(record) {
+    if (!record) {
+      return null;
+    }
+    const user = new User(
+      record.id,
+      record.email,
+      record.hashedPassword,
+      record.createdAt,
+      record.emailVerifiedAt || null
+    );
+    user.twoFactorSecret = record.twoFactorSecret || null;
+    user.twoFactorEnabledAt = record.twoFactorEnabledAt || null;
+    user.twoFactorRecoveryCodes = record.twoFactorRecoveryCodes || [];
+    user.twoFactorLastUsedStep = record.twoFactorLastUsedStep ?? null;
+    user.identities = record.identities || [];
+    return user;
+  }
+
+  /**
+   * Convert to a plain record for the UserStore
+   * @returns {Object} User record
+   */
+  toRecord() {
+    return {
+      id: this.id,
+      email: this.email,
+      hashedPassword: this.hashedPassword,
+      createdAt: this.createdAt,
+      emailVerifiedAt: this.emailVerifiedAt,
+      twoFactorSecret: this.twoFactorSecret,
+      twoFactorEnabledAt: this.twoFactorEnabledAt,
+      twoFactorRecoveryCodes: this.twoFactorRecoveryCodes,
+      twoFactorLastUsedStep: this.twoFactorLastUsedStep,
+      identities: this.identities
+    };
+  }
+
+  /**
+   * Find a user by email
+   * @param {string} email - User's email
+   * @returns {Promise<User|null>} User or null
+   */
+  static async findByEmail(email) {
+    return User.fromRecord(await getUserStore().findByEmail(email));
+  }
+
+  /**
+   * Find a user by ID
+   * @param {number} id - User ID
+   * @returns {Promise<User|null>} User or null
+   */
+  static async findById(id) {
+    return User.fromRecord(await getUserStore().findById(id));
+  }
+
+  /**
+   * Find the user an external identity is linked to
+   * @param {string} provider - Issuer URL of the identity provider
+   * @param {string} subject - The provider's ID for the user
+   * @returns {Promise<User|null>} User or null
+   */
+  static async findByIdentity(provider, subject) {
+    return User.fromRecord(await getUserStore().findByIdentity(provider, subject));
   }
 
   /**
@@ -33,7 +140,8 @@ class User {
       }
 
       // Check if user already exists
-      const existingUser = UserStore.findByEmail(email);
+      const store = getUserStore();
+      const existingUser = await store.findByEmail(email);
       if (existingUser) {
         throw new Error('User already exists');
       }
@@ -42,12 +150,14 @@ class User {
       const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
       const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-      // Create user
-      const id = UserStore.generateId();
-      const user = new User(id, email.toLowerCase().trim(), hashedPassword);
-      
-      // Store user
-      UserStore.save(user);
+      // Store user (the store assigns the ID) - unverified until they
+      // follow the link in the verification email
+      const record = await store.save({
+        email: email.toLowerCase().trim(),
+        hashedPassword,
+        emailVerifiedAt: null
+      });
+      const user = User.fromRecord(record);
 
       logger.info('User created successfully', { userId: user.id, email: user.email });
       return user;
@@ -57,6 +167,26 @@ class User {
     }
   }
 
+  /**
+   * Create a user who signs in through an identity provider. They have no
+   * password until they set one with a password reset. The provider must
+   * have verified the email, so it counts as verified here too.
+   * @param {Object} identity - { provider, subject, email }
+   * @returns {Promise<User>} New user instance
+   */
+  static async createFromIdentity(identity) {
+    const store = getUserStore();
+    const record = await store.save({
+      email: identity.email,
+      hashedPassword: null,
+      emailVerifiedAt: new Date()
+    });
+
+    const user = User.fromRecord(await store.linkIdentity(record.id, identity));
+    logger.info('User created from external identity', { userId: user.id, provider: identity.provider });
+    return user;
+  }
+
   /**
    * Authenticate user with email and password
    * @param {string} email - User's email
@@ -66,8 +196,8 @@ class User {
   static async authenticate(email, password) {
     try {
       // Find user by email
-      const user = UserStore.findByEmail(email);
-      if (!user) {
+      const user = await User.findByEmail(email);
+      if (!user || !user.hasPassword) {
         // Use same timing as bcrypt.compare to prevent timing attacks
         await bcrypt.compare(password, '$2b$12$dummy.hash.to.prevent.timing.attacks');
         return null;
@@ -99,7 +229,7 @@ class User {
       this.hashedPassword = await bcrypt.hash(newPassword, saltRounds);
       
       // Update in store
-      UserStore.update(this);
+      await getUserStore().update({ id: this.id, hashedPassword: this.hashedPassword });
       
       logger.info('Password updated successfully', { userId: this.id });
       return true;
@@ -109,6 +239,41 @@ class User {
     }
   }
 
+  /**
+   * Link an external identity so the user can sign in with it
+   * @param {Object} identity - { provider, subject, email }
+   * @returns {Promise<void>}
+   * @throws {Error} 'Identity already linked' if another user has it
+   */
+  async linkIdentity(identity) {
+    const record = await getUserStore().linkIdentity(this.id, identity);
+    this.identities = record.identities;
+    logger.info('External identity linked', { userId: this.id, provider: identity.provider });
+  }
+
+  /**
+   * Mark the user's email address as verified
+   * Verifying twice keeps the original timestamp
+   * @returns {Promise<boolean>} Success status
+   */
+  async markEmailVerified() {
+    if (this.isEmailVerified) {
+      return true;
+    }
+
+    try {
+      this.emailVerifiedAt = new Date();
+      await getUserStore().update({ id: this.id, emailVerifiedAt: this.emailVerifiedAt });
+
+      logger.info('Email verified successfully', { userId: this.id });
+      return true;
+    } catch (error) {
+      this.emailVerifiedAt = null;
+      logger.error('Error verifying email:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Get safe user data (without password hash)
    * @returns {Object} Safe user data
@@ -117,6 +282,10 @@ class User {
     return {
       id: this.id,
       email: this.email,
+      emailVerified: this.isEmailVerified,
+      twoFactorEnabled: this.isTwoFactorEnabled,
+      hasPassword: this.hasPassword,
+      identities: this.identities.map(({ provider, linkedAt }) => ({ provider, linkedAt })),
       createdAt: this.createdAt
     };
   }
@@ -184,49 +353,4 @@ class User {
   }
 }
 
-/**
- * Simple in-memory user store
- * In a real application, this would be a database
- */
-class UserStore {
-  static users = [];
-  static nextId = 1;
-
-  static generateId() {
-    return this.nextId++;
-  }
-
-  static save(user) {
-    this.users.push(user);
-    return user;
-  }
-
-  static findByEmail(email) {
-    return this.users.find(user => 
-      user.email.toLowerCase() === email.toLowerCase().trim()
-    );
-  }
-
-  static findById(id) {
-    return this.users.find(user => user.id === id);
-  }
-
-  static update(user) {
-    const index = this.users.findIndex(u => u.id === user.id);
-    if (index !== -1) {
-      this.users[index] = user;
-    }
-    return user;
-  }
-
-  static getAll() {
-    return this.users.map(user => user.toSafeObject());
-  }
-
-  static clear() {
-    this.users = [];
-    this.nextId = 1;
-  }
-}
-
-module.exports = { User, UserStore }; 
\ No newline at end of file
+module.exports = { User };
@@ -9,12 +9,43 @@
  */
 
 const express = require('express');
-const { User, UserStore } = require('../models/User');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
+const { User } = require('../models/User');
+const { PasswordReset } = require('../models/PasswordReset');
+const { EmailVerification, VerificationThrottle } = require('../models/EmailVerification');
+const { LoginAttempts } = require('../models/LoginAttempts');
+const { LoginChallenge } = require('../models/LoginChallenge');
+const { TwoFactor } = require('../models/TwoFactor');
+const { getUserStore } = require('../stores');
+const {
+  validateRegistration,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateResendVerification,
+  validateVerifyEmail,
+  validateTwoFactorLogin
+} = require('../middleware/validation');
+const { sendMail } = require('../utils/mailer');
+const { passwordResetEmail, verificationEmail } = require('../utils/emails');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Email a verification link without holding up the response
+ * @param {User} user - Unverified user
+ */
+function sendVerificationEmail(user) {
+  const token = EmailVerification.issue(user);
+  sendMail(verificationEmail({
+    to: user.email,
+    token,
+    expiresInHours: EmailVerification.ttlHours
+  })).catch(error => {
+    logger.error('Failed to send verification email', { userId: user.id, error: error.message });
+  });
+}
+
 /**
  * POST /auth/register
  * Register a new user
@@ -35,6 +66,10 @@ router.post('/register', validateRegistration, async (req, res) => {
     // Create user
     const user = await User.create(email, password);
 
+    // Start the resend cooldown so the first email isn't immediately repeated
+    VerificationThrottle.attempt(user.email);
+    sendVerificationEmail(user);
+
     // Log successful registration (without sensitive data)
     logger.info('User registered successfully', {
       userId: user.id,
@@ -44,7 +79,7 @@ router.post('/register', validateRegistration, async (req, res) => {
 
     // Return success response (without password hash)
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your address.',
       user: user.toSafeObject()
     });
 
@@ -77,10 +112,29 @@ router.post('/login', validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Refuse attempts during backoff or lockout without checking the
+    // password. The response is the same as for a wrong password, so it
+    // doesn't reveal whether the account exists.
+    const attempt = LoginAttempts.check(email, req.ip);
+    if (!attempt.allowed) {
+      logger.warn('Login attempt blocked', {
+        email: email,
+        ip: req.ip,
+        reason: attempt.reason,
+        retryAfter: attempt.retryAfter
+      });
+
+      return res.status(401).json({
+        error: 'Invalid credentials'
+      });
+    }
+
     // Authenticate user
     const user = await User.authenticate(email, password);
 
     if (!user) {
+      LoginAttempts.recordFailure(email, req.ip);
+
       // Log failed login attempt
       logger.warn('Failed login attempt', {
         email: email,
@@ -94,6 +148,33 @@ router.post('/login', validateLogin, async (req, res) => {
       });
     }
 
+    // Only reached with the right password, so this doesn't reveal which
+    // addresses are registered
+    if (EmailVerification.required && !user.isEmailVerified) {
+      logger.warn('Login blocked - email not verified', { userId: user.id, ip: req.ip });
+      return res.status(403).json({
+        error: 'Email address not verified',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Password was right, but the login isn't finished until the second
+    // factor is checked at /auth/login/2fa. The failure counter is only
+    // reset there, so guessing codes still leads to a lockout.
+    if (user.isTwoFactorEnabled) {
+      const challenge = LoginChallenge.issue(user);
+      logger.info('Two-factor challenge issued', { userId: user.id, ip: req.ip });
+
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challenge,
+        expiresIn: LoginChallenge.ttlMinutes * 60
+      });
+    }
+
+    LoginAttempts.recordSuccess(email);
+
     // Log successful login
     logger.info('Successful login', {
       userId: user.id,
@@ -122,16 +203,278 @@ router.post('/login', validateLogin, async (req, res) => {
 });
 
 /**
- * GET /auth/users
- * Get all users (for testing - remove in production)
+ * POST /auth/login/2fa
+ * Finish a two-step login with a TOTP code or a recovery code
+ */
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challenge, code } = req.body;
+
+    const userId = LoginChallenge.find(challenge);
+    const user = userId && await User.findById(userId);
+    if (!user || !user.isTwoFactorEnabled) {
+      return res.status(401).json({
+        error: 'Invalid or expired login challenge'
+      });
+    }
+
+    const attempt = LoginAttempts.check(user.email, req.ip);
+    const method = attempt.allowed ? await TwoFactor.verify(user, code) : null;
+
+    if (!method) {
+      if (attempt.allowed) {
+        LoginAttempts.recordFailure(user.email, req.ip);
+      }
+      const canRetry = LoginChallenge.recordFailure(challenge);
+
+      logger.warn('Failed two-factor attempt', {
+        userId: user.id,
+        ip: req.ip,
+        blocked: !attempt.allowed
+      });
+
+      // Once the challenge is burnt the client has to start over with
+      // the password
+      return res.status(401).json({
+        error: 'Invalid two-factor code',
+        ...(!canRetry && { challengeExpired: true })
+      });
+    }
+
+    LoginChallenge.complete(challenge);
+    LoginAttempts.recordSuccess(user.email);
+
+    logger.info('Successful login', {
+      userId: user.id,
+      email: user.email,
+      twoFactor: method,
+      ip: req.ip
+    });
+
+    res.json({
+      message: 'Login successful',
+      user: user.toSafeObject(),
+      ...(method === 'recovery' && {
+        recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+      })
+    });
+
+  } catch (error) {
+    logger.error('Two-factor login error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Login failed'
+    });
+  }
+});
+
+/**
+ * GET /auth/verify-email?token=...
+ * Confirm an email address using the link from the verification email
+ */
+router.get('/verify-email', validateVerifyEmail, async (req, res) => {
+  try {
+    const claims = EmailVerification.verify(req.query.token);
+    const user = claims && await User.findById(claims.userId);
+
+    // The link is bound to the address it was sent to
+    if (!user || user.email !== claims.email) {
+      logger.warn('Invalid email verification attempt', { ip: req.ip });
+      return res.status(400).json({
+        error: 'Invalid or expired verification link'
+      });
+    }
+
+    const verified = await user.markEmailVerified();
+    if (!verified) {
+      return res.status(500).json({
+        error: 'Email verification failed'
+      });
+    }
+
+    res.json({
+      message: 'Email address verified',
+      user: user.toSafeObject()
+    });
+
+  } catch (error) {
+    logger.error('Verify email error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Email verification failed'
+    });
+  }
+});
+
+/**
+ * POST /auth/resend-verification
+ * Send a fresh verification link, at most once per cooldown per address
+ */
+router.post('/resend-verification', validateResendVerification, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Throttled by address whether or not it belongs to an account
+    const retryAfter = VerificationThrottle.attempt(email);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Please wait before requesting another verification email',
+        retryAfter
+      });
+    }
+
+    const user = await User.findByEmail(email);
+    if (user && !user.isEmailVerified) {
+      sendVerificationEmail(user);
+      logger.info('Verification email resent', { userId: user.id, ip: req.ip });
+    }
+
+    // Same response for unknown and already-verified addresses
+    res.json({
+      message: 'If that address needs verifying, a new verification link has been sent'
+    });
+
+  } catch (error) {
+    logger.error('Resend verification error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Failed to resend verification email'
+    });
+  }
+});
+
+/**
+ * POST /auth/forgot-password
+ * Email a single-use password reset link
+ */
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  // Same response whether or not the account exists, to prevent user enumeration
+  const genericResponse = {
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+      logger.info('Password reset requested for unknown email', { email, ip: req.ip });
+      return res.json(genericResponse);
+    }
+
+    const token = PasswordReset.issue(user);
+
+    // Don't wait for delivery - a slow mail server would otherwise reveal
+    // that the account exists through the response time
+    sendMail(passwordResetEmail({
+      to: user.email,
+      token,
+      expiresInMinutes: PasswordReset.ttlMinutes
+    })).catch(error => {
+      logger.error('Failed to send password reset email', { userId: user.id, error: error.message });
+    });
+
+    logger.info('Password reset requested', { userId: user.id, ip: req.ip });
+    res.json(genericResponse);
+
+  } catch (error) {
+    logger.error('Forgot password error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Password reset request failed'
+    });
+  }
+});
+
+/**
+ * POST /auth/reset-password
+ * Set a new password using a token from the reset email
+ */
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Check the new password before using up the token
+    const passwordValidation = User.validatePassword(password);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        error: 'Password does not meet requirements',
+        details: passwordValidation.errors
+      });
+    }
+
+    const userId = PasswordReset.consume(token);
+    const user = userId && await User.findById(userId);
+
+    if (!user) {
+      logger.warn('Invalid password reset attempt', { ip: req.ip });
+      return res.status(400).json({
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    const updated = await user.updatePassword(password);
+    if (!updated) {
+      return res.status(500).json({
+        error: 'Password reset failed'
+      });
+    }
+
+    // Whoever can read the inbox owns the account, so lift any lockout
+    LoginAttempts.unlockAccount(user.email);
+
+    logger.info('Password reset completed', { userId: user.id, ip: req.ip });
+    res.json({
+      message: 'Password has been reset. You can now log in with your new password.'
+    });
+
+  } catch (error) {
+    logger.error('Reset password error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Password reset failed'
+    });
+  }
+});
+
+/**
+ * GET /auth/users?page=1&limit=20
+ * List users (for testing - remove in production)
  */
-router.get('/users', (req, res) => {
+router.get('/users', async (req, res) => {
   try {
-    const users = UserStore.getAll();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const result = await getUserStore().list({ page, limit });
+    const users = result.users.map(record => User.fromRecord(record).toSafeObject());
+
     res.json({
       message: 'All users retrieved',
       count: users.length,
-      users: users
+      users: users,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: Math.ceil(result.total / result.limit)
+      }
     });
   } catch (error) {
     logger.error('Error retrieving users:', error.message);
@@ -145,9 +488,9 @@ router.get('/users', (req, res) => {
  * DELETE /auth/users
  * Clear all users (for testing - remove in production)
  */
-router.delete('/users', (req, res) => {
+router.delete('/users', async (req, res) => {
   try {
-    UserStore.clear();
+    await getUserStore().clear();
     logger.info('All users cleared');
     res.json({
       message: 'All users cleared'
@@ -171,6 +514,14 @@ router.get('/test', (req, res) => {
     endpoints: {
       register: 'POST /auth/register',
       login: 'POST /auth/login',
+      loginTwoFactor: 'POST /auth/login/2fa',
+      twoFactorSetup: 'POST /auth/2fa/setup',
+      twoFactorConfirm: 'POST /auth/2fa/confirm',
+      twoFactorDisable: 'POST /auth/2fa/disable',
+      forgotPassword: 'POST /auth/forgot-password',
+      resetPassword: 'POST /auth/reset-password',
+      verifyEmail: 'GET /auth/verify-email?token=...',
+      resendVerification: 'POST /auth/resend-verification',
       users: 'GET /auth/users (testing only)',
       clear: 'DELETE /auth/users (testing only)'
     }
@@ -0,0 +1,212 @@
+/**
+ * OpenID Connect Login Routes
+ *
+ * "Sign in with <provider>" using the authorization code flow with PKCE:
+ * 1. GET /auth/oidc/login redirects the browser to the provider, after
+ *    saving the nonce and code verifier and setting a state cookie
+ * 2. The provider sends the browser back to GET /auth/oidc/callback with
+ *    a code; we check the state, swap the code for tokens, validate the ID
+ *    token and find, link or create the user
+ *
+ * Configure with OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET and
+ * OIDC_REDIRECT_URI. `npm run mock-idp` starts a provider to test against.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { OIDCLogin } = require('../models/OIDCLogin');
+const { ExternalIdentity } = require('../models/ExternalIdentity');
+const { EmailVerification } = require('../models/EmailVerification');
+const { LoginChallenge } = require('../models/LoginChallenge');
+const { validateOIDCCallback } = require('../middleware/validation');
+const { OIDCError, createOIDCClientFromEnv } = require('../utils/oidc');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const STATE_COOKIE = 'oidc_state';
+
+const ERROR_STATUS = {
+  INVALID_ID_TOKEN: 401,
+  EMAIL_REQUIRED: 400,
+  ACCOUNT_EXISTS: 409,
+  ACCOUNT_NOT_FOUND: 403,
+  EMAIL_NOT_VERIFIED: 403,
+  PROVIDER_ERROR: 502,
+  PROVIDER_UNAVAILABLE: 502
+};
+
+// Created on first use so discovery and the provider's keys are cached
+let client;
+
+function getClient() {
+  if (client === undefined) {
+    client = createOIDCClientFromEnv();
+  }
+  return client;
+}
+
+/**
+ * Replace the client (e.g. to point tests at a mock provider)
+ * @param {OIDCClient|null} oidcClient - Client to use from now on
+ */
+function setOIDCClient(oidcClient) {
+  client = oidcClient;
+}
+
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim().split('='));
+  const match = cookies.find(([key]) => key === name);
+  return match ? decodeURIComponent(match.slice(1).join('=')) : null;
+}
+
+function stateCookieOptions() {
+  return {
+    httpOnly: true,
+    // Lax still sends the cookie on the provider's top-level redirect back
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/auth/oidc'
+  };
+}
+
+/**
+ * The state in the callback must be the one this browser was given, or an
+ * attacker could log the victim into the attacker's account (login CSRF)
+ */
+function stateMatchesCookie(req) {
+  const cookie = Buffer.from(readCookie(req, STATE_COOKIE) || '');
+  const state = Buffer.from(req.query.state);
+  return cookie.length > 0 &&
+    cookie.length === state.length &&
+    crypto.timingSafeEqual(cookie, state);
+}
+
+/**
+ * GET /auth/oidc/login
+ * Send the browser to the identity provider (optional ?login_hint=email)
+ */
+router.get('/login', async (req, res) => {
+  const oidc = getClient();
+  if (!oidc) {
+    return res.status(503).json({
+      error: 'OpenID Connect login is not configured'
+    });
+  }
+
+  try {
+    const loginHint = typeof req.query.login_hint === 'string' ? req.query.login_hint : undefined;
+    const request = await oidc.createAuthorizationRequest({ loginHint });
+    OIDCLogin.begin(request);
+
+    res.cookie(STATE_COOKIE, request.state, {
+      ...stateCookieOptions(),
+      maxAge: OIDCLogin.ttlMinutes * 60 * 1000
+    });
+    res.redirect(302, request.url);
+
+  } catch (error) {
+    logger.error('OIDC login error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(error instanceof OIDCError ? 502 : 500).json({
+      error: 'Could not start login with the identity provider'
+    });
+  }
+});
+
+/**
+ * GET /auth/oidc/callback?code=...&state=...
+ * Finish the login when the provider sends the browser back
+ */
+router.get('/callback', validateOIDCCallback, async (req, res) => {
+  const validState = stateMatchesCookie(req);
+  res.clearCookie(STATE_COOKIE, stateCookieOptions());
+
+  // Consume the pending login even if something below fails, so a state
+  // can never be replayed
+  const pending = OIDCLogin.consume(req.query.state);
+  if (!validState || !pending) {
+    logger.warn('OIDC callback with invalid state', { ip: req.ip, cookieMatched: validState });
+    return res.status(400).json({
+      error: 'Invalid or expired login state',
+      code: 'INVALID_STATE'
+    });
+  }
+
+  if (req.query.error || !req.query.code) {
+    logger.warn('OIDC login refused by provider', { ip: req.ip, providerError: req.query.error });
+    return res.status(401).json({
+      error: 'Login was cancelled or refused by the identity provider',
+      providerError: req.query.error || 'missing_code'
+    });
+  }
+
+  try {
+    const oidc = getClient();
+    const tokens = await oidc.exchangeCode(req.query.code, pending.codeVerifier);
+    const claims = await oidc.validateIdToken(tokens.id_token, { nonce: pending.nonce });
+    const { user, created, linked } = await ExternalIdentity.resolveUser(oidc.issuer, claims);
+
+    if (EmailVerification.required && !user.isEmailVerified) {
+      logger.warn('Login blocked - email not verified', { userId: user.id, ip: req.ip });
+      return res.status(403).json({
+        error: 'Email address not verified',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // The provider checked who they are, but our own second factor still
+    // applies - finish at /auth/login/2fa as with a password login
+    if (user.isTwoFactorEnabled) {
+      const challenge = LoginChallenge.issue(user);
+      logger.info('Two-factor challenge issued', { userId: user.id, ip: req.ip });
+
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challenge,
+        expiresIn: LoginChallenge.ttlMinutes * 60
+      });
+    }
+
+    logger.info('Successful login', {
+      userId: user.id,
+      email: user.email,
+      provider: oidc.issuer,
+      created,
+      linked,
+      ip: req.ip
+    });
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Account created' : 'Login successful',
+      user: user.toSafeObject(),
+      accountCreated: created,
+      identityLinked: linked
+    });
+
+  } catch (error) {
+    if (error instanceof OIDCError) {
+      logger.warn('OIDC login failed', { code: error.code, error: error.message, ip: req.ip });
+      return res.status(ERROR_STATUS[error.code] || 400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('OIDC callback error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Login failed'
+    });
+  }
+});
+
+module.exports = router;
+module.exports.setOIDCClient = setOIDCClient;
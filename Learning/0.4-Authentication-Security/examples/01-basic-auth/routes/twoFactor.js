@@ -0,0 +1,174 @@
+/**
+ * Two-Factor Authentication Routes
+ *
+ * Demonstrates TOTP enrollment and removal:
+ * - This example has no sessions, so every request re-authenticates with
+ *   email and password (and counts towards the login lockout)
+ * - Enrollment is two steps: setup returns the secret, confirm proves the
+ *   authenticator app works and returns the recovery codes
+ * - Turning 2FA off needs the password AND a current code
+ */
+
+const express = require('express');
+const { User } = require('../models/User');
+const { TwoFactor } = require('../models/TwoFactor');
+const { LoginAttempts } = require('../models/LoginAttempts');
+const { validateLogin, validateTwoFactorCode } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Check email and password, sending the generic 401 if they're wrong
+ * @returns {Promise<User|null>} User, or null if a response was sent
+ */
+async function reauthenticate(req, res) {
+  const { email, password } = req.body;
+
+  const attempt = LoginAttempts.check(email, req.ip);
+  const user = attempt.allowed ? await User.authenticate(email, password) : null;
+
+  if (!user) {
+    if (attempt.allowed) {
+      LoginAttempts.recordFailure(email, req.ip);
+    }
+    res.status(401).json({
+      error: 'Invalid credentials'
+    });
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * POST /auth/2fa/setup
+ * Generate a TOTP secret and otpauth URI (render it as a QR code)
+ */
+router.post('/setup', validateLogin, async (req, res) => {
+  try {
+    const user = await reauthenticate(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (user.isTwoFactorEnabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = await TwoFactor.beginEnrollment(user);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    logger.error('Two-factor setup error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Two-factor setup failed'
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/confirm
+ * Turn 2FA on with a code from the app and return the recovery codes
+ */
+router.post('/confirm', validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await reauthenticate(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (user.isTwoFactorEnabled) {
+      return res.status(409).json({
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const recoveryCodes = await TwoFactor.confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    logger.info('Two-factor enrollment confirmed', { userId: user.id, ip: req.ip });
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+      recoveryCodes,
+      user: user.toSafeObject()
+    });
+
+  } catch (error) {
+    logger.error('Two-factor confirm error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Two-factor confirmation failed'
+    });
+  }
+});
+
+/**
+ * POST /auth/2fa/disable
+ * Turn 2FA off - needs the password and a TOTP or recovery code
+ */
+router.post('/disable', validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await reauthenticate(req, res);
+    if (!user) {
+      return;
+    }
+
+    if (!user.isTwoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const method = await TwoFactor.verify(user, req.body.code);
+    if (!method) {
+      LoginAttempts.recordFailure(user.email, req.ip);
+      logger.warn('Failed two-factor attempt', { userId: user.id, ip: req.ip });
+      return res.status(401).json({
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    await TwoFactor.disable(user);
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      user: user.toSafeObject()
+    });
+
+  } catch (error) {
+    logger.error('Two-factor disable error:', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+module.exports = router;
@@ -12,6 +12,9 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const oidcRoutes = require('./routes/oidc');
+const { rateLimit } = require('./middleware/rateLimit');
 const logger = require('./utils/logger');
 
 const app = express();
@@ -44,8 +47,40 @@ app.use((req, res, next) => {
   next();
 });
 
+// Rate limiting
+// Tight limits on endpoints that check passwords or send email, on top of
+// the per-account lockout in models/LoginAttempts.js
+const credentialLimiter = rateLimit({
+  algorithm: 'token-bucket',
+  limit: parseInt(process.env.AUTH_RATE_LIMIT) || 10,
+  windowMs: 60 * 1000,
+  keyBy: ['route', 'ip'],
+  prefix: 'auth',
+  message: 'Too many authentication attempts, please try again later'
+});
+[
+  '/auth/login',
+  '/auth/register',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/resend-verification',
+  '/auth/2fa',
+  '/auth/oidc'
+].forEach(path => app.use(path, credentialLimiter));
+
+// Generous overall limit per client
+app.use(rateLimit({
+  algorithm: 'sliding-window',
+  limit: parseInt(process.env.RATE_LIMIT) || 300,
+  windowMs: 15 * 60 * 1000,
+  keyBy: 'ip',
+  prefix: 'global'
+}));
+
 // Routes
 app.use('/auth', authRoutes);
+app.use('/auth/2fa', twoFactorRoutes);
+app.use('/auth/oidc', oidcRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -63,6 +98,13 @@ app.get('/', (req, res) => {
     endpoints: {
       register: 'POST /auth/register',
       login: 'POST /auth/login',
+      loginTwoFactor: 'POST /auth/login/2fa',
+      twoFactor: 'POST /auth/2fa/setup | confirm | disable',
+      oidcLogin: 'GET /auth/oidc/login (redirects to the identity provider)',
+      forgotPassword: 'POST /auth/forgot-password',
+      resetPassword: 'POST /auth/reset-password',
+      verifyEmail: 'GET /auth/verify-email?token=...',
+      resendVerification: 'POST /auth/resend-verification',
       health: 'GET /health'
     },
     documentation: 'See README.md for usage examples'
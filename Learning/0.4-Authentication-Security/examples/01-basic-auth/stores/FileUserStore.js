@@ -0,0 +1,174 @@
+/**
+ * JSON File User Store
+ *
+ * Persists users to a JSON file so accounts survive restarts without
+ * needing a database. The whole file is rewritten on every change, which
+ * is fine for a few thousand users but not beyond that.
+ *
+ * Writes go to a temporary file that is then renamed over the original,
+ * so a crash mid-write never leaves a half-written file behind.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { UserStore, normalizeEmail, hasIdentity } = require('./UserStore');
+
+// Timestamps are stored as ISO strings; fields named like these are turned
+// back into Date objects when the file is loaded
+const DATE_FIELD = /(At|Until)$/;
+
+function reviveDates(key, value) {
+  if (DATE_FIELD.test(key) && typeof value === 'string') {
+    return new Date(value);
+  }
+  return value;
+}
+
+class FileUserStore extends UserStore {
+  /**
+   * @param {string} filePath - Path of the JSON file (created if missing)
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.data = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    try {
+      const contents = await fs.readFile(this.filePath, 'utf8');
+      this.data = JSON.parse(contents, reviveDates);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.data = { nextId: 1, users: [] };
+    }
+    return this.data;
+  }
+
+  /**
+   * Apply a change and write the file. Changes are queued so two requests
+   * never write the file at the same time.
+   */
+  async mutate(change) {
+    const run = this.writeQueue.then(async () => {
+      const data = await this.load();
+      const result = change(data);
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, this.filePath);
+
+      return result;
+    });
+
+    // Keep the queue going even if this change fails
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async findByEmail(email) {
+    const { users } = await this.load();
+    const record = users.find(user => user.email === normalizeEmail(email));
+    return record ? { ...record } : null;
+  }
+
+  async findById(id) {
+    const { users } = await this.load();
+    const record = users.find(user => user.id === id);
+    return record ? { ...record } : null;
+  }
+
+  async findByIdentity(provider, subject) {
+    const { users } = await this.load();
+    const record = users.find(user => hasIdentity(user, provider, subject));
+    return record ? { ...record } : null;
+  }
+
+  async linkIdentity(userId, identity) {
+    return this.mutate(data => {
+      if (data.users.some(user => hasIdentity(user, identity.provider, identity.subject))) {
+        throw new Error('Identity already linked');
+      }
+
+      const user = data.users.find(user => user.id === userId);
+      if (!user) {
+        return null;
+      }
+
+      user.identities = [...(user.identities || []), { ...identity, linkedAt: new Date() }];
+      user.updatedAt = new Date();
+      return { ...user };
+    });
+  }
+
+  async save(record) {
+    return this.mutate(data => {
+      if (data.users.some(user => user.email === normalizeEmail(record.email))) {
+        throw new Error('User already exists');
+      }
+
+      const now = new Date();
+      const saved = {
+        ...record,
+        id: data.nextId++,
+        email: normalizeEmail(record.email),
+        createdAt: record.createdAt || now,
+        updatedAt: now
+      };
+      data.users.push(saved);
+      return { ...saved };
+    });
+  }
+
+  async update(record) {
+    return this.mutate(data => {
+      const index = data.users.findIndex(user => user.id === record.id);
+      if (index === -1) {
+        return null;
+      }
+
+      data.users[index] = { ...data.users[index], ...record, updatedAt: new Date() };
+      return { ...data.users[index] };
+    });
+  }
+
+  async delete(id) {
+    return this.mutate(data => {
+      const index = data.users.findIndex(user => user.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      data.users.splice(index, 1);
+      return true;
+    });
+  }
+
+  async list({ page = 1, limit = 20 } = {}) {
+    const { users } = await this.load();
+    const start = (page - 1) * limit;
+    return {
+      users: users.slice(start, start + limit).map(user => ({ ...user })),
+      total: users.length,
+      page,
+      limit
+    };
+  }
+
+  async clear() {
+    return this.mutate(data => {
+      data.users = [];
+      data.nextId = 1;
+    });
+  }
+}
+
+module.exports = FileUserStore;
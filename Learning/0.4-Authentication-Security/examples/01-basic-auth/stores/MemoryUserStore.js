@@ -0,0 +1,100 @@
+/**
+ * In-Memory User Store
+ *
+ * Keeps users in an array - fast and dependency free, but everything is
+ * lost when the server restarts. Good for tests and quick experiments.
+ */
+
+const { UserStore, normalizeEmail, hasIdentity } = require('./UserStore');
+
+class MemoryUserStore extends UserStore {
+  constructor() {
+    super();
+    this.users = [];
+    this.nextId = 1;
+  }
+
+  async findByEmail(email) {
+    const record = this.users.find(user => user.email === normalizeEmail(email));
+    return record ? { ...record } : null;
+  }
+
+  async findById(id) {
+    const record = this.users.find(user => user.id === id);
+    return record ? { ...record } : null;
+  }
+
+  async findByIdentity(provider, subject) {
+    const record = this.users.find(user => hasIdentity(user, provider, subject));
+    return record ? { ...record } : null;
+  }
+
+  async linkIdentity(userId, identity) {
+    if (this.users.some(user => hasIdentity(user, identity.provider, identity.subject))) {
+      throw new Error('Identity already linked');
+    }
+
+    const user = this.users.find(user => user.id === userId);
+    if (!user) {
+      return null;
+    }
+
+    user.identities = [...(user.identities || []), { ...identity, linkedAt: new Date() }];
+    user.updatedAt = new Date();
+    return { ...user };
+  }
+
+  async save(record) {
+    if (this.users.some(user => user.email === normalizeEmail(record.email))) {
+      throw new Error('User already exists');
+    }
+
+    const now = new Date();
+    const saved = {
+      ...record,
+      id: this.nextId++,
+      email: normalizeEmail(record.email),
+      createdAt: record.createdAt || now,
+      updatedAt: now
+    };
+    this.users.push(saved);
+    return { ...saved };
+  }
+
+  async update(record) {
+    const index = this.users.findIndex(user => user.id === record.id);
+    if (index === -1) {
+      return null;
+    }
+
+    this.users[index] = { ...this.users[index], ...record, updatedAt: new Date() };
+    return { ...this.users[index] };
+  }
+
+  async delete(id) {
+    const index = this.users.findIndex(user => user.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.users.splice(index, 1);
+    return true;
+  }
+
+  async list({ page = 1, limit = 20 } = {}) {
+    const start = (page - 1) * limit;
+    return {
+      users: this.users.slice(start, start + limit).map(user => ({ ...user })),
+      total: this.users.length,
+      page,
+      limit
+    };
+  }
+
+  async clear() {
+    this.users = [];
+    this.nextId = 1;
+  }
+}
+
+module.exports = MemoryUserStore;
@@ -0,0 +1,197 @@
+/**
+ * PostgreSQL User Store
+ *
+ * Stores users in the `users` table from
+ * Learning/0.2-Database-Design/schemas/schema.sql, plus the columns added
+ * by the files in ../migrations.
+ * Every query is parameterized - see parameterized-query-examples.js.
+ */
+
+const { Pool } = require('pg');
+const { UserStore, normalizeEmail } = require('./UserStore');
+
+// User record field -> users table column
+const COLUMNS = {
+  id: 'id',
+  email: 'email',
+  hashedPassword: 'password_hash',
+  firstName: 'first_name',
+  lastName: 'last_name',
+  phone: 'phone',
+  emailVerifiedAt: 'email_verified_at',
+  twoFactorSecret: 'two_factor_secret',
+  twoFactorEnabledAt: 'two_factor_enabled_at',
+  twoFactorRecoveryCodes: 'two_factor_recovery_codes',
+  twoFactorLastUsedStep: 'two_factor_last_used_step',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
+
+// Linked identities come from the user_identities table as a JSON array
+const IDENTITIES_COLUMN = `COALESCE((
+  SELECT json_agg(json_build_object(
+    'provider', i.provider, 'subject', i.subject, 'email', i.email, 'linkedAt', i.linked_at
+  ) ORDER BY i.linked_at)
+  FROM user_identities i WHERE i.user_id = users.id
+), '[]') AS "identities"`;
+
+const SELECT_COLUMNS = Object.entries(COLUMNS)
+  .map(([field, column]) => `${column} AS "${field}"`)
+  .concat(IDENTITIES_COLUMN)
+  .join(', ');
+
+// Columns that are never written directly
+const READ_ONLY_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+const UNIQUE_VIOLATION = '23505';
+
+// json_agg returns timestamps as strings
+function toRecord(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    ...row,
+    identities: row.identities.map(identity => ({
+      ...identity,
+      linkedAt: new Date(identity.linkedAt)
+    }))
+  };
+}
+
+class PostgresUserStore extends UserStore {
+  /**
+   * @param {Object} options
+   * @param {string} [options.connectionString] - Postgres connection URL
+   * @param {Pool} [options.pool] - Existing pool to reuse
+   */
+  constructor({ connectionString, pool } = {}) {
+    super();
+    this.pool = pool || new Pool({ connectionString });
+  }
+
+  async findByEmail(email) {
+    const result = await this.pool.query(
+      `SELECT ${SELECT_COLUMNS} FROM users WHERE email = $1`,
+      [normalizeEmail(email)]
+    );
+    return toRecord(result.rows[0]);
+  }
+
+  async findById(id) {
+    const result = await this.pool.query(
+      `SELECT ${SELECT_COLUMNS} FROM users WHERE id = $1`,
+      [id]
+    );
+    return toRecord(result.rows[0]);
+  }
+
+  async findByIdentity(provider, subject) {
+    const result = await this.pool.query(
+      `SELECT ${SELECT_COLUMNS} FROM users
+       WHERE id = (SELECT user_id FROM user_identities WHERE provider = $1 AND subject = $2)`,
+      [provider, subject]
+    );
+    return toRecord(result.rows[0]);
+  }
+
+  async linkIdentity(userId, identity) {
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO user_identities (user_id, provider, subject, email)
+         SELECT id, $2, $3, $4 FROM users WHERE id = $1`,
+        [userId, identity.provider, identity.subject, identity.email || null]
+      );
+      if (result.rowCount === 0) {
+        return null;
+      }
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('Identity already linked');
+      }
+      throw error;
+    }
+    return this.findById(userId);
+  }
+
+  async save(record) {
+    // first_name and last_name are NOT NULL in the schema
+    const values = {
+      firstName: '',
+      lastName: '',
+      ...record,
+      email: normalizeEmail(record.email)
+    };
+    const fields = Object.keys(values).filter(
+      field => COLUMNS[field] && !READ_ONLY_FIELDS.includes(field)
+    );
+
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO users (${fields.map(field => COLUMNS[field]).join(', ')})
+         VALUES (${fields.map((_, i) => `$${i + 1}`).join(', ')})
+         RETURNING ${SELECT_COLUMNS}`,
+        fields.map(field => values[field])
+      );
+      return toRecord(result.rows[0]);
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new Error('User already exists');
+      }
+      throw error;
+    }
+  }
+
+  async update(record) {
+    const fields = Object.keys(record).filter(
+      field => COLUMNS[field] && !READ_ONLY_FIELDS.includes(field)
+    );
+    if (fields.length === 0) {
+      return this.findById(record.id);
+    }
+
+    // updated_at is maintained by the trigger_users_updated_at trigger
+    const result = await this.pool.query(
+      `UPDATE users
+       SET ${fields.map((field, i) => `${COLUMNS[field]} = $${i + 2}`).join(', ')}
+       WHERE id = $1
+       RETURNING ${SELECT_COLUMNS}`,
+      [record.id, ...fields.map(field => record[field])]
+    );
+    return toRecord(result.rows[0]);
+  }
+
+  async delete(id) {
+    const result = await this.pool.query('DELETE FROM users WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  async list({ page = 1, limit = 20 } = {}) {
+    const [usersResult, countResult] = await Promise.all([
+      this.pool.query(
+        `SELECT ${SELECT_COLUMNS} FROM users ORDER BY id LIMIT $1 OFFSET $2`,
+        [limit, (page - 1) * limit]
+      ),
+      this.pool.query('SELECT COUNT(*) AS total FROM users')
+    ]);
+
+    return {
+      users: usersResult.rows.map(toRecord),
+      total: parseInt(countResult.rows[0].total),
+      page,
+      limit
+    };
+  }
+
+  async clear() {
+    // The users table is shared with the storefront schema. Never wipe it
+    // outside tests, and never cascade into orders, carts or reviews - a
+    // user that still has rows there makes this fail instead.
+    if (process.env.NODE_ENV !== 'test') {
+      throw new Error('PostgresUserStore.clear() only runs with NODE_ENV=test');
+    }
+    await this.pool.query('DELETE FROM users');
+  }
+}
+
+module.exports = PostgresUserStore;
@@ -0,0 +1,125 @@
+/**
+ * UserStore Interface
+ *
+ * Every storage adapter extends this class and implements the same async
+ * methods, so the User model never needs to know where users are kept.
+ *
+ * Adapters work with plain user records:
+ *   { id, email, hashedPassword, identities, createdAt, updatedAt }
+ *
+ * `identities` lists the external (OpenID Connect) accounts linked to the
+ * user: [{ provider, subject, email, linkedAt }]. Users who only sign in
+ * through a provider have no hashedPassword.
+ */
+
+class UserStore {
+  /**
+   * Find a user by email (case-insensitive)
+   * @param {string} email - User's email
+   * @returns {Promise<Object|null>} User record or null
+   */
+  async findByEmail(email) {
+    throw new Error(`${this.constructor.name} does not implement findByEmail()`);
+  }
+
+  /**
+   * Find a user by ID
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} User record or null
+   */
+  async findById(id) {
+    throw new Error(`${this.constructor.name} does not implement findById()`);
+  }
+
+  /**
+   * Find the user an external identity is linked to
+   * @param {string} provider - Issuer URL of the identity provider
+   * @param {string} subject - The provider's ID for the user (`sub`)
+   * @returns {Promise<Object|null>} User record or null
+   */
+  async findByIdentity(provider, subject) {
+    throw new Error(`${this.constructor.name} does not implement findByIdentity()`);
+  }
+
+  /**
+   * Link an external identity to a user
+   * @param {number} userId - User ID
+   * @param {Object} identity - { provider, subject, email }
+   * @returns {Promise<Object|null>} Updated record or null if the user doesn't exist
+   * @throws {Error} 'Identity already linked' if another user has it
+   */
+  async linkIdentity(userId, identity) {
+    throw new Error(`${this.constructor.name} does not implement linkIdentity()`);
+  }
+
+  /**
+   * Insert a new user and assign its ID
+   * @param {Object} record - User record without an ID
+   * @returns {Promise<Object>} Saved record including its new ID
+   * @throws {Error} 'User already exists' if the email is taken
+   */
+  async save(record) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Update an existing user
+   * @param {Object} record - User record with ID
+   * @returns {Promise<Object|null>} Updated record or null if not found
+   */
+  async update(record) {
+    throw new Error(`${this.constructor.name} does not implement update()`);
+  }
+
+  /**
+   * Delete a user by ID
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} True if a user was deleted
+   */
+  async delete(id) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * List users ordered by ID
+   * @param {Object} options - Pagination options
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.limit - Users per page
+   * @returns {Promise<Object>} { users, total, page, limit }
+   */
+  async list({ page = 1, limit = 20 } = {}) {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  /**
+   * Remove every user (for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+}
+
+/**
+ * Normalize an email the same way for lookups and inserts
+ * @param {string} email - Raw email
+ * @returns {string} Lowercased, trimmed email
+ */
+function normalizeEmail(email) {
+  return String(email).toLowerCase().trim();
+}
+
+/**
+ * Whether a record has a given external identity linked
+ * @param {Object} record - User record
+ * @param {string} provider - Issuer URL
+ * @param {string} subject - Provider's user ID
+ * @returns {boolean}
+ */
+function hasIdentity(record, provider, subject) {
+  return (record.identities || []).some(
+    identity => identity.provider === provider && identity.subject === subject
+  );
+}
+
+module.exports = { UserStore, normalizeEmail, hasIdentity };
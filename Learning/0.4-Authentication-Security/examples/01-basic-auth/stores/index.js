@@ -0,0 +1,77 @@
+/**
+ * User Store Configuration
+ *
+ * Picks the storage adapter from the environment:
+ *   USER_STORE=memory    (default) lost on restart
+ *   USER_STORE=file      JSON file at USER_STORE_FILE (default ./data/users.json)
+ *   USER_STORE=postgres  users table at DATABASE_URL
+ */
+
+const path = require('path');
+const { UserStore } = require('./UserStore');
+const MemoryUserStore = require('./MemoryUserStore');
+
+let currentStore = null;
+
+/**
+ * Create a store from configuration
+ * @param {Object} config - Defaults to environment variables
+ * @returns {UserStore} Configured store
+ */
+function createUserStore(config = {}) {
+  const type = (config.type || process.env.USER_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemoryUserStore();
+
+    case 'file': {
+      // Required lazily so unused adapters don't load their dependencies
+      const FileUserStore = require('./FileUserStore');
+      const filePath = config.filePath || process.env.USER_STORE_FILE
+        || path.join(__dirname, '..', 'data', 'users.json');
+      return new FileUserStore(filePath);
+    }
+
+    case 'postgres': {
+      const PostgresUserStore = require('./PostgresUserStore');
+      const connectionString = config.connectionString || process.env.DATABASE_URL;
+      if (!connectionString) {
+        throw new Error('DATABASE_URL is required when USER_STORE=postgres');
+      }
+      return new PostgresUserStore({ connectionString });
+    }
+
+    default:
+      throw new Error(`Unknown USER_STORE "${type}". Use memory, file or postgres.`);
+  }
+}
+
+/**
+ * Get the store used by the User model, creating it on first use
+ * @returns {UserStore} Active store
+ */
+function getUserStore() {
+  if (!currentStore) {
+    currentStore = createUserStore();
+  }
+  return currentStore;
+}
+
+/**
+ * Replace the active store (e.g. with a fresh MemoryUserStore in tests)
+ * @param {UserStore} store - Store to use from now on
+ */
+function setUserStore(store) {
+  if (!(store instanceof UserStore)) {
+    throw new Error('Store must extend UserStore');
+  }
+  currentStore = store;
+}
+
+module.exports = {
+  UserStore,
+  createUserStore,
+  getUserStore,
+  setUserStore
+};
@@ -0,0 +1,94 @@
+/**
+ * Email Templates
+ *
+ * Builds the messages sent by the auth routes. Links point at APP_URL so
+ * they work behind a proxy or a separate frontend.
+ */
+
+function appUrl(pathname, params) {
+  const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  const url = new URL(pathname, base);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+/**
+ * Password reset email
+ * @param {Object} options
+ * @param {string} options.to - Recipient
+ * @param {string} options.token - Raw reset token
+ * @param {number} options.expiresInMinutes - Token lifetime
+ * @returns {Object} Message for sendMail()
+ */
+function passwordResetEmail({ to, token, expiresInMinutes }) {
+  const link = appUrl('/reset-password', { token });
+  return {
+    to,
+    subject: 'Reset your password',
+    text: [
+      'We received a request to reset your password.',
+      '',
+      `Reset it here: ${link}`,
+      '',
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you didn't ask for a reset, you can ignore this email."
+    ].join('\n')
+  };
+}
+
+/**
+ * Email address verification email
+ * @param {Object} options
+ * @param {string} options.to - Recipient
+ * @param {string} options.token - Signed verification token
+ * @param {number} options.expiresInHours - Token lifetime
+ * @returns {Object} Message for sendMail()
+ */
+function verificationEmail({ to, token, expiresInHours }) {
+  const link = appUrl('/auth/verify-email', { token });
+  return {
+    to,
+    subject: 'Verify your email address',
+    text: [
+      'Thanks for signing up! Please confirm this is your email address.',
+      '',
+      `Verify it here: ${link}`,
+      '',
+      `This link expires in ${expiresInHours} hours.`,
+      "If you didn't create an account, you can ignore this email."
+    ].join('\n')
+  };
+}
+
+/**
+ * Passwordless login email
+ * @param {Object} options
+ * @param {string} options.to - Recipient
+ * @param {string} options.token - Signed login link token
+ * @param {number} options.expiresInMinutes - Token lifetime
+ * @param {string} [options.path='/auth/magic-link/verify'] - Where the link is consumed
+ * @returns {Object} Message for sendMail()
+ */
+function magicLinkEmail({ to, token, expiresInMinutes, path = '/auth/magic-link/verify' }) {
+  const link = appUrl(path, { token });
+  return {
+    to,
+    subject: 'Your login link',
+    text: [
+      'Click the link below to log in - no password needed.',
+      '',
+      `Log in here: ${link}`,
+      '',
+      `This link expires in ${expiresInMinutes} minutes, can only be used once,`,
+      'and only works in the browser you requested it from.',
+      "If you didn't ask to log in, you can ignore this email."
+    ].join('\n')
+  };
+}
+
+module.exports = {
+  appUrl,
+  passwordResetEmail,
+  verificationEmail,
+  magicLinkEmail
+};
@@ -0,0 +1,88 @@
+/**
+ * Mailer Utility
+ *
+ * Sends email through a pluggable transport. The built-in transports never
+ * talk to a real mail server, so links can be tested locally:
+ * - console: prints the message to the log (default)
+ * - file:    writes each message as JSON into MAIL_OUTBOX_DIR
+ *
+ * For production, call setMailTransport() with an object that has an
+ * async send(message) method (e.g. a wrapper around nodemailer or an
+ * email API).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+class ConsoleTransport {
+  async send(message) {
+    logger.info('📧 Email (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+  }
+}
+
+class FileTransport {
+  constructor(outboxDir) {
+    this.outboxDir = path.resolve(outboxDir);
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(this.outboxDir, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    logger.info('📧 Email written to outbox', { to: message.to, subject: message.subject, file: filePath });
+  }
+}
+
+function createTransport() {
+  const type = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  switch (type) {
+    case 'console':
+      return new ConsoleTransport();
+    case 'file':
+      return new FileTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'outbox'));
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${type}". Use console or file.`);
+  }
+}
+
+let transport = null;
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html? }
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+  if (!transport) {
+    transport = createTransport();
+  }
+  await transport.send({
+    from: process.env.MAIL_FROM || 'Ramen Bae <no-reply@ramen-bae.local>',
+    ...message
+  });
+}
+
+/**
+ * Replace the transport used by sendMail
+ * @param {Object} newTransport - Object with an async send(message) method
+ */
+function setMailTransport(newTransport) {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must have a send(message) method');
+  }
+  transport = newTransport;
+}
+
+module.exports = {
+  sendMail,
+  setMailTransport,
+  ConsoleTransport,
+  FileTransport
+};
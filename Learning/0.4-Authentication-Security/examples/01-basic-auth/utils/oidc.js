@@ -0,0 +1,280 @@
+/**
+ * OpenID Connect Client
+ *
+ * Demonstrates the authorization code flow with PKCE:
+ * - Endpoints and signing keys come from the provider's discovery document
+ * - `state` ties the callback to the browser that started the login (CSRF)
+ * - `nonce` ties the ID token to this login attempt (replay)
+ * - PKCE means an intercepted code is useless without the code verifier
+ * - ID tokens are checked per OpenID Connect Core 3.1.3.7: signature,
+ *   issuer, audience, expiry and nonce
+ *
+ * Only Node's crypto and fetch are used, so every step is visible here.
+ */
+
+const crypto = require('crypto');
+
+// Asymmetric algorithms only - an HS256 ID token would be signed with our
+// own client secret, and 'none' isn't signed at all
+const SIGNATURE_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+};
+
+const DEFAULT_SCOPE = 'openid email profile';
+
+class OIDCError extends Error {
+  /**
+   * @param {string} message - Safe to show to the user
+   * @param {string} code - e.g. 'INVALID_ID_TOKEN'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'OIDCError';
+    this.code = code;
+  }
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Create a PKCE code verifier and its S256 challenge (RFC 7636)
+ * @returns {{codeVerifier: string, codeChallenge: string}}
+ */
+function createPkcePair() {
+  const codeVerifier = randomToken(32);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
+function decodeJson(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new OIDCError('Malformed ID token', 'INVALID_ID_TOKEN');
+  }
+}
+
+class OIDCClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.issuer - Provider URL, e.g. http://localhost:4000
+   * @param {string} options.clientId - Registered client ID
+   * @param {string} [options.clientSecret] - Omit for a public client
+   * @param {string} options.redirectUri - Our callback URL, registered with the provider
+   * @param {string} [options.scope='openid email profile']
+   * @param {number} [options.clockToleranceSeconds=60] - Allowed clock skew
+   */
+  constructor({ issuer, clientId, clientSecret, redirectUri, scope = DEFAULT_SCOPE, clockToleranceSeconds = 60 }) {
+    if (!issuer || !clientId || !redirectUri) {
+      throw new Error('OIDC issuer, clientId and redirectUri are required');
+    }
+    this.issuer = issuer.replace(/\/$/, '');
+    this.clientId = clientId;
+    this.clientSecret = clientSecret || null;
+    this.redirectUri = redirectUri;
+    this.scope = scope;
+    this.clockToleranceSeconds = clockToleranceSeconds;
+
+    this.metadata = null;
+    this.keys = new Map(); // kid -> KeyObject
+  }
+
+  async fetchJson(url, options) {
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      throw new OIDCError(`Could not reach the identity provider (${error.message})`, 'PROVIDER_UNAVAILABLE');
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const detail = body.error_description || body.error || `HTTP ${response.status}`;
+      throw new OIDCError(`Identity provider request failed: ${detail}`, 'PROVIDER_ERROR');
+    }
+    return body;
+  }
+
+  /**
+   * Load (once) the provider's /.well-known/openid-configuration
+   * @returns {Promise<Object>} Provider metadata
+   */
+  async discover() {
+    if (this.metadata) {
+      return this.metadata;
+    }
+
+    const metadata = await this.fetchJson(`${this.issuer}/.well-known/openid-configuration`);
+    // The document must describe the issuer we asked about, or a spoofed
+    // document could point us at someone else's endpoints
+    if (metadata.issuer !== this.issuer) {
+      throw new OIDCError(`Discovery issuer ${metadata.issuer} does not match ${this.issuer}`, 'PROVIDER_ERROR');
+    }
+    this.metadata = metadata;
+    return metadata;
+  }
+
+  /**
+   * Start a login: build the URL to send the browser to, plus the secrets
+   * to keep until the callback
+   * @param {Object} [options]
+   * @param {string} [options.loginHint] - Pre-fill the provider's login form
+   * @returns {Promise<{url: string, state: string, nonce: string, codeVerifier: string}>}
+   */
+  async createAuthorizationRequest({ loginHint } = {}) {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      ...(loginHint && { login_hint: loginHint })
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+  }
+
+  /**
+   * Swap the authorization code for tokens
+   * @param {string} code - From the callback query string
+   * @param {string} codeVerifier - Saved when the login started
+   * @returns {Promise<Object>} Token response, including id_token
+   */
+  async exchangeCode(code, codeVerifier) {
+    const { token_endpoint: endpoint } = await this.discover();
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      code_verifier: codeVerifier
+    });
+
+    if (this.clientSecret) {
+      // client_secret_basic (RFC 6749 2.3.1)
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_id', this.clientId);
+    }
+
+    const tokens = await this.fetchJson(endpoint, { method: 'POST', headers, body });
+    if (!tokens.id_token) {
+      throw new OIDCError('Token response did not include an ID token', 'INVALID_ID_TOKEN');
+    }
+    return tokens;
+  }
+
+  /**
+   * Find the provider's public key for a kid, refetching the JWKS once if
+   * it's unknown (the provider may have rotated its keys)
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<crypto.KeyObject>} Public key
+   */
+  async getSigningKey(kid) {
+    if (!this.keys.has(kid)) {
+      const { jwks_uri: jwksUri } = await this.discover();
+      const { keys = [] } = await this.fetchJson(jwksUri);
+
+      this.keys.clear();
+      for (const jwk of keys) {
+        if (jwk.kid && (!jwk.use || jwk.use === 'sig')) {
+          this.keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        }
+      }
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new OIDCError('ID token is signed with an unknown key', 'INVALID_ID_TOKEN');
+    }
+    return key;
+  }
+
+  /**
+   * Verify an ID token and return its claims
+   * @param {string} idToken - JWT from the token response
+   * @param {Object} expected
+   * @param {string} expected.nonce - Saved when the login started
+   * @returns {Promise<Object>} Claims (sub, email, email_verified, ...)
+   * @throws {OIDCError} INVALID_ID_TOKEN if any check fails
+   */
+  async validateIdToken(idToken, { nonce }) {
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3) {
+      throw new OIDCError('Malformed ID token', 'INVALID_ID_TOKEN');
+    }
+    const [encodedHeader, encodedPayload, signature] = parts;
+    const header = decodeJson(encodedHeader);
+    const claims = decodeJson(encodedPayload);
+
+    const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw new OIDCError(`ID token algorithm ${header.alg} is not allowed`, 'INVALID_ID_TOKEN');
+    }
+
+    const key = await this.getSigningKey(header.kid);
+    const valid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key, ...(algorithm.dsaEncoding && { dsaEncoding: algorithm.dsaEncoding }) },
+      Buffer.from(signature, 'base64url')
+    );
+    if (!valid) {
+      throw new OIDCError('ID token signature is invalid', 'INVALID_ID_TOKEN');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    const failures = [
+      [claims.iss !== this.issuer, 'issuer does not match'],
+      [!audiences.includes(this.clientId), 'audience does not include this client'],
+      // With several audiences, azp says who the token was issued to
+      [audiences.length > 1 && claims.azp !== this.clientId, 'authorized party is not this client'],
+      [typeof claims.exp !== 'number' || claims.exp + this.clockToleranceSeconds < now, 'token has expired'],
+      [typeof claims.iat !== 'number' || claims.iat - this.clockToleranceSeconds > now, 'token was issued in the future'],
+      [!claims.sub, 'subject is missing'],
+      [!nonce || claims.nonce !== nonce, 'nonce does not match this login']
+    ];
+
+    const failure = failures.find(([failed]) => failed);
+    if (failure) {
+      throw new OIDCError(`Invalid ID token: ${failure[1]}`, 'INVALID_ID_TOKEN');
+    }
+    return claims;
+  }
+}
+
+/**
+ * Build a client from OIDC_* environment variables
+ * @returns {OIDCClient|null} Client, or null if OIDC_ISSUER isn't set
+ */
+function createOIDCClientFromEnv() {
+  if (!process.env.OIDC_ISSUER) {
+    return null;
+  }
+
+  return new OIDCClient({
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI ||
+      `${process.env.APP_URL || 'http://localhost:3000'}/auth/oidc/callback`,
+    scope: process.env.OIDC_SCOPE || DEFAULT_SCOPE
+  });
+}
+
+module.exports = { OIDCClient, OIDCError, createPkcePair, createOIDCClientFromEnv };
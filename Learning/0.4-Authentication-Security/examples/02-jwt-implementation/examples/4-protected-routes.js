@@ -4,13 +4,25 @@
  * This example teaches you:
  * 1. How to set up real Express.js routes with JWT protection
  * 2. Using authentication middleware in practice
- * 3. Role-based route protection
+ * 3. Permission-based route protection (RBAC)
  * 4. Error handling for different scenarios
+ * 5. Rate limiting public and protected routes
+ * 6. Publishing public keys at /.well-known/jwks.json
+ * 7. Logging out (one session or everywhere) by revoking tokens
+ * 8. Attribute-based rules that look at the record (ABAC)
+ * 9. API keys with scopes for scripts and other machine clients
  */
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const path = require('path');
+const { JWTUtils } = require('../utils/jwt');
+const { RBACPolicy } = require('../utils/rbac');
+const { createPolicy, formatDecision, authorize } = require('../utils/abac');
+const { ApiKeyService } = require('../utils/apiKeys');
+const { createApiKeyRouter } = require('../routes/apiKeys');
+// Shared with the basic auth example - see its README for the options
+const { rateLimit } = require('../../01-basic-auth/middleware/rateLimit');
 
 console.log('🛡️ PROTECTED ROUTES - Real Express.js with JWT\n');
 
@@ -25,9 +37,18 @@ app.use(express.json());
 const JWT_CONFIG = {
   secret: 'your-super-secret-jwt-key-change-in-production',
   expiresIn: '1h',
-  issuer: 'my-app'
+  issuer: 'my-app',
+  // Try JWT_ALGORITHM=ES256 to sign with a key pair instead of the secret
+  algorithm: process.env.JWT_ALGORITHM || 'HS256'
 };
 
+const tokenService = new JWTUtils({
+  accessSecret: JWT_CONFIG.secret,
+  accessExpiresIn: JWT_CONFIG.expiresIn,
+  issuer: JWT_CONFIG.issuer,
+  algorithm: JWT_CONFIG.algorithm
+});
+
 // Mock user database
 const users = [
   {
@@ -69,7 +90,7 @@ console.log();
 console.log('2️⃣ Setting up Authentication Middleware');
 console.log('=========================================');
 
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -80,57 +101,99 @@ function authenticateToken(req, res, next) {
     });
   }
 
-  jwt.verify(token, JWT_CONFIG.secret, (err, user) => {
-    if (err) {
-      if (err.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          error: 'Token expired',
-          message: 'Your session has expired. Please login again.'
-        });
-      }
-      return res.status(403).json({
-        error: 'Invalid token',
-        message: 'Token is invalid or malformed.'
+  try {
+    // Checks the signature, expiry, and the revocation list
+    req.user = await tokenService.verifyAccessToken(token);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        error: 'Token expired',
+        message: 'Your session has expired. Please login again.'
+      });
+    }
+    if (err.name === 'TokenRevokedError') {
+      return res.status(401).json({
+        error: 'Token revoked',
+        message: 'You have been logged out. Please login again.'
       });
     }
+    return res.status(403).json({
+      error: 'Invalid token',
+      message: 'Token is invalid or malformed.'
+    });
+  }
 
-    req.user = user;
-    next();
-  });
+  next();
 }
 
 // ========================================
-// 3. ROLE-BASED AUTHORIZATION MIDDLEWARE
+// 3. PERMISSION-BASED AUTHORIZATION MIDDLEWARE
 // ========================================
 
-function requireRole(role) {
-  return (req, res, next) => {
-    if (req.user.role !== role) {
-      return res.status(403).json({
-        error: 'Insufficient permissions',
-        message: `This endpoint requires ${role} role. You have ${req.user.role} role.`
-      });
-    }
-    next();
-  };
+// Roles map to permissions in config/rbac-policy.yaml (e.g. manager
+// inherits user). Edits to the file apply without a restart.
+const rbac = RBACPolicy.fromFile(
+  process.env.RBAC_POLICY_FILE || path.join(__dirname, '..', 'config', 'rbac-policy.yaml'),
+  { watch: true }
+);
+
+function requirePermission(permission, options) {
+  return rbac.requirePermission(permission, options);
 }
 
-function requireAnyRole(roles) {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        error: 'Insufficient permissions',
-        message: `This endpoint requires one of: ${roles.join(', ')}. You have ${req.user.role} role.`
-      });
-    }
-    next();
-  };
+// API keys act as their owner, limited to the key's scopes - rbac checks
+// both, so a key can never do more than its owner's role allows
+const getUserById = async id => users.find(u => u.id === id) || null;
+const apiKeys = new ApiKeyService({ getUserById, rbac });
+const authenticateApiKey = apiKeys.authenticate();
+
+// Routes that check a permission accept either an access token or an API
+// key - both set the same req.user
+function authenticate(req, res, next) {
+  if (apiKeys.extractKeyFromRequest(req)) {
+    return authenticateApiKey(req, res, next);
+  }
+  return authenticateToken(req, res, next);
 }
 
+// Login: a few attempts per minute per IP
+const loginLimiter = rateLimit({
+  algorithm: 'fixed-window',
+  limit: 5,
+  windowMs: 60 * 1000,
+  keyBy: 'ip',
+  prefix: 'login'
+});
+
+// Everything under /api: a smoothed limit per IP
+const apiLimiter = rateLimit({
+  algorithm: 'sliding-window',
+  limit: 100,
+  windowMs: 60 * 1000,
+  keyBy: 'ip',
+  prefix: 'api'
+});
+
+// Authenticated routes: bursts allowed, average rate enforced per user.
+// Must come after authenticateToken so req.user is set.
+const userLimiter = rateLimit({
+  algorithm: 'token-bucket',
+  limit: 30,
+  windowMs: 60 * 1000,
+  burst: 10,
+  keyBy: 'user',
+  prefix: 'user'
+});
+
+app.use('/api', apiLimiter);
+
 console.log('✅ Middleware functions created');
 console.log('   - authenticateToken: Verifies JWT and adds user to req');
-console.log('   - requireRole: Checks for specific role');
-console.log('   - requireAnyRole: Checks for any of multiple roles\n');
+console.log('   - authenticate: Access token or API key (ApiKey header or X-API-Key)');
+console.log('   - requirePermission: Checks the role\'s permissions (with ownership)');
+console.log('   - loginLimiter: 5 logins per minute per IP (fixed window)');
+console.log('   - apiLimiter: 100 requests per minute per IP (sliding window)');
+console.log('   - userLimiter: 30 requests per minute per user, bursts of 10 (token bucket)\n');
 
 // ========================================
 // 4. PUBLIC ROUTES (NO AUTHENTICATION)
@@ -140,7 +203,7 @@ console.log('3️⃣ Setting up Public Routes');
 console.log('============================');
 
 // Login route - generates JWT token
-app.post('/auth/login', async (req, res) => {
+app.post('/auth/login', loginLimiter, async (req, res) => {
   const { email, password } = req.body;
 
   if (!email || !password) {
@@ -169,16 +232,7 @@ app.post('/auth/login', async (req, res) => {
   }
 
   // Generate token
-  const token = jwt.sign(
-    {
-      sub: user.id,
-      email: user.email,
-      role: user.role,
-      name: user.name
-    },
-    JWT_CONFIG.secret,
-    { expiresIn: JWT_CONFIG.expiresIn, issuer: JWT_CONFIG.issuer }
-  );
+  const token = tokenService.generateAccessToken(user);
 
   res.json({
     message: 'Login successful',
@@ -201,9 +255,16 @@ app.get('/api/public/info', (req, res) => {
   });
 });
 
+// Public keys for other services to verify our tokens (empty for HS256)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(tokenService.getJWKS());
+});
+
 console.log('✅ Public routes configured:');
 console.log('   POST /auth/login - Generate JWT token');
-console.log('   GET /api/public/info - Public information\n');
+console.log('   GET /api/public/info - Public information');
+console.log(`   GET /.well-known/jwks.json - Public signing keys (${JWT_CONFIG.algorithm})\n`);
 
 // ========================================
 // 5. PROTECTED ROUTES (REQUIRE AUTHENTICATION)
@@ -213,7 +274,7 @@ console.log('4️⃣ Setting up Protected Routes');
 console.log('===============================');
 
 // Profile route - any authenticated user
-app.get('/api/profile', authenticateToken, (req, res) => {
+app.get('/api/profile', authenticateToken, userLimiter, (req, res) => {
   res.json({
     message: 'Profile data retrieved successfully',
     user: {
@@ -227,7 +288,7 @@ app.get('/api/profile', authenticateToken, (req, res) => {
 });
 
 // Dashboard - any authenticated user
-app.get('/api/dashboard', authenticateToken, (req, res) => {
+app.get('/api/dashboard', authenticateToken, userLimiter, (req, res) => {
   res.json({
     message: 'Dashboard data',
     user: req.user.name,
@@ -239,19 +300,41 @@ app.get('/api/dashboard', authenticateToken, (req, res) => {
   });
 });
 
+// Logout - deny this token until it would have expired anyway
+app.post('/auth/logout', authenticateToken, async (req, res, next) => {
+  try {
+    await tokenService.revokeAccessToken(req.user);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Logout everywhere - every token issued to this user until now stops working
+app.post('/auth/logout-all', authenticateToken, async (req, res, next) => {
+  try {
+    await tokenService.revokeAllUserTokens(req.user.sub);
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (err) {
+    next(err);
+  }
+});
+
 console.log('✅ Basic protected routes:');
 console.log('   GET /api/profile - User profile (any authenticated user)');
-console.log('   GET /api/dashboard - Dashboard data (any authenticated user)\n');
+console.log('   GET /api/dashboard - Dashboard data (any authenticated user)');
+console.log('   POST /auth/logout - Revoke the current token');
+console.log('   POST /auth/logout-all - Revoke every token for the current user\n');
 
 // ========================================
 // 6. ROLE-BASED PROTECTED ROUTES
 // ========================================
 
-console.log('5️⃣ Setting up Role-Based Routes');
-console.log('================================');
+console.log('5️⃣ Setting up Permission-Based Routes');
+console.log('======================================');
 
 // Admin only routes
-app.get('/api/admin/users', authenticateToken, requireRole('admin'), (req, res) => {
+app.get('/api/admin/users', authenticate, requirePermission('users:read'), (req, res) => {
   res.json({
     message: 'All users data (admin only)',
     users: users.map(u => ({
@@ -264,7 +347,7 @@ app.get('/api/admin/users', authenticateToken, requireRole('admin'), (req, res)
   });
 });
 
-app.post('/api/admin/users', authenticateToken, requireRole('admin'), (req, res) => {
+app.post('/api/admin/users', authenticate, requirePermission('users:create'), (req, res) => {
   res.json({
     message: 'User creation endpoint (admin only)',
     note: 'In real app, this would create a new user',
@@ -273,7 +356,7 @@ app.post('/api/admin/users', authenticateToken, requireRole('admin'), (req, res)
 });
 
 // Manager or Admin routes
-app.get('/api/reports', authenticateToken, requireAnyRole(['admin', 'manager']), (req, res) => {
+app.get('/api/reports', authenticate, requirePermission('reports:read'), (req, res) => {
   res.json({
     message: 'Reports data (admin or manager only)',
     reports: [
@@ -285,19 +368,11 @@ app.get('/api/reports', authenticateToken, requireAnyRole(['admin', 'manager']),
   });
 });
 
-// User's own data (users can only access their own data)
-app.get('/api/users/:id', authenticateToken, (req, res) => {
-  const requestedId = parseInt(req.params.id);
-  const isAdmin = req.user.role === 'admin';
-  const isOwnData = req.user.sub === requestedId;
-
-  if (!isAdmin && !isOwnData) {
-    return res.status(403).json({
-      error: 'Access denied',
-      message: 'You can only access your own user data'
-    });
-  }
+// User data - users:read for anyone's, users:read:own for your own
+const userOwner = req => parseInt(req.params.id);
 
+app.get('/api/users/:id', authenticate, requirePermission('users:read', { ownerId: userOwner }), (req, res) => {
+  const requestedId = parseInt(req.params.id);
   const user = users.find(u => u.id === requestedId);
   if (!user) {
     return res.status(404).json({
@@ -315,15 +390,72 @@ app.get('/api/users/:id', authenticateToken, (req, res) => {
       role: user.role,
       department: user.department
     },
-    accessReason: isAdmin ? 'admin access' : 'own data'
+    accessReason: req.user.sub === requestedId ? 'own data' : 'users:read permission'
   });
 });
 
-console.log('✅ Role-based protected routes:');
-console.log('   GET /api/admin/users - All users (admin only)');
-console.log('   POST /api/admin/users - Create user (admin only)');
-console.log('   GET /api/reports - Reports (admin or manager)');
-console.log('   GET /api/users/:id - User data (own data or admin)\n');
+console.log('✅ Permission-based protected routes:');
+console.log('   GET /api/admin/users - All users (users:read)');
+console.log('   POST /api/admin/users - Create user (users:create)');
+console.log('   GET /api/reports - Reports (reports:read)');
+console.log('   GET /api/users/:id - User data (users:read, or users:read:own for your own)');
+console.log('   (these also accept an API key, limited to its scopes)\n');
+
+// Create and revoke API keys - only with a real login, not with a key
+app.use('/auth/api-keys', createApiKeyRouter(apiKeys, authenticateToken, getUserById));
+
+console.log('✅ API key routes:');
+console.log('   GET /auth/api-keys - Your keys');
+console.log('   POST /auth/api-keys - Create a key { name, scopes, expiresInDays? }');
+console.log('   DELETE /auth/api-keys/:id - Revoke a key\n');
+
+// ========================================
+// 6b. ATTRIBUTE-BASED RULES (ABAC)
+// ========================================
+
+// A permission can't say "only while the order is pending" - that depends
+// on the order itself. Rules over subject, resource and action can.
+const orders = [
+  { id: 101, userId: 1, status: 'pending', total: 42.5 },
+  { id: 102, userId: 1, status: 'shipped', total: 19.99 },
+  { id: 103, userId: 3, status: 'pending', total: 7.25 }
+];
+
+const orderPolicy = createPolicy([
+  {
+    id: 'admin-full-access',
+    effect: 'allow',
+    actions: ['*'],
+    description: 'Admins can do anything with any order',
+    when: { attr: 'subject.role', op: 'eq', value: 'admin' }
+  },
+  {
+    id: 'owner-can-cancel-pending',
+    effect: 'allow',
+    actions: ['order:cancel'],
+    description: 'Users can cancel their own orders while pending',
+    when: {
+      all: [
+        { attr: 'resource.userId', op: 'eq', ref: 'subject.sub' },
+        { attr: 'resource.status', op: 'eq', value: 'pending' }
+      ]
+    }
+  }
+]);
+
+const findOrder = req => orders.find(o => o.id === parseInt(req.params.id));
+
+app.post('/api/orders/:id/cancel', authenticateToken,
+  authorize(orderPolicy, 'order:cancel', { resource: findOrder }),
+  (req, res) => {
+    const order = findOrder(req);
+    order.status = 'cancelled';
+    res.json({ message: 'Order cancelled', order, decidedBy: req.decision.decidedBy });
+  }
+);
+
+console.log('✅ Attribute-based routes:');
+console.log('   POST /api/orders/:id/cancel - Own order while pending (or admin)\n');
 
 // ========================================
 // 7. ERROR HANDLING MIDDLEWARE
@@ -363,16 +495,7 @@ async function testRoutes() {
   };
 
   // Generate token manually for testing
-  const testToken = jwt.sign(
-    {
-      sub: 1,
-      email: 'john@example.com',
-      role: 'user',
-      name: 'John Doe'
-    },
-    JWT_CONFIG.secret,
-    { expiresIn: JWT_CONFIG.expiresIn, issuer: JWT_CONFIG.issuer }
-  );
+  const testToken = tokenService.generateAccessToken(users[0]);
 
   console.log('✅ Login successful! Token generated.');
   console.log(`   Token preview: ${testToken.substring(0, 30)}...\n`);
@@ -422,7 +545,7 @@ async function testRoutes() {
   const { req: profReq, res: profRes } = mockRequest('/api/profile', testToken);
   
   // Simulate middleware execution
-  authenticateToken(profReq, profRes, () => {
+  await authenticateToken(profReq, profRes, () => {
     profRes.json({
       message: 'Profile data retrieved successfully',
       user: profReq.user
@@ -433,19 +556,49 @@ async function testRoutes() {
   console.log('\n🚫 Testing admin route with user token (should fail):');
   const { req: adminReq, res: adminRes } = mockRequest('/api/admin/users', testToken);
   
-  authenticateToken(adminReq, adminRes, () => {
-    requireRole('admin')(adminReq, adminRes, () => {
+  await authenticateToken(adminReq, adminRes, () => {
+    requirePermission('users:read')(adminReq, adminRes, () => {
       adminRes.json({ message: 'Admin data' });
     });
   });
 
+  // Logout, then try the same token again (should fail)
+  console.log('\n🚪 Testing a token after logout (should fail):');
+  await tokenService.revokeAccessToken(profReq.user);
+  const { req: logoutReq, res: logoutRes } = mockRequest('/api/profile', testToken);
+
+  await authenticateToken(logoutReq, logoutRes, () => {
+    logoutRes.json({ message: 'Profile data retrieved successfully' });
+  });
+
+  // Why was that allowed or denied? Every decision explains itself
+  console.log('\n🧾 Explaining ABAC decisions for order:cancel:');
+  for (const order of [orders[0], orders[1], orders[2]]) {
+    const decision = orderPolicy.evaluate({ subject: profReq.user, action: 'order:cancel', resource: order });
+    console.log(`\n   Order ${order.id} (user ${order.userId}, ${order.status}):`);
+    console.log(formatDecision(decision).replace(/^/gm, '   '));
+  }
+
+  // A script's key: the manager's reports:read, nothing else
+  console.log('\n🔑 Testing an API key scoped to reports:read:');
+  const { key, apiKey } = await apiKeys.create(users[2], { name: 'Nightly report export', scopes: ['reports:read'] });
+  console.log(`   Created ${apiKey.prefix}... (only the hash is stored)`);
+  const keyUser = await apiKeys.verify(key);
+  console.log(`   reports:read with the key: ${rbac.can(keyUser, 'reports:read') ? '✅ allowed' : '❌ denied'}`);
+  console.log(`   products:write with the key: ${rbac.can(keyUser, 'products:write') ? '✅ allowed' : '❌ denied (role has it, key does not)'}`);
+  await apiKeys.revoke(users[2].id, apiKey.id);
+  await apiKeys.verify(key).catch(error => console.log(`   After revoking: ❌ ${error.message}`));
+
   console.log('\n💡 Key Takeaways:');
   console.log('==================');
   console.log('✅ Public routes work without authentication');
   console.log('✅ Protected routes require valid JWT token');
-  console.log('✅ Role-based routes check user permissions');
+  console.log('✅ Routes ask for permissions; roles map to them in the policy file');
   console.log('✅ Middleware handles authentication automatically');
   console.log('✅ Different HTTP status codes for different error types');
+  console.log('✅ Logged-out tokens are rejected until they expire');
+  console.log('✅ ABAC rules check the record too, and explain every decision');
+  console.log('✅ API keys are hashed, scoped, and can expire or be revoked');
   console.log();
 
   console.log('🚀 Next Steps:');
@@ -454,6 +607,7 @@ async function testRoutes() {
   console.log('2. Test with curl or Postman:');
   console.log('   curl http://localhost:3000/api/public/info');
   console.log('   curl -H "Authorization: Bearer YOUR_TOKEN" http://localhost:3000/api/profile');
+  console.log('   curl -H "X-API-Key: YOUR_KEY" http://localhost:3000/api/reports');
   console.log('3. Try the next example: node examples/5-refresh-tokens.js');
 }
 
@@ -6,11 +6,26 @@
  * 2. Implementing token refresh mechanism
  * 3. Secure token storage practices
  * 4. Handling token expiration gracefully
+ * 5. Refresh token rotation and reuse detection
+ * 6. Managing sessions per device (list, rename, revoke, idle timeout)
+ * 7. Cookie mode: HttpOnly token cookies with CSRF protection
+ * 8. Passwordless login with single-use magic links
  */
 
+const express = require('express');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
-const crypto = require('crypto');
+const { JWTUtils } = require('../utils/jwt');
+const { MemoryRefreshTokenStore } = require('../stores');
+const { createSessionRouter } = require('../routes/sessions');
+const { createCookieAuthRouter } = require('../routes/cookieAuth');
+const { CookieSession } = require('../utils/cookieSession');
+const { MagicLinkService } = require('../utils/magicLink');
+const { createMagicLinkRouter } = require('../routes/magicLink');
+// Shared with the basic auth example - mail transport, templates and limits
+const { sendMail } = require('../../01-basic-auth/utils/mailer');
+const { magicLinkEmail } = require('../../01-basic-auth/utils/emails');
+const { rateLimit } = require('../../01-basic-auth/middleware/rateLimit');
 
 console.log('🔄 REFRESH TOKENS - Advanced JWT Session Management\n');
 
@@ -34,6 +49,7 @@ console.log('   - Used only to get new access tokens');
 console.log('   - Contains minimal data');
 console.log('   - Stored securely (httpOnly cookies preferred)');
 console.log('   - Can be revoked/blacklisted');
+console.log('   - Single-use: every refresh returns a NEW refresh token (rotation)');
 console.log();
 
 // ========================================
@@ -43,15 +59,19 @@ console.log();
 const TOKEN_CONFIG = {
   access: {
     secret: 'access-token-secret-change-in-production',
-    expiresIn: '15m',  // Short-lived
-    algorithm: 'HS256'
+    expiresIn: '15m'   // Short-lived
   },
   refresh: {
     secret: 'refresh-token-secret-different-from-access',
-    expiresIn: '7d',   // Long-lived
-    algorithm: 'HS256'
+    expiresIn: '7d'    // Long-lived
   },
-  issuer: 'jwt-refresh-example'
+  sessionIdleTimeout: '3d', // Unused sessions expire before their tokens do
+  magicLink: {
+    secret: 'magic-link-secret-different-from-both',
+    expiresIn: '10m'   // Login links expire quickly
+  },
+  issuer: 'jwt-refresh-example',
+  audience: 'jwt-refresh-example-users'
 };
 
 // Mock user database
@@ -59,25 +79,45 @@ const users = [
   {
     id: 1,
     email: 'john@example.com',
-    hashedPassword: '$2b$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LeHDI1mKWENUaW8mG', // 'password123'
+    hashedPassword: '$2b$12$jdz0Ki/SNGmQPcOE1tpBLu4sIXU5myzwKM2wvbmCetVZV8vjCzbf.', // 'password123'
     name: 'John Doe',
     role: 'user'
   },
   {
     id: 2,
     email: 'admin@example.com',
-    hashedPassword: '$2b$12$92y9vRQ8eO9dP.wR3S5XqejfOuC/Ov/mJ19fzN8p2eBBBzEJOGbhe', // 'admin123'
+    hashedPassword: '$2b$12$LYiKZSpZ/HWMSsUzC8FuweRuoYizIJ7uSljuhcNwgwNRo3HkE5GVK', // 'admin123'
     name: 'Admin User',
     role: 'admin'
   }
 ];
 
-// In-memory refresh token storage (in production: use database)
-const refreshTokenStore = new Map();
+// Refresh token storage - swap in a database-backed RefreshTokenStore in production
+const refreshTokenStore = new MemoryRefreshTokenStore();
+
+// The shared JWT utility does the signing, verification and rotation
+const tokenService = new JWTUtils({
+  accessSecret: TOKEN_CONFIG.access.secret,
+  refreshSecret: TOKEN_CONFIG.refresh.secret,
+  accessExpiresIn: TOKEN_CONFIG.access.expiresIn,
+  refreshExpiresIn: TOKEN_CONFIG.refresh.expiresIn,
+  issuer: TOKEN_CONFIG.issuer,
+  audience: TOKEN_CONFIG.audience,
+  sessionIdleTimeout: TOKEN_CONFIG.sessionIdleTimeout,
+  refreshTokenStore
+});
+
+// Cookie mode: the same tokens in HttpOnly cookies, plus CSRF tokens.
+// COOKIE_SECURE=false lets the cookies work over plain http://localhost
+const cookieSession = new CookieSession(tokenService, { refreshPath: '/auth/cookie' });
+
+// Magic links: emailed, single-use, and only valid in the requesting browser
+const magicLinks = new MagicLinkService(tokenService, TOKEN_CONFIG.magicLink);
 
 console.log('⚙️ Token configuration:');
 console.log(`   Access token expires: ${TOKEN_CONFIG.access.expiresIn}`);
 console.log(`   Refresh token expires: ${TOKEN_CONFIG.refresh.expiresIn}`);
+console.log(`   Idle sessions expire: ${TOKEN_CONFIG.sessionIdleTimeout}`);
 console.log();
 
 // ========================================
@@ -88,62 +128,19 @@ console.log('2️⃣ Token Generation Functions');
 console.log('==============================');
 
 function generateAccessToken(user) {
-  const payload = {
-    sub: user.id,
-    email: user.email,
-    name: user.name,
-    role: user.role,
-    type: 'access'
-  };
-
-  return jwt.sign(payload, TOKEN_CONFIG.access.secret, {
-    expiresIn: TOKEN_CONFIG.access.expiresIn,
-    issuer: TOKEN_CONFIG.issuer,
-    algorithm: TOKEN_CONFIG.access.algorithm
-  });
+  return tokenService.generateAccessToken(user);
 }
 
-function generateRefreshToken(user) {
-  const payload = {
-    sub: user.id,
-    type: 'refresh',
-    jti: crypto.randomUUID() // Unique token ID for revocation
-  };
-
-  const token = jwt.sign(payload, TOKEN_CONFIG.refresh.secret, {
-    expiresIn: TOKEN_CONFIG.refresh.expiresIn,
-    issuer: TOKEN_CONFIG.issuer,
-    algorithm: TOKEN_CONFIG.refresh.algorithm
-  });
-
-  // Store refresh token (in production: save to database)
-  refreshTokenStore.set(payload.jti, {
-    userId: user.id,
-    token,
-    createdAt: new Date(),
-    isRevoked: false
-  });
-
-  return { token, jti: payload.jti };
-}
-
-function generateTokenPair(user) {
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
-
-  return {
-    accessToken,
-    refreshToken: refreshToken.token,
-    refreshTokenId: refreshToken.jti,
-    tokenType: 'Bearer',
-    expiresIn: TOKEN_CONFIG.access.expiresIn
-  };
+// Each login starts a new token family - a session for one device. The
+// refresh token gets a unique jti and is recorded in refreshTokenStore,
+// along with the device's user agent and IP
+async function generateTokenPair(user, context) {
+  return tokenService.generateTokenPair(user, { context });
 }
 
 console.log('✅ Token generation functions created:');
 console.log('   - generateAccessToken: Creates short-lived access token');
-console.log('   - generateRefreshToken: Creates long-lived refresh token');
-console.log('   - generateTokenPair: Creates both tokens together\n');
+console.log('   - generateTokenPair: Creates both tokens and records the refresh token\n');
 
 // ========================================
 // 4. TOKEN VERIFICATION FUNCTIONS
@@ -152,38 +149,20 @@ console.log('   - generateTokenPair: Creates both tokens together\n');
 console.log('3️⃣ Token Verification Functions');
 console.log('=================================');
 
-function verifyAccessToken(token) {
+async function verifyAccessToken(token) {
   try {
-    const decoded = jwt.verify(token, TOKEN_CONFIG.access.secret, {
-      issuer: TOKEN_CONFIG.issuer
-    });
-
-    if (decoded.type !== 'access') {
-      throw new Error('Invalid token type');
-    }
-
+    const decoded = await tokenService.verifyAccessToken(token);
     return { valid: true, decoded, error: null };
   } catch (error) {
     return { valid: false, decoded: null, error: error.message };
   }
 }
 
+// Signature, expiry and type only - whether the token is still usable is
+// decided by the store when it is exchanged
 function verifyRefreshToken(token) {
   try {
-    const decoded = jwt.verify(token, TOKEN_CONFIG.refresh.secret, {
-      issuer: TOKEN_CONFIG.issuer
-    });
-
-    if (decoded.type !== 'refresh') {
-      throw new Error('Invalid token type');
-    }
-
-    // Check if token is revoked
-    const tokenRecord = refreshTokenStore.get(decoded.jti);
-    if (!tokenRecord || tokenRecord.isRevoked) {
-      throw new Error('Token has been revoked');
-    }
-
+    const decoded = tokenService.verifyRefreshToken(token);
     return { valid: true, decoded, error: null };
   } catch (error) {
     return { valid: false, decoded: null, error: error.message };
@@ -192,7 +171,7 @@ function verifyRefreshToken(token) {
 
 console.log('✅ Token verification functions created:');
 console.log('   - verifyAccessToken: Validates access tokens');
-console.log('   - verifyRefreshToken: Validates refresh tokens + revocation\n');
+console.log('   - verifyRefreshToken: Validates refresh token signature and expiry\n');
 
 // ========================================
 // 5. AUTHENTICATION FLOW WITH REFRESH
@@ -201,7 +180,7 @@ console.log('   - verifyRefreshToken: Validates refresh tokens + revocation\n');
 console.log('4️⃣ Complete Authentication Flow');
 console.log('================================');
 
-async function login(email, password) {
+async function login(email, password, context = {}) {
   console.log(`🔐 Login attempt for: ${email}`);
 
   // Find and authenticate user
@@ -218,7 +197,7 @@ async function login(email, password) {
   }
 
   // Generate token pair
-  const tokens = generateTokenPair(user);
+  const tokens = await generateTokenPair(user, context);
   
   console.log('   ✅ Login successful');
   console.log(`   Access token expires in: ${TOKEN_CONFIG.access.expiresIn}`);
@@ -236,38 +215,31 @@ async function login(email, password) {
   };
 }
 
-async function refreshAccessToken(refreshToken) {
+async function refreshAccessToken(refreshToken, context = {}) {
   console.log('🔄 Attempting to refresh access token');
 
-  // Verify refresh token
-  const verification = verifyRefreshToken(refreshToken);
-  if (!verification.valid) {
-    console.log(`   ❌ Refresh token invalid: ${verification.error}`);
-    return { success: false, error: 'Invalid refresh token' };
-  }
-
-  // Get user data
-  const user = users.find(u => u.id === verification.decoded.sub);
-  if (!user) {
-    console.log('   ❌ User not found');
-    return { success: false, error: 'User not found' };
-  }
+  try {
+    // Rotation: the old refresh token is used up, a new one comes back
+    const tokens = await tokenService.refreshTokens(
+      refreshToken,
+      async id => users.find(u => u.id === id),
+      context
+    );
 
-  // Generate new access token
-  const newAccessToken = generateAccessToken(user);
-  
-  console.log('   ✅ New access token generated');
-  console.log(`   Valid for: ${TOKEN_CONFIG.access.expiresIn}`);
+    console.log('   ✅ New token pair generated (old refresh token is now used up)');
+    console.log(`   Valid for: ${TOKEN_CONFIG.access.expiresIn}`);
 
-  return {
-    success: true,
-    accessToken: newAccessToken,
-    tokenType: 'Bearer',
-    expiresIn: TOKEN_CONFIG.access.expiresIn
-  };
+    return { success: true, ...tokens };
+  } catch (error) {
+    console.log(`   ❌ Refresh failed: ${error.message}`);
+    if (error.name === 'RefreshTokenReuseError') {
+      console.log('   🚨 Reuse detected - every token in this family is now revoked');
+    }
+    return { success: false, error: 'Invalid refresh token' };
+  }
 }
 
-function logout(refreshToken) {
+async function logout(refreshToken) {
   console.log('🚪 Logging out user');
 
   if (!refreshToken) {
@@ -275,14 +247,11 @@ function logout(refreshToken) {
     return { success: true, message: 'Logged out' };
   }
 
-  // Verify and revoke refresh token
+  // Revoke the whole family, so no rotated copy stays valid
   const verification = verifyRefreshToken(refreshToken);
   if (verification.valid) {
-    const tokenRecord = refreshTokenStore.get(verification.decoded.jti);
-    if (tokenRecord) {
-      tokenRecord.isRevoked = true;
-      console.log('   ✅ Refresh token revoked');
-    }
+    await tokenService.revokeRefreshToken(refreshToken);
+    console.log('   ✅ Refresh token family revoked');
   } else {
     console.log('   ⚠️ Refresh token was already invalid');
   }
@@ -292,8 +261,8 @@ function logout(refreshToken) {
 
 console.log('✅ Authentication flow functions created:');
 console.log('   - login: Full authentication with token pair');
-console.log('   - refreshAccessToken: Get new access token');
-console.log('   - logout: Revoke refresh token\n');
+console.log('   - refreshAccessToken: Swap a refresh token for a new pair');
+console.log('   - logout: Revoke the refresh token family\n');
 
 // ========================================
 // 6. MIDDLEWARE FOR AUTOMATIC REFRESH
@@ -303,21 +272,23 @@ console.log('5️⃣ Advanced Middleware');
 console.log('=======================');
 
 function createAuthMiddleware() {
-  return (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    const token = authHeader && authHeader.split(' ')[1];
+  return async (req, res, next) => {
+    // Authorization header first, then the access token cookie
+    const extracted = tokenService.extractTokenFromRequest(req);
 
-    if (!token) {
+    if (!extracted) {
       return res.status(401).json({
         error: 'No token provided',
         code: 'NO_TOKEN'
       });
     }
 
-    const verification = verifyAccessToken(token);
+    const verification = await verifyAccessToken(extracted.token);
     
     if (verification.valid) {
       req.user = verification.decoded;
+      // Cookie-authenticated requests need a CSRF check (csrfProtection)
+      req.authSource = extracted.source;
       return next();
     }
 
@@ -330,6 +301,15 @@ function createAuthMiddleware() {
       });
     }
 
+    // Logged out, or the session was revoked from another device
+    if (verification.error.includes('revoked')) {
+      return res.status(401).json({
+        error: 'Token revoked',
+        code: 'TOKEN_REVOKED',
+        message: 'Please log in again'
+      });
+    }
+
     // Token is invalid for other reasons
     return res.status(403).json({
       error: 'Invalid token',
@@ -339,8 +319,9 @@ function createAuthMiddleware() {
 }
 
 console.log('✅ Middleware created with specific error codes:');
-console.log('   - NO_TOKEN: No authorization header');
+console.log('   - NO_TOKEN: No authorization header or access token cookie');
 console.log('   - TOKEN_EXPIRED: Access token expired (client should refresh)');
+console.log('   - TOKEN_REVOKED: Logged out or session revoked (client should log in)');
 console.log('   - INVALID_TOKEN: Token is malformed or invalid\n');
 
 // ========================================
@@ -367,7 +348,7 @@ async function demonstrateRefreshFlow() {
 
   // Step 2: Use access token
   console.log('🧪 Step 2: Using access token for API request');
-  const accessVerification = verifyAccessToken(accessToken);
+  const accessVerification = await verifyAccessToken(accessToken);
   if (accessVerification.valid) {
     console.log('   ✅ Access token is valid');
     console.log(`   User: ${accessVerification.decoded.name} (${accessVerification.decoded.role})\n`);
@@ -378,47 +359,108 @@ async function demonstrateRefreshFlow() {
   const expiredToken = jwt.sign(
     { sub: 1, email: 'john@example.com', name: 'John Doe', role: 'user', type: 'access' },
     TOKEN_CONFIG.access.secret,
-    { expiresIn: '0s', issuer: TOKEN_CONFIG.issuer }
+    { expiresIn: '0s', issuer: TOKEN_CONFIG.issuer, audience: TOKEN_CONFIG.audience }
   );
 
   // Wait a moment to ensure expiration
-  setTimeout(() => {
-    const expiredVerification = verifyAccessToken(expiredToken);
-    console.log(`   ❌ Expired token verification: ${expiredVerification.error}\n`);
-
-    // Step 4: Refresh the access token
-    console.log('🧪 Step 4: Refreshing access token');
-    refreshAccessToken(refreshToken).then(refreshResult => {
-      if (refreshResult.success) {
-        console.log('   ✅ Token refresh successful');
-        console.log(`   New access token: ${refreshResult.accessToken.substring(0, 30)}...\n`);
-
-        // Step 5: Use new access token
-        console.log('🧪 Step 5: Using new access token');
-        const newVerification = verifyAccessToken(refreshResult.accessToken);
-        if (newVerification.valid) {
-          console.log('   ✅ New access token is valid');
-          console.log(`   User: ${newVerification.decoded.name}\n`);
-        }
-
-        // Step 6: Logout (revoke refresh token)
-        console.log('🧪 Step 6: Logout and revoke refresh token');
-        const logoutResult = logout(refreshToken);
-        console.log(`   ✅ ${logoutResult.message}\n`);
-
-        // Step 7: Try to use revoked refresh token
-        console.log('🧪 Step 7: Attempting to use revoked refresh token');
-        refreshAccessToken(refreshToken).then(failedRefresh => {
-          if (!failedRefresh.success) {
-            console.log(`   ❌ Refresh failed (expected): ${failedRefresh.error}\n`);
-          }
-
-          // Final summary
-          printSummary();
-        });
-      }
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const expiredVerification = await verifyAccessToken(expiredToken);
+  console.log(`   ❌ Expired token verification: ${expiredVerification.error}\n`);
+
+  // Step 4: Refresh - the response includes a NEW refresh token
+  console.log('🧪 Step 4: Refreshing tokens (rotation)');
+  const refreshResult = await refreshAccessToken(refreshToken);
+  if (!refreshResult.success) {
+    return;
+  }
+  console.log(`   New access token: ${refreshResult.accessToken.substring(0, 30)}...`);
+  console.log(`   New refresh token: ${refreshResult.refreshToken.substring(0, 30)}...\n`);
+
+  // Step 5: Use new access token
+  console.log('🧪 Step 5: Using new access token');
+  const newVerification = await verifyAccessToken(refreshResult.accessToken);
+  if (newVerification.valid) {
+    console.log('   ✅ New access token is valid');
+    console.log(`   User: ${newVerification.decoded.name}\n`);
+  }
+
+  // Step 6: An attacker replays the original (already used) refresh token
+  console.log('🧪 Step 6: Replaying the old refresh token (simulated theft)');
+  const replay = await refreshAccessToken(refreshToken);
+  if (!replay.success) {
+    console.log(`   ❌ Replay rejected (expected): ${replay.error}\n`);
+  }
+
+  // Step 7: The family is revoked, so even the newest token is dead
+  console.log('🧪 Step 7: Using the newest refresh token after reuse was detected');
+  const afterReuse = await refreshAccessToken(refreshResult.refreshToken);
+  if (!afterReuse.success) {
+    console.log('   ❌ Also rejected (expected) - the user has to log in again\n');
+  }
+
+  // Step 8: Logout revokes a fresh session's family
+  console.log('🧪 Step 8: Log in again, then logout');
+  const secondLogin = await login('john@example.com', 'password123');
+  if (secondLogin.success) {
+    const logoutResult = await logout(secondLogin.tokens.refreshToken);
+    console.log(`   ✅ ${logoutResult.message}`);
+
+    const afterLogout = await refreshAccessToken(secondLogin.tokens.refreshToken);
+    if (!afterLogout.success) {
+      console.log(`   ❌ Refresh after logout failed (expected): ${afterLogout.error}\n`);
+    }
+  }
+
+  // Step 9: Logout everywhere (or a password change) kills every session,
+  // including access tokens that haven't expired yet
+  console.log('🧪 Step 9: Two devices logged in, then logout everywhere');
+  const laptop = await login('john@example.com', 'password123');
+  const phone = await login('john@example.com', 'password123');
+  if (laptop.success && phone.success) {
+    await tokenService.revokeAllUserTokens(1);
+    console.log('   ✅ All tokens issued to user 1 revoked');
+
+    const laptopAccess = await verifyAccessToken(laptop.tokens.accessToken);
+    console.log(`   ❌ Laptop access token (expected): ${laptopAccess.error}`);
+
+    const phoneRefresh = await refreshAccessToken(phone.tokens.refreshToken);
+    if (!phoneRefresh.success) {
+      console.log(`   ❌ Phone refresh token (expected): ${phoneRefresh.error}\n`);
+    }
+  }
+
+  // Step 10: Each login is a session; users can see and revoke them
+  console.log('🧪 Step 10: Managing sessions per device');
+  const work = await login('admin@example.com', 'admin123', {
+    userAgent: 'Mozilla/5.0 (Macintosh) Firefox/128.0',
+    ip: '203.0.113.10'
+  });
+  const mobile = await login('admin@example.com', 'admin123', {
+    userAgent: 'MyApp/2.1 (iPhone; iOS 18)',
+    ip: '198.51.100.7'
+  });
+  if (work.success && mobile.success) {
+    const workSession = tokenService.decodeToken(work.tokens.accessToken).sid;
+    const mobileSession = tokenService.decodeToken(mobile.tokens.accessToken).sid;
+
+    await tokenService.renameSession(2, workSession, 'Work laptop');
+    const sessions = await tokenService.listSessions(2, workSession);
+    console.log('   📋 Active sessions:');
+    sessions.forEach(session => {
+      const name = session.deviceName || session.userAgent;
+      console.log(`      ${session.current ? '👉' : '  '} ${name} from ${session.ip}`);
     });
-  }, 100);
+
+    await tokenService.revokeSession(2, mobileSession);
+    console.log('   ✅ Phone session revoked from the laptop');
+
+    const phoneAccess = await verifyAccessToken(mobile.tokens.accessToken);
+    console.log(`   ❌ Phone access token (expected): ${phoneAccess.error}`);
+    console.log(`   📋 Sessions left: ${(await tokenService.listSessions(2)).length}\n`);
+  }
+
+  // Final summary
+  printSummary();
 }
 
 function printSummary() {
@@ -427,6 +469,12 @@ function printSummary() {
   console.log('✅ Access tokens are short-lived for security');
   console.log('✅ Refresh tokens allow seamless token renewal');
   console.log('✅ Refresh tokens can be revoked for security');
+  console.log('✅ Rotation makes each refresh token single-use');
+  console.log('✅ Reusing an old refresh token revokes the whole family');
+  console.log('✅ Logout everywhere revokes access tokens before they expire');
+  console.log('✅ Users can list and revoke sessions per device');
+  console.log('✅ Cookie mode keeps tokens away from JavaScript, with CSRF tokens');
+  console.log('✅ Magic links log in without a password, once, in one browser');
   console.log('✅ Different secrets for access and refresh tokens');
   console.log('✅ Proper error codes help client handle token states');
   console.log();
@@ -441,9 +489,8 @@ function printSummary() {
 
   console.log('🏭 Production Considerations');
   console.log('============================');
-  console.log('⚠️  Store refresh tokens in secure httpOnly cookies');
+  console.log('⚠️  Store refresh tokens in secure httpOnly cookies (cookie mode)');
   console.log('⚠️  Use database instead of in-memory storage');
-  console.log('⚠️  Implement refresh token rotation');
   console.log('⚠️  Add rate limiting for refresh endpoint');
   console.log('⚠️  Monitor for suspicious refresh patterns');
   console.log('⚠️  Implement proper cleanup of expired tokens');
@@ -453,9 +500,8 @@ function printSummary() {
   console.log('==============');
   console.log('1. Implement refresh tokens in a real Express.js app');
   console.log('2. Add proper database storage for refresh tokens');
-  console.log('3. Implement refresh token rotation');
-  console.log('4. Add comprehensive logging and monitoring');
-  console.log('5. Test token refresh in a frontend application');
+  console.log('3. Add comprehensive logging and monitoring');
+  console.log('4. Test token refresh in a frontend application');
   console.log();
 
   console.log('🚀 You\'ve completed the JWT learning path!');
@@ -506,6 +552,7 @@ function demonstrateClientPattern() {
   console.log('💡 Client best practices:');
   console.log('   ✅ Store access tokens in memory only');
   console.log('   ✅ Store refresh tokens in secure httpOnly cookies');
+  console.log('   ✅ In cookie mode, send credentials: "include" and X-CSRF-Token');
   console.log('   ✅ Automatically retry failed requests after refresh');
   console.log('   ✅ Handle refresh failures gracefully');
   console.log('   ✅ Implement token refresh before expiration\n');
@@ -521,4 +568,89 @@ console.log('8️⃣ Running Complete Demonstration');
 console.log('==================================');
 
 // Start the demonstration
-demonstrateRefreshFlow(); 
\ No newline at end of file
+demonstrateRefreshFlow();
+
+// ========================================
+// 10. SESSION MANAGEMENT API (OPTIONAL)
+// ========================================
+
+const app = express();
+app.use(express.json());
+
+function requestContext(req) {
+  return { userAgent: req.get('user-agent') || null, ip: req.ip };
+}
+
+app.post('/auth/login', async (req, res) => {
+  const { email, password } = req.body;
+  const result = await login(email || '', password || '', requestContext(req));
+  if (!result.success) {
+    return res.status(401).json({ error: result.error });
+  }
+  res.json({ user: result.user, ...result.tokens });
+});
+
+app.post('/auth/refresh', async (req, res) => {
+  const result = await refreshAccessToken(req.body.refreshToken, requestContext(req));
+  if (!result.success) {
+    return res.status(401).json({ error: result.error });
+  }
+  const { success, ...tokens } = result;
+  res.json(tokens);
+});
+
+app.post('/auth/logout', async (req, res) => {
+  res.json(await logout(req.body.refreshToken));
+});
+
+// Cookie mode - the refresh cookie is scoped to this path
+app.use('/auth/cookie', createCookieAuthRouter(tokenService, cookieSession, {
+  verifyCredentials: async (email, password) => {
+    const user = users.find(u => u.email.toLowerCase() === email.toLowerCase());
+    return user && await bcrypt.compare(password, user.hashedPassword) ? user : null;
+  },
+  getUserById: async id => users.find(u => u.id === id)
+}));
+
+// Passwordless login - every request sends an email, so keep it slow
+app.post('/auth/magic-link', rateLimit({
+  algorithm: 'fixed-window',
+  limit: 5,
+  windowMs: 15 * 60 * 1000,
+  keyBy: 'ip',
+  prefix: 'magic-link'
+}));
+app.use('/auth/magic-link', createMagicLinkRouter(tokenService, magicLinks, {
+  findUserByEmail: async email => users.find(u => u.email.toLowerCase() === email) || null,
+  getUserById: async id => users.find(u => u.id === id) || null,
+  sendMail,
+  buildEmail: magicLinkEmail
+}));
+
+// Works with either mode; cookie requests must also send X-CSRF-Token
+app.use('/auth/sessions', createSessionRouter(tokenService, [
+  createAuthMiddleware(),
+  cookieSession.csrfProtection()
+]));
+
+// node examples/5-refresh-tokens.js --serve
+if (require.main === module && process.argv.includes('--serve')) {
+  const PORT = process.env.PORT || 3000;
+
+  app.listen(PORT, () => {
+    console.log(`\n🚀 Session API running on http://localhost:${PORT}`);
+    console.log('   POST   /auth/login           { email, password }');
+    console.log('   POST   /auth/refresh         { refreshToken }');
+    console.log('   POST   /auth/logout          { refreshToken }');
+    console.log('   POST   /auth/cookie/login    { email, password } (sets cookies)');
+    console.log('   POST   /auth/cookie/refresh  (refresh cookie + X-CSRF-Token)');
+    console.log('   POST   /auth/cookie/logout   (refresh cookie + X-CSRF-Token)');
+    console.log('   POST   /auth/magic-link      { email } (link is printed to the log)');
+    console.log('   GET    /auth/magic-link/verify?token=... (same browser)');
+    console.log('   GET    /auth/sessions        (Bearer access token or cookie)');
+    console.log('   PATCH  /auth/sessions/:id    { deviceName }');
+    console.log('   DELETE /auth/sessions/:id');
+  });
+}
+
+module.exports = app; 
\ No newline at end of file
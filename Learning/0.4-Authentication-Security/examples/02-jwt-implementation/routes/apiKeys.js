@@ -0,0 +1,87 @@
+/**
+ * API Key Management Routes
+ *
+ * Users create keys for their scripts and revoke them when done:
+ * - GET    /      - list your keys (never the keys themselves)
+ * - POST   /      - create a key ({ name, scopes, expiresInDays? }); the
+ *                  response is the only time the full key is shown
+ * - DELETE /:id   - revoke a key; it stops working at once
+ *
+ * Mount behind middleware that verifies the access token and sets req.user.
+ * Keys can't manage keys - a leaked key must not be able to mint more.
+ */
+
+const express = require('express');
+const { ApiKeyError } = require('../utils/apiKeys');
+const logger = require('../utils/logger');
+
+/**
+ * Create the API key routes
+ * @param {ApiKeyService} apiKeys - Creates, lists and revokes keys
+ * @param {Function} authenticate - Middleware that sets req.user
+ * @param {Function} getUserById - async (id) => user (for the owner's role)
+ * @returns {express.Router} Router to mount at e.g. /auth/api-keys
+ */
+function createApiKeyRouter(apiKeys, authenticate, getUserById) {
+  const router = express.Router();
+
+  router.use(authenticate, (req, res, next) => {
+    if (req.user.type === 'api_key') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'API keys can only be managed after logging in'
+      });
+    }
+    next();
+  });
+
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ apiKeys: await apiKeys.list(req.user.sub) });
+    } catch (error) {
+      logger.error('List API keys error:', { error: error.message, userId: req.user.sub });
+      res.status(500).json({ error: 'Failed to list API keys' });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const user = await getUserById(req.user.sub);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const { key, apiKey } = await apiKeys.create(user, req.body);
+      res.status(201).json({
+        message: 'API key created. Copy it now - it will not be shown again.',
+        key,
+        apiKey
+      });
+    } catch (error) {
+      if (error instanceof ApiKeyError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('Create API key error:', { error: error.message, userId: req.user.sub });
+      res.status(500).json({ error: 'Failed to create API key' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      // Another user's key ID gets the same 404 as an unknown one
+      const revoked = await apiKeys.revoke(req.user.sub, req.params.id);
+      if (!revoked) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      res.json({ message: 'API key revoked' });
+    } catch (error) {
+      logger.error('Revoke API key error:', { error: error.message, userId: req.user.sub });
+      res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createApiKeyRouter };
@@ -0,0 +1,98 @@
+/**
+ * Cookie Mode Login Routes
+ *
+ * The same login, refresh and logout as the Bearer API, but the tokens
+ * travel in HttpOnly cookies instead of JSON (see utils/cookieSession.js):
+ * - POST /login    - { email, password }; sets the cookies and returns the
+ *                    user plus the CSRF token
+ * - POST /refresh  - rotates the refresh token cookie (X-CSRF-Token required)
+ * - POST /logout   - revokes the session and clears the cookies
+ *                    (X-CSRF-Token required)
+ *
+ * Mount at the cookie session's refreshPath (default /auth/cookie), or the
+ * browser won't send the refresh cookie to /refresh and /logout.
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+
+/**
+ * Create the cookie mode routes
+ * @param {JWTUtils} tokenService - Issues and rotates the tokens
+ * @param {CookieSession} cookieSession - Sets the cookies and checks CSRF tokens
+ * @param {Object} callbacks
+ * @param {Function} callbacks.verifyCredentials - async (email, password) => user or null
+ * @param {Function} callbacks.getUserById - async (id) => user or null
+ * @returns {express.Router} Router to mount at e.g. /auth/cookie
+ */
+function createCookieAuthRouter(tokenService, cookieSession, { verifyCredentials, getUserById }) {
+  const router = express.Router();
+  const csrfProtection = cookieSession.csrfProtection();
+
+  const requestContext = req => ({ userAgent: req.get('user-agent') || null, ip: req.ip });
+
+  router.post('/login', async (req, res) => {
+    const { email, password } = req.body;
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    try {
+      const user = await verifyCredentials(email, password);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const tokens = await tokenService.generateTokenPair(user, { context: requestContext(req) });
+      const csrfToken = cookieSession.setTokens(res, tokens);
+
+      logger.info('Cookie login', { userId: user.id, sessionId: tokens.sessionId, ip: req.ip });
+      res.json({
+        user: { id: user.id, email: user.email, name: user.name, role: user.role },
+        csrfToken,
+        expiresIn: tokens.expiresIn
+      });
+    } catch (error) {
+      logger.error('Cookie login error:', { error: error.message, ip: req.ip });
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  router.post('/refresh', csrfProtection, async (req, res) => {
+    const refreshToken = cookieSession.readRefreshToken(req);
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'No refresh token cookie', code: 'NO_TOKEN' });
+    }
+
+    try {
+      const tokens = await tokenService.refreshTokens(refreshToken, getUserById, requestContext(req));
+      const csrfToken = cookieSession.setTokens(res, tokens);
+      res.json({ csrfToken, expiresIn: tokens.expiresIn });
+    } catch (error) {
+      // Reused, revoked or expired - the cookies are no good any more
+      cookieSession.clear(res);
+      res.status(401).json({
+        error: 'Invalid refresh token',
+        code: error.name === 'RefreshTokenReuseError' ? 'TOKEN_REUSED' : 'INVALID_REFRESH_TOKEN'
+      });
+    }
+  });
+
+  router.post('/logout', csrfProtection, async (req, res) => {
+    const refreshToken = cookieSession.readRefreshToken(req);
+    try {
+      if (refreshToken) {
+        await tokenService.revokeRefreshToken(refreshToken);
+      }
+    } catch (error) {
+      logger.warn('Cookie logout with invalid refresh token', { error: error.message, ip: req.ip });
+    }
+
+    cookieSession.clear(res);
+    res.json({ message: 'Logged out successfully' });
+  });
+
+  return router;
+}
+
+module.exports = { createCookieAuthRouter };
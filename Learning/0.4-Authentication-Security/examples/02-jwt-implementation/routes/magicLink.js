@@ -0,0 +1,122 @@
+/**
+ * Magic Link Login Routes
+ *
+ * - POST /         - { email }; emails a one-time login link and sets a
+ *                    nonce cookie tying the link to this browser. The reply
+ *                    is the same whether or not the account exists.
+ * - GET  /verify   - ?token=...; opened from the email in the same browser,
+ *                    returns a token pair just like a password login
+ *
+ * Emails go through the pluggable mail transport shared with the basic auth
+ * example (MAIL_TRANSPORT=console prints the link to the log).
+ */
+
+const express = require('express');
+const { MagicLinkError } = require('../utils/magicLink');
+const { parseCookies } = require('../utils/cookies');
+const logger = require('../utils/logger');
+
+const NONCE_COOKIE = 'magic_link_nonce';
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ERROR_STATUS = {
+  INVALID_LINK: 400,
+  LINK_EXPIRED: 401,
+  LINK_USED: 401,
+  WRONG_BROWSER: 403
+};
+
+/**
+ * Create the magic link routes
+ * @param {JWTUtils} tokenService - Issues the token pair on login
+ * @param {MagicLinkService} magicLinks - Issues and checks the links
+ * @param {Object} options
+ * @param {Function} options.findUserByEmail - async (email) => user or null
+ * @param {Function} options.getUserById - async (id) => user or null
+ * @param {Function} options.sendMail - async ({ to, subject, text }) => void
+ * @param {Function} options.buildEmail - ({ to, token, expiresInMinutes, path }) => message
+ * @returns {express.Router} Router to mount at e.g. /auth/magic-link
+ */
+function createMagicLinkRouter(tokenService, magicLinks, { findUserByEmail, getUserById, sendMail, buildEmail }) {
+  const router = express.Router();
+
+  // Lax, not Strict: the link is opened from a mail client or webmail,
+  // which is a cross-site navigation that Strict cookies don't survive
+  const cookieOptions = req => ({
+    httpOnly: true,
+    secure: process.env.COOKIE_SECURE !== 'false',
+    sameSite: 'lax',
+    path: req.baseUrl || '/'
+  });
+
+  router.post('/', async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    // Keep the browser's nonce if it has one, so asking twice doesn't
+    // break the first link for a different account
+    const existing = parseCookies(req.headers.cookie)[NONCE_COOKIE];
+    const nonce = NONCE_PATTERN.test(existing || '') ? existing : magicLinks.createNonce();
+    res.cookie(NONCE_COOKIE, nonce, { ...cookieOptions(req), maxAge: magicLinks.expiresInSeconds * 1000 });
+
+    try {
+      const user = await findUserByEmail(email);
+      if (user) {
+        const token = magicLinks.issue(user, nonce);
+        // Not awaited, so a slow mail server doesn't reveal the account exists
+        sendMail(buildEmail({
+          to: user.email,
+          token,
+          expiresInMinutes: Math.ceil(magicLinks.expiresInSeconds / 60),
+          path: `${req.baseUrl}/verify`
+        })).catch(error => logger.error('Magic link email failed:', { error: error.message, userId: user.id }));
+      } else {
+        logger.info('Magic link requested for unknown email', { ip: req.ip });
+      }
+    } catch (error) {
+      // Still the same answer - an error must not reveal the account exists
+      logger.error('Magic link error:', { error: error.message, ip: req.ip });
+    }
+
+    res.status(202).json({
+      message: 'If an account exists for that email, a login link is on its way. Open it in this browser.',
+      expiresIn: magicLinks.expiresIn
+    });
+  });
+
+  router.get('/verify', async (req, res) => {
+    try {
+      const nonce = parseCookies(req.headers.cookie)[NONCE_COOKIE];
+      const userId = magicLinks.consume(req.query.token, nonce);
+
+      const user = await getUserById(userId);
+      if (!user) {
+        return res.status(401).json({ error: 'This login link is invalid', code: 'INVALID_LINK' });
+      }
+
+      const context = { userAgent: req.get('user-agent') || null, ip: req.ip };
+      const tokens = await tokenService.generateTokenPair(user, { context });
+
+      res.clearCookie(NONCE_COOKIE, cookieOptions(req));
+      logger.info('Magic link login', { userId: user.id, ip: req.ip });
+      res.json({
+        user: { id: user.id, email: user.email, name: user.name, role: user.role },
+        ...tokens
+      });
+    } catch (error) {
+      if (error instanceof MagicLinkError) {
+        logger.warn('Magic link rejected', { code: error.code, ip: req.ip });
+        return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+      }
+      logger.error('Magic link verify error:', { error: error.message, ip: req.ip });
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMagicLinkRouter };
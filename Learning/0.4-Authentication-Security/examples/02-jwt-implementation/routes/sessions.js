@@ -0,0 +1,81 @@
+/**
+ * Session Management Routes
+ *
+ * Every login starts a session (a refresh token family) for one device.
+ * These routes let users see where they're logged in and sign devices out:
+ * - GET    /           - list active sessions, flagging the current one
+ * - PATCH  /:id        - rename a device ({ "deviceName": "Work laptop" })
+ * - DELETE /:id        - revoke a session; its tokens stop working at once
+ *
+ * Mount behind middleware that verifies the access token and sets req.user.
+ */
+
+const express = require('express');
+const logger = require('../utils/logger');
+
+const MAX_DEVICE_NAME_LENGTH = 64;
+
+/**
+ * Create the session routes
+ * @param {JWTUtils} tokenService - Issues and tracks the tokens
+ * @param {Function} authenticate - Middleware that sets req.user
+ * @returns {express.Router} Router to mount at e.g. /auth/sessions
+ */
+function createSessionRouter(tokenService, authenticate) {
+  const router = express.Router();
+
+  router.use(authenticate);
+
+  router.get('/', async (req, res) => {
+    try {
+      const sessions = await tokenService.listSessions(req.user.sub, req.user.sid);
+      res.json({ sessions });
+    } catch (error) {
+      logger.error('List sessions error:', { error: error.message, userId: req.user.sub });
+      res.status(500).json({ error: 'Failed to list sessions' });
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    const deviceName = typeof req.body.deviceName === 'string' ? req.body.deviceName.trim() : '';
+    if (!deviceName || deviceName.length > MAX_DEVICE_NAME_LENGTH) {
+      return res.status(400).json({
+        error: `deviceName must be 1-${MAX_DEVICE_NAME_LENGTH} characters`
+      });
+    }
+
+    try {
+      const session = await tokenService.renameSession(req.user.sub, req.params.id, deviceName);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json({ message: 'Session renamed', session });
+    } catch (error) {
+      logger.error('Rename session error:', { error: error.message, userId: req.user.sub });
+      res.status(500).json({ error: 'Failed to rename session' });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      // Another user's session ID gets the same 404 as an unknown one
+      const revoked = await tokenService.revokeSession(req.user.sub, req.params.id);
+      if (!revoked) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json({
+        message: 'Session revoked',
+        current: req.params.id === req.user.sid
+      });
+    } catch (error) {
+      logger.error('Revoke session error:', { error: error.message, userId: req.user.sub });
+      res.status(500).json({ error: 'Failed to revoke session' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSessionRouter };
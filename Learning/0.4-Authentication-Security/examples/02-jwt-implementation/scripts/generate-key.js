@@ -0,0 +1,32 @@
+/**
+ * Generate a JWT signing key as a PEM file
+ *
+ * Usage: node scripts/generate-key.js [algorithm] [directory]
+ *   algorithm - RS256, ES256 or EdDSA (default: JWT_ALGORITHM or ES256)
+ *   directory - where to write the key (default: JWT_KEYS_DIR or ./keys)
+ *
+ * Files are named by creation time so the newest key signs by default. To retire
+ * a key, swap <kid>.pem for its public half and delete that once every
+ * token it signed has expired:
+ *   openssl pkey -in keys/<kid>.pem -pubout -out keys/<kid>.pub.pem
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { KeyRing } = require('../utils/keys');
+
+const algorithm = process.argv[2] || process.env.JWT_ALGORITHM || 'ES256';
+const directory = process.argv[3] || process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'keys');
+
+const ring = KeyRing.generate(algorithm);
+const key = ring.getSigningKey();
+// Timestamped so sorting by file name puts the newest key last
+const kid = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+fs.mkdirSync(directory, { recursive: true });
+const privatePath = path.join(directory, `${kid}.pem`);
+fs.writeFileSync(privatePath, key.privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+console.log(`✅ ${algorithm} key written to ${privatePath}`);
+console.log(`   Key ID (kid): ${kid}`);
+console.log(`   Set JWT_ALGORITHM=${algorithm} and JWT_KEYS_DIR=${directory}`);
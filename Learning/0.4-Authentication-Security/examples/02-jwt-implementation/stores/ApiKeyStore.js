@@ -0,0 +1,79 @@
+/**
+ * ApiKeyStore Interface
+ *
+ * ApiKeyService keeps one record per API key. The key itself is never
+ * stored - only its SHA-256 hash - so a leaked database can't be used to
+ * call the API. Adapters extend this class and implement the same async
+ * methods.
+ *
+ * Records look like:
+ *   {
+ *     id,           // Public key ID, also embedded in the key
+ *     userId,       // Whose permissions the key acts with
+ *     name,         // Label chosen by the user, e.g. "Nightly export"
+ *     keyHash,      // hex SHA-256 of the full key
+ *     scopes,       // Permissions the key is limited to, e.g. ['reports:read']
+ *     createdAt,
+ *     expiresAt,    // null for keys that don't expire
+ *     lastUsedAt,   // null until first used
+ *     revokedAt     // Set when the user revokes the key
+ *   }
+ */
+
+class ApiKeyStore {
+  /**
+   * Save a newly created key
+   * @param {Object} record - Key record
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Find a key by its ID
+   * @param {string} id - Key ID
+   * @returns {Promise<Object|null>} Key record
+   */
+  async find(id) {
+    throw new Error(`${this.constructor.name} does not implement find()`);
+  }
+
+  /**
+   * List a user's keys, including revoked and expired ones
+   * @param {string|number} userId - User ID
+   * @returns {Promise<Object[]>} Key records, newest first
+   */
+  async listByUser(userId) {
+    throw new Error(`${this.constructor.name} does not implement listByUser()`);
+  }
+
+  /**
+   * Record that a key was just used
+   * @param {string} id - Key ID
+   * @param {Date} usedAt - Time of use
+   * @returns {Promise<void>}
+   */
+  async touch(id, usedAt) {
+    throw new Error(`${this.constructor.name} does not implement touch()`);
+  }
+
+  /**
+   * Revoke a key. Must be a no-op for keys already revoked.
+   * @param {string} id - Key ID
+   * @returns {Promise<boolean>} True if the key was active until now
+   */
+  async revoke(id) {
+    throw new Error(`${this.constructor.name} does not implement revoke()`);
+  }
+
+  /**
+   * Remove every key (for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+}
+
+module.exports = { ApiKeyStore };
@@ -0,0 +1,53 @@
+/**
+ * In-Memory API Key Store
+ *
+ * Keeps key records in a Map. Keys are lost on restart - use a database
+ * for anything scripts depend on.
+ */
+
+const { ApiKeyStore } = require('./ApiKeyStore');
+
+class MemoryApiKeyStore extends ApiKeyStore {
+  constructor() {
+    super();
+    this.keys = new Map(); // id -> record
+  }
+
+  async save(record) {
+    this.keys.set(record.id, { ...record, scopes: [...record.scopes] });
+  }
+
+  async find(id) {
+    const record = this.keys.get(id);
+    return record ? { ...record, scopes: [...record.scopes] } : null;
+  }
+
+  async listByUser(userId) {
+    return [...this.keys.values()]
+      .filter(record => String(record.userId) === String(userId))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(record => ({ ...record, scopes: [...record.scopes] }));
+  }
+
+  async touch(id, usedAt) {
+    const record = this.keys.get(id);
+    if (record) {
+      record.lastUsedAt = usedAt;
+    }
+  }
+
+  async revoke(id) {
+    const record = this.keys.get(id);
+    if (!record || record.revokedAt) {
+      return false;
+    }
+    record.revokedAt = new Date();
+    return true;
+  }
+
+  async clear() {
+    this.keys.clear();
+  }
+}
+
+module.exports = { MemoryApiKeyStore };
@@ -0,0 +1,113 @@
+/**
+ * In-Memory Refresh Token Store
+ *
+ * Keeps token records in a Map - fine for examples and a single server,
+ * but every session is lost on restart. Expired tokens and sessions are
+ * pruned whenever a token is saved. Use a database-backed store in
+ * production.
+ */
+
+const { RefreshTokenStore } = require('./RefreshTokenStore');
+
+class MemoryRefreshTokenStore extends RefreshTokenStore {
+  constructor() {
+    super();
+    this.tokens = new Map(); // jti -> record
+    this.sessions = new Map(); // familyId -> session
+  }
+
+  async save(record) {
+    await this.deleteExpired();
+    this.tokens.set(record.jti, { ...record });
+  }
+
+  async find(jti) {
+    const record = this.tokens.get(jti);
+    return record ? { ...record } : null;
+  }
+
+  async markUsed(jti, replacedBy) {
+    // No await between the check and the write, so this is atomic in Node
+    const record = this.tokens.get(jti);
+    if (!record || record.usedAt || record.revokedAt) {
+      return false;
+    }
+
+    record.usedAt = new Date();
+    record.replacedBy = replacedBy;
+    return true;
+  }
+
+  async revokeFamily(familyId) {
+    const now = new Date();
+    let revoked = 0;
+
+    const session = this.sessions.get(familyId);
+    if (session && !session.revokedAt) {
+      session.revokedAt = now;
+    }
+
+    for (const record of this.tokens.values()) {
+      if (record.familyId === familyId && !record.revokedAt) {
+        record.revokedAt = now;
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  async saveSession(session) {
+    this.sessions.set(session.id, { ...session });
+  }
+
+  async findSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  async updateSession(sessionId, changes) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    Object.assign(session, changes);
+    return { ...session };
+  }
+
+  async listSessions(userId, now = new Date()) {
+    return [...this.sessions.values()]
+      .filter(session => session.userId === userId && !session.revokedAt && session.expiresAt > now)
+      .map(session => ({ ...session }));
+  }
+
+  async deleteExpired(now = new Date(), idleBefore = null) {
+    let deleted = 0;
+    const idleSessions = new Set();
+
+    for (const [sessionId, session] of this.sessions) {
+      const idle = idleBefore && session.lastUsedAt < idleBefore;
+      if (idle) {
+        idleSessions.add(sessionId);
+      }
+      if (idle || session.expiresAt <= now) {
+        this.sessions.delete(sessionId);
+      }
+    }
+
+    for (const [jti, record] of this.tokens) {
+      if (record.expiresAt <= now || idleSessions.has(record.familyId)) {
+        this.tokens.delete(jti);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async clear() {
+    this.tokens.clear();
+    this.sessions.clear();
+  }
+}
+
+module.exports = { MemoryRefreshTokenStore };
@@ -0,0 +1,68 @@
+/**
+ * In-Memory Token Revocation Store
+ *
+ * Keeps the denylist and per-user cut-offs in Maps. Expired entries are
+ * pruned whenever something is revoked. Revocations are lost on restart
+ * and aren't shared between servers - use Redis or a database for that.
+ */
+
+const { TokenRevocationStore } = require('./TokenRevocationStore');
+
+class MemoryTokenRevocationStore extends TokenRevocationStore {
+  constructor() {
+    super();
+    this.tokens = new Map(); // jti -> expiresAt
+    this.users = new Map();  // userId -> { issuedBefore, expiresAt }
+  }
+
+  async revokeToken(jti, expiresAt) {
+    await this.deleteExpired();
+    this.tokens.set(jti, expiresAt);
+  }
+
+  async isTokenRevoked(jti, now = new Date()) {
+    const expiresAt = this.tokens.get(jti);
+    return Boolean(expiresAt && expiresAt > now);
+  }
+
+  async revokeUserTokens(userId, issuedBefore, expiresAt) {
+    await this.deleteExpired();
+
+    const key = String(userId);
+    const existing = this.users.get(key);
+    this.users.set(key, {
+      issuedBefore: existing && existing.issuedBefore > issuedBefore ? existing.issuedBefore : issuedBefore,
+      expiresAt: existing && existing.expiresAt > expiresAt ? existing.expiresAt : expiresAt
+    });
+  }
+
+  async getUserRevokedBefore(userId, now = new Date()) {
+    const entry = this.users.get(String(userId));
+    return entry && entry.expiresAt > now ? entry.issuedBefore : null;
+  }
+
+  async deleteExpired(now = new Date()) {
+    let deleted = 0;
+
+    for (const [jti, expiresAt] of this.tokens) {
+      if (expiresAt <= now) {
+        this.tokens.delete(jti);
+        deleted++;
+      }
+    }
+    for (const [userId, entry] of this.users) {
+      if (entry.expiresAt <= now) {
+        this.users.delete(userId);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async clear() {
+    this.tokens.clear();
+    this.users.clear();
+  }
+}
+
+module.exports = { MemoryTokenRevocationStore };
@@ -0,0 +1,131 @@
+/**
+ * RefreshTokenStore Interface
+ *
+ * JWTUtils keeps one record per refresh token it issues, so tokens can be
+ * rotated, revoked and checked for reuse. Adapters extend this class and
+ * implement the same async methods.
+ *
+ * Records look like:
+ *   {
+ *     jti,          // Token ID (the JWT "jti" claim)
+ *     familyId,     // Shared by every token rotated from the same login
+ *     userId,
+ *     createdAt,
+ *     expiresAt,
+ *     usedAt,       // Set when the token is exchanged for a new pair
+ *     replacedBy,   // jti of the token issued in exchange
+ *     revokedAt     // Set on logout or when reuse is detected
+ *   }
+ *
+ * Each family is one login on one device - a session. Sessions look like:
+ *   {
+ *     id,           // The family ID
+ *     userId,
+ *     deviceName,   // Set by the user, null until renamed
+ *     userAgent,    // From the latest login or refresh
+ *     ip,           // From the latest login or refresh
+ *     createdAt,
+ *     lastUsedAt,   // Last login or refresh - drives the idle timeout
+ *     expiresAt,    // Expiry of the newest refresh token
+ *     revokedAt     // Set together with the family's tokens
+ *   }
+ */
+
+class RefreshTokenStore {
+  /**
+   * Save a newly issued token
+   * @param {Object} record - Token record
+   * @returns {Promise<void>}
+   */
+  async save(record) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Find a token by ID
+   * @param {string} jti - Token ID
+   * @returns {Promise<Object|null>} Token record or null
+   */
+  async find(jti) {
+    throw new Error(`${this.constructor.name} does not implement find()`);
+  }
+
+  /**
+   * Mark a token as used, but only if it hasn't been used or revoked yet.
+   * Must be atomic (e.g. UPDATE ... WHERE used_at IS NULL) so two requests
+   * racing with the same token can't both win.
+   * @param {string} jti - Token ID
+   * @param {string} replacedBy - ID of the token issued in exchange
+   * @returns {Promise<boolean>} True if this call marked it
+   */
+  async markUsed(jti, replacedBy) {
+    throw new Error(`${this.constructor.name} does not implement markUsed()`);
+  }
+
+  /**
+   * Revoke every token in a family, and the family's session
+   * @param {string} familyId - Token family ID
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeFamily(familyId) {
+    throw new Error(`${this.constructor.name} does not implement revokeFamily()`);
+  }
+
+  /**
+   * Save a new session
+   * @param {Object} session - Session record
+   * @returns {Promise<void>}
+   */
+  async saveSession(session) {
+    throw new Error(`${this.constructor.name} does not implement saveSession()`);
+  }
+
+  /**
+   * Find a session by ID
+   * @param {string} sessionId - Session (family) ID
+   * @returns {Promise<Object|null>} Session record or null
+   */
+  async findSession(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement findSession()`);
+  }
+
+  /**
+   * Update fields on a session
+   * @param {string} sessionId - Session (family) ID
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<Object|null>} Updated session, or null if not found
+   */
+  async updateSession(sessionId, changes) {
+    throw new Error(`${this.constructor.name} does not implement updateSession()`);
+  }
+
+  /**
+   * List a user's sessions that haven't been revoked or expired
+   * @param {string|number} userId - User ID
+   * @returns {Promise<Object[]>} Session records
+   */
+  async listSessions(userId) {
+    throw new Error(`${this.constructor.name} does not implement listSessions()`);
+  }
+
+  /**
+   * Remove tokens and sessions past their expiry. With idleBefore, sessions
+   * last used before it are removed too, together with their tokens.
+   * @param {Date} [now] - Current time
+   * @param {Date} [idleBefore] - Idle cut-off (now minus the idle timeout)
+   * @returns {Promise<number>} Number of tokens removed
+   */
+  async deleteExpired(now, idleBefore) {
+    throw new Error(`${this.constructor.name} does not implement deleteExpired()`);
+  }
+
+  /**
+   * Remove every token and session (for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+}
+
+module.exports = { RefreshTokenStore };
@@ -0,0 +1,73 @@
+/**
+ * TokenRevocationStore Interface
+ *
+ * Access tokens are stateless, so logging out can't delete them. Instead
+ * JWTUtils records what has been revoked and checks it on every request:
+ * - A denylist of token IDs (the "jti" claim) - one session logged out
+ * - A per-user "tokens issued before" time - every session logged out
+ *   (logout everywhere, password change)
+ *
+ * Entries only need to live as long as the tokens they block, so each one
+ * has an expiresAt. Adapters should drop expired entries on their own (a
+ * TTL in Redis, or deleteExpired() on writes like the memory store).
+ */
+
+class TokenRevocationStore {
+  /**
+   * Deny a single token until it expires
+   * @param {string} jti - Token ID
+   * @param {Date} expiresAt - When the token expires anyway
+   * @returns {Promise<void>}
+   */
+  async revokeToken(jti, expiresAt) {
+    throw new Error(`${this.constructor.name} does not implement revokeToken()`);
+  }
+
+  /**
+   * Check the denylist
+   * @param {string} jti - Token ID
+   * @returns {Promise<boolean>} True if the token was revoked
+   */
+  async isTokenRevoked(jti) {
+    throw new Error(`${this.constructor.name} does not implement isTokenRevoked()`);
+  }
+
+  /**
+   * Revoke every token a user was issued before a point in time.
+   * An earlier time must never replace a later one.
+   * @param {string|number} userId - User ID (the "sub" claim)
+   * @param {Date} issuedBefore - Tokens issued before this are revoked
+   * @param {Date} expiresAt - When the last of those tokens expires anyway
+   * @returns {Promise<void>}
+   */
+  async revokeUserTokens(userId, issuedBefore, expiresAt) {
+    throw new Error(`${this.constructor.name} does not implement revokeUserTokens()`);
+  }
+
+  /**
+   * Get a user's "tokens issued before" time
+   * @param {string|number} userId - User ID
+   * @returns {Promise<Date|null>} Cut-off time, or null if none is active
+   */
+  async getUserRevokedBefore(userId) {
+    throw new Error(`${this.constructor.name} does not implement getUserRevokedBefore()`);
+  }
+
+  /**
+   * Remove entries past their expiry
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async deleteExpired() {
+    throw new Error(`${this.constructor.name} does not implement deleteExpired()`);
+  }
+
+  /**
+   * Remove every entry (for testing)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+}
+
+module.exports = { TokenRevocationStore };
@@ -0,0 +1,25 @@
+/**
+ * Token Stores
+ *
+ * Pass stores to JWTUtils with
+ * `new JWTUtils({ refreshTokenStore, revocationStore })`, and an API key
+ * store to `new ApiKeyService({ store })`.
+ * To add your own (Postgres, Redis, ...), extend RefreshTokenStore,
+ * TokenRevocationStore or ApiKeyStore.
+ */
+
+const { RefreshTokenStore } = require('./RefreshTokenStore');
+const { MemoryRefreshTokenStore } = require('./MemoryRefreshTokenStore');
+const { TokenRevocationStore } = require('./TokenRevocationStore');
+const { MemoryTokenRevocationStore } = require('./MemoryTokenRevocationStore');
+const { ApiKeyStore } = require('./ApiKeyStore');
+const { MemoryApiKeyStore } = require('./MemoryApiKeyStore');
+
+module.exports = {
+  RefreshTokenStore,
+  MemoryRefreshTokenStore,
+  TokenRevocationStore,
+  MemoryTokenRevocationStore,
+  ApiKeyStore,
+  MemoryApiKeyStore
+};
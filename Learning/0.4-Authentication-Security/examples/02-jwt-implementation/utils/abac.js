@@ -0,0 +1,65 @@
+/**
+ * Attribute-Based Access Control (ABAC) for Express
+ *
+ * Roles (see rbac.js) answer "may this kind of user do this at all?".
+ * Some rules also depend on the record itself - "users can cancel an order
+ * only if they own it and it is still pending". Those are written as
+ * policy rules over the subject (req.user), the resource and the action.
+ *
+ * The policy engine is shared with the Next.js app (src/lib/auth/abac.js);
+ * this file adds the Express middleware.
+ */
+
+const { createPolicy, formatDecision } = require('../../../../../src/lib/auth/abac');
+const logger = require('./logger');
+
+/**
+ * Express middleware that checks an action against a policy. Must run
+ * after the middleware that sets req.user.
+ *
+ *   authorize(orderPolicy, 'order:cancel', { resource: req => findOrder(req.params.id) })
+ *
+ * A missing resource is a 404. A denial is a 403 that includes the
+ * decision trace outside production, so you can see which condition
+ * failed. On success the decision is left on req.decision.
+ *
+ * @param {Object} policy - From createPolicy()
+ * @param {string} action - e.g. 'order:cancel'
+ * @param {Object} [options]
+ * @param {Function} [options.resource] - (req) => the record being acted on (may be async)
+ * @param {Function} [options.context] - (req) => extra attributes, e.g. the time or IP
+ * @returns {Function} Express middleware
+ */
+function authorize(policy, action, { resource, context } = {}) {
+  return async (req, res, next) => {
+    try {
+      const record = resource ? await resource(req) : undefined;
+      if (resource && !record) {
+        return res.status(404).json({ error: 'Not found' });
+      }
+
+      const decision = policy.evaluate({
+        subject: req.user,
+        action,
+        resource: record,
+        context: context ? context(req) : {}
+      });
+
+      if (!decision.allowed) {
+        logger.debug('Access denied', { userId: req.user.sub, trace: formatDecision(decision) });
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: decision.reason,
+          ...(process.env.NODE_ENV !== 'production' && { trace: decision.trace })
+        });
+      }
+
+      req.decision = decision;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = { createPolicy, formatDecision, authorize };
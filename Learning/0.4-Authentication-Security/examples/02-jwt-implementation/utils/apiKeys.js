@@ -0,0 +1,253 @@
+/**
+ * API Keys for Machine Clients
+ *
+ * Scripts and other servers can't type a password, so users create API
+ * keys for them:
+ * - Keys look like `sk_3f9c2a7e1b4d8c60_<43 random characters>`. The prefix
+ *   makes them easy to spot in logs and secret scanners, and the middle
+ *   part is the key ID, used to look the key up and shown in listings
+ * - Only a SHA-256 hash is stored - the full key is shown once, at creation
+ * - Each key is limited to scopes: permissions in the same
+ *   `resource:action[:own]` form as config/rbac-policy.yaml. A key can't
+ *   have a scope its owner's role doesn't grant, and RBACPolicy checks
+ *   both the role and the key's scopes on every request
+ * - Keys can expire, and can be revoked at any time
+ *
+ * The middleware accepts `Authorization: ApiKey <key>` or `X-API-Key: <key>`
+ * and sets req.user in the same shape as a verified access token, plus
+ * `type: 'api_key'`, `keyId` and `scopes`.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { parsePermission } = require('./rbac');
+const { MemoryApiKeyStore } = require('../stores');
+
+const MAX_EXPIRY_DAYS = 365;
+const MAX_NAME_LENGTH = 64;
+
+class ApiKeyError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {string} code - INVALID_API_KEY, API_KEY_EXPIRED, API_KEY_REVOKED or INVALID_REQUEST
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+  }
+}
+
+class ApiKeyService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getUserById - async (id) => user or null
+   * @param {ApiKeyStore} [options.store] - Where key records live
+   * @param {RBACPolicy} [options.rbac] - Keeps scopes within the owner's permissions
+   * @param {string} [options.prefix='sk'] - Identifies our keys (API_KEY_PREFIX)
+   */
+  constructor({ getUserById, store, rbac = null, prefix } = {}) {
+    this.getUserById = getUserById;
+    this.store = store || new MemoryApiKeyStore();
+    this.rbac = rbac;
+    this.prefix = prefix || process.env.API_KEY_PREFIX || 'sk';
+
+    if (!/^[a-z0-9]+$/.test(this.prefix)) {
+      throw new Error('API key prefix must be lowercase letters and digits');
+    }
+    this.keyPattern = new RegExp(`^${this.prefix}_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$`);
+  }
+
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Create a key for a user
+   * @param {Object} user - Owner, with id and role
+   * @param {Object} options
+   * @param {string} options.name - Label, e.g. "CI deploy"
+   * @param {string[]} options.scopes - Permissions the key may use
+   * @param {number} [options.expiresInDays] - Omit for a key that doesn't expire
+   * @returns {Promise<{key: string, apiKey: Object}>} The key (shown once) and its details
+   * @throws {ApiKeyError} INVALID_REQUEST for a bad name, scope or expiry
+   */
+  async create(user, { name, scopes, expiresInDays } = {}) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      throw new ApiKeyError(`name must be 1-${MAX_NAME_LENGTH} characters`, 'INVALID_REQUEST');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ApiKeyError('scopes must be a non-empty array of permissions', 'INVALID_REQUEST');
+    }
+    for (const scope of scopes) {
+      try {
+        parsePermission(scope);
+      } catch (error) {
+        throw new ApiKeyError(error.message, 'INVALID_REQUEST');
+      }
+      if (this.rbac && !this.rbac.can(user, scope)) {
+        throw new ApiKeyError(`Your role does not grant ${scope}`, 'INVALID_REQUEST');
+      }
+    }
+    if (expiresInDays !== undefined &&
+        !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+      throw new ApiKeyError(`expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`, 'INVALID_REQUEST');
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const key = `${this.prefix}_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date();
+    const record = {
+      id,
+      userId: user.id,
+      name: name.trim(),
+      keyHash: this.hash(key),
+      scopes: [...new Set(scopes)],
+      createdAt: now,
+      expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    await this.store.save(record);
+    logger.info('API key created', { userId: user.id, keyId: id, scopes: record.scopes });
+
+    return { key, apiKey: this.toPublic(record) };
+  }
+
+  /**
+   * Key details that are safe to show - never the hash
+   * @param {Object} record - Key record
+   * @returns {Object} Public key details
+   */
+  toPublic(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      prefix: `${this.prefix}_${record.id}`,
+      scopes: record.scopes,
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt,
+      lastUsedAt: record.lastUsedAt,
+      revokedAt: record.revokedAt
+    };
+  }
+
+  /**
+   * List a user's keys
+   * @param {string|number} userId - User ID
+   * @returns {Promise<Object[]>} Public key details, newest first
+   */
+  async list(userId) {
+    const records = await this.store.listByUser(userId);
+    return records.map(record => this.toPublic(record));
+  }
+
+  /**
+   * Revoke one of a user's keys. Another user's key ID is treated as unknown.
+   * @param {string|number} userId - Owner
+   * @param {string} id - Key ID
+   * @returns {Promise<boolean>} True if the key was revoked
+   */
+  async revoke(userId, id) {
+    const record = await this.store.find(id);
+    if (!record || String(record.userId) !== String(userId)) {
+      return false;
+    }
+
+    const revoked = await this.store.revoke(id);
+    if (revoked) {
+      logger.info('API key revoked', { userId, keyId: id });
+    }
+    return revoked;
+  }
+
+  /**
+   * Check a key and build the req.user it acts as
+   * @param {string} key - Full API key from the request
+   * @returns {Promise<Object>} { sub, email, role, name, type: 'api_key', keyId, scopes }
+   * @throws {ApiKeyError} INVALID_API_KEY, API_KEY_EXPIRED or API_KEY_REVOKED
+   */
+  async verify(key) {
+    const match = this.keyPattern.exec(key);
+    const record = match && await this.store.find(match[1]);
+
+    // Same answer for a malformed key, an unknown ID and a wrong secret
+    const expected = record ? Buffer.from(record.keyHash, 'hex') : null;
+    const actual = Buffer.from(this.hash(key), 'hex');
+    if (!expected || !crypto.timingSafeEqual(actual, expected)) {
+      throw new ApiKeyError('API key is invalid', 'INVALID_API_KEY');
+    }
+
+    if (record.revokedAt) {
+      throw new ApiKeyError('API key has been revoked', 'API_KEY_REVOKED');
+    }
+    if (record.expiresAt && record.expiresAt <= new Date()) {
+      throw new ApiKeyError('API key has expired', 'API_KEY_EXPIRED');
+    }
+
+    const user = await this.getUserById(record.userId);
+    if (!user) {
+      throw new ApiKeyError('API key is invalid', 'INVALID_API_KEY');
+    }
+
+    await this.store.touch(record.id, new Date());
+
+    return {
+      sub: user.id,
+      email: user.email,
+      role: user.role,
+      name: user.name,
+      type: 'api_key',
+      keyId: record.id,
+      scopes: record.scopes
+    };
+  }
+
+  /**
+   * Read the key from `Authorization: ApiKey <key>` or `X-API-Key`
+   * @param {Object} req - Express request
+   * @returns {string|null} Key, or null if neither header is present
+   */
+  extractKeyFromRequest(req) {
+    const [scheme, key] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'ApiKey' && key) {
+      return key;
+    }
+    return req.get('x-api-key') || null;
+  }
+
+  /**
+   * Express middleware that authenticates the request with an API key
+   * @returns {Function} Express middleware
+   */
+  authenticate() {
+    return async (req, res, next) => {
+      const key = this.extractKeyFromRequest(req);
+      if (!key) {
+        return res.status(401).json({
+          error: 'Access denied',
+          message: 'No API key provided. Send Authorization: ApiKey <key> or X-API-Key.'
+        });
+      }
+
+      try {
+        req.user = await this.verify(key);
+      } catch (error) {
+        if (!(error instanceof ApiKeyError)) {
+          return next(error);
+        }
+        logger.warn('API key rejected', { code: error.code, ip: req.ip });
+        return res.status(401).json({
+          error: 'Invalid API key',
+          code: error.code,
+          message: error.message
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = { ApiKeyService, ApiKeyError };
@@ -0,0 +1,90 @@
+const path = require('path');
+const logger = require('./logger');
+const { ApiKeyService } = require('./apiKeys');
+const { RBACPolicy } = require('./rbac');
+
+const rbac = new RBACPolicy(RBACPolicy.readFile(path.join(__dirname, '../config/rbac-policy.yaml')));
+const users = new Map([
+  [1, { id: 1, email: 'user@example.com', role: 'user', name: 'User' }],
+  [2, { id: 2, email: 'admin@example.com', role: 'admin', name: 'Admin' }]
+]);
+
+function createService() {
+  return new ApiKeyService({ getUserById: async id => users.get(id) || null, rbac, prefix: 'sk' });
+}
+
+beforeAll(() => {
+  for (const level of ['error', 'warn', 'info']) {
+    jest.spyOn(logger, level).mockImplementation(() => {});
+  }
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('create', () => {
+  test('returns the key once and stores only its hash', async () => {
+    const service = createService();
+    const { key, apiKey } = await service.create(users.get(2), { name: 'CI', scopes: ['orders:read'] });
+
+    expect(key).toMatch(/^sk_[0-9a-f]{16}_[A-Za-z0-9_-]{43}$/);
+    expect(apiKey.prefix).toBe(key.slice(0, 19));
+    expect(apiKey).not.toHaveProperty('keyHash');
+
+    const record = await service.store.find(apiKey.id);
+    expect(record.keyHash).toBe(service.hash(key));
+    expect(JSON.stringify(record)).not.toContain(key);
+  });
+
+  test('refuses a scope the owner\'s role does not grant', async () => {
+    await expect(createService().create(users.get(1), { name: 'CI', scopes: ['products:write'] }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+
+  test('refuses a malformed scope', async () => {
+    await expect(createService().create(users.get(2), { name: 'CI', scopes: ['orders'] }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+});
+
+describe('verify', () => {
+  test('acts as the owner, limited to the key\'s scopes', async () => {
+    const service = createService();
+    const { key } = await service.create(users.get(2), { name: 'CI', scopes: ['orders:read'] });
+
+    const user = await service.verify(key);
+
+    expect(user).toMatchObject({ sub: 2, role: 'admin', type: 'api_key', scopes: ['orders:read'] });
+    expect(rbac.can(user, 'orders:read')).toBe(true);
+    expect(rbac.can(user, 'orders:delete')).toBe(false);
+  });
+
+  test('rejects a wrong secret for a real key ID', async () => {
+    const service = createService();
+    const { key } = await service.create(users.get(2), { name: 'CI', scopes: ['orders:read'] });
+    const tampered = key.slice(0, -1) + (key.endsWith('A') ? 'B' : 'A');
+
+    await expect(service.verify(tampered)).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+    await expect(service.verify('not-a-key')).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+  });
+
+  test('rejects a revoked key', async () => {
+    const service = createService();
+    const { key, apiKey } = await service.create(users.get(2), { name: 'CI', scopes: ['orders:read'] });
+
+    await expect(service.revoke(1, apiKey.id)).resolves.toBe(false); // not theirs
+    await expect(service.revoke(2, apiKey.id)).resolves.toBe(true);
+
+    await expect(service.verify(key)).rejects.toMatchObject({ code: 'API_KEY_REVOKED' });
+  });
+
+  test('rejects an expired key', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const service = createService();
+    const { key } = await service.create(users.get(2), { name: 'CI', scopes: ['orders:read'], expiresInDays: 1 });
+
+    jest.setSystemTime(new Date('2026-01-02T00:00:01Z'));
+    await expect(service.verify(key)).rejects.toMatchObject({ code: 'API_KEY_EXPIRED' });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Cookie Session Mode
+ *
+ * An alternative to sending tokens in the Authorization header: the
+ * server keeps both tokens in cookies the browser's JavaScript can't read.
+ * - access_token   HttpOnly; Secure; SameSite, sent to every route
+ * - refresh_token  HttpOnly; Secure; SameSite, only sent to the refresh
+ *   and logout routes (Path), so it travels as rarely as possible
+ * - csrf_token     readable by JavaScript, echoed back in X-CSRF-Token
+ *
+ * Because the browser attaches cookies to every request - including ones a
+ * malicious site triggers - state-changing requests must prove they come
+ * from our own page. This uses signed double-submit CSRF tokens:
+ * `nonce.HMAC(sessionId.nonce)`. An attacker can't read the cookie to copy
+ * it into the header, and can't mint a valid token for your session even
+ * if they manage to plant a cookie.
+ *
+ * The Next.js app (src/lib/auth) reads the same cookies and checks the same
+ * CSRF tokens, so both servers can share a login on one site.
+ */
+
+const crypto = require('crypto');
+const { parseCookies } = require('./cookies');
+const logger = require('./logger');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const DEFAULT_COOKIE_NAMES = {
+  access: 'access_token',
+  refresh: 'refresh_token',
+  csrf: 'csrf_token'
+};
+
+class CookieSession {
+  /**
+   * @param {JWTUtils} tokenService - Issues, verifies and rotates the tokens
+   * @param {Object} [options]
+   * @param {string} [options.csrfSecret] - HMAC key for CSRF tokens (CSRF_SECRET)
+   * @param {boolean} [options.secure=true] - Secure flag (COOKIE_SECURE=false for plain http)
+   * @param {string} [options.sameSite='Strict'] - Strict, Lax or None (COOKIE_SAME_SITE)
+   * @param {string} [options.refreshPath='/auth/cookie'] - Only requests under this path get the refresh cookie
+   * @param {string} [options.domain] - Share the cookies with subdomains (COOKIE_DOMAIN)
+   */
+  constructor(tokenService, options = {}) {
+    this.tokenService = tokenService;
+    this.csrfSecret = options.csrfSecret || process.env.CSRF_SECRET || 'fallback-csrf-secret-change-in-production';
+    this.secure = options.secure ?? process.env.COOKIE_SECURE !== 'false';
+    this.sameSite = options.sameSite || process.env.COOKIE_SAME_SITE || 'Strict';
+    this.refreshPath = options.refreshPath || '/auth/cookie';
+    this.domain = options.domain || process.env.COOKIE_DOMAIN || undefined;
+    this.names = { ...DEFAULT_COOKIE_NAMES, access: tokenService.accessCookieName };
+
+    if (this.sameSite.toLowerCase() === 'none' && !this.secure) {
+      throw new Error('SameSite=None cookies must also be Secure');
+    }
+    if (this.csrfSecret.includes('fallback')) {
+      logger.warn('CSRF secret is using the fallback. Set CSRF_SECRET environment variable.');
+    }
+  }
+
+  cookieOptions(path, maxAgeSeconds, httpOnly = true) {
+    return {
+      httpOnly,
+      secure: this.secure,
+      sameSite: this.sameSite.toLowerCase(),
+      path,
+      domain: this.domain,
+      maxAge: maxAgeSeconds * 1000
+    };
+  }
+
+  /**
+   * Set the token cookies after login or refresh
+   * @param {Object} res - Express response
+   * @param {Object} tokens - From JWTUtils.generateTokenPair()
+   * @returns {string} CSRF token (also set as a cookie) for the client to send back
+   */
+  setTokens(res, tokens) {
+    const refreshMaxAge = this.tokenService.parseExpirationTime(this.tokenService.refreshExpiresIn);
+    const csrfToken = this.createCsrfToken(tokens.sessionId);
+
+    res.cookie(this.names.access, tokens.accessToken,
+      this.cookieOptions('/', this.tokenService.parseExpirationTime(this.tokenService.accessExpiresIn)));
+    res.cookie(this.names.refresh, tokens.refreshToken,
+      this.cookieOptions(this.refreshPath, refreshMaxAge));
+    // Lives as long as the session, so the page can keep reading it
+    res.cookie(this.names.csrf, csrfToken,
+      this.cookieOptions('/', refreshMaxAge, false));
+
+    return csrfToken;
+  }
+
+  /**
+   * Remove all three cookies (logout, or a refresh that failed)
+   * @param {Object} res - Express response
+   */
+  clear(res) {
+    const { maxAge, ...options } = this.cookieOptions('/', 0);
+    res.clearCookie(this.names.access, options);
+    res.clearCookie(this.names.refresh, { ...options, path: this.refreshPath });
+    res.clearCookie(this.names.csrf, { ...options, httpOnly: false });
+  }
+
+  /**
+   * @param {Object} req - Express request
+   * @returns {string|null} Refresh token from its cookie
+   */
+  readRefreshToken(req) {
+    return parseCookies(req.headers.cookie)[this.names.refresh] || null;
+  }
+
+  sign(sessionId, nonce) {
+    return crypto.createHmac('sha256', this.csrfSecret).update(`${sessionId}.${nonce}`).digest('base64url');
+  }
+
+  /**
+   * Create a CSRF token bound to a session
+   * @param {string} sessionId - Session (token family) ID
+   * @returns {string} `nonce.signature`
+   */
+  createCsrfToken(sessionId) {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    return `${nonce}.${this.sign(sessionId, nonce)}`;
+  }
+
+  /**
+   * Check a CSRF token was issued for this session
+   * @param {string} token - Token from the X-CSRF-Token header
+   * @param {string} sessionId - Session the request is authenticated as
+   * @returns {boolean} True if valid
+   */
+  isValidCsrfToken(token, sessionId) {
+    const [nonce, signature] = String(token || '').split('.');
+    if (!nonce || !signature || !sessionId) {
+      return false;
+    }
+    const expected = Buffer.from(this.sign(sessionId, nonce));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Find the session a cookie-authenticated request belongs to: the
+   * access token's `sid`, or (for refresh and logout, where the access
+   * token may have expired) the refresh token's family
+   */
+  sessionIdFor(req) {
+    if (req.user && req.user.sid) {
+      return req.user.sid;
+    }
+
+    const refreshToken = this.readRefreshToken(req);
+    if (!refreshToken) {
+      return null;
+    }
+    try {
+      return this.tokenService.verifyRefreshToken(refreshToken).fid;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Express middleware that rejects state-changing requests without a
+   * valid CSRF token. Requests authenticated with the Authorization header
+   * (req.authSource === 'header') are let through - a browser never adds
+   * that header on its own.
+   * @returns {Function} Express middleware
+   */
+  csrfProtection() {
+    return (req, res, next) => {
+      if (SAFE_METHODS.includes(req.method) || req.authSource === 'header') {
+        return next();
+      }
+
+      const headerToken = req.get('x-csrf-token');
+      const cookieToken = parseCookies(req.headers.cookie)[this.names.csrf];
+      const valid = Boolean(headerToken) &&
+        headerToken === cookieToken &&
+        this.isValidCsrfToken(headerToken, this.sessionIdFor(req));
+
+      if (!valid) {
+        logger.warn('CSRF check failed', { path: req.path, ip: req.ip, hasHeader: Boolean(headerToken) });
+        return res.status(403).json({
+          error: 'Invalid CSRF token',
+          code: 'CSRF_TOKEN_INVALID',
+          message: 'Send the csrf_token cookie value in the X-CSRF-Token header'
+        });
+      }
+      next();
+    };
+  }
+}
+
+module.exports = { CookieSession };
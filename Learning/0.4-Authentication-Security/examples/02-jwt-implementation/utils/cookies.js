@@ -0,0 +1,38 @@
+/**
+ * Cookie Parsing
+ *
+ * Express sets cookies with res.cookie() but doesn't parse them without
+ * the cookie-parser package - this is all the parsing we need.
+ */
+
+/**
+ * Parse a Cookie header into an object. The first occurrence of a name
+ * wins, as browsers send the most specific cookie first.
+ * @param {string} [header] - Cookie header value
+ * @returns {Object} Cookie name -> value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) {
+      continue;
+    }
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+module.exports = { parseCookies };
@@ -5,11 +5,39 @@
  * - Token generation (access and refresh tokens)
  * - Token verification
  * - Token decoding
+ * - Refresh token rotation with reuse detection
+ * - Access token revocation (logout, logout everywhere)
+ * - Sessions per device, with an idle timeout
+ * - Asymmetric access tokens (RS256/ES256/EdDSA) with key rotation and a JWKS
+ * - Reading tokens from the Authorization header or a cookie
  * - Error handling
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const logger = require('./logger');
+const { MemoryRefreshTokenStore, MemoryTokenRevocationStore } = require('../stores');
+const { KeyRing } = require('./keys');
+const { parseCookies } = require('./cookies');
+
+/**
+ * Build the key ring for an asymmetric algorithm from the environment:
+ * PEM files from JWT_KEYS_DIR, or a key generated in memory
+ * @param {string} algorithm - RS256, ES256 or EdDSA
+ * @returns {KeyRing} Key ring
+ */
+function loadKeyRing(algorithm) {
+  if (process.env.JWT_KEYS_DIR) {
+    return KeyRing.fromDirectory(process.env.JWT_KEYS_DIR, algorithm, process.env.JWT_SIGNING_KID);
+  }
+
+  logger.warn('No JWT_KEYS_DIR set - generated a signing key in memory. Tokens will not verify after a restart.');
+  return KeyRing.generate(algorithm);
+}
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
 
 class JWTUtils {
   constructor(options = {}) {
@@ -20,9 +48,25 @@ class JWTUtils {
     this.refreshExpiresIn = options.refreshExpiresIn || process.env.JWT_REFRESH_EXPIRES_IN || '7d';
     this.issuer = options.issuer || 'jwt-auth-app';
     this.audience = options.audience || 'jwt-auth-users';
+    // Where issued refresh tokens are tracked for rotation and revocation
+    this.refreshTokenStore = options.refreshTokenStore || new MemoryRefreshTokenStore();
+    // Revoked access tokens (by jti) and per-user "issued before" cut-offs
+    this.revocationStore = options.revocationStore || new MemoryTokenRevocationStore();
+    // A session (token family) unused for this long can't be refreshed
+    this.sessionIdleTimeout = options.sessionIdleTimeout || process.env.JWT_SESSION_IDLE_TIMEOUT || '3d';
+    // Cookie holding the access token in cookie mode (see cookieSession.js)
+    this.accessCookieName = options.accessCookieName || 'access_token';
+
+    // Access tokens: HS256 with the shared secret, or an asymmetric algorithm
+    // so other services can verify them from the public JWKS. Refresh tokens
+    // stay HS256 - only this service ever reads them.
+    this.algorithm = options.algorithm || process.env.JWT_ALGORITHM || 'HS256';
+    this.keyRing = this.algorithm === 'HS256'
+      ? null
+      : options.keyRing || loadKeyRing(this.algorithm);
 
     // Warn about weak secrets in development
-    if (this.accessSecret.includes('fallback') || this.accessSecret.length < 32) {
+    if (!this.keyRing && (this.accessSecret.includes('fallback') || this.accessSecret.length < 32)) {
       logger.warn('JWT secret is weak or using fallback. Set JWT_SECRET environment variable.');
     }
   }
@@ -30,23 +74,29 @@ class JWTUtils {
   /**
    * Generate access token with user data
    * @param {Object} user - User object with id, email, role, etc.
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Session the token belongs to
    * @returns {string} JWT access token
    */
-  generateAccessToken(user) {
+  generateAccessToken(user, { sessionId } = {}) {
     try {
       const payload = {
         sub: user.id,           // Subject (user ID)
         email: user.email,      // User email
         role: user.role,        // User role for authorization
         name: user.name,        // User name for display
-        type: 'access'          // Token type
+        type: 'access',         // Token type
+        iat_ms: Date.now()      // Issue time in ms - iat only has seconds
       };
+      if (sessionId) {
+        payload.sid = sessionId; // Revoking the session revokes this token too
+      }
 
-      const token = jwt.sign(payload, this.accessSecret, {
+      const token = this.signAccessToken(payload, {
         expiresIn: this.accessExpiresIn,
         issuer: this.issuer,
         audience: this.audience,
-        algorithm: 'HS256'
+        jwtid: crypto.randomUUID() // Lets this one token be revoked
       });
 
       logger.info('Access token generated', { 
@@ -63,64 +113,133 @@ class JWTUtils {
   }
 
   /**
-   * Generate refresh token with minimal data
+   * Generate refresh token with minimal data and record it in the store
    * @param {Object} user - User object
-   * @returns {string} JWT refresh token
+   * @param {Object} [options]
+   * @param {string} [options.familyId] - Family to join (omit to start a new one at login)
+   * @param {string} [options.jti] - Token ID to use (defaults to a random UUID)
+   * @param {Object} [options.context] - Device details for the session
+   * @param {string} [options.context.userAgent] - User-Agent header
+   * @param {string} [options.context.ip] - Client IP address
+   * @returns {Promise<string>} JWT refresh token
    */
-  generateRefreshToken(user) {
+  async generateRefreshToken(user, {
+    familyId = crypto.randomUUID(),
+    jti = crypto.randomUUID(),
+    context = {}
+  } = {}) {
+    let token;
     try {
       const payload = {
         sub: user.id,
-        type: 'refresh'
+        type: 'refresh',
+        fid: familyId,          // Token family, shared across rotations
+        iat_ms: Date.now()      // Issue time in ms - iat only has seconds
       };
 
-      const token = jwt.sign(payload, this.refreshSecret, {
+      token = jwt.sign(payload, this.refreshSecret, {
         expiresIn: this.refreshExpiresIn,
         issuer: this.issuer,
         audience: this.audience,
-        algorithm: 'HS256'
+        algorithm: 'HS256',
+        jwtid: jti              // Unique token ID
       });
-
-      logger.info('Refresh token generated', { 
-        userId: user.id,
-        expiresIn: this.refreshExpiresIn
-      });
-
-      return token;
     } catch (error) {
       logger.error('Error generating refresh token:', error);
       throw new Error('Failed to generate refresh token');
     }
+
+    const { iat, exp } = jwt.decode(token);
+    await this.refreshTokenStore.save({
+      jti,
+      familyId,
+      userId: user.id,
+      createdAt: new Date(iat * 1000),
+      expiresAt: new Date(exp * 1000),
+      usedAt: null,
+      replacedBy: null,
+      revokedAt: null
+    });
+    await this.recordSessionUse(user, familyId, new Date(exp * 1000), context);
+
+    logger.info('Refresh token generated', {
+      userId: user.id,
+      familyId,
+      expiresIn: this.refreshExpiresIn
+    });
+
+    return token;
+  }
+
+  /**
+   * Start a session for a family, or update it on refresh
+   * @param {Object} user - User object
+   * @param {string} familyId - Token family (session) ID
+   * @param {Date} expiresAt - Expiry of the newest refresh token
+   * @param {Object} context - { userAgent, ip }
+   */
+  async recordSessionUse(user, familyId, expiresAt, { userAgent = null, ip = null }) {
+    const now = new Date();
+    const updated = await this.refreshTokenStore.updateSession(familyId, {
+      userAgent,
+      ip,
+      lastUsedAt: now,
+      expiresAt
+    });
+
+    if (!updated) {
+      // Sessions that went idle are only revoked when someone touches them,
+      // so sweep them out whenever a new one starts
+      const idleSeconds = this.parseExpirationTime(this.sessionIdleTimeout);
+      if (idleSeconds > 0) {
+        await this.refreshTokenStore.deleteExpired(now, new Date(now - idleSeconds * 1000));
+      }
+
+      await this.refreshTokenStore.saveSession({
+        id: familyId,
+        userId: user.id,
+        deviceName: null,
+        userAgent,
+        ip,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt,
+        revokedAt: null
+      });
+    }
   }
 
   /**
    * Generate both access and refresh tokens
    * @param {Object} user - User object
-   * @returns {Object} Object with accessToken and refreshToken
+   * @param {Object} [refreshOptions] - Passed to generateRefreshToken
+   * @returns {Promise<Object>} Object with accessToken and refreshToken
    */
-  generateTokenPair(user) {
-    const accessToken = this.generateAccessToken(user);
-    const refreshToken = this.generateRefreshToken(user);
+  async generateTokenPair(user, refreshOptions = {}) {
+    // Pick the family up front so the access token can name its session
+    const familyId = refreshOptions.familyId || crypto.randomUUID();
+    const accessToken = this.generateAccessToken(user, { sessionId: familyId });
+    const refreshToken = await this.generateRefreshToken(user, { ...refreshOptions, familyId });
 
     return {
       accessToken,
       refreshToken,
       tokenType: 'Bearer',
-      expiresIn: this.accessExpiresIn
+      expiresIn: this.accessExpiresIn,
+      sessionId: familyId
     };
   }
 
   /**
-   * Verify access token
+   * Verify access token, including whether it has been revoked
    * @param {string} token - JWT token to verify
-   * @returns {Object} Decoded token payload
+   * @returns {Promise<Object>} Decoded token payload
    */
-  verifyAccessToken(token) {
+  async verifyAccessToken(token) {
     try {
-      const decoded = jwt.verify(token, this.accessSecret, {
+      const decoded = this.verifyAccessTokenSignature(token, {
         issuer: this.issuer,
-        audience: this.audience,
-        algorithms: ['HS256']
+        audience: this.audience
       });
 
       // Ensure this is an access token
@@ -128,6 +247,10 @@ class JWTUtils {
         throw new Error('Invalid token type');
       }
 
+      if (await this.isRevoked(decoded)) {
+        throw this.createRefreshError('TokenRevokedError', 'Token has been revoked');
+      }
+
       return decoded;
     } catch (error) {
       logger.warn('Access token verification failed', { 
@@ -138,6 +261,105 @@ class JWTUtils {
     }
   }
 
+  /**
+   * Sign an access token with the secret or the current signing key
+   * @param {Object} payload - Token claims
+   * @param {Object} options - jsonwebtoken sign options (no algorithm)
+   * @returns {string} Signed JWT
+   */
+  signAccessToken(payload, options) {
+    if (!this.keyRing) {
+      return jwt.sign(payload, this.accessSecret, { ...options, algorithm: 'HS256' });
+    }
+
+    const key = this.keyRing.getSigningKey();
+    if (!key) {
+      throw new Error('No signing key configured');
+    }
+
+    if (key.algorithm !== 'EdDSA') {
+      return jwt.sign(payload, key.privateKey, {
+        ...options,
+        algorithm: key.algorithm,
+        keyid: key.kid          // Tells verifiers which public key to use
+      });
+    }
+
+    // jsonwebtoken can't sign EdDSA, so let it build the claims (exp, iss,
+    // aud...) unsigned and sign header.payload with Node's crypto instead
+    const [, claims] = jwt.sign(payload, null, { ...options, algorithm: 'none' }).split('.');
+    const header = base64UrlJson({ alg: 'EdDSA', typ: 'JWT', kid: key.kid });
+    const signature = crypto.sign(null, Buffer.from(`${header}.${claims}`), key.privateKey);
+    return `${header}.${claims}.${signature.toString('base64url')}`;
+  }
+
+  /**
+   * Check an access token's signature and standard claims
+   * @param {string} token - JWT to verify
+   * @param {Object} options - jsonwebtoken verify options (no algorithms)
+   * @returns {Object} Decoded token payload
+   */
+  verifyAccessTokenSignature(token, options) {
+    if (!this.keyRing) {
+      return jwt.verify(token, this.accessSecret, { ...options, algorithms: ['HS256'] });
+    }
+
+    // The kid picks the key and the key fixes the algorithm - the alg in
+    // the header is never trusted on its own
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && this.keyRing.getKey(decoded.header.kid);
+    if (!key || decoded.header.alg !== key.algorithm) {
+      throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+
+    if (key.algorithm !== 'EdDSA') {
+      return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
+    }
+
+    const [header, claims, signature = ''] = token.split('.');
+    const isValid = crypto.verify(
+      null,
+      Buffer.from(`${header}.${claims}`),
+      key.publicKey,
+      Buffer.from(signature, 'base64url')
+    );
+    if (!isValid) {
+      throw new jwt.JsonWebTokenError('invalid signature');
+    }
+
+    // Signature checked - reuse jsonwebtoken for exp, nbf, iss and aud
+    const unsigned = `${base64UrlJson({ alg: 'none', typ: 'JWT' })}.${claims}.`;
+    return jwt.verify(unsigned, undefined, { ...options, algorithms: ['none'] });
+  }
+
+  /**
+   * Public keys for verifying access tokens, as a JSON Web Key Set
+   * Serve this at /.well-known/jwks.json. Empty for HS256 - a shared
+   * secret must never be published.
+   * @returns {{keys: Object[]}} JWKS
+   */
+  getJWKS() {
+    return this.keyRing ? this.keyRing.toJWKS() : { keys: [] };
+  }
+
+  /**
+   * Start signing with a new key. The old key stays in the JWKS so tokens
+   * it signed keep working; remove it with keyRing.removeKey() once they
+   * have all expired (after accessExpiresIn).
+   * @param {Object} [keyOptions] - Key to add (see KeyRing.addKey); generated if omitted
+   * @returns {string} Key ID of the new signing key
+   */
+  rotateSigningKey(keyOptions) {
+    if (!this.keyRing) {
+      throw new Error('Key rotation needs an asymmetric algorithm (RS256, ES256 or EdDSA)');
+    }
+
+    const previousKid = this.keyRing.signingKid;
+    const kid = this.keyRing.rotate(keyOptions);
+    logger.info('JWT signing key rotated', { previousKid, kid });
+    return kid;
+  }
+
   /**
    * Verify refresh token
    * @param {string} token - JWT refresh token to verify
@@ -238,6 +460,12 @@ class JWTUtils {
         invalidError.statusCode = 403;
         return invalidError;
 
+      case 'TokenRevokedError':
+        const revokedError = new Error('Token has been revoked');
+        revokedError.name = 'TokenRevokedError';
+        revokedError.statusCode = 401;
+        return revokedError;
+
       case 'NotBeforeError':
         const notBeforeError = new Error('Token not active yet');
         notBeforeError.name = 'NotBeforeError';
@@ -271,30 +499,274 @@ class JWTUtils {
   }
 
   /**
-   * Refresh an access token using a refresh token
+   * Extract the access token from a request: the Authorization header, or
+   * failing that the access token cookie. The source matters - a cookie is
+   * sent by the browser automatically, so cookie-authenticated requests
+   * need CSRF protection and header-authenticated ones don't.
+   * @param {Object} req - Express request
+   * @returns {{token: string, source: 'header'|'cookie'}|null} Token and where it came from
+   */
+  extractTokenFromRequest(req) {
+    const headerToken = this.extractTokenFromHeader(req.headers.authorization);
+    if (headerToken) {
+      return { token: headerToken, source: 'header' };
+    }
+
+    const cookieToken = parseCookies(req.headers.cookie)[this.accessCookieName];
+    return cookieToken ? { token: cookieToken, source: 'cookie' } : null;
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation)
+   *
+   * Each refresh token works once. The new one joins the same family, so
+   * if an old token is ever presented again - meaning it was stolen, or
+   * the legitimate client is using a copy the attacker already swapped -
+   * the whole family is revoked and both parties have to log in again.
+   *
    * @param {string} refreshToken - Valid refresh token
    * @param {Function} getUserById - Function to get user by ID
-   * @returns {Object} New token pair
+   * @param {Object} [context] - Device details ({ userAgent, ip }) for the session
+   * @returns {Promise<Object>} New token pair
    */
-  async refreshTokens(refreshToken, getUserById) {
+  async refreshTokens(refreshToken, getUserById, context = {}) {
     try {
       // Verify the refresh token
       const decoded = this.verifyRefreshToken(refreshToken);
-      
+
+      // Signed by us but never recorded (or already cleaned up) counts as
+      // revoked, as does anything issued before a logout everywhere
+      const record = decoded.jti && await this.refreshTokenStore.find(decoded.jti);
+      if (!record || record.revokedAt || await this.isRevoked(decoded)) {
+        throw this.createRefreshError('RefreshTokenRevokedError', 'Refresh token has been revoked');
+      }
+
+      const session = await this.refreshTokenStore.findSession(record.familyId);
+      if (session && this.isSessionIdle(session)) {
+        await this.refreshTokenStore.revokeFamily(record.familyId);
+        logger.info('Idle session expired', { userId: record.userId, sessionId: record.familyId });
+        throw this.createRefreshError('RefreshTokenRevokedError', 'Session expired after inactivity');
+      }
+
+      // Claim the token before issuing anything. Losing the claim means it
+      // was already exchanged - by us a moment ago, or by someone else.
+      const nextJti = crypto.randomUUID();
+      const claimed = await this.refreshTokenStore.markUsed(record.jti, nextJti);
+      if (!claimed) {
+        await this.refreshTokenStore.revokeFamily(record.familyId);
+        logger.warn('Refresh token reuse detected - token family revoked', {
+          userId: record.userId,
+          familyId: record.familyId,
+          jti: record.jti
+        });
+        throw this.createRefreshError('RefreshTokenReuseError', 'Refresh token has already been used');
+      }
+
       // Get fresh user data
       const user = await getUserById(decoded.sub);
       if (!user) {
+        await this.refreshTokenStore.revokeFamily(record.familyId);
         throw new Error('User not found');
       }
 
-      // Generate new token pair
-      return this.generateTokenPair(user);
+      // Generate new token pair in the same family
+      return this.generateTokenPair(user, { familyId: record.familyId, jti: nextJti, context });
     } catch (error) {
-      logger.error('Token refresh failed:', error);
+      logger.error('Token refresh failed:', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Revoke the family a refresh token belongs to (logout)
+   * @param {string} refreshToken - Refresh token from the client
+   * @returns {Promise<boolean>} True if a family was revoked
+   */
+  async revokeRefreshToken(refreshToken) {
+    const decoded = this.verifyRefreshToken(refreshToken);
+    const record = decoded.jti && await this.refreshTokenStore.find(decoded.jti);
+    if (!record) {
+      return false;
+    }
+
+    const revoked = await this.refreshTokenStore.revokeFamily(record.familyId);
+    logger.info('Refresh token family revoked', {
+      userId: record.userId,
+      familyId: record.familyId
+    });
+    return revoked > 0;
+  }
+
+  /**
+   * Whether a session has gone unused for longer than the idle timeout
+   * @param {Object} session - Session record
+   * @param {Date} [now] - Current time
+   * @returns {boolean} True if the session is idle
+   */
+  isSessionIdle(session, now = new Date()) {
+    const idleSeconds = this.parseExpirationTime(this.sessionIdleTimeout);
+    return idleSeconds > 0 && now - session.lastUsedAt > idleSeconds * 1000;
+  }
+
+  /**
+   * List a user's active sessions (one per logged-in device)
+   * @param {string|number} userId - User ID
+   * @param {string} [currentSessionId] - Session of the caller (the sid claim)
+   * @returns {Promise<Object[]>} Sessions, most recently used first
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await this.refreshTokenStore.listSessions(userId);
+    const revokedBefore = await this.revocationStore.getUserRevokedBefore(userId);
+    const active = [];
+
+    for (const session of sessions) {
+      // Idle sessions, and ones from before a logout everywhere, can't be
+      // refreshed any more - clean them up as we go
+      const loggedOut = revokedBefore && session.lastUsedAt < revokedBefore;
+      if (loggedOut || this.isSessionIdle(session)) {
+        await this.refreshTokenStore.revokeFamily(session.id);
+        continue;
+      }
+      active.push(this.toSessionView(session, currentSessionId));
+    }
+
+    return active.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  /**
+   * Revoke one of a user's sessions (sign out a device)
+   * @param {string|number} userId - User ID
+   * @param {string} sessionId - Session to revoke
+   * @returns {Promise<boolean>} False if the user has no such active session
+   */
+  async revokeSession(userId, sessionId) {
+    const session = await this.refreshTokenStore.findSession(sessionId);
+    if (!session || session.userId !== userId || session.revokedAt) {
+      return false;
+    }
+
+    await this.refreshTokenStore.revokeFamily(sessionId);
+    logger.info('Session revoked', { userId, sessionId });
+    return true;
+  }
+
+  /**
+   * Give one of a user's sessions a friendly name ("Work laptop")
+   * @param {string|number} userId - User ID
+   * @param {string} sessionId - Session to rename
+   * @param {string} deviceName - New name
+   * @returns {Promise<Object|null>} Updated session, or null if not found
+   */
+  async renameSession(userId, sessionId, deviceName) {
+    const session = await this.refreshTokenStore.findSession(sessionId);
+    if (!session || session.userId !== userId || session.revokedAt) {
+      return null;
+    }
+
+    const updated = await this.refreshTokenStore.updateSession(sessionId, { deviceName });
+    return this.toSessionView(updated);
+  }
+
+  /**
+   * Session fields that are safe to return to the user
+   * @param {Object} session - Session record
+   * @param {string} [currentSessionId] - Session of the caller
+   * @returns {Object} Public session data
+   */
+  toSessionView(session, currentSessionId) {
+    return {
+      id: session.id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session.id === currentSessionId
+    };
+  }
+
+  /**
+   * Check a verified token against the denylist, its session and the
+   * user's cut-off
+   * @param {Object} decoded - Verified token payload
+   * @returns {Promise<boolean>} True if the token has been revoked
+   */
+  async isRevoked(decoded) {
+    if (decoded.jti && await this.revocationStore.isTokenRevoked(decoded.jti)) {
+      return true;
+    }
+
+    // Access tokens name their session; a revoked session takes them with it
+    if (decoded.sid) {
+      const session = await this.refreshTokenStore.findSession(decoded.sid);
+      if (session && session.revokedAt) {
+        return true;
+      }
+    }
+
+    const revokedBefore = await this.revocationStore.getUserRevokedBefore(decoded.sub);
+    const issuedAt = decoded.iat_ms || decoded.iat * 1000;
+    return Boolean(revokedBefore && issuedAt < revokedBefore.getTime());
+  }
+
+  /**
+   * Revoke one access token (logout of the current session)
+   * @param {Object} decoded - Verified access token payload (e.g. req.user)
+   * @returns {Promise<boolean>} True if the token was added to the denylist
+   */
+  async revokeAccessToken(decoded) {
+    // Tokens issued before jti was added can only go with revokeAllUserTokens()
+    if (!decoded.jti) {
+      return false;
+    }
+
+    await this.revocationStore.revokeToken(decoded.jti, new Date(decoded.exp * 1000));
+    logger.info('Access token revoked', { userId: decoded.sub, jti: decoded.jti });
+    return true;
+  }
+
+  /**
+   * Revoke every access and refresh token a user holds (logout everywhere).
+   * Call this after a password change too.
+   * @param {string|number} userId - User ID
+   * @returns {Promise<Date>} Tokens issued before this time are revoked
+   */
+  async revokeAllUserTokens(userId) {
+    // Compared with the iat_ms claim, so a login later in this same second
+    // keeps working while every token issued before the call goes
+    const issuedBefore = new Date();
+
+    // Revoke the sessions outright too: their refresh tokens (and access
+    // tokens naming them) stop working whatever their issue time
+    for (const session of await this.refreshTokenStore.listSessions(userId)) {
+      await this.refreshTokenStore.revokeFamily(session.id);
+    }
+
+    // Keep the cut-off until the longest-lived token issued before it expires
+    const longestLifetime = Math.max(
+      this.parseExpirationTime(this.accessExpiresIn),
+      this.parseExpirationTime(this.refreshExpiresIn)
+    );
+    const expiresAt = new Date(issuedBefore.getTime() + longestLifetime * 1000);
+
+    await this.revocationStore.revokeUserTokens(userId, issuedBefore, expiresAt);
+    logger.info('All tokens revoked for user', { userId, issuedBefore });
+    return issuedBefore;
+  }
+
+  /**
+   * Create an error for a token that verified but can't be used
+   * @param {string} name - Error name
+   * @param {string} message - Error message
+   * @returns {Error} Error with a 401 statusCode
+   */
+  createRefreshError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    error.statusCode = 401;
+    return error;
+  }
+
   /**
    * Validate token configuration
    * @returns {Object} Validation result
@@ -302,18 +774,22 @@ class JWTUtils {
   validateConfiguration() {
     const issues = [];
 
-    if (this.accessSecret.length < 32) {
-      issues.push('Access token secret should be at least 32 characters');
+    if (this.keyRing) {
+      issues.push(...this.validateKeyRing());
+    } else {
+      if (this.accessSecret.length < 32) {
+        issues.push('Access token secret should be at least 32 characters');
+      }
+
+      if (this.accessSecret === this.refreshSecret) {
+        issues.push('Access and refresh token secrets should be different');
+      }
     }
 
     if (this.refreshSecret.length < 32) {
       issues.push('Refresh token secret should be at least 32 characters');
     }
 
-    if (this.accessSecret === this.refreshSecret) {
-      issues.push('Access and refresh token secrets should be different');
-    }
-
     const accessSeconds = this.parseExpirationTime(this.accessExpiresIn);
     const refreshSeconds = this.parseExpirationTime(this.refreshExpiresIn);
 
@@ -321,18 +797,49 @@ class JWTUtils {
       issues.push('Access token should expire before refresh token');
     }
 
+    if (this.parseExpirationTime(this.sessionIdleTimeout) >= refreshSeconds) {
+      issues.push('Session idle timeout should be shorter than the refresh token lifetime');
+    }
+
     return {
       isValid: issues.length === 0,
       issues
     };
   }
 
+  /**
+   * Check the key ring used for asymmetric access tokens
+   * (key types and RSA sizes are already checked when keys are added)
+   * @returns {string[]} Issues found
+   */
+  validateKeyRing() {
+    const issues = [];
+    const signingKey = this.keyRing.getSigningKey();
+
+    if (!signingKey) {
+      issues.push(`No private key available to sign ${this.algorithm} tokens`);
+    } else if (signingKey.algorithm !== this.algorithm) {
+      issues.push(`Signing key ${signingKey.kid} is ${signingKey.algorithm} but JWT_ALGORITHM is ${this.algorithm}`);
+    }
+
+    if (this.keyRing.generated) {
+      issues.push('Signing keys were generated in memory - set JWT_KEYS_DIR so keys survive restarts and are shared between instances');
+    }
+
+    return issues;
+  }
+
   /**
    * Parse expiration time string to seconds
-   * @param {string} timeString - Time string like '15m', '7d', '1h'
+   * @param {string|number} timeString - Time string like '15m', '7d', '1h'
    * @returns {number} Time in seconds
    */
   parseExpirationTime(timeString) {
+    // jsonwebtoken also accepts a plain number of seconds
+    if (typeof timeString === 'number') {
+      return timeString;
+    }
+
     const units = {
       s: 1,
       m: 60,
@@ -359,4 +866,6 @@ if (!validation.isValid) {
   logger.warn('JWT configuration issues detected:', validation.issues);
 }
 
-module.exports = jwtUtils; 
\ No newline at end of file
+module.exports = jwtUtils;
+// The class, for apps that need their own configuration or token store
+module.exports.JWTUtils = JWTUtils; 
\ No newline at end of file
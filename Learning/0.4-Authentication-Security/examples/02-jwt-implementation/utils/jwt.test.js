@@ -0,0 +1,109 @@
+const logger = require('./logger');
+
+// Quiet the logger before jwt.js builds its default instance
+for (const level of ['error', 'warn', 'info']) {
+  jest.spyOn(logger, level).mockImplementation(() => {});
+}
+
+const { JWTUtils } = require('./jwt');
+
+const alice = { id: 1, email: 'alice@example.com', role: 'user', name: 'Alice' };
+const getUserById = async id => (id === alice.id ? alice : null);
+
+function createJWTUtils(options = {}) {
+  return new JWTUtils({
+    accessSecret: 'test-access-secret-that-is-at-least-32-chars',
+    refreshSecret: 'test-refresh-secret-that-is-at-least-32-chars',
+    algorithm: 'HS256',
+    ...options
+  });
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('refresh token rotation', () => {
+  test('issues a new pair in the same session', async () => {
+    const jwtUtils = createJWTUtils();
+    const first = await jwtUtils.generateTokenPair(alice);
+
+    const second = await jwtUtils.refreshTokens(first.refreshToken, getUserById);
+
+    expect(second.sessionId).toBe(first.sessionId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    await expect(jwtUtils.verifyAccessToken(second.accessToken)).resolves.toMatchObject({ sub: alice.id });
+  });
+
+  test('reusing a rotated token revokes the whole family', async () => {
+    const jwtUtils = createJWTUtils();
+    const first = await jwtUtils.generateTokenPair(alice);
+    const second = await jwtUtils.refreshTokens(first.refreshToken, getUserById);
+
+    await expect(jwtUtils.refreshTokens(first.refreshToken, getUserById))
+      .rejects.toMatchObject({ name: 'RefreshTokenReuseError' });
+
+    // The legitimate holder of the newest token is logged out too
+    await expect(jwtUtils.refreshTokens(second.refreshToken, getUserById))
+      .rejects.toMatchObject({ name: 'RefreshTokenRevokedError' });
+    await expect(jwtUtils.verifyAccessToken(second.accessToken))
+      .rejects.toMatchObject({ name: 'TokenRevokedError' });
+  });
+});
+
+describe('logout', () => {
+  test('revoking a refresh token ends its session only', async () => {
+    const jwtUtils = createJWTUtils();
+    const laptop = await jwtUtils.generateTokenPair(alice);
+    const phone = await jwtUtils.generateTokenPair(alice);
+
+    await expect(jwtUtils.revokeRefreshToken(laptop.refreshToken)).resolves.toBe(true);
+
+    await expect(jwtUtils.refreshTokens(laptop.refreshToken, getUserById))
+      .rejects.toMatchObject({ name: 'RefreshTokenRevokedError' });
+    await expect(jwtUtils.verifyAccessToken(laptop.accessToken))
+      .rejects.toMatchObject({ name: 'TokenRevokedError' });
+    await expect(jwtUtils.refreshTokens(phone.refreshToken, getUserById)).resolves.toHaveProperty('accessToken');
+  });
+
+  test('logout everywhere revokes tokens issued earlier in the same second', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00.100Z') });
+    const jwtUtils = createJWTUtils();
+    const before = await jwtUtils.generateTokenPair(alice);
+
+    jest.setSystemTime(new Date('2026-01-01T00:00:00.200Z'));
+    await jwtUtils.revokeAllUserTokens(alice.id);
+
+    jest.setSystemTime(new Date('2026-01-01T00:00:00.300Z'));
+    const after = await jwtUtils.generateTokenPair(alice);
+
+    await expect(jwtUtils.verifyAccessToken(before.accessToken))
+      .rejects.toMatchObject({ name: 'TokenRevokedError' });
+    await expect(jwtUtils.refreshTokens(before.refreshToken, getUserById))
+      .rejects.toMatchObject({ name: 'RefreshTokenRevokedError' });
+    await expect(jwtUtils.verifyAccessToken(after.accessToken)).resolves.toMatchObject({ sub: alice.id });
+    await expect(jwtUtils.refreshTokens(after.refreshToken, getUserById)).resolves.toHaveProperty('accessToken');
+  });
+});
+
+describe('idle sessions', () => {
+  test('a session can be refreshed within the idle timeout', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const jwtUtils = createJWTUtils({ sessionIdleTimeout: '1h' });
+    const pair = await jwtUtils.generateTokenPair(alice);
+
+    jest.setSystemTime(new Date('2026-01-01T00:59:00Z'));
+    await expect(jwtUtils.refreshTokens(pair.refreshToken, getUserById)).resolves.toHaveProperty('accessToken');
+  });
+
+  test('a session unused past the idle timeout is revoked', async () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const jwtUtils = createJWTUtils({ sessionIdleTimeout: '1h' });
+    const pair = await jwtUtils.generateTokenPair(alice);
+
+    jest.setSystemTime(new Date('2026-01-01T01:01:00Z'));
+    await expect(jwtUtils.refreshTokens(pair.refreshToken, getUserById))
+      .rejects.toThrow('Session expired after inactivity');
+    await expect(jwtUtils.listSessions(alice.id)).resolves.toEqual([]);
+  });
+});
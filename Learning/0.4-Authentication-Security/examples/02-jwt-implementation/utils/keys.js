@@ -0,0 +1,264 @@
+/**
+ * JWT Signing Keys
+ *
+ * A KeyRing holds the asymmetric key pairs used to sign access tokens:
+ * - One signing key at a time; older keys stay for verification until
+ *   every token they signed has expired (key rotation)
+ * - Each key has a `kid` (key ID) that goes in the token header, so
+ *   verifiers know which public key to use
+ * - Public keys are published as a JWKS (JSON Web Key Set) - services that
+ *   only verify tokens never need the private key
+ *
+ * Supported algorithms: RS256 (RSA), ES256 (ECDSA P-256), EdDSA (Ed25519)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHMS = {
+  RS256: {
+    keyType: 'rsa',
+    generate: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  },
+  ES256: {
+    keyType: 'ec',
+    namedCurve: 'prime256v1', // P-256
+    generate: () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+  },
+  EdDSA: {
+    keyType: 'ed25519',
+    generate: () => crypto.generateKeyPairSync('ed25519')
+  }
+};
+
+const ASYMMETRIC_ALGORITHMS = Object.keys(ALGORITHMS);
+
+/**
+ * RFC 7638 JWK thumbprint - a stable key ID derived from the public key
+ * @param {Object} jwk - Public JWK
+ * @returns {string} Base64url SHA-256 thumbprint
+ */
+function jwkThumbprint(jwk) {
+  const required = {
+    RSA: ['e', 'kty', 'n'],
+    EC: ['crv', 'kty', 'x', 'y'],
+    OKP: ['crv', 'kty', 'x']
+  }[jwk.kty];
+
+  const canonical = JSON.stringify(
+    Object.fromEntries(required.map(member => [member, jwk[member]]))
+  );
+  return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+/**
+ * Check that a key can be used with an algorithm
+ * @param {crypto.KeyObject} publicKey - Public key
+ * @param {string} algorithm - JWT algorithm
+ * @returns {string|null} Problem description, or null if the key fits
+ */
+function describeKeyMismatch(publicKey, algorithm) {
+  const spec = ALGORITHMS[algorithm];
+  if (!spec) {
+    return `Unsupported algorithm ${algorithm}`;
+  }
+  if (publicKey.asymmetricKeyType !== spec.keyType) {
+    return `${algorithm} needs a ${spec.keyType} key, got ${publicKey.asymmetricKeyType}`;
+  }
+
+  const details = publicKey.asymmetricKeyDetails || {};
+  if (spec.keyType === 'rsa' && details.modulusLength < 2048) {
+    return `RSA keys must be at least 2048 bits, got ${details.modulusLength}`;
+  }
+  if (spec.namedCurve && details.namedCurve !== spec.namedCurve) {
+    return `${algorithm} needs a P-256 key, got ${details.namedCurve}`;
+  }
+  return null;
+}
+
+class KeyRing {
+  /**
+   * @param {string} algorithm - Default algorithm for new keys
+   */
+  constructor(algorithm) {
+    if (!ALGORITHMS[algorithm]) {
+      throw new Error(
+        `Unsupported signing algorithm "${algorithm}". Use one of: ${ASYMMETRIC_ALGORITHMS.join(', ')}`
+      );
+    }
+    this.algorithm = algorithm;
+    this.keys = new Map(); // kid -> { kid, algorithm, privateKey, publicKey, createdAt }
+    this.signingKid = null;
+    this.generated = false; // True if any key only lives in memory
+  }
+
+  /**
+   * Add a key pair (or a public key on its own, for verification only)
+   * @param {Object} options
+   * @param {string|Buffer|crypto.KeyObject} [options.privateKey] - PEM or KeyObject
+   * @param {string|Buffer|crypto.KeyObject} [options.publicKey] - Derived from the private key if omitted
+   * @param {string} [options.kid] - Key ID (defaults to the JWK thumbprint)
+   * @param {string} [options.algorithm] - Defaults to the ring's algorithm
+   * @returns {string} Key ID
+   */
+  addKey({ privateKey, publicKey, kid, algorithm = this.algorithm }) {
+    const privateKeyObject = privateKey ? toKeyObject(privateKey, 'private') : null;
+    const publicKeyObject = publicKey
+      ? toKeyObject(publicKey, 'public')
+      : privateKeyObject && crypto.createPublicKey(privateKeyObject);
+
+    if (!publicKeyObject) {
+      throw new Error('A private or public key is required');
+    }
+
+    const mismatch = describeKeyMismatch(publicKeyObject, algorithm);
+    if (mismatch) {
+      throw new Error(mismatch);
+    }
+
+    const keyId = kid || jwkThumbprint(publicKeyObject.export({ format: 'jwk' }));
+    if (this.keys.has(keyId)) {
+      throw new Error(`Duplicate key ID "${keyId}"`);
+    }
+
+    this.keys.set(keyId, {
+      kid: keyId,
+      algorithm,
+      privateKey: privateKeyObject,
+      publicKey: publicKeyObject,
+      createdAt: new Date()
+    });
+
+    // The first key that can sign becomes the signing key
+    if (!this.signingKid && privateKeyObject) {
+      this.signingKid = keyId;
+    }
+    return keyId;
+  }
+
+  /**
+   * Generate a new key pair in memory
+   * @param {string} [algorithm] - Defaults to the ring's algorithm
+   * @returns {string} Key ID
+   */
+  generateKey(algorithm = this.algorithm) {
+    const { privateKey } = ALGORITHMS[algorithm].generate();
+    this.generated = true;
+    return this.addKey({ privateKey, algorithm });
+  }
+
+  /**
+   * Switch to a new signing key, keeping the old ones for verification
+   * @param {Object} [keyOptions] - Passed to addKey(); a key is generated if omitted
+   * @returns {string} Key ID of the new signing key
+   */
+  rotate(keyOptions) {
+    const kid = keyOptions ? this.addKey(keyOptions) : this.generateKey();
+    this.setSigningKey(kid);
+    return kid;
+  }
+
+  /**
+   * Choose which key signs new tokens
+   * @param {string} kid - Key ID
+   */
+  setSigningKey(kid) {
+    const key = this.keys.get(kid);
+    if (!key || !key.privateKey) {
+      throw new Error(`No private key with ID "${kid}"`);
+    }
+    this.signingKid = kid;
+  }
+
+  /**
+   * Drop a retired key once no unexpired token can still be using it
+   * @param {string} kid - Key ID
+   * @returns {boolean} True if a key was removed
+   */
+  removeKey(kid) {
+    if (kid === this.signingKid) {
+      throw new Error('Cannot remove the current signing key - rotate first');
+    }
+    return this.keys.delete(kid);
+  }
+
+  getSigningKey() {
+    return this.signingKid ? this.keys.get(this.signingKid) : null;
+  }
+
+  getKey(kid) {
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Public keys as a JSON Web Key Set (for /.well-known/jwks.json)
+   * @returns {{keys: Object[]}} JWKS
+   */
+  toJWKS() {
+    return {
+      keys: [...this.keys.values()].map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+    };
+  }
+
+  /**
+   * Load keys from a directory of PEM files:
+   * - `<kid>.pem` - private key (can sign)
+   * - `<kid>.pub.pem` - public key only (verifies tokens from a retired key)
+   * The signing key is `signingKid`, or the last private key by file name
+   * (so timestamped names like 2025-01-01.pem rotate naturally)
+   * @param {string} directory - Directory to read
+   * @param {string} algorithm - Algorithm of the keys
+   * @param {string} [signingKid] - Key ID to sign with
+   * @returns {KeyRing} Loaded key ring
+   */
+  static fromDirectory(directory, algorithm, signingKid) {
+    const ring = new KeyRing(algorithm);
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.pem')).sort();
+
+    for (const file of files) {
+      const pem = fs.readFileSync(path.join(directory, file));
+      if (file.endsWith('.pub.pem')) {
+        ring.addKey({ publicKey: pem, kid: file.slice(0, -'.pub.pem'.length) });
+      } else {
+        const kid = ring.addKey({ privateKey: pem, kid: file.slice(0, -'.pem'.length) });
+        ring.signingKid = kid;
+      }
+    }
+
+    if (signingKid) {
+      ring.setSigningKey(signingKid);
+    }
+    return ring;
+  }
+
+  /**
+   * Create a ring with one freshly generated key
+   * @param {string} algorithm - Algorithm for the key
+   * @returns {KeyRing} Key ring
+   */
+  static generate(algorithm) {
+    const ring = new KeyRing(algorithm);
+    ring.generateKey();
+    return ring;
+  }
+}
+
+function toKeyObject(key, type) {
+  if (key instanceof crypto.KeyObject) {
+    return key;
+  }
+  return type === 'private' ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+}
+
+module.exports = {
+  KeyRing,
+  ASYMMETRIC_ALGORITHMS,
+  describeKeyMismatch,
+  jwkThumbprint
+};
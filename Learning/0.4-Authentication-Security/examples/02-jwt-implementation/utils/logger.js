@@ -0,0 +1,71 @@
+/**
+ * Simple Logger Utility
+ * 
+ * Provides structured logging with different levels
+ * In production, you'd want to use a more robust logging library like Winston
+ */
+
+const LOG_LEVELS = {
+  ERROR: 0,
+  WARN: 1,
+  INFO: 2,
+  DEBUG: 3
+};
+
+const LOG_LEVEL_NAMES = {
+  0: 'ERROR',
+  1: 'WARN',
+  2: 'INFO',
+  3: 'DEBUG'
+};
+
+class Logger {
+  constructor() {
+    // Get log level from environment or default to INFO
+    const envLevel = process.env.LOG_LEVEL?.toUpperCase();
+    this.level = LOG_LEVELS[envLevel] !== undefined ? LOG_LEVELS[envLevel] : LOG_LEVELS.INFO;
+  }
+
+  log(level, message, meta = {}) {
+    if (level > this.level) return;
+
+    const timestamp = new Date().toISOString();
+    const levelName = LOG_LEVEL_NAMES[level];
+    
+    const logEntry = {
+      timestamp,
+      level: levelName,
+      message,
+      ...meta
+    };
+
+    // In production, you'd want to format this properly
+    // and possibly send to external logging service
+    if (level === LOG_LEVELS.ERROR) {
+      console.error(JSON.stringify(logEntry, null, 2));
+    } else if (level === LOG_LEVELS.WARN) {
+      console.warn(JSON.stringify(logEntry, null, 2));
+    } else {
+      console.log(JSON.stringify(logEntry, null, 2));
+    }
+  }
+
+  error(message, meta = {}) {
+    this.log(LOG_LEVELS.ERROR, message, meta);
+  }
+
+  warn(message, meta = {}) {
+    this.log(LOG_LEVELS.WARN, message, meta);
+  }
+
+  info(message, meta = {}) {
+    this.log(LOG_LEVELS.INFO, message, meta);
+  }
+
+  debug(message, meta = {}) {
+    this.log(LOG_LEVELS.DEBUG, message, meta);
+  }
+}
+
+// Export a singleton instance
+module.exports = new Logger(); 
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Magic Link Login
+ *
+ * Passwordless login: we email a link, and opening it logs you in.
+ * - The link carries a short-lived JWT (default 10 minutes) signed with its
+ *   own secret, so it can't be swapped for an access or refresh token
+ * - Each link works once. Issuing a new one cancels the user's older links.
+ * - The link is bound to the browser that asked for it: the token holds a
+ *   hash of a nonce that only lives in that browser's cookie. A link that
+ *   leaks, or is opened by an email scanner, can't log anyone else in -
+ *   and a wrong-browser attempt doesn't use the link up.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+class MagicLinkError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {string} code - INVALID_LINK, LINK_EXPIRED, LINK_USED or WRONG_BROWSER
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'MagicLinkError';
+    this.code = code;
+  }
+}
+
+function hashNonce(nonce) {
+  return crypto.createHash('sha256').update(String(nonce)).digest('base64url');
+}
+
+class MagicLinkService {
+  /**
+   * @param {JWTUtils} tokenService - Supplies the issuer and audience
+   * @param {Object} [options]
+   * @param {string} [options.secret] - Signs the links (MAGIC_LINK_SECRET)
+   * @param {string} [options.expiresIn='10m'] - Link lifetime (MAGIC_LINK_EXPIRES_IN)
+   */
+  constructor(tokenService, options = {}) {
+    this.tokenService = tokenService;
+    this.secret = options.secret || process.env.MAGIC_LINK_SECRET || 'fallback-magic-link-secret-change-in-production';
+    this.expiresIn = options.expiresIn || process.env.MAGIC_LINK_EXPIRES_IN || '10m';
+    // Links issued and not used yet: jti -> { userId, expiresAt }. Lost on
+    // restart, which only means asking for a new link.
+    this.pending = new Map();
+
+    if (this.secret.includes('fallback')) {
+      logger.warn('Magic link secret is using the fallback. Set MAGIC_LINK_SECRET environment variable.');
+    }
+  }
+
+  get expiresInSeconds() {
+    return this.tokenService.parseExpirationTime(this.expiresIn);
+  }
+
+  /**
+   * @returns {string} Random nonce for the browser's cookie
+   */
+  createNonce() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  deleteExpired(now = Date.now()) {
+    for (const [jti, link] of this.pending) {
+      if (link.expiresAt <= now) {
+        this.pending.delete(jti);
+      }
+    }
+  }
+
+  /**
+   * Issue a login link token for a user
+   * @param {Object} user - User with id
+   * @param {string} nonce - Nonce from the requesting browser's cookie
+   * @returns {string} Token to put in the link
+   */
+  issue(user, nonce) {
+    this.deleteExpired();
+    for (const [jti, link] of this.pending) {
+      if (link.userId === user.id) {
+        this.pending.delete(jti);
+      }
+    }
+
+    const jti = crypto.randomUUID();
+    const token = jwt.sign({ sub: user.id, type: 'magic_link', nh: hashNonce(nonce) }, this.secret, {
+      expiresIn: this.expiresIn,
+      issuer: this.tokenService.issuer,
+      audience: this.tokenService.audience,
+      algorithm: 'HS256',
+      jwtid: jti
+    });
+
+    this.pending.set(jti, { userId: user.id, expiresAt: Date.now() + this.expiresInSeconds * 1000 });
+    logger.info('Magic link issued', { userId: user.id });
+    return token;
+  }
+
+  /**
+   * Use up a login link
+   * @param {string} token - Token from the link
+   * @param {string} nonce - Nonce from the cookie of the browser opening it
+   * @returns {string|number} ID of the user to log in
+   * @throws {MagicLinkError} INVALID_LINK, LINK_EXPIRED, WRONG_BROWSER or LINK_USED
+   */
+  consume(token, nonce) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token), this.secret, {
+        issuer: this.tokenService.issuer,
+        audience: this.tokenService.audience,
+        algorithms: ['HS256']
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new MagicLinkError('This login link has expired. Ask for a new one.', 'LINK_EXPIRED');
+      }
+      throw new MagicLinkError('This login link is invalid', 'INVALID_LINK');
+    }
+    if (decoded.type !== 'magic_link' || !decoded.jti) {
+      throw new MagicLinkError('This login link is invalid', 'INVALID_LINK');
+    }
+
+    // Checked before the link is used up, so opening it elsewhere (or a
+    // mail scanner following it) doesn't burn it
+    const expected = Buffer.from(decoded.nh || '');
+    const actual = Buffer.from(nonce ? hashNonce(nonce) : '');
+    if (actual.length === 0 || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new MagicLinkError('Open the login link in the browser you requested it from', 'WRONG_BROWSER');
+    }
+
+    if (!this.pending.delete(decoded.jti)) {
+      throw new MagicLinkError('This login link has already been used', 'LINK_USED');
+    }
+
+    logger.info('Magic link used', { userId: decoded.sub });
+    return decoded.sub;
+  }
+}
+
+module.exports = { MagicLinkService, MagicLinkError };
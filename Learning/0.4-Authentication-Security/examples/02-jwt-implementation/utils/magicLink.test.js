@@ -0,0 +1,79 @@
+const logger = require('./logger');
+
+// Quiet the logger before jwt.js builds its default instance
+for (const level of ['error', 'warn', 'info']) {
+  jest.spyOn(logger, level).mockImplementation(() => {});
+}
+
+const { JWTUtils } = require('./jwt');
+const { MagicLinkService } = require('./magicLink');
+
+const alice = { id: 1 };
+const tokenService = new JWTUtils({ algorithm: 'HS256', accessSecret: 'test-access-secret-that-is-at-least-32-chars' });
+
+function createService() {
+  return new MagicLinkService(tokenService, { secret: 'test-magic-link-secret', expiresIn: '10m' });
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('single use', () => {
+  test('a link logs in once', () => {
+    const service = createService();
+    const nonce = service.createNonce();
+    const token = service.issue(alice, nonce);
+
+    expect(service.consume(token, nonce)).toBe(alice.id);
+    expect(() => service.consume(token, nonce)).toThrow(expect.objectContaining({ code: 'LINK_USED' }));
+  });
+
+  test('a new link cancels the user\'s older ones', () => {
+    const service = createService();
+    const nonce = service.createNonce();
+    const older = service.issue(alice, nonce);
+    const newer = service.issue(alice, nonce);
+
+    expect(() => service.consume(older, nonce)).toThrow(expect.objectContaining({ code: 'LINK_USED' }));
+    expect(service.consume(newer, nonce)).toBe(alice.id);
+  });
+
+  test('a link expires', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const service = createService();
+    const nonce = service.createNonce();
+    const token = service.issue(alice, nonce);
+
+    jest.setSystemTime(new Date('2026-01-01T00:10:01Z'));
+    expect(() => service.consume(token, nonce)).toThrow(expect.objectContaining({ code: 'LINK_EXPIRED' }));
+  });
+
+  test('a token signed with another secret is invalid', () => {
+    const nonce = createService().createNonce();
+    const token = new MagicLinkService(tokenService, { secret: 'another-secret' }).issue(alice, nonce);
+
+    expect(() => createService().consume(token, nonce)).toThrow(expect.objectContaining({ code: 'INVALID_LINK' }));
+  });
+});
+
+describe('nonce binding', () => {
+  test('another browser\'s nonce is refused', () => {
+    const service = createService();
+    const token = service.issue(alice, service.createNonce());
+
+    expect(() => service.consume(token, service.createNonce()))
+      .toThrow(expect.objectContaining({ code: 'WRONG_BROWSER' }));
+    expect(() => service.consume(token, undefined))
+      .toThrow(expect.objectContaining({ code: 'WRONG_BROWSER' }));
+  });
+
+  test('a wrong-browser attempt does not use the link up', () => {
+    const service = createService();
+    const nonce = service.createNonce();
+    const token = service.issue(alice, nonce);
+
+    expect(() => service.consume(token, service.createNonce())).toThrow();
+    expect(service.consume(token, nonce)).toBe(alice.id);
+  });
+});
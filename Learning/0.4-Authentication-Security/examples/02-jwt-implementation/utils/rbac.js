@@ -0,0 +1,226 @@
+/**
+ * Role-Based Access Control (RBAC)
+ *
+ * Routes ask for a permission rather than a role:
+ * - Permissions look like `resource:action[:scope]`, e.g. `products:write`
+ *   or `orders:read:own`. Without a scope the permission covers any record
+ * - `*` matches any resource or action (`orders:*`)
+ * - Roles list their permissions and can inherit from other roles
+ * - The policy lives in a JSON or YAML file and can be reloaded while the
+ *   server runs - a broken file is logged and the old policy kept
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+
+const PERMISSION_PATTERN = /^([\w-]+|\*):([\w-]+|\*)(?::(own|any))?$/;
+
+/**
+ * Split a permission string into its parts
+ * @param {string} permission - e.g. 'orders:read:own'
+ * @returns {{resource: string, action: string, scope: string}} Parsed permission
+ */
+function parsePermission(permission) {
+  const match = PERMISSION_PATTERN.exec(permission);
+  if (!match) {
+    throw new Error(`Invalid permission "${permission}" - expected resource:action[:own|any]`);
+  }
+  const [, resource, action, scope = 'any'] = match;
+  return { resource, action, scope };
+}
+
+/**
+ * Whether a granted permission covers a required one
+ * @param {Object} granted - Parsed permission held by the user
+ * @param {Object} required - Parsed permission being checked
+ * @returns {boolean} True if covered
+ */
+function grants(granted, required) {
+  return (granted.resource === '*' || granted.resource === required.resource) &&
+    (granted.action === '*' || granted.action === required.action) &&
+    (granted.scope === 'any' || required.scope === 'own');
+}
+
+/**
+ * Expand every role to the full list of permissions it grants,
+ * including inherited ones
+ * @param {Object} roles - Role definitions from the policy file
+ * @returns {Map<string, Object[]>} Role name -> parsed permissions
+ */
+function resolveRoles(roles) {
+  if (!roles || typeof roles !== 'object') {
+    throw new Error('Policy must have a "roles" object');
+  }
+
+  const resolved = new Map();
+
+  function resolve(name, trail) {
+    if (resolved.has(name)) {
+      return resolved.get(name);
+    }
+    if (trail.includes(name)) {
+      throw new Error(`Role inheritance cycle: ${[...trail, name].join(' -> ')}`);
+    }
+
+    const role = roles[name];
+    if (!role) {
+      throw new Error(`Unknown role "${name}" in inherits of "${trail[trail.length - 1]}"`);
+    }
+
+    const permissions = (role.permissions || []).map(parsePermission);
+    for (const parent of role.inherits || []) {
+      permissions.push(...resolve(parent, [...trail, name]));
+    }
+
+    resolved.set(name, permissions);
+    return permissions;
+  }
+
+  for (const name of Object.keys(roles)) {
+    resolve(name, []);
+  }
+  return resolved;
+}
+
+class RBACPolicy {
+  /**
+   * @param {Object} definition - Parsed policy: { roles: { name: { permissions, inherits } } }
+   */
+  constructor(definition) {
+    this.permissions = resolveRoles(definition.roles);
+    this.filePath = null;
+  }
+
+  /**
+   * Load a policy from a .json, .yaml or .yml file
+   * @param {string} filePath - Policy file
+   * @param {Object} [options]
+   * @param {boolean} [options.watch=false] - Reload when the file changes
+   * @returns {RBACPolicy} Policy
+   */
+  static fromFile(filePath, { watch = false } = {}) {
+    const policy = new RBACPolicy(RBACPolicy.readFile(filePath));
+    policy.filePath = filePath;
+    if (watch) {
+      policy.watch();
+    }
+    return policy;
+  }
+
+  static readFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+  }
+
+  /**
+   * Re-read the policy file. On error the current policy stays in force.
+   * @returns {boolean} True if the new policy was applied
+   */
+  reload() {
+    try {
+      this.permissions = resolveRoles(RBACPolicy.readFile(this.filePath).roles);
+      logger.info('RBAC policy reloaded', { file: this.filePath, roles: [...this.permissions.keys()] });
+      return true;
+    } catch (error) {
+      logger.error('RBAC policy reload failed - keeping the previous policy', {
+        file: this.filePath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Reload whenever the policy file changes. Polls the file, so it also
+   * works when editors save by replacing it, and doesn't keep the
+   * process alive.
+   * @param {number} [interval=1000] - Poll interval in milliseconds
+   */
+  watch(interval = 1000) {
+    if (this.listener) {
+      return;
+    }
+    this.listener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    };
+    fs.watchFile(this.filePath, { interval, persistent: false }, this.listener);
+  }
+
+  unwatch() {
+    if (this.listener) {
+      fs.unwatchFile(this.filePath, this.listener);
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Check whether a user holds a permission
+   * `users:read` needs a grant for any record; `users:read:own` (asking
+   * about the user's own record) is met by either form.
+   * A user with `scopes` (an API key) also needs one of them to grant the
+   * permission - a key can narrow its owner's role, never widen it.
+   * @param {Object} user - Needs `role` (string) or `roles` (array)
+   * @param {string} permission - Required permission, e.g. 'users:read'
+   * @returns {boolean} True if allowed
+   */
+  can(user, permission) {
+    const required = parsePermission(permission);
+    const roles = user.roles || (user.role ? [user.role] : []);
+
+    const byRole = roles.some(role =>
+      (this.permissions.get(role) || []).some(granted => grants(granted, required))
+    );
+    if (!byRole || !Array.isArray(user.scopes)) {
+      return byRole;
+    }
+    return user.scopes.some(scope => grants(parsePermission(scope), required));
+  }
+
+  /**
+   * Express middleware that requires a permission. Must run after the
+   * middleware that sets req.user.
+   *
+   * With `ownerId`, a user holding only the `:own` form of the permission
+   * is let through for their own records:
+   *   requirePermission('orders:read', { ownerId: req => findOrder(req.params.id).userId })
+   *
+   * @param {string} permission - e.g. 'users:read'
+   * @param {Object} [options]
+   * @param {Function} [options.ownerId] - (req) => ID of the record's owner (may be async)
+   * @returns {Function} Express middleware
+   */
+  requirePermission(permission, { ownerId } = {}) {
+    // Fail at startup, not on the first request. With ownerId the `:own`
+    // form only counts once the record's owner is checked, so a scoped
+    // permission is checked as its `any` form first.
+    const { resource, action } = parsePermission(permission);
+    const anyPermission = ownerId ? `${resource}:${action}` : permission;
+    const ownPermission = `${resource}:${action}:own`;
+
+    return async (req, res, next) => {
+      try {
+        let allowed = this.can(req.user, anyPermission);
+
+        if (!allowed && ownerId && this.can(req.user, ownPermission)) {
+          allowed = String(await ownerId(req)) === String(req.user.sub);
+        }
+
+        if (!allowed) {
+          return res.status(403).json({
+            error: 'Insufficient permissions',
+            message: `This endpoint requires the ${permission} permission.`
+          });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = { RBACPolicy, parsePermission };
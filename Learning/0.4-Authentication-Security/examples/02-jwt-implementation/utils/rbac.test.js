@@ -0,0 +1,101 @@
+const path = require('path');
+const { RBACPolicy, parsePermission } = require('./rbac');
+
+const policy = RBACPolicy.fromFile(path.join(__dirname, '../config/rbac-policy.yaml'));
+
+/**
+ * Run a middleware against a fake request
+ * @returns {Promise<{status: number|null, nextCalled: boolean}>}
+ */
+async function run(middleware, req) {
+  const result = { status: null, nextCalled: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  await middleware(req, res, () => {
+    result.nextCalled = true;
+  });
+  return result;
+}
+
+describe('parsePermission', () => {
+  test('defaults the scope to any', () => {
+    expect(parsePermission('orders:read')).toEqual({ resource: 'orders', action: 'read', scope: 'any' });
+    expect(parsePermission('orders:read:own')).toEqual({ resource: 'orders', action: 'read', scope: 'own' });
+  });
+
+  test('rejects malformed permissions', () => {
+    expect(() => parsePermission('orders')).toThrow('Invalid permission');
+    expect(() => parsePermission('orders:read:mine')).toThrow('Invalid permission');
+  });
+});
+
+describe('role inheritance', () => {
+  test('roles get their parents\' permissions', () => {
+    expect(policy.can({ role: 'manager' }, 'products:read')).toBe(true);
+    expect(policy.can({ role: 'admin' }, 'reports:read')).toBe(true);
+    expect(policy.can({ role: 'admin' }, 'profile:read:own')).toBe(true);
+  });
+
+  test('permissions do not flow down to child roles', () => {
+    expect(policy.can({ role: 'user' }, 'products:write')).toBe(false);
+    expect(policy.can({ role: 'manager' }, 'users:delete')).toBe(false);
+  });
+
+  test('wildcards cover every action', () => {
+    expect(policy.can({ role: 'admin' }, 'users:delete')).toBe(true);
+  });
+
+  test('an inheritance cycle is rejected', () => {
+    expect(() => new RBACPolicy({
+      roles: { a: { inherits: ['b'] }, b: { inherits: ['a'] } }
+    })).toThrow('Role inheritance cycle');
+  });
+});
+
+describe(':own permissions', () => {
+  test('an :own grant only meets the :own form', () => {
+    expect(policy.can({ role: 'user' }, 'orders:read:own')).toBe(true);
+    expect(policy.can({ role: 'user' }, 'orders:read')).toBe(false);
+  });
+
+  test('an any grant also meets the :own form', () => {
+    expect(policy.can({ role: 'manager' }, 'orders:read:own')).toBe(true);
+  });
+
+  test('requirePermission lets an :own holder reach only their own records', async () => {
+    const middleware = policy.requirePermission('orders:read', { ownerId: req => req.params.ownerId });
+
+    const own = await run(middleware, { user: { sub: 1, role: 'user' }, params: { ownerId: '1' } });
+    const other = await run(middleware, { user: { sub: 1, role: 'user' }, params: { ownerId: '2' } });
+    const manager = await run(middleware, { user: { sub: 3, role: 'manager' }, params: { ownerId: '2' } });
+
+    expect(own).toEqual({ status: null, nextCalled: true });
+    expect(other).toEqual({ status: 403, nextCalled: false });
+    expect(manager).toEqual({ status: null, nextCalled: true });
+  });
+
+  test('requirePermission without ownerId ignores :own grants', async () => {
+    const middleware = policy.requirePermission('orders:read');
+    const result = await run(middleware, { user: { sub: 1, role: 'user' }, params: {} });
+    expect(result.status).toBe(403);
+  });
+});
+
+describe('API key scopes', () => {
+  test('scopes narrow the role', () => {
+    const user = { role: 'admin', scopes: ['orders:read'] };
+    expect(policy.can(user, 'orders:read')).toBe(true);
+    expect(policy.can(user, 'orders:delete')).toBe(false);
+  });
+
+  test('scopes never widen the role', () => {
+    expect(policy.can({ role: 'user', scopes: ['products:write'] }, 'products:write')).toBe(false);
+  });
+});
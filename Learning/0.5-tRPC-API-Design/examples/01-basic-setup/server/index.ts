@@ -13,6 +13,7 @@ import cors from 'cors';
 import { createExpressMiddleware } from '@trpc/server/adapters/express';
 import { router, createContext } from './router';
 import { procedures } from './procedures';
+import { orderProcedures } from './orders';
 
 // ===== CREATE MAIN ROUTER =====
 
@@ -38,6 +39,9 @@ const appRouter = router({
   // Advanced examples
   errorDemo: procedures.errorDemo,
   complexValidation: procedures.complexValidation,
+
+  // Authorization example (attribute-based policy)
+  cancelOrder: orderProcedures.cancelOrder,
 });
 
 /**
@@ -0,0 +1,91 @@
+/**
+ * Order Procedures with Attribute-Based Authorization
+ *
+ * This file demonstrates:
+ * - Writing ABAC rules over the user (subject), the order (resource)
+ *   and the action
+ * - Protecting a procedure with the authorize() middleware
+ * - Reading the decision's explain trace
+ */
+
+import { z } from 'zod';
+import { authorize, protectedProcedure } from './router';
+import { createPolicy } from '../../../../../src/lib/auth/abac';
+
+// ===== DATA =====
+
+interface Order {
+  id: string;
+  userId: string;
+  status: 'pending' | 'shipped' | 'cancelled';
+  total: number;
+}
+
+// In-memory orders - a real app would load these from the database
+const orders = new Map<string, Order>([
+  ['order-1', { id: 'order-1', userId: '1', status: 'pending', total: 42.5 }],
+  ['order-2', { id: 'order-2', userId: '1', status: 'shipped', total: 19.99 }],
+  ['order-3', { id: 'order-3', userId: '2', status: 'pending', total: 7.25 }],
+]);
+
+// ===== POLICY =====
+
+/**
+ * Who may do what with an order
+ *
+ * Rules are checked in order; a matching deny rule wins over any allow
+ * rule, and if nothing allows the action it is denied.
+ */
+export const orderPolicy = createPolicy([
+  {
+    id: 'admin-full-access',
+    effect: 'allow',
+    actions: ['*'],
+    description: 'Admins can do anything with any order',
+    when: { attr: 'subject.role', op: 'eq', value: 'admin' },
+  },
+  {
+    id: 'owner-can-cancel-pending',
+    effect: 'allow',
+    actions: ['order:cancel'],
+    description: 'Users can cancel their own orders while pending',
+    when: {
+      all: [
+        { attr: 'resource.userId', op: 'eq', ref: 'subject.id' },
+        { attr: 'resource.status', op: 'eq', value: 'pending' },
+      ],
+    },
+  },
+  {
+    id: 'guests-cannot-change-orders',
+    effect: 'deny',
+    actions: ['order:cancel'],
+    description: 'Guest accounts are read-only',
+    when: { attr: 'subject.role', op: 'eq', value: 'guest' },
+  },
+]);
+
+// ===== PROCEDURES =====
+
+/**
+ * Cancel Order Procedure (Mutation)
+ *
+ * The middleware loads the order and checks the policy before the
+ * procedure runs, so the handler only deals with allowed requests.
+ */
+export const cancelOrderProcedure = protectedProcedure
+  .input(z.object({ orderId: z.string() }))
+  .use(authorize(orderPolicy, 'order:cancel', ({ orderId }: { orderId: string }) => orders.get(orderId)))
+  .mutation(({ ctx }) => {
+    const order = ctx.resource;
+    order.status = 'cancelled';
+
+    return {
+      order,
+      decidedBy: ctx.decision.decidedBy,
+    };
+  });
+
+export const orderProcedures = {
+  cancelOrder: cancelOrderProcedure,
+} as const;
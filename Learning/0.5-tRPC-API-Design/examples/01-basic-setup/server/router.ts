@@ -5,8 +5,10 @@
  * It's the foundation that all other procedures will build upon.
  */
 
-import { initTRPC } from '@trpc/server';
+import { initTRPC, TRPCError } from '@trpc/server';
 import { z } from 'zod';
+// The policy engine shared with the Next.js app and the Express examples
+import { formatDecision, type Decision, type Policy } from '../../../../../src/lib/auth/abac';
 
 // ===== CONTEXT SETUP =====
 
@@ -61,6 +63,17 @@ export function createContext(): Context {
 
 // ===== TRPC INITIALIZATION =====
 
+/**
+ * Cause attached to FORBIDDEN errors from the authorize middleware, so the
+ * error formatter can send the policy's explain trace to the client.
+ */
+export class PolicyDeniedError extends Error {
+  constructor(public decision: Decision) {
+    super(decision.reason);
+    this.name = 'PolicyDeniedError';
+  }
+}
+
 /**
  * Initialize tRPC with context
  * 
@@ -84,6 +97,11 @@ const t = initTRPC.context<Context>().create({
         // Add custom error data
         requestId: error.cause?.requestId,
         timestamp: Date.now(),
+        // Why an authorize() check failed - keep it out of production
+        policyTrace:
+          error.cause instanceof PolicyDeniedError && process.env.NODE_ENV !== 'production'
+            ? error.cause.decision.trace
+            : undefined,
       },
     };
   },
@@ -215,6 +233,52 @@ const adminMiddleware = t.middleware(({ ctx, next }) => {
  */
 export const adminProcedure = protectedProcedure.use(adminMiddleware);
 
+/**
+ * Attribute-based authorization middleware
+ *
+ * Roles can't express rules like "users can cancel an order only if they
+ * own it and it's still pending" - the answer depends on the order. This
+ * loads the record from the procedure's input and asks an ABAC policy.
+ * Chain it after .input() so the input is already validated:
+ *
+ *   protectedProcedure
+ *     .input(z.object({ orderId: z.string() }))
+ *     .use(authorize(orderPolicy, 'order:cancel', ({ orderId }) => orders.get(orderId)))
+ *
+ * The loaded record and the decision (with its explain trace) are added
+ * to the context.
+ */
+export function authorize<TInput, TResource extends object>(
+  policy: Policy,
+  action: string,
+  loadResource: (input: TInput) => TResource | undefined | Promise<TResource | undefined>
+) {
+  return t.middleware(async ({ ctx, input, next }) => {
+    const resource = await loadResource(input as TInput);
+    if (!resource) {
+      throw new TRPCError({ code: 'NOT_FOUND', message: 'Resource not found' });
+    }
+
+    const decision: Decision = policy.evaluate({ subject: ctx.user ?? {}, action, resource });
+    if (!decision.allowed) {
+      console.log(`🚫 ${formatDecision(decision)}`);
+      throw new TRPCError({
+        code: 'FORBIDDEN',
+        message: decision.reason,
+        cause: new PolicyDeniedError(decision),
+      });
+    }
+
+    return next({
+      ctx: {
+        ...ctx,
+        resource,
+        decision,
+      },
+    });
+  });
+}
+
 // ===== UTILITY FUNCTIONS =====
 
 /**
@@ -304,6 +368,7 @@ export const rateLimitedProcedure = loggedProcedure.use(rateLimitMiddleware);
  * - loggedProcedure: Same as public but with logging
  * - protectedProcedure: Requires authentication
  * - adminProcedure: Requires admin role
+ * - .use(authorize(...)): Checks an ABAC policy against the record
  * - rateLimitedProcedure: Has rate limiting
  * 
  * MIDDLEWARE CHAIN:
@@ -0,0 +1,17 @@
+import { errorResponse } from '@/lib/api/http';
+import { revokeApiKey } from '@/lib/api-keys';
+import { requireAuthUser } from '@/lib/auth';
+
+// DELETE /api/api-keys/:id
+export async function DELETE(
+  request: Request,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const user = await requireAuthUser(request);
+    await revokeApiKey(user, (await params).id);
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
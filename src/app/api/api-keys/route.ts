@@ -0,0 +1,41 @@
+import { errorResponse, readJsonBody } from '@/lib/api/http';
+import { createApiKey, listApiKeys } from '@/lib/api-keys';
+import { requireAuthUser } from '@/lib/auth';
+
+// Key management takes a signed-in user: an API key cannot mint or list keys.
+
+// GET /api/api-keys - the signed-in user's keys, newest first
+export async function GET(request: Request) {
+  try {
+    const user = await requireAuthUser(request);
+    const apiKeys = await listApiKeys(user);
+    return Response.json({
+      message: 'API keys retrieved successfully',
+      count: apiKeys.length,
+      apiKeys,
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// POST /api/api-keys { name, scopes, expiresInDays? } - the key is shown once
+export async function POST(request: Request) {
+  try {
+    const user = await requireAuthUser(request);
+    const { key, apiKey } = await createApiKey(
+      user,
+      await readJsonBody(request)
+    );
+    return Response.json(
+      {
+        message: 'API key created. Store it now - it will not be shown again.',
+        key,
+        apiKey,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,58 @@
+import {
+  errorResponse,
+  jsonError,
+  parseId,
+  readJsonBody,
+} from '@/lib/api/http';
+import {
+  cartResponse,
+  getCartSummary,
+  parseQuantity,
+  removeItem,
+  resolveCart,
+  updateItemQuantity,
+} from '@/lib/cart';
+
+type Context = { params: Promise<{ productId: string }> };
+
+// PATCH /api/cart/items/:productId { quantity }
+export async function PATCH(request: Request, { params }: Context) {
+  try {
+    const productId = parseId((await params).productId);
+    if (productId === null) {
+      return jsonError(400, 'Product ID must be a positive integer');
+    }
+    const body = await readJsonBody(request);
+    const quantity = parseQuantity(body.quantity);
+
+    const { cart } = await resolveCart(request);
+    await updateItemQuantity(cart, productId, quantity);
+
+    return cartResponse(cart, {
+      message: 'Cart item updated',
+      cart: await getCartSummary(cart),
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// DELETE /api/cart/items/:productId
+export async function DELETE(request: Request, { params }: Context) {
+  try {
+    const productId = parseId((await params).productId);
+    if (productId === null) {
+      return jsonError(400, 'Product ID must be a positive integer');
+    }
+
+    const { cart } = await resolveCart(request);
+    await removeItem(cart, productId);
+
+    return cartResponse(cart, {
+      message: 'Item removed from cart',
+      cart: await getCartSummary(cart),
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
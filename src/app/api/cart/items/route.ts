@@ -0,0 +1,31 @@
+import { errorResponse, jsonError, readJsonBody } from '@/lib/api/http';
+import {
+  addItem,
+  cartResponse,
+  getCartSummary,
+  parseQuantity,
+  resolveCart,
+} from '@/lib/cart';
+
+// POST /api/cart/items { productId, quantity = 1 }
+export async function POST(request: Request) {
+  try {
+    const body = await readJsonBody(request);
+    const productId = body.productId;
+    if (typeof productId !== 'number' || !Number.isSafeInteger(productId)) {
+      return jsonError(400, 'productId must be an integer');
+    }
+    const quantity = parseQuantity(body.quantity ?? 1);
+
+    const { cart } = await resolveCart(request);
+    await addItem(cart, productId, quantity);
+
+    return cartResponse(
+      cart,
+      { message: 'Item added to cart', cart: await getCartSummary(cart) },
+      { status: 201 }
+    );
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,33 @@
+import { errorResponse } from '@/lib/api/http';
+import { requireAuthUser } from '@/lib/auth';
+import {
+  AnonymousCart,
+  cartResponse,
+  getCartSummary,
+  mergeAnonymousCart,
+  userCartStorage,
+} from '@/lib/cart';
+
+// POST /api/cart/merge - call right after login with the new access token.
+// Moves the anonymous cookie cart into the user's cart and clears the cookie.
+export async function POST(request: Request) {
+  try {
+    const user = await requireAuthUser(request, 'cart:write');
+    const anonymousCart = AnonymousCart.fromRequest(request);
+
+    const result = await mergeAnonymousCart(
+      user.id,
+      await anonymousCart.listLines()
+    );
+    await anonymousCart.clear();
+
+    return cartResponse(anonymousCart, {
+      message: 'Cart merged successfully',
+      merged: result.merged,
+      skipped: result.skipped,
+      cart: await getCartSummary(userCartStorage(user.id)),
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,30 @@
+import { errorResponse } from '@/lib/api/http';
+import { cartResponse, getCartSummary, resolveCart } from '@/lib/cart';
+
+// GET /api/cart - contents and totals of the current cart
+export async function GET(request: Request) {
+  try {
+    const { cart } = await resolveCart(request);
+    const summary = await getCartSummary(cart);
+    return cartResponse(cart, {
+      message: 'Cart retrieved successfully',
+      cart: summary,
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// DELETE /api/cart - empty the cart
+export async function DELETE(request: Request) {
+  try {
+    const { cart } = await resolveCart(request);
+    await cart.clear();
+    return cartResponse(cart, {
+      message: 'Cart cleared successfully',
+      cart: await getCartSummary(cart),
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
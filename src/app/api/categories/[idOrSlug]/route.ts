@@ -0,0 +1,27 @@
+import { jsonError, parseId } from '@/lib/api/http';
+import { getCatalogRepository } from '@/lib/catalog';
+
+// GET /api/categories/:idOrSlug - numeric segments are ids, anything else
+// is treated as a slug (slugs in the schema are never purely numeric).
+export async function GET(
+  _request: Request,
+  { params }: { params: Promise<{ idOrSlug: string }> }
+) {
+  const { idOrSlug } = await params;
+  const repository = getCatalogRepository();
+
+  const id = parseId(idOrSlug);
+  const category =
+    id !== null
+      ? await repository.getCategoryById(id)
+      : await repository.getCategoryBySlug(idOrSlug);
+
+  if (!category) {
+    return jsonError(404, `Category ${idOrSlug} not found`);
+  }
+
+  return Response.json({
+    message: 'Category retrieved successfully',
+    category,
+  });
+}
@@ -0,0 +1,12 @@
+import { getCatalogRepository } from '@/lib/catalog';
+
+// GET /api/categories
+export async function GET() {
+  const categories = await getCatalogRepository().listCategories();
+
+  return Response.json({
+    message: 'Categories retrieved successfully',
+    count: categories.length,
+    categories,
+  });
+}
@@ -0,0 +1,4 @@
+import { createBookRoute } from '@/lib/books';
+
+// /api/learning/books/:id - version negotiated like /api/learning/books
+export const { GET, PUT, PATCH, DELETE, POST, OPTIONS } = createBookRoute();
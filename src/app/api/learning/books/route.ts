@@ -1,4 +1,5 @@
-// Learning API route - placeholder for educational purposes
-export async function GET() {
-  return Response.json({ message: "Learning API route" });
-}
+import { createBooksRoute } from '@/lib/books';
+
+// /api/learning/books - the version comes from `Accept-Version: 1.1` or
+// `Accept: application/vnd.ramen-bae.books.v1.1+json`, defaulting to v1
+export const { GET, POST, PUT, PATCH, DELETE } = createBooksRoute();
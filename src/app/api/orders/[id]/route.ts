@@ -0,0 +1,21 @@
+import { errorResponse, jsonError, parseId } from '@/lib/api/http';
+import { requireAuthUser } from '@/lib/auth';
+import { getOrderForUser } from '@/lib/orders';
+
+// GET /api/orders/:id
+export async function GET(
+  request: Request,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const id = parseId((await params).id);
+    if (id === null) {
+      return jsonError(400, 'Order ID must be a positive integer');
+    }
+    const user = await requireAuthUser(request, 'orders:read');
+    const order = await getOrderForUser(user, id);
+    return Response.json({ message: 'Order retrieved successfully', order });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,27 @@
+import {
+  errorResponse,
+  jsonError,
+  parseId,
+  readJsonBody,
+} from '@/lib/api/http';
+import { requireAuthUser } from '@/lib/auth';
+import { changeOrderStatus } from '@/lib/orders';
+
+// PATCH /api/orders/:id/status { status }
+export async function PATCH(
+  request: Request,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const id = parseId((await params).id);
+    if (id === null) {
+      return jsonError(400, 'Order ID must be a positive integer');
+    }
+    const user = await requireAuthUser(request, 'orders:write');
+    const { status } = await readJsonBody(request);
+    const order = await changeOrderStatus(user, id, status);
+    return Response.json({ message: 'Order status updated', order });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
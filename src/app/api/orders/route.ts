@@ -0,0 +1,32 @@
+import { errorResponse, readJsonBody } from '@/lib/api/http';
+import { requireAuthUser } from '@/lib/auth';
+import { checkout, listOrdersForUser } from '@/lib/orders';
+
+// GET /api/orders - the signed-in user's orders, newest first
+export async function GET(request: Request) {
+  try {
+    const user = await requireAuthUser(request, 'orders:read');
+    const orders = await listOrdersForUser(user);
+    return Response.json({
+      message: 'Orders retrieved successfully',
+      count: orders.length,
+      orders,
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// POST /api/orders { shippingAddress, billingAddress? } - checkout the cart
+export async function POST(request: Request) {
+  try {
+    const user = await requireAuthUser(request, 'orders:write');
+    const order = await checkout(user, await readJsonBody(request));
+    return Response.json(
+      { message: 'Order placed successfully', order },
+      { status: 201, headers: { Location: `/api/orders/${order.id}` } }
+    );
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,74 @@
+import {
+  errorResponse,
+  jsonError,
+  paginationMeta,
+  parseId,
+  parsePagination,
+  readJsonBody,
+} from '@/lib/api/http';
+import { requireAuthUser } from '@/lib/auth';
+import { getCatalogRepository } from '@/lib/catalog';
+import {
+  createReview,
+  getRatingSummary,
+  getReviewRepository,
+} from '@/lib/reviews';
+
+type Context = { params: Promise<{ id: string }> };
+
+// GET /api/products/:id/reviews?page=1&pageSize=10
+export async function GET(request: Request, { params }: Context) {
+  try {
+    const productId = parseId((await params).id);
+    if (productId === null) {
+      return jsonError(400, 'Product ID must be a positive integer');
+    }
+    const pagination = parsePagination(new URL(request.url).searchParams);
+
+    const product = await getCatalogRepository().getProductById(productId);
+    if (!product) {
+      return jsonError(404, `Product with ID ${productId} not found`);
+    }
+
+    const [{ reviews, total }, summary] = await Promise.all([
+      getReviewRepository().listForProduct(productId, pagination),
+      getRatingSummary(productId),
+    ]);
+
+    return Response.json({
+      message: 'Reviews retrieved successfully',
+      reviews,
+      pagination: paginationMeta(pagination, total),
+      summary,
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// POST /api/products/:id/reviews { rating, comment? }
+export async function POST(request: Request, { params }: Context) {
+  try {
+    const productId = parseId((await params).id);
+    if (productId === null) {
+      return jsonError(400, 'Product ID must be a positive integer');
+    }
+    const user = await requireAuthUser(request, 'reviews:write');
+    const review = await createReview(
+      user,
+      productId,
+      await readJsonBody(request)
+    );
+
+    return Response.json(
+      {
+        message: 'Review created successfully',
+        review,
+        summary: await getRatingSummary(productId),
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
@@ -0,0 +1,26 @@
+import { errorResponse, jsonError, parseId } from '@/lib/api/http';
+import { getCatalogRepository } from '@/lib/catalog';
+import { getRatingSummary } from '@/lib/reviews';
+
+// GET /api/products/:id/reviews/summary - average, count and 1-5 histogram
+export async function GET(
+  _request: Request,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  try {
+    const productId = parseId((await params).id);
+    if (productId === null) {
+      return jsonError(400, 'Product ID must be a positive integer');
+    }
+    if (!(await getCatalogRepository().getProductById(productId))) {
+      return jsonError(404, `Product with ID ${productId} not found`);
+    }
+
+    return Response.json({
+      message: 'Rating summary retrieved successfully',
+      summary: await getRatingSummary(productId),
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
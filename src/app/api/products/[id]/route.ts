@@ -0,0 +1,21 @@
+import { jsonError, parseId } from '@/lib/api/http';
+import { getCatalogRepository } from '@/lib/catalog';
+
+// GET /api/products/:id
+export async function GET(
+  _request: Request,
+  { params }: { params: Promise<{ id: string }> }
+) {
+  const { id: idParam } = await params;
+  const id = parseId(idParam);
+  if (id === null) {
+    return jsonError(400, 'Product ID must be a positive integer');
+  }
+
+  const product = await getCatalogRepository().getProductById(id);
+  if (!product) {
+    return jsonError(404, `Product with ID ${id} not found`);
+  }
+
+  return Response.json({ message: 'Product retrieved successfully', product });
+}
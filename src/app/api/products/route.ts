@@ -0,0 +1,37 @@
+import { jsonError, parseBoolean, parseId } from '@/lib/api/http';
+import { getCatalogRepository, type ProductFilter } from '@/lib/catalog';
+
+// GET /api/products?category_id=1&is_active=false&include_inactive=true
+// Only active products are listed unless the caller asks for inactive ones
+export async function GET(request: Request) {
+  const { searchParams } = new URL(request.url);
+  const filter: ProductFilter = {};
+
+  const categoryParam = searchParams.get('category_id');
+  if (categoryParam !== null) {
+    const categoryId = parseId(categoryParam);
+    if (categoryId === null) {
+      return jsonError(400, 'category_id must be a positive integer');
+    }
+    filter.categoryId = categoryId;
+  }
+
+  const isActive = parseBoolean(searchParams.get('is_active'));
+  if (isActive === null) {
+    return jsonError(400, 'is_active must be true or false');
+  }
+  const includeInactive = parseBoolean(searchParams.get('include_inactive'));
+  if (includeInactive === null) {
+    return jsonError(400, 'include_inactive must be true or false');
+  }
+  // is_active wins when given; include_inactive=true lists both
+  filter.isActive = isActive ?? (includeInactive ? undefined : true);
+
+  const products = await getCatalogRepository().listProducts(filter);
+
+  return Response.json({
+    message: 'Products retrieved successfully',
+    count: products.length,
+    products,
+  });
+}
@@ -0,0 +1,17 @@
+import { jsonError } from '@/lib/api/http';
+import { getCatalogRepository } from '@/lib/catalog';
+
+// GET /api/products/sku/:sku
+export async function GET(
+  _request: Request,
+  { params }: { params: Promise<{ sku: string }> }
+) {
+  const { sku } = await params;
+
+  const product = await getCatalogRepository().getProductBySku(sku);
+  if (!product) {
+    return jsonError(404, `Product with SKU ${sku} not found`);
+  }
+
+  return Response.json({ message: 'Product retrieved successfully', product });
+}
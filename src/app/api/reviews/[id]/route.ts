@@ -0,0 +1,46 @@
+import {
+  errorResponse,
+  jsonError,
+  parseId,
+  readJsonBody,
+} from '@/lib/api/http';
+import { requireAuthUser } from '@/lib/auth';
+import { deleteReview, getRatingSummary, updateReview } from '@/lib/reviews';
+
+type Context = { params: Promise<{ id: string }> };
+
+// PATCH /api/reviews/:id { rating?, comment? }
+export async function PATCH(request: Request, { params }: Context) {
+  try {
+    const id = parseId((await params).id);
+    if (id === null) {
+      return jsonError(400, 'Review ID must be a positive integer');
+    }
+    const user = await requireAuthUser(request, 'reviews:write');
+    const review = await updateReview(user, id, await readJsonBody(request));
+
+    return Response.json({
+      message: 'Review updated successfully',
+      review,
+      summary: await getRatingSummary(review.productId),
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// DELETE /api/reviews/:id
+export async function DELETE(request: Request, { params }: Context) {
+  try {
+    const id = parseId((await params).id);
+    if (id === null) {
+      return jsonError(400, 'Review ID must be a positive integer');
+    }
+    const user = await requireAuthUser(request, 'reviews:write');
+    await deleteReview(user, id);
+
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
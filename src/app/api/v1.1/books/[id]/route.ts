@@ -0,0 +1,5 @@
+import { createBookRoute } from '@/lib/books';
+
+// /api/v1.1/books/:id
+export const { GET, PUT, PATCH, DELETE, POST, OPTIONS } =
+  createBookRoute('1.1');
@@ -0,0 +1,4 @@
+import { createBooksRoute } from '@/lib/books';
+
+// /api/v1.1/books
+export const { GET, POST, PUT, PATCH, DELETE } = createBooksRoute('1.1');
@@ -0,0 +1,4 @@
+import { createBookRoute } from '@/lib/books';
+
+// /api/v1/books/:id
+export const { GET, PUT, PATCH, DELETE, POST, OPTIONS } = createBookRoute('1');
@@ -0,0 +1,4 @@
+import { createBooksRoute } from '@/lib/books';
+
+// /api/v1/books - deprecated; responses carry Deprecation and Sunset headers
+export const { GET, POST, PUT, PATCH, DELETE } = createBooksRoute('1');
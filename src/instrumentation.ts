@@ -0,0 +1,8 @@
+// Runs once when the server starts. Loading the JWT module checks
+// JWT_ALGORITHM / JWT_KEYS_DIR, so a bad configuration fails here rather
+// than on the first authenticated request.
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    await import('@/lib/auth/jwt');
+  }
+}
@@ -0,0 +1,9 @@
+export { getApiKeyRepository, type ApiKeyRepository } from './repository';
+export {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey,
+} from './service';
+export { API_KEY_SCOPES } from './types';
+export type { ApiKey, ApiKeyIdentity, ApiKeyScope, ApiKeyView } from './types';
@@ -0,0 +1,68 @@
+import type { ApiKeyRow, MemoryStore } from '@/lib/db';
+
+import type { ApiKeyRepository } from './repository';
+import type { ApiKey, ApiKeyScope } from './types';
+
+function toApiKey(row: ApiKeyRow): ApiKey {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    keyHash: row.key_hash,
+    role: row.role,
+    scopes: [...row.scopes] as ApiKeyScope[],
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+export function createMemoryApiKeyRepository(
+  store: MemoryStore
+): ApiKeyRepository {
+  const { tables } = store;
+
+  return {
+    async create(key) {
+      tables.api_keys.push({
+        id: key.id,
+        user_id: key.userId,
+        name: key.name,
+        key_hash: key.keyHash,
+        role: key.role,
+        scopes: [...key.scopes],
+        created_at: key.createdAt,
+        expires_at: key.expiresAt,
+        last_used_at: key.lastUsedAt,
+        revoked_at: key.revokedAt,
+      });
+    },
+
+    async getById(id) {
+      const row = tables.api_keys.find((key) => key.id === id);
+      return row ? toApiKey(row) : null;
+    },
+
+    async listForUser(userId) {
+      return tables.api_keys
+        .filter((key) => key.user_id === userId)
+        .sort((a, b) => b.created_at.getTime() - a.created_at.getTime())
+        .map(toApiKey);
+    },
+
+    async revoke(id, userId) {
+      const row = tables.api_keys.find(
+        (key) => key.id === id && key.user_id === userId && !key.revoked_at
+      );
+      if (!row) return false;
+      row.revoked_at = new Date();
+      return true;
+    },
+
+    async touch(id, usedAt) {
+      const row = tables.api_keys.find((key) => key.id === id);
+      if (row) row.last_used_at = usedAt;
+    },
+  };
+}
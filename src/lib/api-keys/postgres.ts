@@ -0,0 +1,75 @@
+import type { Pool } from 'pg';
+
+import type { ApiKeyRow } from '@/lib/db';
+
+import type { ApiKeyRepository } from './repository';
+import type { ApiKey, ApiKeyScope } from './types';
+
+function toApiKey(row: ApiKeyRow): ApiKey {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    keyHash: row.key_hash,
+    role: row.role,
+    scopes: row.scopes as ApiKeyScope[],
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+export function createPostgresApiKeyRepository(pool: Pool): ApiKeyRepository {
+  return {
+    async create(key) {
+      await pool.query(
+        `INSERT INTO api_keys
+           (id, user_id, name, key_hash, role, scopes, created_at, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          key.id,
+          key.userId,
+          key.name,
+          key.keyHash,
+          key.role,
+          key.scopes,
+          key.createdAt,
+          key.expiresAt,
+        ]
+      );
+    },
+
+    async getById(id) {
+      const { rows } = await pool.query<ApiKeyRow>(
+        'SELECT * FROM api_keys WHERE id = $1',
+        [id]
+      );
+      return rows[0] ? toApiKey(rows[0]) : null;
+    },
+
+    async listForUser(userId) {
+      const { rows } = await pool.query<ApiKeyRow>(
+        'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
+        [userId]
+      );
+      return rows.map(toApiKey);
+    },
+
+    async revoke(id, userId) {
+      const { rowCount } = await pool.query(
+        `UPDATE api_keys SET revoked_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+        [id, userId]
+      );
+      return (rowCount ?? 0) > 0;
+    },
+
+    async touch(id, usedAt) {
+      await pool.query('UPDATE api_keys SET last_used_at = $2 WHERE id = $1', [
+        id,
+        usedAt,
+      ]);
+    },
+  };
+}
@@ -0,0 +1,23 @@
+import { getDataSource } from '@/lib/db';
+
+import { createMemoryApiKeyRepository } from './memory';
+import { createPostgresApiKeyRepository } from './postgres';
+import type { ApiKey } from './types';
+
+/** Access to the `api_keys` table. */
+export interface ApiKeyRepository {
+  create(key: ApiKey): Promise<void>;
+  getById(id: string): Promise<ApiKey | null>;
+  /** Newest first, revoked keys included. */
+  listForUser(userId: number): Promise<ApiKey[]>;
+  /** Only revokes the user's own, not yet revoked keys. */
+  revoke(id: string, userId: number): Promise<boolean>;
+  touch(id: string, usedAt: Date): Promise<void>;
+}
+
+export function getApiKeyRepository(): ApiKeyRepository {
+  const dataSource = getDataSource();
+  return dataSource.kind === 'postgres'
+    ? createPostgresApiKeyRepository(dataSource.pool)
+    : createMemoryApiKeyRepository(dataSource.store);
+}
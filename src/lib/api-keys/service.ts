@@ -0,0 +1,155 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+import { ApiError } from '@/lib/api/errors';
+import type { AuthUser } from '@/lib/auth';
+
+import { getApiKeyRepository } from './repository';
+import {
+  API_KEY_SCOPES,
+  type ApiKey,
+  type ApiKeyIdentity,
+  type ApiKeyScope,
+  type ApiKeyView,
+} from './types';
+
+const MAX_NAME_LENGTH = 64;
+const MAX_EXPIRY_DAYS = 365;
+
+// Same format as the Express JWT example's keys: sk_<16 hex>_<43 base64url>.
+// The middle part is the key ID, used to find the record.
+const PREFIX = process.env.API_KEY_PREFIX || 'sk';
+if (!/^[a-z0-9]+$/.test(PREFIX)) {
+  throw new Error('API_KEY_PREFIX must be lowercase letters and digits');
+}
+const KEY_PATTERN = new RegExp(`^${PREFIX}_([0-9a-f]{16})_[A-Za-z0-9_-]{43}$`);
+
+function hashKey(key: string): Buffer {
+  return createHash('sha256').update(key).digest();
+}
+
+function isScope(value: unknown): value is ApiKeyScope {
+  return (API_KEY_SCOPES as readonly unknown[]).includes(value);
+}
+
+function toView(key: ApiKey): ApiKeyView {
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: `${PREFIX}_${key.id}`,
+    scopes: key.scopes,
+    createdAt: key.createdAt,
+    expiresAt: key.expiresAt,
+    lastUsedAt: key.lastUsedAt,
+    revokedAt: key.revokedAt,
+  };
+}
+
+/**
+ * Create a key for the signed-in user. The full key is only returned here;
+ * only its SHA-256 hash is stored. The key acts with the role the user has
+ * now, limited to `scopes`.
+ */
+export async function createApiKey(
+  user: AuthUser,
+  body: Record<string, unknown>
+): Promise<{ key: string; apiKey: ApiKeyView }> {
+  const { name, scopes, expiresInDays } = body;
+  if (
+    typeof name !== 'string' ||
+    !name.trim() ||
+    name.trim().length > MAX_NAME_LENGTH
+  ) {
+    throw new ApiError(400, `name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(isScope)) {
+    throw new ApiError(
+      400,
+      'scopes must be a non-empty list of scopes',
+      undefined,
+      {
+        allowedScopes: API_KEY_SCOPES,
+      }
+    );
+  }
+  if (
+    expiresInDays !== undefined &&
+    !(
+      Number.isInteger(expiresInDays) &&
+      (expiresInDays as number) > 0 &&
+      (expiresInDays as number) <= MAX_EXPIRY_DAYS
+    )
+  ) {
+    throw new ApiError(
+      400,
+      `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`
+    );
+  }
+
+  const id = randomBytes(8).toString('hex');
+  const key = `${PREFIX}_${id}_${randomBytes(32).toString('base64url')}`;
+  const now = new Date();
+  const record: ApiKey = {
+    id,
+    userId: user.id,
+    name: name.trim(),
+    keyHash: hashKey(key).toString('hex'),
+    role: user.role ?? null,
+    scopes: [...new Set(scopes)],
+    createdAt: now,
+    expiresAt:
+      expiresInDays === undefined
+        ? null
+        : new Date(now.getTime() + (expiresInDays as number) * 86_400_000),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+  await getApiKeyRepository().create(record);
+  return { key, apiKey: toView(record) };
+}
+
+export async function listApiKeys(user: AuthUser): Promise<ApiKeyView[]> {
+  const keys = await getApiKeyRepository().listForUser(user.id);
+  return keys.map(toView);
+}
+
+/** Revoke one of the user's keys. Another user's key counts as not found. */
+export async function revokeApiKey(user: AuthUser, id: string): Promise<void> {
+  if (!(await getApiKeyRepository().revoke(id, user.id))) {
+    throw new ApiError(404, `API key ${id} not found`, 'API_KEY_NOT_FOUND');
+  }
+}
+
+/**
+ * Check a key from a request. Malformed keys, unknown IDs and wrong
+ * secrets all get the same 401 so they can't be told apart.
+ */
+export async function verifyApiKey(key: string): Promise<ApiKeyIdentity> {
+  const match = KEY_PATTERN.exec(key);
+  const repository = getApiKeyRepository();
+  const record = match ? await repository.getById(match[1]) : null;
+
+  const actual = hashKey(key);
+  const expected = record ? Buffer.from(record.keyHash, 'hex') : null;
+  if (
+    !record ||
+    !expected ||
+    expected.length !== actual.length ||
+    !timingSafeEqual(actual, expected)
+  ) {
+    throw new ApiError(401, 'API key is invalid', 'INVALID_API_KEY');
+  }
+  if (record.revokedAt) {
+    throw new ApiError(401, 'API key has been revoked', 'API_KEY_REVOKED');
+  }
+  if (record.expiresAt && record.expiresAt <= new Date()) {
+    throw new ApiError(401, 'API key has expired', 'API_KEY_EXPIRED');
+  }
+
+  await repository.touch(record.id, new Date());
+  return {
+    keyId: record.id,
+    userId: record.userId,
+    role: record.role,
+    scopes: record.scopes,
+  };
+}
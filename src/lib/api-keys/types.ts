@@ -0,0 +1,42 @@
+/** What a key can be limited to, one per route group and access level. */
+export const API_KEY_SCOPES = [
+  'cart:read',
+  'cart:write',
+  'orders:read',
+  'orders:write',
+  'reviews:write',
+] as const;
+export type ApiKeyScope = (typeof API_KEY_SCOPES)[number];
+
+export interface ApiKey {
+  id: string;
+  userId: number;
+  name: string;
+  keyHash: string;
+  role: string | null;
+  scopes: ApiKeyScope[];
+  createdAt: Date;
+  expiresAt: Date | null;
+  lastUsedAt: Date | null;
+  revokedAt: Date | null;
+}
+
+/** Key details that are safe to return - never the hash. */
+export interface ApiKeyView {
+  id: string;
+  name: string;
+  prefix: string;
+  scopes: ApiKeyScope[];
+  createdAt: Date;
+  expiresAt: Date | null;
+  lastUsedAt: Date | null;
+  revokedAt: Date | null;
+}
+
+/** Who a verified key acts as. */
+export interface ApiKeyIdentity {
+  keyId: string;
+  userId: number;
+  role: string | null;
+  scopes: ApiKeyScope[];
+}
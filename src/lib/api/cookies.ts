@@ -0,0 +1,57 @@
+export interface CookieOptions {
+  maxAge?: number;
+  path?: string;
+  httpOnly?: boolean;
+  secure?: boolean;
+  sameSite?: 'Strict' | 'Lax' | 'None';
+}
+
+export function parseCookies(request: Request): Record<string, string> {
+  const header = request.headers.get('cookie');
+  const cookies: Record<string, string> = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Build a Set-Cookie header value. Defaults to a host-wide, HttpOnly,
+ * SameSite=Lax cookie that is Secure outside development.
+ */
+export function serializeCookie(
+  name: string,
+  value: string,
+  options: CookieOptions = {}
+): string {
+  const {
+    maxAge,
+    path = '/',
+    httpOnly = true,
+    secure = process.env.NODE_ENV === 'production',
+    sameSite = 'Lax',
+  } = options;
+
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`];
+  if (maxAge !== undefined) parts.push(`Max-Age=${maxAge}`);
+  if (httpOnly) parts.push('HttpOnly');
+  if (secure) parts.push('Secure');
+  parts.push(`SameSite=${sameSite}`);
+  return parts.join('; ');
+}
+
+export function clearCookie(name: string, options: CookieOptions = {}): string {
+  return serializeCookie(name, '', { ...options, maxAge: 0 });
+}
@@ -0,0 +1,15 @@
+/**
+ * Error thrown by the service layer when a request cannot be fulfilled.
+ * Route handlers turn it into a JSON error response with `status`.
+ */
+export class ApiError extends Error {
+  constructor(
+    public status: number,
+    message: string,
+    public code?: string,
+    public details?: Record<string, unknown>
+  ) {
+    super(message);
+    this.name = 'ApiError';
+  }
+}
@@ -0,0 +1,111 @@
+// Small helpers shared by the route handlers under src/app/api.
+
+import { ApiError } from './errors';
+
+export function jsonError(
+  status: number,
+  error: string,
+  extra: Record<string, unknown> = {}
+): Response {
+  return Response.json({ error, ...extra }, { status });
+}
+
+/**
+ * Parse a SERIAL id from a path segment or query param.
+ * Returns null for anything that is not a positive integer.
+ */
+export function parseId(value: string | null | undefined): number | null {
+  if (!value || !/^\d+$/.test(value)) return null;
+  const id = Number(value);
+  return id > 0 && Number.isSafeInteger(id) ? id : null;
+}
+
+/**
+ * Parse a `true`/`false` query param. Returns undefined when the param is
+ * missing and null when it is present but not a boolean.
+ */
+export function parseBoolean(value: string | null): boolean | null | undefined {
+  if (value === null) return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+}
+
+/**
+ * Convert an error thrown by a service into a JSON response. Anything that
+ * is not an ApiError is logged and reported as a generic 500 so internals
+ * never leak to the client.
+ */
+export function errorResponse(error: unknown): Response {
+  if (error instanceof ApiError) {
+    return jsonError(error.status, error.message, {
+      ...(error.code && { code: error.code }),
+      ...error.details,
+    });
+  }
+  console.error('Unhandled API error:', error);
+  return jsonError(500, 'Internal server error');
+}
+
+/** Read a JSON body of any shape, rejecting malformed JSON. */
+export async function readJson(request: Request): Promise<unknown> {
+  try {
+    return await request.json();
+  } catch {
+    throw new ApiError(400, 'Invalid JSON in request body');
+  }
+}
+
+/**
+ * Read a JSON object body, rejecting malformed JSON and non-object payloads.
+ */
+export async function readJsonBody(
+  request: Request
+): Promise<Record<string, unknown>> {
+  const body = await readJson(request);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Request body must be a JSON object');
+  }
+  return body as Record<string, unknown>;
+}
+
+export interface Pagination {
+  page: number;
+  pageSize: number;
+  limit: number;
+  offset: number;
+}
+
+/**
+ * Read 1-based `page` and `pageSize` query params, defaulting to the first
+ * page and capping the page size.
+ */
+export function parsePagination(
+  searchParams: URLSearchParams,
+  { defaultPageSize = 10, maxPageSize = 50 } = {}
+): Pagination {
+  const pageParam = searchParams.get('page');
+  const sizeParam = searchParams.get('pageSize');
+  const page = pageParam === null ? 1 : parseId(pageParam);
+  const pageSize = sizeParam === null ? defaultPageSize : parseId(sizeParam);
+
+  if (page === null) {
+    throw new ApiError(400, 'page must be a positive integer');
+  }
+  if (pageSize === null || pageSize > maxPageSize) {
+    throw new ApiError(
+      400,
+      `pageSize must be an integer from 1 to ${maxPageSize}`
+    );
+  }
+  return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+}
+
+export function paginationMeta({ page, pageSize }: Pagination, total: number) {
+  return {
+    page,
+    pageSize,
+    total,
+    totalPages: Math.ceil(total / pageSize),
+  };
+}
@@ -0,0 +1,78 @@
+export type Operator =
+  | 'eq'
+  | 'ne'
+  | 'in'
+  | 'notIn'
+  | 'gt'
+  | 'gte'
+  | 'lt'
+  | 'lte'
+  | 'exists';
+
+/**
+ * A dotted attribute path, rooted at `subject`, `resource`, `action` or
+ * `context`, e.g. `resource.status`.
+ */
+export type AttributePath = string;
+
+export type Condition =
+  | { attr: AttributePath; op: Operator; value?: unknown }
+  | { attr: AttributePath; op: Operator; ref: AttributePath }
+  | { all: Condition[] }
+  | { any: Condition[] }
+  | { not: Condition };
+
+export interface Rule {
+  id: string;
+  effect: 'allow' | 'deny';
+  /** Actions the rule applies to; `*` matches every action. */
+  actions: string[];
+  description?: string;
+  /** Omit to match every request for the rule's actions. */
+  when?: Condition;
+}
+
+export interface AccessRequest<S = object, R = object> {
+  subject: S;
+  action: string;
+  resource?: R;
+  context?: Record<string, unknown>;
+}
+
+export interface ConditionTrace {
+  op: Operator | 'all' | 'any' | 'not';
+  result: boolean;
+  /** Set for comparisons, e.g. `resource.status eq "pending"`. */
+  condition?: string;
+  actual?: unknown;
+  expected?: unknown;
+  children?: ConditionTrace[];
+}
+
+export interface RuleTrace {
+  rule: string;
+  effect: 'allow' | 'deny';
+  description?: string;
+  matched: boolean;
+  conditions: ConditionTrace | null;
+}
+
+export interface Decision {
+  allowed: boolean;
+  action: string;
+  /** The rule that decided, or null when nothing matched (default deny). */
+  decidedBy: string | null;
+  reason: string;
+  /** Every rule covering the action, in policy order. */
+  trace: RuleTrace[];
+}
+
+export interface Policy {
+  rules: Rule[];
+  evaluate(request: AccessRequest): Decision;
+  can(request: AccessRequest): boolean;
+}
+
+export function createPolicy(rules: Rule[]): Policy;
+
+export function formatDecision(decision: Decision): string;
@@ -0,0 +1,226 @@
+/**
+ * Attribute-based access control (ABAC) policy engine.
+ *
+ * Rules decide an action from attributes of the subject (who), the resource
+ * (what), the action and any extra context, e.g. "a customer can cancel an
+ * order they own while it is still pending". Every decision comes with a
+ * trace of which rules applied and how each condition evaluated.
+ *
+ * Plain CommonJS with no dependencies so the same engine runs in the Next.js
+ * route handlers, the tRPC examples and the Express JWT examples (which
+ * `require` it directly). Types live in abac.d.ts.
+ */
+
+const COMPARATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  in: (actual, expected) =>
+    Array.isArray(expected) && expected.includes(actual),
+  notIn: (actual, expected) =>
+    Array.isArray(expected) && !expected.includes(actual),
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  exists: (actual) => actual !== undefined && actual !== null,
+};
+
+const ROOTS = ['subject', 'resource', 'action', 'context'];
+
+/** Read a dotted attribute path such as `resource.owner.id`. */
+function readAttribute(request, path) {
+  return path
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), request);
+}
+
+function describeOperand(condition) {
+  if (condition.ref) return condition.ref;
+  if (condition.op === 'exists') return '';
+  return JSON.stringify(condition.value);
+}
+
+function validateCondition(condition, ruleId) {
+  if (condition.all || condition.any) {
+    (condition.all || condition.any).forEach((child) =>
+      validateCondition(child, ruleId)
+    );
+    return;
+  }
+  if (condition.not) {
+    validateCondition(condition.not, ruleId);
+    return;
+  }
+
+  const paths = [condition.attr, condition.ref].filter(Boolean);
+  if (
+    !condition.attr ||
+    !Object.prototype.hasOwnProperty.call(COMPARATORS, condition.op)
+  ) {
+    throw new Error(
+      `Rule "${ruleId}": conditions need an attr and one of ${Object.keys(COMPARATORS).join(', ')}`
+    );
+  }
+  for (const path of paths) {
+    if (!ROOTS.includes(path.split('.')[0])) {
+      throw new Error(
+        `Rule "${ruleId}": "${path}" must start with ${ROOTS.join(', ')}`
+      );
+    }
+  }
+}
+
+/**
+ * Evaluate a condition tree, returning the result and how it was reached.
+ * `all`/`any` stop at the first deciding child, like && and ||.
+ */
+function evaluateCondition(condition, request) {
+  if (condition.all || condition.any) {
+    const isAll = Boolean(condition.all);
+    const children = [];
+    let result = isAll;
+    for (const child of condition.all || condition.any) {
+      const trace = evaluateCondition(child, request);
+      children.push(trace);
+      if (trace.result !== isAll) {
+        result = !isAll;
+        break;
+      }
+    }
+    return { op: isAll ? 'all' : 'any', result, children };
+  }
+
+  if (condition.not) {
+    const child = evaluateCondition(condition.not, request);
+    return { op: 'not', result: !child.result, children: [child] };
+  }
+
+  const actual = readAttribute(request, condition.attr);
+  const expected = condition.ref
+    ? readAttribute(request, condition.ref)
+    : condition.value;
+  return {
+    op: condition.op,
+    condition:
+      `${condition.attr} ${condition.op} ${describeOperand(condition)}`.trim(),
+    actual,
+    expected,
+    result: COMPARATORS[condition.op](actual, expected),
+  };
+}
+
+function matchesAction(rule, action) {
+  return rule.actions.includes('*') || rule.actions.includes(action);
+}
+
+/**
+ * Build a policy from rules. Deny rules win over allow rules; when no rule
+ * matches the request is denied.
+ *
+ * @param {import('./abac').Rule[]} rules
+ * @returns {import('./abac').Policy}
+ */
+function createPolicy(rules) {
+  const ids = new Set();
+  for (const rule of rules) {
+    if (!rule.id || ids.has(rule.id)) {
+      throw new Error(`Every rule needs a unique id (got "${rule.id}")`);
+    }
+    if (rule.effect !== 'allow' && rule.effect !== 'deny') {
+      throw new Error(`Rule "${rule.id}": effect must be allow or deny`);
+    }
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      throw new Error(`Rule "${rule.id}": actions must be a non-empty array`);
+    }
+    if (rule.when) validateCondition(rule.when, rule.id);
+    ids.add(rule.id);
+  }
+
+  function evaluate(request) {
+    const trace = [];
+    let allowedBy = null;
+    let deniedBy = null;
+
+    for (const rule of rules) {
+      if (!matchesAction(rule, request.action)) continue;
+
+      const conditions = rule.when
+        ? evaluateCondition(rule.when, request)
+        : null;
+      const matched = conditions ? conditions.result : true;
+      trace.push({
+        rule: rule.id,
+        effect: rule.effect,
+        description: rule.description,
+        matched,
+        conditions,
+      });
+
+      if (matched && rule.effect === 'deny' && !deniedBy) deniedBy = rule;
+      if (matched && rule.effect === 'allow' && !allowedBy) allowedBy = rule;
+    }
+
+    const decidingRule = deniedBy || allowedBy;
+    let reason;
+    if (deniedBy) {
+      reason = `Denied by rule "${deniedBy.id}"`;
+    } else if (allowedBy) {
+      reason = `Allowed by rule "${allowedBy.id}"`;
+    } else if (trace.length === 0) {
+      reason = `No rule covers action "${request.action}"`;
+    } else {
+      reason = `No allow rule matched action "${request.action}"`;
+    }
+
+    return {
+      allowed: !deniedBy && Boolean(allowedBy),
+      action: request.action,
+      decidedBy: decidingRule ? decidingRule.id : null,
+      reason,
+      trace,
+    };
+  }
+
+  return {
+    rules,
+    evaluate,
+    can: (request) => evaluate(request).allowed,
+  };
+}
+
+/**
+ * Render a decision's trace as indented lines, for logs and debugging.
+ *
+ * @param {import('./abac').Decision} decision
+ * @returns {string}
+ */
+function formatDecision(decision) {
+  const lines = [
+    `${decision.allowed ? 'ALLOW' : 'DENY'} ${decision.action}: ${decision.reason}`,
+  ];
+
+  function addCondition(node, depth) {
+    const mark = node.result ? '✓' : '✗';
+    const pad = '  '.repeat(depth);
+    if (node.children) {
+      lines.push(`${pad}${mark} ${node.op}`);
+      node.children.forEach((child) => addCondition(child, depth + 1));
+    } else {
+      const detail =
+        node.op === 'exists'
+          ? `(was ${JSON.stringify(node.actual)})`
+          : `(${JSON.stringify(node.actual)} vs ${JSON.stringify(node.expected)})`;
+      lines.push(`${pad}${mark} ${node.condition} ${detail}`);
+    }
+  }
+
+  for (const entry of decision.trace) {
+    lines.push(
+      `  ${entry.matched ? '✓' : '✗'} ${entry.effect} ${entry.rule}${entry.description ? ` - ${entry.description}` : ''}`
+    );
+    if (entry.conditions) addCondition(entry.conditions, 2);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { createPolicy, formatDecision };
@@ -0,0 +1,52 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+import { parseCookies } from '@/lib/api/cookies';
+import { ApiError } from '@/lib/api/errors';
+
+// Cookie mode from utils/cookieSession.js in
+// Learning/0.4-Authentication-Security/examples/02-jwt-implementation: the
+// access token arrives in an HttpOnly cookie, so unsafe requests must echo
+// the csrf_token cookie in a header. Tokens are `nonce.HMAC(sid.nonce)`
+// signed with the same CSRF_SECRET, so either server can check them.
+const CSRF_SECRET =
+  process.env.CSRF_SECRET || 'fallback-csrf-secret-change-in-production';
+
+export const ACCESS_TOKEN_COOKIE = 'access_token';
+export const CSRF_COOKIE = 'csrf_token';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function sign(sessionId: string, nonce: string): Buffer {
+  return createHmac('sha256', CSRF_SECRET)
+    .update(`${sessionId}.${nonce}`)
+    .digest();
+}
+
+export function verifyCsrfToken(token: string, sessionId: string): boolean {
+  const [nonce, signature] = token.split('.');
+  if (!nonce || !signature || !sessionId) return false;
+
+  const expected = sign(sessionId, nonce);
+  const actual = Buffer.from(signature, 'base64url');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Reject an unsafe, cookie-authenticated request unless the X-CSRF-Token
+ * header matches the csrf_token cookie and was issued for this session.
+ */
+export function assertCsrf(request: Request, sessionId: string | undefined) {
+  if (SAFE_METHODS.has(request.method)) return;
+
+  const header = request.headers.get(CSRF_HEADER);
+  const cookie = parseCookies(request)[CSRF_COOKIE];
+  if (
+    !header ||
+    header !== cookie ||
+    !sessionId ||
+    !verifyCsrfToken(header, sessionId)
+  ) {
+    throw new ApiError(403, 'Invalid CSRF token', 'CSRF_TOKEN_INVALID');
+  }
+}
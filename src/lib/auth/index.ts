@@ -0,0 +1,134 @@
+import { parseCookies } from '@/lib/api/cookies';
+import { ApiError } from '@/lib/api/errors';
+import { verifyApiKey, type ApiKeyScope } from '@/lib/api-keys';
+
+import type { AccessRequest, Decision, Policy } from './abac';
+import { ACCESS_TOKEN_COOKIE, assertCsrf } from './csrf';
+import { verifyAccessToken } from './jwt';
+
+export interface AuthUser {
+  id: number;
+  email?: string;
+  role?: string;
+  /** Set when the request was authenticated with an API key. */
+  apiKeyId?: string;
+}
+
+// `Authorization: ApiKey <key>` or `X-API-Key: <key>`
+function apiKeyFromRequest(request: Request): string | null {
+  const [scheme, key] = (request.headers.get('authorization') ?? '').split(' ');
+  if (scheme === 'ApiKey' && key) return key;
+  return request.headers.get('x-api-key');
+}
+
+async function getApiKeyUser(
+  key: string,
+  scope: ApiKeyScope | undefined
+): Promise<AuthUser> {
+  const identity = await verifyApiKey(key);
+  if (!scope || !identity.scopes.includes(scope)) {
+    throw new ApiError(
+      403,
+      scope
+        ? `This API key does not have the ${scope} scope`
+        : 'API keys cannot be used for this request',
+      'INSUFFICIENT_SCOPE',
+      { scopes: identity.scopes, ...(scope && { requiredScope: scope }) }
+    );
+  }
+  return {
+    id: identity.userId,
+    role: identity.role ?? undefined,
+    apiKeyId: identity.keyId,
+  };
+}
+
+/**
+ * Resolve the user from an `Authorization: Bearer` header, or failing that
+ * the `access_token` cookie set in cookie mode. Cookie-authenticated
+ * requests that change state must also pass the CSRF check.
+ * An API key (`Authorization: ApiKey` or `X-API-Key`) is accepted only
+ * when it holds `scope`, so routes that pass no scope are JWT-only.
+ * Returns null for anonymous requests and throws a 401 ApiError when a
+ * token is present but invalid, so a bad token never silently downgrades
+ * to an anonymous session.
+ */
+export async function getAuthUser(
+  request: Request,
+  scope?: ApiKeyScope
+): Promise<AuthUser | null> {
+  const apiKey = apiKeyFromRequest(request);
+  if (apiKey) return getApiKeyUser(apiKey, scope);
+
+  const header = request.headers.get('authorization');
+  const cookieToken = parseCookies(request)[ACCESS_TOKEN_COOKIE];
+  if (!header && !cookieToken) return null;
+
+  let claims;
+  if (header) {
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      throw new ApiError(401, 'Invalid authorization header', 'INVALID_TOKEN');
+    }
+    claims = verifyAccessToken(token);
+  } else {
+    claims = verifyAccessToken(cookieToken);
+    assertCsrf(request, claims.sid);
+  }
+
+  const id = Number(claims.sub);
+  if (!Number.isSafeInteger(id) || id <= 0) {
+    throw new ApiError(401, 'Invalid token', 'INVALID_TOKEN');
+  }
+
+  return { id, email: claims.email, role: claims.role };
+}
+
+export async function requireAuthUser(
+  request: Request,
+  scope?: ApiKeyScope
+): Promise<AuthUser> {
+  const user = await getAuthUser(request, scope);
+  if (!user) {
+    throw new ApiError(401, 'Authentication required', 'NO_TOKEN');
+  }
+  return user;
+}
+
+/**
+ * Check a request against an ABAC policy and return the decision, throwing
+ * a 403 ApiError when it is denied. Outside production the error carries
+ * the policy trace so it is easy to see which condition failed.
+ */
+export function authorize(policy: Policy, request: AccessRequest): Decision {
+  const decision = policy.evaluate(request);
+  if (!decision.allowed) {
+    throw new ApiError(
+      403,
+      decision.reason,
+      'FORBIDDEN',
+      process.env.NODE_ENV === 'production'
+        ? undefined
+        : { decidedBy: decision.decidedBy, trace: decision.trace }
+    );
+  }
+  return decision;
+}
+
+export {
+  createPolicy,
+  formatDecision,
+  type AccessRequest,
+  type Condition,
+  type Decision,
+  type Policy,
+  type Rule,
+} from './abac';
+export {
+  ACCESS_TOKEN_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  assertCsrf,
+  verifyCsrfToken,
+} from './csrf';
+export { verifyAccessToken, type AccessTokenClaims } from './jwt';
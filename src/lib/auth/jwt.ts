@@ -0,0 +1,184 @@
+import {
+  createHmac,
+  createPublicKey,
+  timingSafeEqual,
+  verify,
+  type KeyObject,
+} from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import path from 'path';
+
+import { ApiError } from '@/lib/api/errors';
+
+// Verifies the access tokens issued by JWTUtils in
+// Learning/0.4-Authentication-Security/examples/02-jwt-implementation, so a
+// token from that server is accepted by these route handlers as well. Use
+// the same JWT_ALGORITHM and, for RS256/ES256/EdDSA, the same JWT_KEYS_DIR
+// (a key generated in that server's memory can't be verified here).
+//
+// Revocation (logout, logout everywhere) lives in that server's memory and
+// isn't visible here: a revoked access token keeps working on these routes
+// until it expires, so keep access tokens short-lived.
+const JWT_CONFIG = {
+  algorithm: process.env.JWT_ALGORITHM || 'HS256',
+  secret: process.env.JWT_SECRET || 'fallback-secret-change-in-production',
+  keysDir: process.env.JWT_KEYS_DIR,
+  issuer: process.env.JWT_ISSUER || 'jwt-auth-app',
+  audience: process.env.JWT_AUDIENCE || 'jwt-auth-users',
+};
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256', 'EdDSA'];
+
+// A new signing key (a `kid` we haven't seen) makes us re-read JWT_KEYS_DIR,
+// but at most this often, so tokens with made-up kids can't make every
+// request hit the disk
+const KEY_RELOAD_INTERVAL_MS = 30_000;
+
+export interface AccessTokenClaims {
+  sub: number | string;
+  email?: string;
+  role?: string;
+  name?: string;
+  type: 'access';
+  iat: number;
+  exp: number;
+  iss?: string;
+  aud?: string | string[];
+  jti?: string;
+  sid?: string;
+}
+
+function decodeSegment(segment: string): Record<string, unknown> {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new ApiError(401, 'Invalid token', 'INVALID_TOKEN');
+  }
+}
+
+// Same layout as KeyRing.fromDirectory: `<kid>.pem` is a private key,
+// `<kid>.pub.pem` the public key of a retired one. Only public keys are kept.
+function readPublicKeys(directory: string): Map<string, KeyObject> {
+  return new Map(
+    readdirSync(directory)
+      .filter((file) => file.endsWith('.pem'))
+      .map((file) => [
+        file.replace(/(\.pub)?\.pem$/, ''),
+        createPublicKey(readFileSync(path.join(directory, file))),
+      ])
+  );
+}
+
+// Checked when the module loads, so a bad configuration stops the server at
+// startup instead of turning every authenticated request into a 500
+function loadPublicKeys(): Map<string, KeyObject> | null {
+  const { algorithm, keysDir } = JWT_CONFIG;
+  if (algorithm === 'HS256') return null;
+  if (!ASYMMETRIC_ALGORITHMS.includes(algorithm)) {
+    throw new Error(
+      `Unsupported JWT_ALGORITHM ${algorithm} - use HS256, ${ASYMMETRIC_ALGORITHMS.join(', ')}`
+    );
+  }
+  if (!keysDir) {
+    throw new Error(`JWT_KEYS_DIR is required for ${algorithm}`);
+  }
+  const keys = readPublicKeys(keysDir);
+  if (keys.size === 0) {
+    throw new Error(`No .pem keys found in JWT_KEYS_DIR (${keysDir})`);
+  }
+  return keys;
+}
+
+let publicKeys = loadPublicKeys();
+let keysLoadedAt = Date.now();
+
+function getPublicKey(kid: unknown): KeyObject | undefined {
+  if (!publicKeys || typeof kid !== 'string') return undefined;
+
+  if (
+    !publicKeys.has(kid) &&
+    Date.now() - keysLoadedAt >= KEY_RELOAD_INTERVAL_MS
+  ) {
+    keysLoadedAt = Date.now();
+    try {
+      publicKeys = readPublicKeys(JWT_CONFIG.keysDir as string);
+    } catch (error) {
+      // Keep verifying with the keys we have
+      console.error('Reloading JWT_KEYS_DIR failed:', error);
+    }
+  }
+  return publicKeys.get(kid);
+}
+
+function hasValidSignature(
+  header: Record<string, unknown>,
+  signingInput: string,
+  signature: Buffer
+): boolean {
+  if (header.alg !== JWT_CONFIG.algorithm) return false;
+
+  if (JWT_CONFIG.algorithm === 'HS256') {
+    const expected = createHmac('sha256', JWT_CONFIG.secret)
+      .update(signingInput)
+      .digest();
+    return (
+      signature.length === expected.length &&
+      timingSafeEqual(signature, expected)
+    );
+  }
+
+  const key = getPublicKey(header.kid);
+  if (!key) return false;
+  const data = Buffer.from(signingInput);
+  switch (JWT_CONFIG.algorithm) {
+    case 'RS256':
+      return (
+        key.asymmetricKeyType === 'rsa' &&
+        verify('sha256', data, key, signature)
+      );
+    case 'ES256':
+      // JWS carries the raw r||s pair, not DER
+      return (
+        key.asymmetricKeyType === 'ec' &&
+        verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature)
+      );
+    default:
+      return (
+        key.asymmetricKeyType === 'ed25519' &&
+        verify(null, data, key, signature)
+      );
+  }
+}
+
+export function verifyAccessToken(token: string): AccessTokenClaims {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new ApiError(401, 'Invalid token', 'INVALID_TOKEN');
+  }
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+
+  const header = decodeSegment(headerSegment);
+  const signature = Buffer.from(signatureSegment, 'base64url');
+  if (
+    !hasValidSignature(header, `${headerSegment}.${payloadSegment}`, signature)
+  ) {
+    throw new ApiError(401, 'Invalid token', 'INVALID_TOKEN');
+  }
+
+  const claims = decodeSegment(payloadSegment) as unknown as AccessTokenClaims;
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (typeof claims.exp !== 'number' || claims.exp <= now) {
+    throw new ApiError(401, 'Token has expired', 'TOKEN_EXPIRED');
+  }
+  if (
+    claims.iss !== JWT_CONFIG.issuer ||
+    !audiences.includes(JWT_CONFIG.audience) ||
+    claims.type !== 'access'
+  ) {
+    throw new ApiError(401, 'Invalid token', 'INVALID_TOKEN');
+  }
+
+  return claims;
+}
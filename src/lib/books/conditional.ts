@@ -0,0 +1,74 @@
+import { ApiError } from '@/lib/api/errors';
+
+import type { Book, BookWriteCheck } from './types';
+import type { ApiVersion } from './versions';
+
+// Set BOOKS_REQUIRE_IF_MATCH=true to reject writes that don't say which
+// revision they were based on (428) instead of letting them overwrite.
+function ifMatchRequired(): boolean {
+  return process.env.BOOKS_REQUIRE_IF_MATCH === 'true';
+}
+
+/**
+ * Strong ETag for a book as a given version shows it. v1 and v1.1 render
+ * different bodies, so they get different tags for the same revision.
+ */
+export function etagFor(book: Book, version: ApiVersion): string {
+  return `"${book.id}-${book.revision}-v${version}"`;
+}
+
+// `"a", W/"b"` -> ['"a"', 'W/"b"']; `*` -> ['*']
+function entityTags(header: string): string[] {
+  return header.match(/\*|(?:W\/)?"[^"]*"/g) ?? [];
+}
+
+/**
+ * Whether a GET can be answered with 304: If-None-Match uses the weak
+ * comparison, so `W/"..."` matches its strong counterpart.
+ */
+export function isNotModified(request: Request, etag: string): boolean {
+  const header = request.headers.get('if-none-match');
+  if (!header) return false;
+  return entityTags(header).some(
+    (tag) => tag === '*' || tag.replace(/^W\//, '') === etag
+  );
+}
+
+/**
+ * Build the check a PUT/PATCH/DELETE must pass before it writes. Without
+ * If-Match there is nothing to check unless BOOKS_REQUIRE_IF_MATCH is set,
+ * in which case the request is refused with 428. If-Match uses the strong
+ * comparison, so weak tags never match.
+ */
+export function ifMatchCheck(
+  request: Request,
+  version: ApiVersion
+): BookWriteCheck | undefined {
+  const header = request.headers.get('if-match');
+  if (!header) {
+    if (!ifMatchRequired()) return undefined;
+    throw new ApiError(
+      428,
+      'If-Match header is required to change a book',
+      'PRECONDITION_REQUIRED',
+      { hint: 'GET the book and send its ETag in If-Match' }
+    );
+  }
+
+  const tags = entityTags(header);
+  return (current) => {
+    const currentETag = etagFor(current, version);
+    if (tags.includes('*') || tags.includes(currentETag)) return;
+    throw new ApiError(
+      412,
+      'The book has changed since you fetched it',
+      'PRECONDITION_FAILED',
+      {
+        ifMatch: header,
+        currentETag,
+        currentRevision: current.revision,
+        hint: 'GET the book again, reapply your changes and retry with the new ETag',
+      }
+    );
+  };
+}
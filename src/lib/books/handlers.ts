@@ -0,0 +1,458 @@
+import { ApiError } from '@/lib/api/errors';
+import {
+  errorResponse,
+  paginationMeta,
+  parseId,
+  readJson,
+  readJsonBody,
+  type Pagination,
+} from '@/lib/api/http';
+
+import { etagFor, ifMatchCheck, isNotModified } from './conditional';
+import { ACCEPT_PATCH, JSON_PATCH_TYPE, MERGE_PATCH_TYPE } from './patch';
+import { presentBook } from './present';
+import { encodeCursor, parseBookQuery, type ParsedBookQuery } from './query';
+import {
+  createBook,
+  deleteBook,
+  getBook,
+  listBooks,
+  patchBook,
+  replaceBook,
+  updateBook,
+  type PatchFormat,
+} from './service';
+import {
+  negotiateVersion,
+  versionHeaders,
+  type ApiVersion,
+  type NegotiatedVersion,
+} from './versions';
+
+interface BookResult {
+  status?: number;
+  headers?: Record<string, string>;
+  /** Omitted for bodiless responses such as 204. */
+  body?: Record<string, unknown>;
+}
+
+type BookHandler<Context = unknown> = (
+  request: Request,
+  version: ApiVersion,
+  context: Context
+) => Promise<BookResult>;
+
+type BookContext = { params: Promise<{ id: string }> };
+
+const ITEM_METHODS = 'GET, HEAD, PUT, PATCH, DELETE, OPTIONS';
+
+async function bookIdFromPath({ params }: BookContext): Promise<number> {
+  const id = parseId((await params).id);
+  if (id === null) {
+    throw new ApiError(400, 'Book ID must be a positive integer');
+  }
+  return id;
+}
+
+// The id belongs in the URL. A body id is tolerated only if it agrees.
+function withoutBodyId(
+  { id: bodyId, ...fields }: Record<string, unknown>,
+  id: number
+): Record<string, unknown> {
+  if (bodyId !== undefined && parseId(String(bodyId)) !== id) {
+    throw new ApiError(
+      400,
+      `Body id ${JSON.stringify(bodyId)} does not match the URL id ${id}`,
+      'ID_MISMATCH'
+    );
+  }
+  return fields;
+}
+
+/**
+ * The original clients send PUT/PATCH/DELETE to the collection with the id
+ * in the body (or ?id= for v1's DELETE). Those calls still work for now,
+ * but are logged and point at the per-book URL to use instead.
+ */
+function legacyBookId(request: Request, value: unknown) {
+  const id =
+    typeof value === 'number' || typeof value === 'string'
+      ? parseId(String(value))
+      : null;
+  if (id === null) {
+    throw new ApiError(
+      400,
+      'Book ID is required and must be a positive integer'
+    );
+  }
+
+  const { pathname } = new URL(request.url);
+  console.warn(
+    `Deprecated: ${request.method} ${pathname} with the book id in the request; use ${request.method} ${pathname}/${id}`
+  );
+  return { id, headers: { Link: `<${pathname}/${id}>; rel="alternate"` } };
+}
+
+/** `Link` header with first/prev/next/last (offset) or first/next (cursor). */
+function pageLinks(
+  url: URL,
+  mode: ParsedBookQuery['mode'],
+  pagination: Pagination,
+  total: number,
+  nextCursor: string | null
+): string {
+  const link = (rel: string, params: Record<string, string | null>) => {
+    const target = new URL(url);
+    for (const [name, value] of Object.entries(params)) {
+      if (value === null) target.searchParams.delete(name);
+      else target.searchParams.set(name, value);
+    }
+    return `<${target.pathname}${target.search}>; rel="${rel}"`;
+  };
+
+  if (mode === 'cursor') {
+    return [
+      link('first', { cursor: null }),
+      ...(nextCursor ? [link('next', { cursor: nextCursor })] : []),
+    ].join(', ');
+  }
+
+  const { page } = pagination;
+  const lastPage = Math.max(paginationMeta(pagination, total).totalPages, 1);
+  return [
+    link('first', { page: '1' }),
+    ...(page > 1
+      ? [link('prev', { page: String(Math.min(page - 1, lastPage)) })]
+      : []),
+    ...(page < lastPage ? [link('next', { page: String(page + 1) })] : []),
+    link('last', { page: String(lastPage) }),
+  ].join(', ');
+}
+
+function versioned(version: ApiVersion, body: Record<string, unknown>) {
+  return version === '1' ? body : { ...body, apiVersion: version };
+}
+
+// Writes run If-Match against the stored book and answer with the new ETag
+async function replaceResult(
+  request: Request,
+  id: number,
+  fields: Record<string, unknown>,
+  version: ApiVersion
+): Promise<BookResult> {
+  const check = ifMatchCheck(request, version);
+  const book = await replaceBook(id, fields, version, check);
+  return {
+    headers: { ETag: etagFor(book, version) },
+    body: versioned(version, {
+      message: 'Book replaced successfully',
+      book: presentBook(book, version),
+    }),
+  };
+}
+
+async function updateResult(
+  request: Request,
+  id: number,
+  changes: Record<string, unknown>,
+  version: ApiVersion
+): Promise<BookResult> {
+  const check = ifMatchCheck(request, version);
+  const book = await updateBook(id, changes, version, check);
+  return {
+    headers: { ETag: etagFor(book, version) },
+    body: versioned(version, {
+      message: 'Book updated successfully',
+      book: presentBook(book, version),
+      updatedFields: Object.keys(changes),
+    }),
+  };
+}
+
+async function patchResult(
+  request: Request,
+  id: number,
+  format: PatchFormat,
+  version: ApiVersion
+): Promise<BookResult> {
+  const check = ifMatchCheck(request, version);
+  const { book, updatedFields } = await patchBook(
+    id,
+    format,
+    await readJson(request),
+    version,
+    check
+  );
+  return {
+    headers: { ETag: etagFor(book, version) },
+    body: versioned(version, {
+      message: 'Book updated successfully',
+      book: presentBook(book, version),
+      updatedFields,
+    }),
+  };
+}
+
+// PATCH takes a plain partial object (application/json or no type), or on
+// /books/:id a Merge Patch or JSON Patch document
+function patchFormat(request: Request): PatchFormat | 'partial' | null {
+  const type = request.headers
+    .get('content-type')
+    ?.split(';')[0]
+    .trim()
+    .toLowerCase();
+  if (!type || type === 'application/json') return 'partial';
+  if (type === MERGE_PATCH_TYPE) return 'merge-patch';
+  if (type === JSON_PATCH_TYPE) return 'json-patch';
+  return null;
+}
+
+function unsupportedPatchType(
+  request: Request,
+  accepted: string,
+  hint?: string
+): BookResult {
+  return {
+    status: 415,
+    headers: { 'Accept-Patch': accepted },
+    body: {
+      error: `Unsupported PATCH content type "${request.headers.get('content-type')}"`,
+      code: 'UNSUPPORTED_MEDIA_TYPE',
+      supportedMediaTypes: accepted.split(', '),
+      ...(hint && { hint }),
+    },
+  };
+}
+
+async function deleteResult(
+  request: Request,
+  id: number,
+  version: ApiVersion
+): Promise<BookResult> {
+  const book = await deleteBook(id, ifMatchCheck(request, version));
+
+  // v1 clients expect 204; v1.1 returns what was deleted
+  if (version === '1') return { status: 204 };
+  return {
+    body: versioned(version, {
+      message: 'Book deleted successfully',
+      deletedBook: presentBook(book, version),
+    }),
+  };
+}
+
+const collectionHandlers: Record<
+  'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE',
+  BookHandler
+> = {
+  // An empty page is still a successful query: 200 with `books: []`
+  async GET(request, version) {
+    const url = new URL(request.url);
+    const { query, pagination, mode } = parseBookQuery(
+      url.searchParams,
+      version
+    );
+    const { books, total, hasMore } = await listBooks(query);
+    const nextCursor =
+      hasMore && books.length > 0
+        ? encodeCursor(books[books.length - 1], query.sort)
+        : null;
+
+    return {
+      headers: {
+        'X-Total-Count': String(total),
+        Link: pageLinks(url, mode, pagination, total, nextCursor),
+      },
+      body: versioned(version, {
+        message: 'Books retrieved successfully',
+        count: books.length,
+        total,
+        books: books.map((book) => presentBook(book, version)),
+        pagination:
+          mode === 'cursor'
+            ? { pageSize: pagination.pageSize, total, nextCursor }
+            : { ...paginationMeta(pagination, total), nextCursor },
+      }),
+    };
+  },
+
+  async POST(request, version) {
+    const book = await createBook(await readJsonBody(request), version);
+    return {
+      status: 201,
+      headers: { ETag: etagFor(book, version) },
+      body: versioned(version, {
+        message: 'Book created successfully',
+        book: presentBook(book, version),
+      }),
+    };
+  },
+
+  async PUT(request, version) {
+    const { id, ...fields } = await readJsonBody(request);
+    const legacy = legacyBookId(request, id);
+    const result = await replaceResult(request, legacy.id, fields, version);
+    return { ...result, headers: { ...result.headers, ...legacy.headers } };
+  },
+
+  async PATCH(request, version) {
+    // Patch documents have no room for an id. Anything else is read as a
+    // partial object whatever its type, as this route always did: fetch()
+    // sends strings as text/plain and `curl -d` as form-urlencoded.
+    const format = patchFormat(request);
+    if (format === 'merge-patch' || format === 'json-patch') {
+      return unsupportedPatchType(
+        request,
+        'application/json',
+        'Send Merge Patch and JSON Patch documents to /books/:id'
+      );
+    }
+    const { id, ...changes } = await readJsonBody(request);
+    const legacy = legacyBookId(request, id);
+    const result = await updateResult(request, legacy.id, changes, version);
+    return { ...result, headers: { ...result.headers, ...legacy.headers } };
+  },
+
+  async DELETE(request, version) {
+    const queryId = new URL(request.url).searchParams.get('id');
+    const legacy = legacyBookId(
+      request,
+      queryId ?? (await readJsonBody(request)).id
+    );
+    const result = await deleteResult(request, legacy.id, version);
+    return { ...result, headers: { ...result.headers, ...legacy.headers } };
+  },
+};
+
+const itemHandlers: Record<
+  'GET' | 'PUT' | 'PATCH' | 'DELETE' | 'POST',
+  BookHandler<BookContext>
+> = {
+  async GET(request, version, context) {
+    const book = await getBook(await bookIdFromPath(context));
+    const etag = etagFor(book, version);
+    if (isNotModified(request, etag)) {
+      return { status: 304, headers: { ETag: etag } };
+    }
+    return {
+      headers: { ETag: etag },
+      body: versioned(version, {
+        message: 'Book retrieved successfully',
+        book: presentBook(book, version),
+      }),
+    };
+  },
+
+  async PUT(request, version, context) {
+    const id = await bookIdFromPath(context);
+    return replaceResult(
+      request,
+      id,
+      withoutBodyId(await readJsonBody(request), id),
+      version
+    );
+  },
+
+  async PATCH(request, version, context) {
+    const id = await bookIdFromPath(context);
+    const format = patchFormat(request);
+    if (format === null) return unsupportedPatchType(request, ACCEPT_PATCH);
+    if (format !== 'partial') {
+      return patchResult(request, id, format, version);
+    }
+    return updateResult(
+      request,
+      id,
+      withoutBodyId(await readJsonBody(request), id),
+      version
+    );
+  },
+
+  async DELETE(request, version, context) {
+    return deleteResult(request, await bookIdFromPath(context), version);
+  },
+
+  // Books are created on the collection, not on an id
+  async POST(request) {
+    return {
+      status: 405,
+      headers: { Allow: ITEM_METHODS },
+      body: {
+        error: `Method ${request.method} not allowed on a single book`,
+        code: 'METHOD_NOT_ALLOWED',
+        allowed: ITEM_METHODS.split(', '),
+      },
+    };
+  },
+};
+
+// Run a handler for the negotiated version and stamp the version headers on
+// whatever comes back, errors included.
+function versionedRoute(pathVersion: ApiVersion | undefined) {
+  return <Context>(handler: BookHandler<Context>) =>
+    async (request: Request, context: Context): Promise<Response> => {
+      let negotiated: NegotiatedVersion | undefined;
+      let response: Response;
+      try {
+        negotiated = negotiateVersion(request, pathVersion);
+        const {
+          status = 200,
+          headers,
+          body,
+        } = await handler(request, negotiated.version, context);
+        response =
+          body === undefined
+            ? new Response(null, { status, headers })
+            : Response.json(body, { status, headers });
+      } catch (error) {
+        response = errorResponse(error);
+      }
+
+      if (negotiated) {
+        // Link may already hold pagination links; add to it
+        versionHeaders(negotiated).forEach((value, key) => {
+          if (key === 'link') response.headers.append(key, value);
+          else response.headers.set(key, value);
+        });
+      }
+      return response;
+    };
+}
+
+/**
+ * Build the route handlers for the books API. `pathVersion` pins the
+ * version for /api/v1/books and /api/v1.1/books; without it the version is
+ * negotiated from the request headers. Every version reads and writes the
+ * same store - only the request validation and response shape differ.
+ */
+export function createBooksRoute(pathVersion?: ApiVersion) {
+  const wrap = versionedRoute(pathVersion);
+  return {
+    GET: wrap(collectionHandlers.GET),
+    POST: wrap(collectionHandlers.POST),
+    PUT: wrap(collectionHandlers.PUT),
+    PATCH: wrap(collectionHandlers.PATCH),
+    DELETE: wrap(collectionHandlers.DELETE),
+  };
+}
+
+/**
+ * Route handlers for a single book at `<collection>/:id`. POST answers 405
+ * with an `Allow` header, and so does OPTIONS (with 204) - exporting POST
+ * would otherwise make Next.js list it in its automatic OPTIONS response.
+ */
+export function createBookRoute(pathVersion?: ApiVersion) {
+  const wrap = versionedRoute(pathVersion);
+  return {
+    GET: wrap(itemHandlers.GET),
+    PUT: wrap(itemHandlers.PUT),
+    PATCH: wrap(itemHandlers.PATCH),
+    DELETE: wrap(itemHandlers.DELETE),
+    POST: wrap(itemHandlers.POST),
+    OPTIONS: async () =>
+      new Response(null, {
+        status: 204,
+        headers: { Allow: ITEM_METHODS, 'Accept-Patch': ACCEPT_PATCH },
+      }),
+  };
+}
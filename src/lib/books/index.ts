@@ -0,0 +1,53 @@
+export {
+  getBookRepository,
+  setBookRepository,
+  type BookRepository,
+} from './repository';
+export { createMemoryBookRepository } from './memory';
+export { etagFor, ifMatchCheck, isNotModified } from './conditional';
+export {
+  ACCEPT_PATCH,
+  applyJsonPatch,
+  applyMergePatch,
+  JSON_PATCH_TYPE,
+  MERGE_PATCH_TYPE,
+} from './patch';
+export { createBookRoute, createBooksRoute } from './handlers';
+export {
+  createBook,
+  deleteBook,
+  getBook,
+  inferGenreFromTitle,
+  listBooks,
+  patchBook,
+  replaceBook,
+  updateBook,
+  type PatchFormat,
+} from './service';
+export { presentBook, WRITABLE_FIELDS } from './present';
+export {
+  encodeCursor,
+  parseBookQuery,
+  SORTABLE_FIELDS,
+  type ParsedBookQuery,
+} from './query';
+export {
+  API_VERSIONS,
+  DEFAULT_VERSION,
+  mediaTypeFor,
+  negotiateVersion,
+  versionHeaders,
+  versionPath,
+} from './versions';
+export type { BookV1, BookV1_1 } from './present';
+export type { ApiVersion, NegotiatedVersion } from './versions';
+export type {
+  Book,
+  BookFields,
+  BookFilter,
+  BookPage,
+  BookQuery,
+  BookSort,
+  BookSortField,
+  BookWriteCheck,
+} from './types';
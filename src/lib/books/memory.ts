@@ -0,0 +1,112 @@
+import { bookKey, compareBookKeys } from './query';
+import type { BookRepository } from './repository';
+import type { Book, BookFields, BookFilter } from './types';
+
+const SEED_BOOKS: BookFields[] = [
+  {
+    title: 'Next.js Guide',
+    author: 'Vercel Team',
+    pages: 200,
+    genre: 'Programming',
+    genreInferred: false,
+  },
+  {
+    title: 'React Patterns',
+    author: 'Frontend Masters',
+    pages: 150,
+    genre: 'Programming',
+    genreInferred: false,
+  },
+];
+
+function matches(book: Book, filter: BookFilter): boolean {
+  const search = filter.search?.toLowerCase();
+  if (
+    search &&
+    !book.title.toLowerCase().includes(search) &&
+    !book.author.toLowerCase().includes(search)
+  ) {
+    return false;
+  }
+  if (
+    filter.author &&
+    book.author.toLowerCase() !== filter.author.toLowerCase()
+  )
+    return false;
+  if (filter.genre && book.genre.toLowerCase() !== filter.genre.toLowerCase())
+    return false;
+  if (filter.minPages !== undefined && book.pages < filter.minPages)
+    return false;
+  if (filter.maxPages !== undefined && book.pages > filter.maxPages)
+    return false;
+  return true;
+}
+
+export function createMemoryBookRepository(
+  seed: BookFields[] = SEED_BOOKS
+): BookRepository {
+  const books: Book[] = [];
+  let nextId = 1;
+
+  const insert = (fields: BookFields): Book => {
+    const now = new Date();
+    const book = {
+      id: nextId++,
+      ...fields,
+      revision: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+    books.push(book);
+    return { ...book };
+  };
+
+  seed.forEach(insert);
+
+  return {
+    async list({ filter, sort, limit, offset, after }) {
+      const matching = books
+        .filter((book) => matches(book, filter))
+        .map((book) => ({ book, key: bookKey(book, sort) }))
+        .sort((a, b) => compareBookKeys(a.key, b.key, sort));
+      const remaining = after
+        ? matching.filter(({ key }) => compareBookKeys(key, after, sort) > 0)
+        : matching;
+      const page = remaining.slice(offset, offset + limit);
+
+      return {
+        books: page.map(({ book }) => ({ ...book })),
+        total: matching.length,
+        hasMore: remaining.length > offset + limit,
+      };
+    },
+
+    async getById(id) {
+      const book = books.find((candidate) => candidate.id === id);
+      return book ? { ...book } : null;
+    },
+
+    async create(fields) {
+      return insert(fields);
+    },
+
+    async update(id, changes, check) {
+      const book = books.find((candidate) => candidate.id === id);
+      if (!book) return null;
+      check?.({ ...book });
+      Object.assign(book, changes, {
+        revision: book.revision + 1,
+        updatedAt: new Date(),
+      });
+      return { ...book };
+    },
+
+    async delete(id, check) {
+      const index = books.findIndex((book) => book.id === id);
+      if (index === -1) return false;
+      check?.({ ...books[index] });
+      books.splice(index, 1);
+      return true;
+    },
+  };
+}
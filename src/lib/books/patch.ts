@@ -0,0 +1,242 @@
+import { ApiError } from '@/lib/api/errors';
+
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+export const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+/** Value of the `Accept-Patch` header for a single book. */
+export const ACCEPT_PATCH = [
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  'application/json',
+].join(', ');
+
+type JsonObject = Record<string, unknown>;
+
+function isObject(value: unknown): value is JsonObject {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function hasMember(container: object, key: string): boolean {
+  return Object.prototype.hasOwnProperty.call(container, key);
+}
+
+// Plain assignment of "__proto__" would change the prototype instead of
+// adding a member
+function setMember(container: JsonObject, key: string, value: unknown) {
+  Object.defineProperty(container, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true,
+  });
+}
+
+function deepEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => hasMember(b, key) && deepEqual(a[key], b[key]))
+    );
+  }
+  return false;
+}
+
+/**
+ * JSON Merge Patch (RFC 7396): members of `patch` replace those of
+ * `target`, `null` removes them, and nested objects merge recursively.
+ * A patch that isn't an object replaces the target outright.
+ */
+export function applyMergePatch(target: unknown, patch: unknown): unknown {
+  if (!isObject(patch)) return patch;
+
+  const result: JsonObject = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      const current = hasMember(result, key) ? result[key] : undefined;
+      setMember(result, key, applyMergePatch(current, value));
+    }
+  }
+  return result;
+}
+
+const PATCH_OPERATIONS = [
+  'add',
+  'remove',
+  'replace',
+  'move',
+  'copy',
+  'test',
+] as const;
+type PatchOperation = (typeof PATCH_OPERATIONS)[number];
+
+function invalidPatch(index: number, reason: string) {
+  return new ApiError(400, 'Invalid JSON Patch document', 'INVALID_PATCH', {
+    operation: index,
+    reason,
+  });
+}
+
+function patchConflict(index: number, reason: string, code = 'PATCH_CONFLICT') {
+  return new ApiError(409, 'The patch cannot be applied to this book', code, {
+    operation: index,
+    reason,
+  });
+}
+
+// RFC 6901: "" is the whole document, "/a~1b" is the member "a/b"
+function parsePointer(pointer: unknown, index: number, field: string) {
+  if (
+    typeof pointer !== 'string' ||
+    (pointer !== '' && !pointer.startsWith('/'))
+  ) {
+    throw invalidPatch(index, `"${field}" must be a JSON Pointer`);
+  }
+  if (pointer === '') return [];
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function arrayIndex(token: string, length: number, allowEnd: boolean) {
+  if (allowEnd && token === '-') return length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) return -1;
+  const i = Number(token);
+  return i < length || (allowEnd && i === length) ? i : -1;
+}
+
+/**
+ * JSON Patch (RFC 6902). Operations run in order on a copy of `document`;
+ * the first one that fails aborts the whole patch, so callers only ever
+ * see the fully patched result or an error.
+ */
+export function applyJsonPatch(
+  document: unknown,
+  operations: unknown
+): unknown {
+  if (!Array.isArray(operations)) {
+    throw new ApiError(
+      400,
+      'A JSON Patch document must be an array of operations',
+      'INVALID_PATCH'
+    );
+  }
+
+  let root: unknown = structuredClone(document);
+
+  operations.forEach((operation: unknown, index) => {
+    if (!isObject(operation)) {
+      throw invalidPatch(index, 'each operation must be an object');
+    }
+    const op = operation.op as PatchOperation;
+    if (!PATCH_OPERATIONS.includes(op)) {
+      throw invalidPatch(
+        index,
+        `"op" must be one of ${PATCH_OPERATIONS.join(', ')}`
+      );
+    }
+    const path = parsePointer(operation.path, index, 'path');
+    if (
+      ['add', 'replace', 'test'].includes(op) &&
+      !hasMember(operation, 'value')
+    ) {
+      throw invalidPatch(index, `"${op}" needs a "value"`);
+    }
+
+    const get = (tokens: string[]): unknown => {
+      let node = root;
+      for (const token of tokens) {
+        if (Array.isArray(node)) {
+          const i = arrayIndex(token, node.length, false);
+          if (i === -1) {
+            throw patchConflict(index, `no value at "/${tokens.join('/')}"`);
+          }
+          node = node[i];
+        } else if (isObject(node) && hasMember(node, token)) {
+          node = node[token];
+        } else {
+          throw patchConflict(index, `no value at "/${tokens.join('/')}"`);
+        }
+      }
+      return node;
+    };
+
+    const remove = (tokens: string[]): unknown => {
+      if (tokens.length === 0) {
+        throw patchConflict(index, 'cannot remove the whole document');
+      }
+      const value = get(tokens);
+      const parent = get(tokens.slice(0, -1));
+      const key = tokens[tokens.length - 1];
+      if (Array.isArray(parent)) parent.splice(Number(key), 1);
+      else delete (parent as JsonObject)[key];
+      return value;
+    };
+
+    const add = (tokens: string[], value: unknown) => {
+      if (tokens.length === 0) {
+        root = value;
+        return;
+      }
+      const parent = get(tokens.slice(0, -1));
+      const key = tokens[tokens.length - 1];
+      if (Array.isArray(parent)) {
+        const i = arrayIndex(key, parent.length, true);
+        if (i === -1) throw patchConflict(index, `bad array index "${key}"`);
+        parent.splice(i, 0, value);
+      } else if (isObject(parent)) {
+        setMember(parent, key, value);
+      } else {
+        throw patchConflict(index, `"${operation.path}" has no parent object`);
+      }
+    };
+
+    switch (op) {
+      case 'add':
+        add(path, structuredClone(operation.value));
+        break;
+      case 'remove':
+        remove(path);
+        break;
+      case 'replace':
+        get(path);
+        if (path.length > 0) remove(path);
+        add(path, structuredClone(operation.value));
+        break;
+      case 'move': {
+        const from = parsePointer(operation.from, index, 'from');
+        const isPrefix =
+          from.length < path.length &&
+          from.every((token, i) => token === path[i]);
+        if (isPrefix) {
+          throw invalidPatch(index, 'cannot move a value into itself');
+        }
+        add(path, remove(from));
+        break;
+      }
+      case 'copy': {
+        const from = parsePointer(operation.from, index, 'from');
+        add(path, structuredClone(get(from)));
+        break;
+      }
+      case 'test':
+        if (!deepEqual(get(path), operation.value)) {
+          throw patchConflict(
+            index,
+            `value at "${operation.path}" is not ${JSON.stringify(operation.value)}`,
+            'PATCH_TEST_FAILED'
+          );
+        }
+        break;
+    }
+  });
+
+  return root;
+}
@@ -0,0 +1,49 @@
+import type { Book } from './types';
+import type { ApiVersion } from './versions';
+
+export interface BookV1 {
+  id: number;
+  title: string;
+  author: string;
+  pages: number;
+}
+
+export interface BookV1_1 extends BookV1 {
+  genre: string;
+  genreInferred?: true;
+  revision: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Shape a stored book for a version. v1 clients were written before
+ * `genre` existed and never see it (or anything else added since).
+ */
+export function presentBook(
+  book: Book,
+  version: ApiVersion
+): BookV1 | BookV1_1 {
+  const v1: BookV1 = {
+    id: book.id,
+    title: book.title,
+    author: book.author,
+    pages: book.pages,
+  };
+  if (version === '1') return v1;
+
+  return {
+    ...v1,
+    genre: book.genre,
+    ...(book.genreInferred && { genreInferred: true as const }),
+    revision: book.revision,
+    createdAt: book.createdAt.toISOString(),
+    updatedAt: book.updatedAt.toISOString(),
+  };
+}
+
+/** Fields each version may send when creating or updating a book. */
+export const WRITABLE_FIELDS: Record<ApiVersion, readonly string[]> = {
+  '1': ['title', 'author', 'pages'],
+  '1.1': ['title', 'author', 'pages', 'genre'],
+};
@@ -0,0 +1,192 @@
+import { ApiError } from '@/lib/api/errors';
+import { parseId, parsePagination, type Pagination } from '@/lib/api/http';
+
+import type {
+  Book,
+  BookFilter,
+  BookKey,
+  BookQuery,
+  BookSort,
+  BookSortField,
+} from './types';
+import type { ApiVersion } from './versions';
+
+/** Fields each version may sort by - v1 can't sort on what it can't see. */
+export const SORTABLE_FIELDS: Record<ApiVersion, readonly BookSortField[]> = {
+  '1': ['id', 'title', 'author', 'pages'],
+  '1.1': ['id', 'title', 'author', 'pages', 'genre', 'createdAt', 'updatedAt'],
+};
+
+const DEFAULT_SORT: BookSort[] = [{ field: 'id', direction: 'asc' }];
+
+// Text sorts case-insensitively, dates by timestamp
+function sortValue(book: Book, field: BookSortField): string | number {
+  const value = book[field];
+  if (value instanceof Date) return value.getTime();
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+export function bookKey(book: Book, sort: BookSort[]): BookKey {
+  return {
+    values: sort.map(({ field }) => sortValue(book, field)),
+    id: book.id,
+  };
+}
+
+export function compareBookKeys(
+  a: BookKey,
+  b: BookKey,
+  sort: BookSort[]
+): number {
+  for (let i = 0; i < sort.length; i++) {
+    if (a.values[i] === b.values[i]) continue;
+    const order = a.values[i] < b.values[i] ? -1 : 1;
+    return sort[i].direction === 'asc' ? order : -order;
+  }
+  return a.id - b.id;
+}
+
+export function formatSort(sort: BookSort[]): string {
+  return sort
+    .map(({ field, direction }) => (direction === 'desc' ? '-' : '') + field)
+    .join(',');
+}
+
+/** `sort=title,-pages`: comma-separated fields, `-` for descending. */
+function parseSort(value: string | null, version: ApiVersion): BookSort[] {
+  if (value === null || !value.trim()) return DEFAULT_SORT;
+
+  const sortableFields = SORTABLE_FIELDS[version];
+  const sort = value.split(',').map((part): BookSort => {
+    const term = part.trim();
+    const field = term.replace(/^-/, '') as BookSortField;
+    if (!sortableFields.includes(field)) {
+      throw new ApiError(400, `Cannot sort by "${term}"`, 'INVALID_SORT', {
+        sortableFields,
+      });
+    }
+    return { field, direction: term.startsWith('-') ? 'desc' : 'asc' };
+  });
+
+  const fields = sort.map(({ field }) => field);
+  if (new Set(fields).size !== fields.length) {
+    throw new ApiError(400, 'Each sort field may appear only once');
+  }
+  return sort;
+}
+
+function parsePageCount(
+  searchParams: URLSearchParams,
+  name: string
+): number | undefined {
+  const value = searchParams.get(name);
+  if (value === null) return undefined;
+  const pages = parseId(value);
+  if (pages === null) {
+    throw new ApiError(400, `${name} must be a positive integer`);
+  }
+  return pages;
+}
+
+function parseFilter(
+  searchParams: URLSearchParams,
+  version: ApiVersion
+): BookFilter {
+  const text = (name: string) => searchParams.get(name)?.trim() || undefined;
+  const filter: BookFilter = {
+    search: text('q'),
+    author: text('author'),
+    genre: text('genre'),
+    minPages: parsePageCount(searchParams, 'minPages'),
+    maxPages: parsePageCount(searchParams, 'maxPages'),
+  };
+
+  if (filter.genre && version === '1') {
+    throw new ApiError(400, 'Filtering by genre requires API v1.1');
+  }
+  if (
+    filter.minPages !== undefined &&
+    filter.maxPages !== undefined &&
+    filter.minPages > filter.maxPages
+  ) {
+    throw new ApiError(400, 'minPages cannot be greater than maxPages');
+  }
+  return filter;
+}
+
+interface CursorPayload {
+  sort: string;
+  values: (string | number)[];
+  id: number;
+}
+
+/**
+ * Opaque cursor pointing just past `book`. It records the sort it was made
+ * for so it can't be replayed against a different order.
+ */
+export function encodeCursor(book: Book, sort: BookSort[]): string {
+  const payload: CursorPayload = {
+    sort: formatSort(sort),
+    ...bookKey(book, sort),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor: string, sort: BookSort[]): BookKey {
+  const invalid = () =>
+    new ApiError(400, 'Invalid cursor', 'INVALID_CURSOR', {
+      hint: 'Use the nextCursor from a previous response with the same sort',
+    });
+
+  let payload: CursorPayload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalid();
+  }
+  if (
+    !payload ||
+    payload.sort !== formatSort(sort) ||
+    !Number.isSafeInteger(payload.id) ||
+    !Array.isArray(payload.values) ||
+    payload.values.length !== sort.length ||
+    !payload.values.every((v) => ['string', 'number'].includes(typeof v))
+  ) {
+    throw invalid();
+  }
+  return { values: payload.values, id: payload.id };
+}
+
+export interface ParsedBookQuery {
+  query: BookQuery;
+  pagination: Pagination;
+  /** `cursor` when paging with ?cursor=, otherwise `offset` (?page=). */
+  mode: 'offset' | 'cursor';
+}
+
+/**
+ * Read the GET /books query string:
+ * `?q=&author=&genre=&minPages=&maxPages=&sort=title,-pages` plus either
+ * `page`/`pageSize` (offset) or `cursor`/`pageSize` (keyset) paging.
+ */
+export function parseBookQuery(
+  searchParams: URLSearchParams,
+  version: ApiVersion
+): ParsedBookQuery {
+  const cursor = searchParams.get('cursor');
+  if (cursor !== null && searchParams.has('page')) {
+    throw new ApiError(400, 'Use either page or cursor, not both');
+  }
+
+  const pagination = parsePagination(searchParams);
+  const sort = parseSort(searchParams.get('sort'), version);
+  const query: BookQuery = {
+    filter: parseFilter(searchParams, version),
+    sort,
+    limit: pagination.limit,
+    offset: pagination.offset,
+  };
+  if (cursor !== null) query.after = decodeCursor(cursor, sort);
+
+  return { query, pagination, mode: cursor === null ? 'offset' : 'cursor' };
+}
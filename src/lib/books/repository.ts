@@ -0,0 +1,43 @@
+import { createMemoryBookRepository } from './memory';
+import type {
+  Book,
+  BookFields,
+  BookPage,
+  BookQuery,
+  BookWriteCheck,
+} from './types';
+
+export interface BookRepository {
+  /** Filtered and sorted; ties are broken by id so keyset paging is stable. */
+  list(query: BookQuery): Promise<BookPage>;
+  getById(id: number): Promise<Book | null>;
+  create(fields: BookFields): Promise<Book>;
+  /**
+   * Bumps the revision. `check` sees the current book in the same step as
+   * the write, so two writers can't both pass it.
+   */
+  update(
+    id: number,
+    changes: Partial<BookFields>,
+    check?: BookWriteCheck
+  ): Promise<Book | null>;
+  delete(id: number, check?: BookWriteCheck): Promise<boolean>;
+}
+
+// The learning books API always runs in memory. Keep one store across hot
+// reloads so every version (and every edit) sees the same books.
+const globalForBooks = globalThis as unknown as {
+  bookRepository?: BookRepository;
+};
+
+export function getBookRepository(): BookRepository {
+  if (!globalForBooks.bookRepository) {
+    globalForBooks.bookRepository = createMemoryBookRepository();
+  }
+  return globalForBooks.bookRepository;
+}
+
+/** Swap the repository, e.g. for a fresh one in tests. */
+export function setBookRepository(repository: BookRepository): void {
+  globalForBooks.bookRepository = repository;
+}
@@ -0,0 +1,295 @@
+import { ApiError } from '@/lib/api/errors';
+
+import { applyJsonPatch, applyMergePatch } from './patch';
+import { WRITABLE_FIELDS } from './present';
+import { getBookRepository } from './repository';
+import type {
+  Book,
+  BookFields,
+  BookPage,
+  BookQuery,
+  BookWriteCheck,
+} from './types';
+import type { ApiVersion } from './versions';
+
+/**
+ * Guess a genre so books created by clients that don't send one (every v1
+ * client) still get a sensible value. v1.1 clients can correct it.
+ */
+export function inferGenreFromTitle(title: string): string {
+  const titleLower = title.toLowerCase();
+  if (['react', 'javascript', 'next'].some((word) => titleLower.includes(word)))
+    return 'Programming';
+  if (titleLower.includes('guide') || titleLower.includes('tutorial'))
+    return 'Education';
+  if (titleLower.includes('pattern') || titleLower.includes('design'))
+    return 'Technical';
+  if (titleLower.includes('cook') || titleLower.includes('recipe'))
+    return 'Cooking';
+  if (titleLower.includes('history') || titleLower.includes('war'))
+    return 'History';
+  return 'General';
+}
+
+function parseText(value: unknown, field: string): string {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ApiError(400, `${field} must be a non-empty string`);
+  }
+  return value.trim();
+}
+
+// v1.1 accepted "300" as well as 300, so both versions still do
+function parsePages(value: unknown): number {
+  const pages =
+    typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  if (typeof pages !== 'number' || !Number.isSafeInteger(pages) || pages <= 0) {
+    throw new ApiError(400, 'Pages must be a positive number');
+  }
+  return pages;
+}
+
+function assertRequiredFields(
+  body: Record<string, unknown>,
+  version: ApiVersion
+) {
+  const required = ['title', 'author', 'pages'];
+  const missing = required.filter(
+    (field) => body[field] === undefined || body[field] === null
+  );
+  if (missing.length > 0) {
+    throw new ApiError(400, 'Missing required fields', undefined, {
+      required,
+      missing,
+      ...(version !== '1' && { optional: ['genre'] }),
+    });
+  }
+}
+
+function genreFields(
+  body: Record<string, unknown>,
+  title: string,
+  version: ApiVersion
+): Pick<BookFields, 'genre' | 'genreInferred'> {
+  if (version !== '1' && body.genre !== undefined && body.genre !== null) {
+    return { genre: parseText(body.genre, 'genre'), genreInferred: false };
+  }
+  return { genre: inferGenreFromTitle(title), genreInferred: true };
+}
+
+function assertWritableFields(
+  fields: Record<string, unknown>,
+  version: ApiVersion
+) {
+  const allowedFields = WRITABLE_FIELDS[version];
+  const invalidFields = Object.keys(fields).filter(
+    (field) => !allowedFields.includes(field)
+  );
+  if (invalidFields.length > 0) {
+    throw new ApiError(400, 'Invalid fields in update', undefined, {
+      invalidFields,
+      allowedFields,
+    });
+  }
+}
+
+async function findBook(id: number): Promise<Book> {
+  const book = await getBookRepository().getById(id);
+  if (!book) {
+    throw new ApiError(404, `Book with ID ${id} not found`, 'BOOK_NOT_FOUND');
+  }
+  return book;
+}
+
+export async function listBooks(query: BookQuery): Promise<BookPage> {
+  return getBookRepository().list(query);
+}
+
+export async function getBook(id: number): Promise<Book> {
+  return findBook(id);
+}
+
+export async function createBook(
+  body: Record<string, unknown>,
+  version: ApiVersion
+): Promise<Book> {
+  assertRequiredFields(body, version);
+  const title = parseText(body.title, 'title');
+
+  return getBookRepository().create({
+    title,
+    author: parseText(body.author, 'author'),
+    pages: parsePages(body.pages),
+    ...genreFields(body, title, version),
+  });
+}
+
+/**
+ * Replace a book's fields. A v1 client can't send a genre, so replacing
+ * through v1 keeps the stored one - unless it was only a guess, in which
+ * case it is guessed again from the new title.
+ */
+export async function replaceBook(
+  id: number,
+  body: Record<string, unknown>,
+  version: ApiVersion,
+  check?: BookWriteCheck
+): Promise<Book> {
+  const existing = await findBook(id);
+  assertRequiredFields(body, version);
+  const title = parseText(body.title, 'title');
+
+  const genre =
+    version === '1' && !existing.genreInferred
+      ? { genre: existing.genre, genreInferred: false }
+      : genreFields(body, title, version);
+
+  const book = await getBookRepository().update(
+    id,
+    {
+      title,
+      author: parseText(body.author, 'author'),
+      pages: parsePages(body.pages),
+      ...genre,
+    },
+    check
+  );
+  if (!book) {
+    throw new ApiError(404, `Book with ID ${id} not found`, 'BOOK_NOT_FOUND');
+  }
+  return book;
+}
+
+/**
+ * Change only the fields sent. Fields the version doesn't know about are
+ * rejected rather than silently stored.
+ */
+export async function updateBook(
+  id: number,
+  changes: Record<string, unknown>,
+  version: ApiVersion,
+  check?: BookWriteCheck
+): Promise<Book> {
+  assertWritableFields(changes, version);
+
+  const existing = await findBook(id);
+  const update: Partial<BookFields> = {};
+  if (changes.title !== undefined)
+    update.title = parseText(changes.title, 'title');
+  if (changes.author !== undefined)
+    update.author = parseText(changes.author, 'author');
+  if (changes.pages !== undefined) update.pages = parsePages(changes.pages);
+
+  if (changes.genre !== undefined) {
+    update.genre = parseText(changes.genre, 'genre');
+    update.genreInferred = false;
+  } else if (update.title && existing.genreInferred) {
+    update.genre = inferGenreFromTitle(update.title);
+  }
+
+  const book = await getBookRepository().update(id, update, check);
+  if (!book) {
+    throw new ApiError(404, `Book with ID ${id} not found`, 'BOOK_NOT_FOUND');
+  }
+  return book;
+}
+
+export type PatchFormat = 'merge-patch' | 'json-patch';
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396) or JSON Patch (RFC 6902) to the
+ * fields `version` can write, validate the result like a PUT body and store
+ * it in one write - a patch either applies completely or not at all.
+ * Removing `genre` (v1.1) goes back to inferring it from the title.
+ */
+export async function patchBook(
+  id: number,
+  format: PatchFormat,
+  patch: unknown,
+  version: ApiVersion,
+  check?: BookWriteCheck
+): Promise<{ book: Book; updatedFields: string[] }> {
+  const existing = await findBook(id);
+  // Preconditions come before the patch, so a stale If-Match is a 412 even
+  // when the patch's own `test` would also fail
+  check?.(existing);
+
+  const document: Record<string, unknown> = Object.fromEntries(
+    WRITABLE_FIELDS[version].map((field) => [
+      field,
+      existing[field as keyof BookFields],
+    ])
+  );
+  const patched =
+    format === 'merge-patch'
+      ? applyMergePatch(document, patch)
+      : applyJsonPatch(document, patch);
+  if (
+    typeof patched !== 'object' ||
+    patched === null ||
+    Array.isArray(patched)
+  ) {
+    throw new ApiError(400, 'The patched book must be a JSON object');
+  }
+  const result = patched as Record<string, unknown>;
+
+  assertWritableFields(result, version);
+  const missing = ['title', 'author', 'pages'].filter(
+    (field) => result[field] === undefined
+  );
+  if (missing.length > 0) {
+    throw new ApiError(400, 'The patch removes required fields', undefined, {
+      missing,
+    });
+  }
+
+  const title = parseText(result.title, 'title');
+  let genre: Pick<BookFields, 'genre' | 'genreInferred'>;
+  if (version === '1' || result.genre === document.genre) {
+    genre = existing.genreInferred
+      ? { genre: inferGenreFromTitle(title), genreInferred: true }
+      : { genre: existing.genre, genreInferred: false };
+  } else if (result.genre === undefined) {
+    genre = { genre: inferGenreFromTitle(title), genreInferred: true };
+  } else {
+    genre = { genre: parseText(result.genre, 'genre'), genreInferred: false };
+  }
+  const fields: BookFields = {
+    title,
+    author: parseText(result.author, 'author'),
+    pages: parsePages(result.pages),
+    ...genre,
+  };
+
+  const book = await getBookRepository().update(id, fields, (current) => {
+    check?.(current);
+    if (current.revision !== existing.revision) {
+      throw new ApiError(
+        409,
+        'The book changed while the patch was being applied',
+        'CONFLICT',
+        { hint: 'Retry the request' }
+      );
+    }
+  });
+  if (!book) {
+    throw new ApiError(404, `Book with ID ${id} not found`, 'BOOK_NOT_FOUND');
+  }
+
+  const updatedFields = WRITABLE_FIELDS[version].filter(
+    (field) =>
+      book[field as keyof BookFields] !== existing[field as keyof BookFields]
+  );
+  return { book, updatedFields };
+}
+
+/** Delete a book and return it as it was. */
+export async function deleteBook(
+  id: number,
+  check?: BookWriteCheck
+): Promise<Book> {
+  const book = await findBook(id);
+  if (!(await getBookRepository().delete(id, check))) {
+    throw new ApiError(404, `Book with ID ${id} not found`, 'BOOK_NOT_FOUND');
+  }
+  return book;
+}
@@ -0,0 +1,68 @@
+/**
+ * A book as stored. Every API version reads and writes the same records;
+ * what each version shows is decided in ./present.ts.
+ */
+export interface Book {
+  id: number;
+  title: string;
+  author: string;
+  pages: number;
+  genre: string;
+  /** True when the genre was guessed from the title rather than given. */
+  genreInferred: boolean;
+  /** Starts at 1 and goes up by one on every write. Drives the ETag. */
+  revision: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export type BookFields = Pick<
+  Book,
+  'title' | 'author' | 'pages' | 'genre' | 'genreInferred'
+>;
+
+/**
+ * Runs against the stored book just before a write and throws to abort it,
+ * e.g. when an If-Match precondition fails.
+ */
+export type BookWriteCheck = (current: Book) => void;
+
+export type BookSortField = keyof Omit<Book, 'genreInferred' | 'revision'>;
+
+export interface BookSort {
+  field: BookSortField;
+  direction: 'asc' | 'desc';
+}
+
+export interface BookFilter {
+  /** Case-insensitive substring of the title or author. */
+  search?: string;
+  /** Case-insensitive exact match. */
+  author?: string;
+  /** Case-insensitive exact match. */
+  genre?: string;
+  minPages?: number;
+  maxPages?: number;
+}
+
+/** Sort values of the last book seen, in `sort` order, then its id. */
+export interface BookKey {
+  values: (string | number)[];
+  id: number;
+}
+
+export interface BookQuery {
+  filter: BookFilter;
+  sort: BookSort[];
+  limit: number;
+  offset: number;
+  /** Keyset pagination: only books sorting after this key. */
+  after?: BookKey;
+}
+
+export interface BookPage {
+  books: Book[];
+  /** Books matching the filter, ignoring limit, offset and `after`. */
+  total: number;
+  hasMore: boolean;
+}
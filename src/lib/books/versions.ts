@@ -0,0 +1,134 @@
+import { ApiError } from '@/lib/api/errors';
+
+export const API_VERSIONS = ['1', '1.1'] as const;
+export type ApiVersion = (typeof API_VERSIONS)[number];
+
+/** Used when a request on an unversioned path doesn't ask for one. */
+export const DEFAULT_VERSION: ApiVersion = '1';
+
+interface VersionPolicy {
+  deprecatedAt?: Date;
+  sunsetAt?: Date;
+  successor?: ApiVersion;
+}
+
+// v1 predates `genre`. It keeps working until its sunset, but every
+// response tells clients to move on.
+const VERSION_POLICIES: Record<ApiVersion, VersionPolicy> = {
+  '1': {
+    deprecatedAt: new Date('2026-10-01T00:00:00Z'),
+    sunsetAt: new Date('2027-04-01T00:00:00Z'),
+    successor: '1.1',
+  },
+  '1.1': {},
+};
+
+// application/vnd.ramen-bae.books.v1.1+json
+const MEDIA_TYPE_PATTERN =
+  /^application\/vnd\.ramen-bae\.books\.v([\d.]+)\+json$/;
+
+// Ranges that the default version's application/json satisfies
+const GENERIC_JSON_RANGES = ['application/json', 'application/*', '*/*'];
+
+export function mediaTypeFor(version: ApiVersion): string {
+  return `application/vnd.ramen-bae.books.v${version}+json`;
+}
+
+export function versionPath(version: ApiVersion): string {
+  return `/api/v${version}/books`;
+}
+
+export function isApiVersion(value: string): value is ApiVersion {
+  return (API_VERSIONS as readonly string[]).includes(value);
+}
+
+export interface NegotiatedVersion {
+  version: ApiVersion;
+  via: 'path' | 'header' | 'media-type' | 'default';
+}
+
+/**
+ * Pick the API version for a request. A version in the path wins; on an
+ * unversioned path `Accept-Version: 1.1` comes first, then a vendor media
+ * type in `Accept`, then DEFAULT_VERSION.
+ * An unknown Accept-Version is a 400; an Accept whose vendor types we
+ * don't serve, with no application/json, application/* or *\/* to fall
+ * back on, is a 406.
+ */
+export function negotiateVersion(
+  request: Request,
+  pathVersion?: ApiVersion
+): NegotiatedVersion {
+  if (pathVersion) return { version: pathVersion, via: 'path' };
+
+  const header = request.headers.get('accept-version')?.trim();
+  if (header) {
+    const requested = header.replace(/^v/i, '');
+    if (!isApiVersion(requested)) {
+      throw new ApiError(
+        400,
+        `Unsupported API version "${header}"`,
+        'UNSUPPORTED_VERSION',
+        { supportedVersions: API_VERSIONS }
+      );
+    }
+    return { version: requested, via: 'header' };
+  }
+
+  const ranges = (request.headers.get('accept') ?? '')
+    .split(',')
+    .filter((range) => !/;\s*q=0(\.0*)?\s*(;|$)/i.test(range))
+    .map((range) => range.split(';')[0].trim().toLowerCase());
+  const vendorTypes = ranges
+    .map((range) => MEDIA_TYPE_PATTERN.exec(range))
+    .filter((match): match is RegExpExecArray => match !== null);
+  if (vendorTypes.length > 0) {
+    const supported = vendorTypes.find((match) => isApiVersion(match[1]));
+    if (supported) {
+      return { version: supported[1] as ApiVersion, via: 'media-type' };
+    }
+    // A client listing plain JSON as a fallback still gets the default
+    const acceptsJson = ranges.some((range) =>
+      GENERIC_JSON_RANGES.includes(range)
+    );
+    if (!acceptsJson) {
+      throw new ApiError(
+        406,
+        'None of the requested media types are available',
+        'NOT_ACCEPTABLE',
+        {
+          supportedMediaTypes: API_VERSIONS.map(mediaTypeFor),
+        }
+      );
+    }
+  }
+
+  return { version: DEFAULT_VERSION, via: 'default' };
+}
+
+/**
+ * Headers every response for a version carries: the version, the matching
+ * Content-Type when it was negotiated by media type, and for deprecated
+ * versions `Deprecation`, `Sunset` and a link to the successor.
+ */
+export function versionHeaders({ version, via }: NegotiatedVersion): Headers {
+  const headers = new Headers({ 'API-Version': version });
+  if (via !== 'path') headers.set('Vary', 'Accept, Accept-Version');
+  if (via === 'media-type') headers.set('Content-Type', mediaTypeFor(version));
+
+  const policy = VERSION_POLICIES[version];
+  if (policy.deprecatedAt) {
+    headers.set(
+      'Deprecation',
+      `@${Math.floor(policy.deprecatedAt.getTime() / 1000)}`
+    );
+  }
+  if (policy.sunsetAt) headers.set('Sunset', policy.sunsetAt.toUTCString());
+  if (policy.successor) {
+    headers.set(
+      'Link',
+      `<${versionPath(policy.successor)}>; rel="successor-version"`
+    );
+  }
+  return headers;
+}
@@ -0,0 +1,127 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+import { ApiError } from '@/lib/api/errors';
+import { clearCookie, parseCookies, serializeCookie } from '@/lib/api/cookies';
+
+import type { CartLine, CartStorage } from './types';
+
+export const ANONYMOUS_CART_COOKIE = 'anon_cart';
+
+const CART_COOKIE_CONFIG = {
+  secret:
+    process.env.CART_COOKIE_SECRET ||
+    'fallback-cart-secret-change-in-production',
+  maxAge: 60 * 60 * 24 * 30, // 30 days
+  // Keeps the cookie comfortably under the 4KB browser limit
+  maxLines: 50,
+};
+
+function sign(payload: string): string {
+  return createHmac('sha256', CART_COOKIE_CONFIG.secret)
+    .update(payload)
+    .digest('base64url');
+}
+
+function decode(value: string | undefined): CartLine[] {
+  if (!value) return [];
+  const [payload, signature] = value.split('.');
+  if (!payload || !signature) return [];
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return [];
+  }
+
+  try {
+    const entries: unknown = JSON.parse(
+      Buffer.from(payload, 'base64url').toString('utf8')
+    );
+    if (!Array.isArray(entries)) return [];
+    return entries
+      .filter(
+        (entry): entry is [number, number] =>
+          Array.isArray(entry) &&
+          Number.isSafeInteger(entry[0]) &&
+          Number.isSafeInteger(entry[1]) &&
+          entry[0] > 0 &&
+          entry[1] > 0
+      )
+      .map(([productId, quantity]) => ({ productId, quantity }));
+  } catch {
+    return [];
+  }
+}
+
+function encode(lines: CartLine[]): string {
+  const payload = Buffer.from(
+    JSON.stringify(lines.map((line) => [line.productId, line.quantity]))
+  ).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Cart for visitors who are not signed in. The lines live in a signed
+ * cookie, so nothing is written to `cart_items` (whose user_id is NOT NULL)
+ * until the visitor logs in and the cart is merged.
+ */
+export class AnonymousCart implements CartStorage {
+  private lines: CartLine[];
+  private dirty = false;
+
+  constructor(lines: CartLine[] = []) {
+    this.lines = lines;
+  }
+
+  static fromRequest(request: Request): AnonymousCart {
+    return new AnonymousCart(
+      decode(parseCookies(request)[ANONYMOUS_CART_COOKIE])
+    );
+  }
+
+  async listLines() {
+    return this.lines.map((line) => ({ ...line }));
+  }
+
+  async setQuantity(productId: number, quantity: number) {
+    const existing = this.lines.find((line) => line.productId === productId);
+    if (existing) {
+      existing.quantity = quantity;
+    } else {
+      if (this.lines.length >= CART_COOKIE_CONFIG.maxLines) {
+        throw new ApiError(
+          409,
+          `Anonymous carts are limited to ${CART_COOKIE_CONFIG.maxLines} products`,
+          'CART_FULL'
+        );
+      }
+      this.lines.push({ productId, quantity });
+    }
+    this.dirty = true;
+  }
+
+  async remove(productId: number) {
+    const before = this.lines.length;
+    this.lines = this.lines.filter((line) => line.productId !== productId);
+    this.dirty = this.dirty || this.lines.length !== before;
+    return this.lines.length !== before;
+  }
+
+  async clear() {
+    this.dirty = this.dirty || this.lines.length > 0;
+    this.lines = [];
+  }
+
+  /**
+   * Set-Cookie header value reflecting any changes, or null if the cart
+   * was not modified during this request.
+   */
+  toSetCookie(): string | null {
+    if (!this.dirty) return null;
+    return this.lines.length
+      ? serializeCookie(ANONYMOUS_CART_COOKIE, encode(this.lines), {
+          maxAge: CART_COOKIE_CONFIG.maxAge,
+        })
+      : clearCookie(ANONYMOUS_CART_COOKIE);
+  }
+}
@@ -0,0 +1,55 @@
+import { getAuthUser, type AuthUser } from '@/lib/auth';
+
+import { AnonymousCart } from './anonymous';
+import { userCartStorage } from './repository';
+import type { CartStorage } from './types';
+
+export interface ResolvedCart {
+  user: AuthUser | null;
+  cart: CartStorage;
+}
+
+/**
+ * The signed-in user's cart, or the anonymous cookie cart when the request
+ * carries no credentials. API keys need `cart:read` to read the cart and
+ * `cart:write` to change it.
+ */
+export async function resolveCart(request: Request): Promise<ResolvedCart> {
+  const scope = request.method === 'GET' ? 'cart:read' : 'cart:write';
+  const user = await getAuthUser(request, scope);
+  return {
+    user,
+    cart: user ? userCartStorage(user.id) : AnonymousCart.fromRequest(request),
+  };
+}
+
+/** JSON response that also persists any change to an anonymous cart. */
+export function cartResponse(
+  cart: CartStorage,
+  body: unknown,
+  init: ResponseInit = {}
+): Response {
+  const response = Response.json(body, init);
+  const setCookie = cart instanceof AnonymousCart ? cart.toSetCookie() : null;
+  if (setCookie) response.headers.append('Set-Cookie', setCookie);
+  return response;
+}
+
+export { AnonymousCart, ANONYMOUS_CART_COOKIE } from './anonymous';
+export {
+  getCartRepository,
+  userCartStorage,
+  type CartRepository,
+} from './repository';
+export {
+  addItem,
+  assertPurchasable,
+  getCartSummary,
+  mergeAnonymousCart,
+  parseQuantity,
+  removeItem,
+  toCents,
+  updateItemQuantity,
+  type MergeResult,
+} from './service';
+export type { CartItem, CartLine, CartStorage, CartSummary } from './types';
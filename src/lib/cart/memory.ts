@@ -0,0 +1,54 @@
+import type { MemoryStore } from '@/lib/db';
+
+import type { CartRepository } from './repository';
+
+export function createMemoryCartRepository(store: MemoryStore): CartRepository {
+  const { tables } = store;
+
+  return {
+    async listLines(userId) {
+      return tables.cart_items
+        .filter((item) => item.user_id === userId)
+        .sort((a, b) => a.id - b.id)
+        .map((item) => ({
+          productId: item.product_id,
+          quantity: item.quantity,
+        }));
+    },
+
+    async setQuantity(userId, productId, quantity) {
+      const now = new Date();
+      const existing = tables.cart_items.find(
+        (item) => item.user_id === userId && item.product_id === productId
+      );
+      if (existing) {
+        existing.quantity = quantity;
+        existing.updated_at = now;
+        return;
+      }
+      tables.cart_items.push({
+        id: store.nextId('cart_items'),
+        user_id: userId,
+        product_id: productId,
+        quantity,
+        created_at: now,
+        updated_at: now,
+      });
+    },
+
+    async remove(userId, productId) {
+      const index = tables.cart_items.findIndex(
+        (item) => item.user_id === userId && item.product_id === productId
+      );
+      if (index === -1) return false;
+      tables.cart_items.splice(index, 1);
+      return true;
+    },
+
+    async clear(userId) {
+      tables.cart_items = tables.cart_items.filter(
+        (item) => item.user_id !== userId
+      );
+    },
+  };
+}
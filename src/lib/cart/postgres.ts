@@ -0,0 +1,44 @@
+import type { Pool } from 'pg';
+
+import type { CartItemRow } from '@/lib/db';
+
+import type { CartRepository } from './repository';
+
+export function createPostgresCartRepository(pool: Pool): CartRepository {
+  return {
+    async listLines(userId) {
+      const { rows } = await pool.query<
+        Pick<CartItemRow, 'product_id' | 'quantity'>
+      >(
+        'SELECT product_id, quantity FROM cart_items WHERE user_id = $1 ORDER BY id',
+        [userId]
+      );
+      return rows.map((row) => ({
+        productId: row.product_id,
+        quantity: row.quantity,
+      }));
+    },
+
+    async setQuantity(userId, productId, quantity) {
+      await pool.query(
+        `INSERT INTO cart_items (user_id, product_id, quantity)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, product_id)
+         DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW()`,
+        [userId, productId, quantity]
+      );
+    },
+
+    async remove(userId, productId) {
+      const { rowCount } = await pool.query(
+        'DELETE FROM cart_items WHERE user_id = $1 AND product_id = $2',
+        [userId, productId]
+      );
+      return (rowCount ?? 0) > 0;
+    },
+
+    async clear(userId) {
+      await pool.query('DELETE FROM cart_items WHERE user_id = $1', [userId]);
+    },
+  };
+}
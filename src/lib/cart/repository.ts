@@ -0,0 +1,40 @@
+import { getDataSource } from '@/lib/db';
+
+import { createMemoryCartRepository } from './memory';
+import { createPostgresCartRepository } from './postgres';
+import type { CartLine, CartStorage } from './types';
+
+/**
+ * Access to the `cart_items` table. `setQuantity` upserts on the
+ * UNIQUE(user_id, product_id) constraint.
+ */
+export interface CartRepository {
+  listLines(userId: number): Promise<CartLine[]>;
+  setQuantity(
+    userId: number,
+    productId: number,
+    quantity: number
+  ): Promise<void>;
+  remove(userId: number, productId: number): Promise<boolean>;
+  clear(userId: number): Promise<void>;
+}
+
+export function getCartRepository(): CartRepository {
+  const dataSource = getDataSource();
+  return dataSource.kind === 'postgres'
+    ? createPostgresCartRepository(dataSource.pool)
+    : createMemoryCartRepository(dataSource.store);
+}
+
+export function userCartStorage(
+  userId: number,
+  repository: CartRepository = getCartRepository()
+): CartStorage {
+  return {
+    listLines: () => repository.listLines(userId),
+    setQuantity: (productId, quantity) =>
+      repository.setQuantity(userId, productId, quantity),
+    remove: (productId) => repository.remove(userId, productId),
+    clear: () => repository.clear(userId),
+  };
+}
@@ -0,0 +1,159 @@
+import { ApiError } from '@/lib/api/errors';
+import { getCatalogRepository, type Product } from '@/lib/catalog';
+
+import { getCartRepository, userCartStorage } from './repository';
+import type { CartItem, CartLine, CartStorage, CartSummary } from './types';
+
+export function toCents(amount: number): number {
+  return Math.round(amount * 100);
+}
+
+export function parseQuantity(value: unknown): number {
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < 1) {
+    throw new ApiError(400, 'Quantity must be a positive integer');
+  }
+  return value;
+}
+
+/**
+ * Throws unless `quantity` units of the product can be put in a cart:
+ * the product must exist, be active and have enough `stock_quantity`.
+ */
+export function assertPurchasable(
+  product: Product | null,
+  productId: number,
+  quantity: number
+): asserts product is Product {
+  if (!product) {
+    throw new ApiError(404, `Product with ID ${productId} not found`);
+  }
+  if (!product.isActive) {
+    throw new ApiError(
+      409,
+      `${product.name} is no longer available`,
+      'PRODUCT_INACTIVE'
+    );
+  }
+  if (quantity > product.stockQuantity) {
+    throw new ApiError(
+      409,
+      `Only ${product.stockQuantity} of ${product.name} in stock`,
+      'INSUFFICIENT_STOCK',
+      { available: product.stockQuantity }
+    );
+  }
+}
+
+async function currentQuantity(cart: CartStorage, productId: number) {
+  const lines = await cart.listLines();
+  return lines.find((line) => line.productId === productId)?.quantity ?? 0;
+}
+
+/** Add `quantity` units, on top of whatever is already in the cart. */
+export async function addItem(
+  cart: CartStorage,
+  productId: number,
+  quantity: number
+): Promise<void> {
+  const product = await getCatalogRepository().getProductById(productId);
+  const total = (await currentQuantity(cart, productId)) + quantity;
+  assertPurchasable(product, productId, total);
+  await cart.setQuantity(productId, total);
+}
+
+/** Replace the quantity of a product that is already in the cart. */
+export async function updateItemQuantity(
+  cart: CartStorage,
+  productId: number,
+  quantity: number
+): Promise<void> {
+  if ((await currentQuantity(cart, productId)) === 0) {
+    throw new ApiError(404, `Product ${productId} is not in the cart`);
+  }
+  const product = await getCatalogRepository().getProductById(productId);
+  assertPurchasable(product, productId, quantity);
+  await cart.setQuantity(productId, quantity);
+}
+
+export async function removeItem(
+  cart: CartStorage,
+  productId: number
+): Promise<void> {
+  if (!(await cart.remove(productId))) {
+    throw new ApiError(404, `Product ${productId} is not in the cart`);
+  }
+}
+
+export async function getCartSummary(cart: CartStorage): Promise<CartSummary> {
+  const catalog = getCatalogRepository();
+  const items: CartItem[] = [];
+
+  for (const line of await cart.listLines()) {
+    const product = await catalog.getProductById(line.productId);
+    // cart_items rows cascade with their product; cookie carts may still
+    // reference a product that has since been deleted.
+    if (!product) continue;
+
+    items.push({
+      productId: product.id,
+      name: product.name,
+      sku: product.sku,
+      imageUrl: product.imageUrl,
+      unitPrice: product.price,
+      quantity: line.quantity,
+      lineTotal: toCents(product.price * line.quantity) / 100,
+      isAvailable: product.isActive && line.quantity <= product.stockQuantity,
+    });
+  }
+
+  return {
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal:
+      items.reduce((sum, item) => sum + toCents(item.lineTotal), 0) / 100,
+  };
+}
+
+export interface MergeResult {
+  merged: CartLine[];
+  skipped: Array<CartLine & { reason: string }>;
+}
+
+/**
+ * Fold an anonymous cart into a user's `cart_items` after login.
+ * Quantities for products already in the user's cart are added together
+ * and capped at the available stock; inactive or missing products are
+ * skipped rather than failing the whole merge.
+ */
+export async function mergeAnonymousCart(
+  userId: number,
+  anonymousLines: CartLine[]
+): Promise<MergeResult> {
+  const catalog = getCatalogRepository();
+  const cart = userCartStorage(userId, getCartRepository());
+  const existing = new Map(
+    (await cart.listLines()).map((line) => [line.productId, line.quantity])
+  );
+  const result: MergeResult = { merged: [], skipped: [] };
+
+  for (const line of anonymousLines) {
+    const product = await catalog.getProductById(line.productId);
+    if (!product || !product.isActive) {
+      result.skipped.push({ ...line, reason: 'unavailable' });
+      continue;
+    }
+
+    const combined = (existing.get(line.productId) ?? 0) + line.quantity;
+    const quantity = Math.min(combined, product.stockQuantity);
+    if (quantity < 1) {
+      result.skipped.push({ ...line, reason: 'out_of_stock' });
+      continue;
+    }
+
+    await cart.setQuantity(line.productId, quantity);
+    existing.set(line.productId, quantity);
+    result.merged.push({ productId: line.productId, quantity });
+  }
+
+  return result;
+}
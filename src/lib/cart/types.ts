@@ -0,0 +1,33 @@
+export interface CartLine {
+  productId: number;
+  quantity: number;
+}
+
+/**
+ * A cart's contents, either backed by `cart_items` rows for a signed-in
+ * user or by the signed anonymous cart cookie.
+ */
+export interface CartStorage {
+  listLines(): Promise<CartLine[]>;
+  setQuantity(productId: number, quantity: number): Promise<void>;
+  remove(productId: number): Promise<boolean>;
+  clear(): Promise<void>;
+}
+
+export interface CartItem {
+  productId: number;
+  name: string;
+  sku: string;
+  imageUrl: string | null;
+  unitPrice: number;
+  quantity: number;
+  lineTotal: number;
+  // False when the product was deactivated or stock dropped below quantity
+  isAvailable: boolean;
+}
+
+export interface CartSummary {
+  items: CartItem[];
+  itemCount: number;
+  subtotal: number;
+}
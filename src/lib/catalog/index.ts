@@ -0,0 +1,5 @@
+export { getCatalogRepository, type CatalogRepository } from './repository';
+export { createMemoryCatalogRepository } from './memory';
+export { createPostgresCatalogRepository } from './postgres';
+export { toCategory, toProduct } from './types';
+export type { Category, Product, ProductFilter } from './types';
@@ -0,0 +1,51 @@
+import type { MemoryStore } from '@/lib/db';
+
+import type { CatalogRepository } from './repository';
+import { toCategory, toProduct } from './types';
+
+export function createMemoryCatalogRepository(
+  store: MemoryStore
+): CatalogRepository {
+  const { tables } = store;
+
+  return {
+    async listCategories() {
+      return [...tables.categories]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(toCategory);
+    },
+
+    async getCategoryById(id) {
+      const row = tables.categories.find((category) => category.id === id);
+      return row ? toCategory(row) : null;
+    },
+
+    async getCategoryBySlug(slug) {
+      const row = tables.categories.find((category) => category.slug === slug);
+      return row ? toCategory(row) : null;
+    },
+
+    async listProducts(filter = {}) {
+      return tables.products
+        .filter(
+          (product) =>
+            (filter.categoryId === undefined ||
+              product.category_id === filter.categoryId) &&
+            (filter.isActive === undefined ||
+              product.is_active === filter.isActive)
+        )
+        .sort((a, b) => a.id - b.id)
+        .map(toProduct);
+    },
+
+    async getProductById(id) {
+      const row = tables.products.find((product) => product.id === id);
+      return row ? toProduct(row) : null;
+    },
+
+    async getProductBySku(sku) {
+      const row = tables.products.find((product) => product.sku === sku);
+      return row ? toProduct(row) : null;
+    },
+  };
+}
@@ -0,0 +1,66 @@
+import type { Pool } from 'pg';
+
+import type { CategoryRow, ProductRow } from '@/lib/db';
+
+import type { CatalogRepository } from './repository';
+import { toCategory, toProduct } from './types';
+
+const CATEGORY_COLUMNS = 'id, name, description, slug, created_at';
+const PRODUCT_COLUMNS =
+  'id, name, description, price, stock_quantity, sku, category_id, image_url, is_active, created_at, updated_at';
+
+export function createPostgresCatalogRepository(pool: Pool): CatalogRepository {
+  async function findCategory(column: 'id' | 'slug', value: number | string) {
+    const { rows } = await pool.query<CategoryRow>(
+      `SELECT ${CATEGORY_COLUMNS} FROM categories WHERE ${column} = $1`,
+      [value]
+    );
+    return rows[0] ? toCategory(rows[0]) : null;
+  }
+
+  async function findProduct(column: 'id' | 'sku', value: number | string) {
+    const { rows } = await pool.query<ProductRow>(
+      `SELECT ${PRODUCT_COLUMNS} FROM products WHERE ${column} = $1`,
+      [value]
+    );
+    return rows[0] ? toProduct(rows[0]) : null;
+  }
+
+  return {
+    async listCategories() {
+      const { rows } = await pool.query<CategoryRow>(
+        `SELECT ${CATEGORY_COLUMNS} FROM categories ORDER BY name`
+      );
+      return rows.map(toCategory);
+    },
+
+    getCategoryById: (id) => findCategory('id', id),
+    getCategoryBySlug: (slug) => findCategory('slug', slug),
+
+    async listProducts(filter = {}) {
+      const conditions: string[] = [];
+      const params: unknown[] = [];
+
+      if (filter.categoryId !== undefined) {
+        params.push(filter.categoryId);
+        conditions.push(`category_id = $${params.length}`);
+      }
+      if (filter.isActive !== undefined) {
+        params.push(filter.isActive);
+        conditions.push(`is_active = $${params.length}`);
+      }
+
+      const where = conditions.length
+        ? `WHERE ${conditions.join(' AND ')}`
+        : '';
+      const { rows } = await pool.query<ProductRow>(
+        `SELECT ${PRODUCT_COLUMNS} FROM products ${where} ORDER BY id`,
+        params
+      );
+      return rows.map(toProduct);
+    },
+
+    getProductById: (id) => findProduct('id', id),
+    getProductBySku: (sku) => findProduct('sku', sku),
+  };
+}
@@ -0,0 +1,25 @@
+import { getDataSource } from '@/lib/db';
+
+import { createMemoryCatalogRepository } from './memory';
+import { createPostgresCatalogRepository } from './postgres';
+import type { Category, Product, ProductFilter } from './types';
+
+/**
+ * Read access to the `categories` and `products` tables.
+ * Lookups return null when nothing matches.
+ */
+export interface CatalogRepository {
+  listCategories(): Promise<Category[]>;
+  getCategoryById(id: number): Promise<Category | null>;
+  getCategoryBySlug(slug: string): Promise<Category | null>;
+  listProducts(filter?: ProductFilter): Promise<Product[]>;
+  getProductById(id: number): Promise<Product | null>;
+  getProductBySku(sku: string): Promise<Product | null>;
+}
+
+export function getCatalogRepository(): CatalogRepository {
+  const dataSource = getDataSource();
+  return dataSource.kind === 'postgres'
+    ? createPostgresCatalogRepository(dataSource.pool)
+    : createMemoryCatalogRepository(dataSource.store);
+}
@@ -0,0 +1,55 @@
+import type { CategoryRow, ProductRow } from '@/lib/db';
+
+export interface Category {
+  id: number;
+  name: string;
+  description: string | null;
+  slug: string;
+  createdAt: string;
+}
+
+export interface Product {
+  id: number;
+  name: string;
+  description: string | null;
+  price: number;
+  stockQuantity: number;
+  sku: string;
+  categoryId: number;
+  imageUrl: string | null;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ProductFilter {
+  categoryId?: number;
+  /** Omit to list active and inactive products alike. */
+  isActive?: boolean;
+}
+
+export function toCategory(row: CategoryRow): Category {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    slug: row.slug,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+export function toProduct(row: ProductRow): Product {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    price: Number(row.price),
+    stockQuantity: row.stock_quantity,
+    sku: row.sku,
+    categoryId: row.category_id,
+    imageUrl: row.image_url,
+    isActive: row.is_active,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
@@ -0,0 +1,36 @@
+import { Pool } from 'pg';
+
+import { createSeededMemoryStore, type MemoryStore } from './memory';
+
+export type DataSource =
+  | { kind: 'memory'; store: MemoryStore }
+  | { kind: 'postgres'; pool: Pool };
+
+// Keep a single data source across hot reloads in development, otherwise
+// every edit would open a new pool (or wipe the in-memory tables).
+const globalForDb = globalThis as unknown as { dataSource?: DataSource };
+
+/**
+ * Postgres when DATABASE_URL is set, otherwise a seeded in-memory store.
+ */
+export function getDataSource(): DataSource {
+  if (!globalForDb.dataSource) {
+    const connectionString = process.env.DATABASE_URL;
+    globalForDb.dataSource = connectionString
+      ? { kind: 'postgres', pool: new Pool({ connectionString }) }
+      : { kind: 'memory', store: createSeededMemoryStore() };
+  }
+  return globalForDb.dataSource;
+}
+
+/**
+ * Swap the data source, e.g. to point the route handlers at a fresh
+ * MemoryStore in tests.
+ */
+export function setDataSource(dataSource: DataSource): void {
+  globalForDb.dataSource = dataSource;
+}
+
+export { MemoryStore, createSeededMemoryStore } from './memory';
+export { withTransaction } from './postgres';
+export type * from './types';
@@ -0,0 +1,82 @@
+import {
+  seedCartItems,
+  seedCategories,
+  seedOrderItems,
+  seedOrders,
+  seedProducts,
+  seedReviews,
+} from './seed';
+import type {
+  ApiKeyRow,
+  CartItemRow,
+  CategoryRow,
+  OrderItemRow,
+  OrderRow,
+  ProductRow,
+  ReviewRow,
+} from './types';
+
+export interface MemoryTables {
+  categories: CategoryRow[];
+  products: ProductRow[];
+  cart_items: CartItemRow[];
+  orders: OrderRow[];
+  order_items: OrderItemRow[];
+  reviews: ReviewRow[];
+  api_keys: ApiKeyRow[];
+}
+
+// api_keys has random string ids, so it has no sequence
+export type TableName = Exclude<keyof MemoryTables, 'api_keys'>;
+
+/**
+ * In-memory stand-in for the Postgres schema.
+ *
+ * Each table is a plain array of rows and ids come from a per-table
+ * sequence, just like SERIAL columns. Used when DATABASE_URL is not set
+ * and for exercising the repositories without a database.
+ */
+export class MemoryStore {
+  tables: MemoryTables;
+  private sequences: Record<TableName, number>;
+
+  constructor(seed: Partial<MemoryTables> = {}) {
+    this.tables = {
+      categories: seed.categories ?? [],
+      products: seed.products ?? [],
+      cart_items: seed.cart_items ?? [],
+      orders: seed.orders ?? [],
+      order_items: seed.order_items ?? [],
+      reviews: seed.reviews ?? [],
+      api_keys: seed.api_keys ?? [],
+    };
+    this.sequences = {
+      categories: maxId(this.tables.categories),
+      products: maxId(this.tables.products),
+      cart_items: maxId(this.tables.cart_items),
+      orders: maxId(this.tables.orders),
+      order_items: maxId(this.tables.order_items),
+      reviews: maxId(this.tables.reviews),
+    };
+  }
+
+  nextId(table: TableName): number {
+    this.sequences[table] += 1;
+    return this.sequences[table];
+  }
+}
+
+function maxId(rows: Array<{ id: number }>): number {
+  return rows.reduce((max, row) => Math.max(max, row.id), 0);
+}
+
+export function createSeededMemoryStore(): MemoryStore {
+  return new MemoryStore({
+    categories: seedCategories(),
+    products: seedProducts(),
+    cart_items: seedCartItems(),
+    orders: seedOrders(),
+    order_items: seedOrderItems(),
+    reviews: seedReviews(),
+  });
+}
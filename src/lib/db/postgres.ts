@@ -0,0 +1,24 @@
+import type { Pool, PoolClient } from 'pg';
+
+/**
+ * Run `fn` inside BEGIN/COMMIT on a dedicated connection, rolling back if
+ * it throws. Everything that must succeed or fail together goes through
+ * the `client` passed to `fn`, never through the pool.
+ */
+export async function withTransaction<T>(
+  pool: Pool,
+  fn: (client: PoolClient) => Promise<T>
+): Promise<T> {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
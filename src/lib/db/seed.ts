@@ -0,0 +1,194 @@
+import type {
+  CartItemRow,
+  CategoryRow,
+  OrderItemRow,
+  OrderRow,
+  OrderStatusValue,
+  ProductRow,
+  ReviewRow,
+} from './types';
+
+// Mirrors Learning/0.2-Database-Design/schemas/sample-data.sql so the
+// in-memory store behaves like a freshly seeded database.
+
+const seededAt = new Date('2025-01-01T00:00:00Z');
+
+const categories: Array<Omit<CategoryRow, 'id' | 'created_at'>> = [
+  {
+    name: 'Instant Ramen',
+    description: 'Quick and delicious instant ramen noodles',
+    slug: 'instant-ramen',
+  },
+  {
+    name: 'Fresh Ramen',
+    description: 'Premium fresh ramen with authentic broth',
+    slug: 'fresh-ramen',
+  },
+  {
+    name: 'Toppings',
+    description: 'Delicious toppings to enhance your ramen',
+    slug: 'toppings',
+  },
+  {
+    name: 'Beverages',
+    description: 'Drinks that pair perfectly with ramen',
+    slug: 'beverages',
+  },
+  { name: 'Snacks', description: 'Japanese snacks and sides', slug: 'snacks' },
+];
+
+// [name, description, price, stock_quantity, sku, category_id, image_url]
+// prettier-ignore
+const products: Array<[string, string, number, number, string, number, string]> = [
+  ['Shoyu Instant Ramen', 'Classic soy sauce based instant ramen with rich umami flavor', 3.99, 100, 'IR-SHOYU-001', 1, '/images/shoyu-instant.jpg'],
+  ['Miso Instant Ramen', 'Hearty miso-based instant ramen with fermented soybean paste', 4.49, 85, 'IR-MISO-001', 1, '/images/miso-instant.jpg'],
+  ['Tonkotsu Instant Ramen', 'Rich pork bone broth instant ramen, creamy and indulgent', 4.99, 75, 'IR-TONK-001', 1, '/images/tonkotsu-instant.jpg'],
+  ['Spicy Kimchi Ramen', 'Korean-style instant ramen with spicy kimchi flavor', 4.29, 60, 'IR-KIMC-001', 1, '/images/kimchi-instant.jpg'],
+  ['Premium Shoyu Ramen', 'Authentic shoyu ramen with handmade noodles and rich broth', 14.99, 25, 'FR-SHOYU-001', 2, '/images/fresh-shoyu.jpg'],
+  ['Miso Ramen Deluxe', 'Premium miso ramen with chashu pork and soft-boiled egg', 16.99, 20, 'FR-MISO-001', 2, '/images/fresh-miso.jpg'],
+  ['Tonkotsu Ramen Special', 'Rich 24-hour tonkotsu broth with tender chashu and bamboo shoots', 18.99, 15, 'FR-TONK-001', 2, '/images/fresh-tonkotsu.jpg'],
+  ['Vegetarian Miso Ramen', 'Plant-based miso ramen with tofu and seasonal vegetables', 15.99, 30, 'FR-VEG-001', 2, '/images/fresh-veg.jpg'],
+  ['Chashu Pork Slices', 'Tender braised pork belly slices, perfect ramen topping', 5.99, 50, 'TOP-CHAS-001', 3, '/images/chashu.jpg'],
+  ['Soft-Boiled Eggs (2pc)', 'Perfectly soft-boiled ramen eggs with seasoned yolk', 3.99, 80, 'TOP-EGG-002', 3, '/images/ramen-eggs.jpg'],
+  ['Bamboo Shoots', 'Crisp menma bamboo shoots, traditional ramen topping', 2.99, 40, 'TOP-BAMB-001', 3, '/images/bamboo.jpg'],
+  ['Green Onions', 'Fresh chopped scallions for garnish', 1.99, 100, 'TOP-ONION-001', 3, '/images/green-onions.jpg'],
+  ['Nori Seaweed Sheets', 'Premium nori seaweed sheets for authentic flavor', 2.49, 75, 'TOP-NORI-001', 3, '/images/nori.jpg'],
+  ['Japanese Green Tea', 'Premium sencha green tea, hot or iced', 2.99, 120, 'BEV-TEA-001', 4, '/images/green-tea.jpg'],
+  ['Ramune Soda', 'Classic Japanese marble soda in assorted flavors', 3.49, 90, 'BEV-RAM-001', 4, '/images/ramune.jpg'],
+  ['Sake (Hot)', 'Premium sake served hot in traditional style', 8.99, 30, 'BEV-SAKE-001', 4, '/images/hot-sake.jpg'],
+  ['Asahi Beer', 'Crisp Japanese lager beer, perfect with ramen', 4.99, 60, 'BEV-BEER-001', 4, '/images/asahi.jpg'],
+  ['Gyoza (6pc)', 'Pan-fried pork and vegetable dumplings', 7.99, 40, 'SNK-GYOZA-006', 5, '/images/gyoza.jpg'],
+  ['Karaage Chicken', 'Japanese fried chicken with crispy coating', 8.99, 35, 'SNK-KARA-001', 5, '/images/karaage.jpg'],
+  ['Edamame', 'Steamed and salted young soybeans', 4.99, 70, 'SNK-EDAM-001', 5, '/images/edamame.jpg'],
+  ['Takoyaki (6pc)', 'Octopus balls with takoyaki sauce and bonito flakes', 9.99, 25, 'SNK-TAKO-006', 5, '/images/takoyaki.jpg'],
+];
+
+// [user_id, product_id, quantity]
+const cartItems: Array<[number, number, number]> = [
+  [1, 8, 1],
+  [1, 11, 2],
+  [2, 3, 2],
+  [2, 17, 1],
+  [2, 14, 1],
+  [5, 1, 3],
+  [5, 2, 3],
+  [5, 10, 6],
+  [5, 15, 2],
+];
+
+// [user_id, total_amount, status, address]
+const orders: Array<[number, number, OrderStatusValue, string]> = [
+  [1, 23.97, 'delivered', '123 Main St, Anytown, ST 12345'],
+  [2, 45.96, 'shipped', '456 Oak Ave, Springfield, ST 67890'],
+  [3, 31.94, 'processing', '789 Pine Rd, Hometown, ST 11111'],
+  [1, 18.98, 'delivered', '123 Main St, Anytown, ST 12345'],
+  [4, 67.93, 'pending', '321 Elm St, Newcity, ST 22222'],
+];
+
+// [order_id, product_id, quantity, price_at_time]
+// prettier-ignore
+const orderItems: Array<[number, number, number, number]> = [
+  [1, 1, 2, 3.99], [1, 10, 2, 3.99], [1, 14, 1, 2.99], [1, 17, 1, 7.99],
+  [2, 5, 1, 14.99], [2, 6, 1, 16.99], [2, 9, 1, 5.99], [2, 15, 2, 3.49],
+  [3, 2, 3, 4.49], [3, 11, 2, 2.99], [3, 12, 1, 1.99], [3, 18, 1, 8.99],
+  [4, 3, 1, 4.99], [4, 4, 1, 4.29], [4, 13, 3, 2.49], [4, 16, 1, 8.99],
+  [5, 7, 2, 18.99], [5, 9, 2, 5.99], [5, 10, 4, 3.99], [5, 19, 1, 4.99], [5, 20, 1, 9.99],
+];
+
+// [user_id, product_id, rating, comment]
+// prettier-ignore
+const reviews: Array<[number, number, number, string]> = [
+  [1, 1, 5, 'Amazing flavor! Just like the ramen shops in Japan. Highly recommended!'],
+  [2, 1, 4, 'Really good for instant ramen. The broth has great depth of flavor.'],
+  [3, 2, 5, 'The miso flavor is incredible. This is my go-to instant ramen now.'],
+  [1, 2, 4, 'Very satisfying and authentic taste. Good value for money.'],
+  [4, 3, 5, 'Rich and creamy broth, just like restaurant quality!'],
+  [2, 4, 3, 'Good spice level, but could use more kimchi flavor.'],
+  [2, 5, 5, 'Absolutely incredible! The handmade noodles make all the difference.'],
+  [3, 6, 5, 'Best miso ramen I have ever had. The chashu melts in your mouth.'],
+  [1, 7, 4, 'Amazing tonkotsu broth, though a bit expensive. Worth it for special occasions.'],
+  [4, 8, 5, 'Finally, a great vegetarian option! The vegetables are fresh and flavorful.'],
+  [1, 9, 5, 'Perfect chashu! Tender, flavorful, and exactly what ramen needs.'],
+  [2, 10, 5, 'These eggs are perfection. Creamy yolk and perfect seasoning.'],
+  [3, 11, 4, 'Good quality bamboo shoots. Adds nice texture to the ramen.'],
+  [4, 13, 4, 'Premium nori with great ocean flavor. Really enhances the broth.'],
+  [1, 14, 4, 'Refreshing and pairs well with ramen. Good quality tea.'],
+  [2, 15, 5, 'Love ramune! The marble gimmick never gets old, and it tastes great.'],
+  [4, 16, 5, 'Excellent sake, served at perfect temperature. Great with ramen.'],
+  [1, 17, 5, 'Crispy on outside, juicy inside. These gyoza are restaurant quality!'],
+  [3, 18, 4, 'Delicious karaage! Crispy coating and tender chicken.'],
+  [2, 19, 3, 'Good edamame, though a bit salty for my taste.'],
+  [4, 20, 5, 'Amazing takoyaki! Just like the ones from Osaka street vendors.'],
+];
+
+export function seedCategories(): CategoryRow[] {
+  return categories.map((category, index) => ({
+    id: index + 1,
+    ...category,
+    created_at: seededAt,
+  }));
+}
+
+export function seedProducts(): ProductRow[] {
+  return products.map(
+    ([name, description, price, stock, sku, categoryId, imageUrl], index) => ({
+      id: index + 1,
+      name,
+      description,
+      price,
+      stock_quantity: stock,
+      sku,
+      category_id: categoryId,
+      image_url: imageUrl,
+      is_active: true,
+      created_at: seededAt,
+      updated_at: seededAt,
+    })
+  );
+}
+
+export function seedCartItems(): CartItemRow[] {
+  return cartItems.map(([userId, productId, quantity], index) => ({
+    id: index + 1,
+    user_id: userId,
+    product_id: productId,
+    quantity,
+    created_at: seededAt,
+    updated_at: seededAt,
+  }));
+}
+
+export function seedOrders(): OrderRow[] {
+  return orders.map(([userId, total, status, address], index) => ({
+    id: index + 1,
+    user_id: userId,
+    total_amount: total,
+    status,
+    shipping_address: address,
+    billing_address: address,
+    created_at: seededAt,
+    updated_at: seededAt,
+  }));
+}
+
+export function seedOrderItems(): OrderItemRow[] {
+  return orderItems.map(([orderId, productId, quantity, price], index) => ({
+    id: index + 1,
+    order_id: orderId,
+    product_id: productId,
+    quantity,
+    price_at_time: price,
+    created_at: seededAt,
+  }));
+}
+
+export function seedReviews(): ReviewRow[] {
+  return reviews.map(([userId, productId, rating, comment], index) => ({
+    id: index + 1,
+    user_id: userId,
+    product_id: productId,
+    rating,
+    comment,
+    created_at: seededAt,
+  }));
+}
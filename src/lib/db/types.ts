@@ -0,0 +1,87 @@
+// Row shapes for the tables in Learning/0.2-Database-Design/schemas/schema.sql.
+// Column names are kept snake_case so the same objects can come straight out
+// of Postgres or out of the in-memory store.
+
+export interface CategoryRow {
+  id: number;
+  name: string;
+  description: string | null;
+  slug: string;
+  created_at: Date;
+}
+
+export interface ProductRow {
+  id: number;
+  name: string;
+  description: string | null;
+  // DECIMAL(10,2) - node-postgres returns these as strings
+  price: string | number;
+  stock_quantity: number;
+  sku: string;
+  category_id: number;
+  image_url: string | null;
+  is_active: boolean;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export interface CartItemRow {
+  id: number;
+  user_id: number;
+  product_id: number;
+  quantity: number;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export type OrderStatusValue =
+  | 'pending'
+  | 'processing'
+  | 'shipped'
+  | 'delivered'
+  | 'cancelled';
+
+export interface OrderRow {
+  id: number;
+  user_id: number;
+  total_amount: string | number;
+  status: OrderStatusValue;
+  shipping_address: string;
+  billing_address: string;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export interface OrderItemRow {
+  id: number;
+  order_id: number;
+  product_id: number;
+  quantity: number;
+  price_at_time: string | number;
+  created_at: Date;
+}
+
+export interface ReviewRow {
+  id: number;
+  user_id: number;
+  product_id: number;
+  rating: number;
+  comment: string | null;
+  created_at: Date;
+}
+
+export interface ApiKeyRow {
+  // 16 hex characters, also embedded in the key itself
+  id: string;
+  user_id: number;
+  name: string;
+  // Hex SHA-256 of the full key - the key itself is never stored
+  key_hash: string;
+  // The owner's role when the key was created (users has no role column)
+  role: string | null;
+  scopes: string[];
+  created_at: Date;
+  expires_at: Date | null;
+  last_used_at: Date | null;
+  revoked_at: Date | null;
+}
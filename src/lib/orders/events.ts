@@ -0,0 +1,55 @@
+import type { OrderStatus } from './state-machine';
+import type { Order } from './types';
+
+export type OrderEvent =
+  | { type: 'order.created'; order: Order }
+  | {
+      type: 'order.status_changed';
+      order: Order;
+      from: OrderStatus;
+      to: OrderStatus;
+      actorId: number | null;
+    };
+
+export type OrderEventType = OrderEvent['type'];
+
+type Listener = (event: OrderEvent) => void | Promise<void>;
+
+const listeners = new Map<OrderEventType, Set<Listener>>();
+
+/**
+ * Subscribe to order lifecycle events (confirmation emails, audit logs...).
+ * Returns a function that removes the listener.
+ */
+export function onOrderEvent<T extends OrderEventType>(
+  type: T,
+  listener: (event: Extract<OrderEvent, { type: T }>) => void | Promise<void>
+): () => void {
+  const set = listeners.get(type) ?? new Set<Listener>();
+  listeners.set(type, set);
+  set.add(listener as Listener);
+  return () => {
+    set.delete(listener as Listener);
+  };
+}
+
+/**
+ * Notify listeners once a change has been committed. A failing listener is
+ * logged and never affects the order itself or the other listeners.
+ */
+export async function emitOrderEvent(event: OrderEvent): Promise<void> {
+  const set = listeners.get(event.type);
+  if (!set) return;
+
+  const results = await Promise.allSettled(
+    [...set].map(async (listener) => listener(event))
+  );
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error(
+        `Order event listener failed (${event.type}):`,
+        result.reason
+      );
+    }
+  }
+}
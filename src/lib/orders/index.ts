@@ -0,0 +1,18 @@
+export { emitOrderEvent, onOrderEvent, type OrderEvent } from './events';
+export { orderPolicy, type OrderAction } from './policy';
+export { getOrderRepository, type OrderRepository } from './repository';
+export {
+  changeOrderStatus,
+  checkout,
+  getOrderForUser,
+  listOrdersForUser,
+} from './service';
+export {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  assertTransition,
+  canTransition,
+  isOrderStatus,
+  type OrderStatus,
+} from './state-machine';
+export type { CheckoutInput, Order, OrderItem } from './types';
@@ -0,0 +1,110 @@
+import { ApiError } from '@/lib/api/errors';
+import { assertPurchasable, toCents } from '@/lib/cart';
+import { toProduct } from '@/lib/catalog';
+import type { MemoryStore, OrderRow } from '@/lib/db';
+
+import type { OrderRepository } from './repository';
+import { toOrder } from './types';
+
+// The in-memory store is only touched synchronously inside each method, so
+// every method runs to completion without interleaving - the equivalent of
+// a transaction for a single-process store.
+export function createMemoryOrderRepository(
+  store: MemoryStore
+): OrderRepository {
+  const { tables } = store;
+
+  function withItems(order: OrderRow) {
+    return toOrder(
+      order,
+      tables.order_items.filter((item) => item.order_id === order.id)
+    );
+  }
+
+  return {
+    async createFromCart({ userId, shippingAddress, billingAddress }) {
+      const lines = tables.cart_items.filter((item) => item.user_id === userId);
+      if (lines.length === 0) {
+        throw new ApiError(400, 'Cart is empty', 'EMPTY_CART');
+      }
+
+      // Validate every line before touching anything
+      const purchases = lines.map((line) => {
+        const row = tables.products.find((p) => p.id === line.product_id);
+        const product = row ? toProduct(row) : null;
+        assertPurchasable(product, line.product_id, line.quantity);
+        return { row: row!, product, quantity: line.quantity };
+      });
+
+      const now = new Date();
+      const order: OrderRow = {
+        id: store.nextId('orders'),
+        user_id: userId,
+        total_amount:
+          purchases.reduce(
+            (sum, { product, quantity }) =>
+              sum + toCents(product.price) * quantity,
+            0
+          ) / 100,
+        status: 'pending',
+        shipping_address: shippingAddress,
+        billing_address: billingAddress,
+        created_at: now,
+        updated_at: now,
+      };
+      tables.orders.push(order);
+
+      for (const { row, product, quantity } of purchases) {
+        tables.order_items.push({
+          id: store.nextId('order_items'),
+          order_id: order.id,
+          product_id: product.id,
+          quantity,
+          price_at_time: product.price,
+          created_at: now,
+        });
+        row.stock_quantity -= quantity;
+        row.updated_at = now;
+      }
+
+      tables.cart_items = tables.cart_items.filter(
+        (item) => item.user_id !== userId
+      );
+
+      return withItems(order);
+    },
+
+    async getById(id) {
+      const order = tables.orders.find((o) => o.id === id);
+      return order ? withItems(order) : null;
+    },
+
+    async listForUser(userId) {
+      return tables.orders
+        .filter((order) => order.user_id === userId)
+        .sort((a, b) => b.id - a.id)
+        .map(withItems);
+    },
+
+    async updateStatus(id, from, to) {
+      const order = tables.orders.find((o) => o.id === id);
+      if (!order || order.status !== from) return null;
+
+      const now = new Date();
+      if (to === 'cancelled') {
+        for (const item of tables.order_items) {
+          if (item.order_id !== id) continue;
+          const product = tables.products.find((p) => p.id === item.product_id);
+          if (product) {
+            product.stock_quantity += item.quantity;
+            product.updated_at = now;
+          }
+        }
+      }
+
+      order.status = to;
+      order.updated_at = now;
+      return withItems(order);
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import { createPolicy, type Condition } from '@/lib/auth';
+
+export type OrderAction = 'order:read' | 'order:cancel' | 'order:update-status';
+
+const isOwner: Condition = {
+  attr: 'resource.userId',
+  op: 'eq',
+  ref: 'subject.id',
+};
+
+/**
+ * Who may do what with an order. Evaluated with the AuthUser as `subject`
+ * and the Order as `resource`; anything not allowed here is denied.
+ */
+export const orderPolicy = createPolicy([
+  {
+    id: 'admin-full-access',
+    effect: 'allow',
+    actions: ['*'],
+    description: 'Admins can read and update any order',
+    when: { attr: 'subject.role', op: 'eq', value: 'admin' },
+  },
+  {
+    id: 'owner-can-read',
+    effect: 'allow',
+    actions: ['order:read'],
+    description: 'Customers can read their own orders',
+    when: isOwner,
+  },
+  {
+    id: 'owner-can-cancel-pending',
+    effect: 'allow',
+    actions: ['order:cancel'],
+    description: 'Customers can cancel their own orders while pending',
+    when: {
+      all: [isOwner, { attr: 'resource.status', op: 'eq', value: 'pending' }],
+    },
+  },
+]);
@@ -0,0 +1,152 @@
+import type { Pool, PoolClient } from 'pg';
+
+import { ApiError } from '@/lib/api/errors';
+import { assertPurchasable, toCents } from '@/lib/cart';
+import { toProduct } from '@/lib/catalog';
+import {
+  withTransaction,
+  type OrderItemRow,
+  type OrderRow,
+  type ProductRow,
+} from '@/lib/db';
+
+import type { OrderRepository } from './repository';
+import { toOrder } from './types';
+
+const ORDER_COLUMNS =
+  'id, user_id, total_amount, status, shipping_address, billing_address, created_at, updated_at';
+const ORDER_ITEM_COLUMNS =
+  'id, order_id, product_id, quantity, price_at_time, created_at';
+
+async function loadItems(db: Pool | PoolClient, orderIds: number[]) {
+  const { rows } = await db.query<OrderItemRow>(
+    `SELECT ${ORDER_ITEM_COLUMNS} FROM order_items
+     WHERE order_id = ANY($1) ORDER BY id`,
+    [orderIds]
+  );
+  return rows;
+}
+
+export function createPostgresOrderRepository(pool: Pool): OrderRepository {
+  return {
+    createFromCart({ userId, shippingAddress, billingAddress }) {
+      return withTransaction(pool, async (client) => {
+        const { rows: lines } = await client.query<{
+          product_id: number;
+          quantity: number;
+        }>(
+          `SELECT product_id, quantity FROM cart_items
+           WHERE user_id = $1 ORDER BY product_id FOR UPDATE`,
+          [userId]
+        );
+        if (lines.length === 0) {
+          throw new ApiError(400, 'Cart is empty', 'EMPTY_CART');
+        }
+
+        // Lock the product rows (in id order, to avoid deadlocks between
+        // concurrent checkouts) so stock cannot change underneath us
+        const { rows: productRows } = await client.query<ProductRow>(
+          `SELECT * FROM products WHERE id = ANY($1) ORDER BY id FOR UPDATE`,
+          [lines.map((line) => line.product_id)]
+        );
+        const purchases = lines.map((line) => {
+          const row = productRows.find((p) => p.id === line.product_id);
+          const product = row ? toProduct(row) : null;
+          assertPurchasable(product, line.product_id, line.quantity);
+          return { product, quantity: line.quantity };
+        });
+
+        const totalCents = purchases.reduce(
+          (sum, { product, quantity }) =>
+            sum + toCents(product.price) * quantity,
+          0
+        );
+        const {
+          rows: [order],
+        } = await client.query<OrderRow>(
+          `INSERT INTO orders (user_id, total_amount, status, shipping_address, billing_address)
+           VALUES ($1, $2, 'pending', $3, $4)
+           RETURNING ${ORDER_COLUMNS}`,
+          [
+            userId,
+            (totalCents / 100).toFixed(2),
+            shippingAddress,
+            billingAddress,
+          ]
+        );
+
+        for (const { product, quantity } of purchases) {
+          await client.query(
+            `INSERT INTO order_items (order_id, product_id, quantity, price_at_time)
+             VALUES ($1, $2, $3, $4)`,
+            [order.id, product.id, quantity, product.price]
+          );
+          await client.query(
+            `UPDATE products
+             SET stock_quantity = stock_quantity - $2, updated_at = NOW()
+             WHERE id = $1`,
+            [product.id, quantity]
+          );
+        }
+
+        await client.query('DELETE FROM cart_items WHERE user_id = $1', [
+          userId,
+        ]);
+
+        return toOrder(order, await loadItems(client, [order.id]));
+      });
+    },
+
+    async getById(id) {
+      const { rows } = await pool.query<OrderRow>(
+        `SELECT ${ORDER_COLUMNS} FROM orders WHERE id = $1`,
+        [id]
+      );
+      if (!rows[0]) return null;
+      return toOrder(rows[0], await loadItems(pool, [id]));
+    },
+
+    async listForUser(userId) {
+      const { rows } = await pool.query<OrderRow>(
+        `SELECT ${ORDER_COLUMNS} FROM orders
+         WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+        [userId]
+      );
+      const items = await loadItems(
+        pool,
+        rows.map((row) => row.id)
+      );
+      return rows.map((row) =>
+        toOrder(
+          row,
+          items.filter((item) => item.order_id === row.id)
+        )
+      );
+    },
+
+    updateStatus(id, from, to) {
+      return withTransaction(pool, async (client) => {
+        const { rows } = await client.query<OrderRow>(
+          `UPDATE orders SET status = $3, updated_at = NOW()
+           WHERE id = $1 AND status = $2
+           RETURNING ${ORDER_COLUMNS}`,
+          [id, from, to]
+        );
+        if (!rows[0]) return null;
+
+        if (to === 'cancelled') {
+          await client.query(
+            `UPDATE products p
+             SET stock_quantity = p.stock_quantity + oi.quantity,
+                 updated_at = NOW()
+             FROM order_items oi
+             WHERE oi.order_id = $1 AND oi.product_id = p.id`,
+            [id]
+          );
+        }
+
+        return toOrder(rows[0], await loadItems(client, [id]));
+      });
+    },
+  };
+}
@@ -0,0 +1,36 @@
+import { getDataSource } from '@/lib/db';
+
+import { createMemoryOrderRepository } from './memory';
+import { createPostgresOrderRepository } from './postgres';
+import type { OrderStatus } from './state-machine';
+import type { CheckoutInput, Order } from './types';
+
+export interface OrderRepository {
+  /**
+   * Atomically turn the user's cart into an order: check every product is
+   * active and in stock, insert the `orders` and `order_items` rows with
+   * the current price frozen into `price_at_time`, decrement
+   * `stock_quantity` and empty the cart. Nothing is written if any step
+   * fails.
+   */
+  createFromCart(input: CheckoutInput): Promise<Order>;
+  getById(id: number): Promise<Order | null>;
+  listForUser(userId: number): Promise<Order[]>;
+  /**
+   * Move an order from `from` to `to`, returning null if its status is no
+   * longer `from` (someone else changed it first). Cancelling puts the
+   * ordered quantities back into stock in the same transaction.
+   */
+  updateStatus(
+    id: number,
+    from: OrderStatus,
+    to: OrderStatus
+  ): Promise<Order | null>;
+}
+
+export function getOrderRepository(): OrderRepository {
+  const dataSource = getDataSource();
+  return dataSource.kind === 'postgres'
+    ? createPostgresOrderRepository(dataSource.pool)
+    : createMemoryOrderRepository(dataSource.store);
+}
@@ -0,0 +1,115 @@
+import { ApiError } from '@/lib/api/errors';
+import { authorize, type AuthUser } from '@/lib/auth';
+
+import { emitOrderEvent } from './events';
+import { orderPolicy } from './policy';
+import { getOrderRepository } from './repository';
+import { assertTransition, isOrderStatus } from './state-machine';
+import type { Order } from './types';
+
+const MAX_ADDRESS_LENGTH = 1000;
+
+function parseAddress(value: unknown, field: string): string {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ApiError(400, `${field} is required`);
+  }
+  if (value.length > MAX_ADDRESS_LENGTH) {
+    throw new ApiError(
+      400,
+      `${field} must be at most ${MAX_ADDRESS_LENGTH} characters`
+    );
+  }
+  return value.trim();
+}
+
+/**
+ * Place an order for everything in the user's cart. The billing address
+ * defaults to the shipping address.
+ */
+export async function checkout(
+  user: AuthUser,
+  body: Record<string, unknown>
+): Promise<Order> {
+  const shippingAddress = parseAddress(body.shippingAddress, 'shippingAddress');
+  const billingAddress =
+    body.billingAddress === undefined
+      ? shippingAddress
+      : parseAddress(body.billingAddress, 'billingAddress');
+
+  const order = await getOrderRepository().createFromCart({
+    userId: user.id,
+    shippingAddress,
+    billingAddress,
+  });
+
+  void emitOrderEvent({ type: 'order.created', order });
+  return order;
+}
+
+/**
+ * Fetch an order `user` may read under the order policy: their own, or any
+ * order for admins. Other people's orders are reported as missing rather
+ * than forbidden so order ids cannot be probed.
+ */
+export async function getOrderForUser(
+  user: AuthUser,
+  orderId: number
+): Promise<Order> {
+  const order = await getOrderRepository().getById(orderId);
+  if (
+    !order ||
+    !orderPolicy.can({ subject: user, action: 'order:read', resource: order })
+  ) {
+    throw new ApiError(404, `Order with ID ${orderId} not found`);
+  }
+  return order;
+}
+
+export function listOrdersForUser(user: AuthUser): Promise<Order[]> {
+  return getOrderRepository().listForUser(user.id);
+}
+
+/**
+ * Apply a status change through the order state machine. The order policy
+ * lets customers cancel their own orders while pending; admins may make
+ * any legal move.
+ */
+export async function changeOrderStatus(
+  user: AuthUser,
+  orderId: number,
+  status: unknown
+): Promise<Order> {
+  if (!isOrderStatus(status)) {
+    throw new ApiError(400, 'Invalid order status', 'INVALID_STATUS');
+  }
+
+  const current = await getOrderForUser(user, orderId);
+  authorize(orderPolicy, {
+    subject: user,
+    action: status === 'cancelled' ? 'order:cancel' : 'order:update-status',
+    resource: current,
+  });
+  assertTransition(current.status, status);
+
+  const updated = await getOrderRepository().updateStatus(
+    orderId,
+    current.status,
+    status
+  );
+  if (!updated) {
+    throw new ApiError(
+      409,
+      'Order status was changed by another request, please retry',
+      'STATUS_CONFLICT'
+    );
+  }
+
+  void emitOrderEvent({
+    type: 'order.status_changed',
+    order: updated,
+    from: current.status,
+    to: status,
+    actorId: user.id,
+  });
+  return updated;
+}
@@ -0,0 +1,46 @@
+import { ApiError } from '@/lib/api/errors';
+import type { OrderStatusValue } from '@/lib/db';
+
+export type OrderStatus = OrderStatusValue;
+
+// Same values, in lifecycle order, as the CHECK constraint on orders.status
+export const ORDER_STATUSES: readonly OrderStatus[] = [
+  'pending',
+  'processing',
+  'shipped',
+  'delivered',
+  'cancelled',
+];
+
+/**
+ * Legal moves between statuses. `delivered` and `cancelled` are terminal;
+ * an order can only be cancelled before it ships.
+ */
+export const ORDER_TRANSITIONS: Readonly<
+  Record<OrderStatus, readonly OrderStatus[]>
+> = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+export function isOrderStatus(value: unknown): value is OrderStatus {
+  return ORDER_STATUSES.includes(value as OrderStatus);
+}
+
+export function canTransition(from: OrderStatus, to: OrderStatus): boolean {
+  return ORDER_TRANSITIONS[from].includes(to);
+}
+
+export function assertTransition(from: OrderStatus, to: OrderStatus): void {
+  if (!canTransition(from, to)) {
+    throw new ApiError(
+      409,
+      `Cannot change order status from ${from} to ${to}`,
+      'INVALID_STATUS_TRANSITION',
+      { from, to, allowed: ORDER_TRANSITIONS[from] }
+    );
+  }
+}
@@ -0,0 +1,51 @@
+import type { OrderItemRow, OrderRow } from '@/lib/db';
+
+import type { OrderStatus } from './state-machine';
+
+export interface OrderItem {
+  id: number;
+  productId: number;
+  quantity: number;
+  priceAtTime: number;
+}
+
+export interface Order {
+  id: number;
+  userId: number;
+  totalAmount: number;
+  status: OrderStatus;
+  shippingAddress: string;
+  billingAddress: string;
+  createdAt: string;
+  updatedAt: string;
+  items: OrderItem[];
+}
+
+export interface CheckoutInput {
+  userId: number;
+  shippingAddress: string;
+  billingAddress: string;
+}
+
+export function toOrderItem(row: OrderItemRow): OrderItem {
+  return {
+    id: row.id,
+    productId: row.product_id,
+    quantity: row.quantity,
+    priceAtTime: Number(row.price_at_time),
+  };
+}
+
+export function toOrder(row: OrderRow, items: OrderItemRow[]): Order {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    totalAmount: Number(row.total_amount),
+    status: row.status,
+    shippingAddress: row.shipping_address,
+    billingAddress: row.billing_address,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+    items: items.map(toOrderItem),
+  };
+}
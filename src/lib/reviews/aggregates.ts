@@ -0,0 +1,69 @@
+import { getDataSource, type DataSource } from '@/lib/db';
+
+import { getReviewRepository } from './repository';
+import type { RatingSummary } from './types';
+
+// Rating summaries are read on every product page but only change when a
+// review is written, so they are cached and refreshed by the review service
+// after each create, update or delete. Entries also expire after a minute,
+// so writes from another server process (or straight to the database) show
+// up without a restart.
+const SUMMARY_TTL_MS = 60_000;
+
+interface CachedSummary {
+  summary: RatingSummary;
+  expiresAt: number;
+}
+
+// One cache per data source, so setDataSource() never serves summaries
+// computed from the previous one
+let caches = new WeakMap<DataSource, Map<number, CachedSummary>>();
+
+function getCache(): Map<number, CachedSummary> {
+  const dataSource = getDataSource();
+  let cache = caches.get(dataSource);
+  if (!cache) {
+    cache = new Map();
+    caches.set(dataSource, cache);
+  }
+  return cache;
+}
+
+async function computeRatingSummary(productId: number): Promise<RatingSummary> {
+  const histogram = await getReviewRepository().countByRating(productId);
+  let count = 0;
+  let total = 0;
+  for (const [rating, n] of Object.entries(histogram)) {
+    count += n;
+    total += Number(rating) * n;
+  }
+  return {
+    productId,
+    average: count ? Math.round((total / count) * 100) / 100 : 0,
+    count,
+    histogram,
+  };
+}
+
+export async function getRatingSummary(
+  productId: number
+): Promise<RatingSummary> {
+  const cache = getCache();
+  const cached = cache.get(productId);
+  if (cached && cached.expiresAt > Date.now()) return cached.summary;
+
+  const summary = await computeRatingSummary(productId);
+  cache.set(productId, { summary, expiresAt: Date.now() + SUMMARY_TTL_MS });
+  return summary;
+}
+
+export async function refreshRatingSummary(
+  productId: number
+): Promise<RatingSummary> {
+  getCache().delete(productId);
+  return getRatingSummary(productId);
+}
+
+export function clearRatingSummaries(): void {
+  caches = new WeakMap();
+}
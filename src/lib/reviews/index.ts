@@ -0,0 +1,8 @@
+export {
+  clearRatingSummaries,
+  getRatingSummary,
+  refreshRatingSummary,
+} from './aggregates';
+export { getReviewRepository, type ReviewRepository } from './repository';
+export { createReview, deleteReview, updateReview } from './service';
+export type { RatingSummary, Review, ReviewPage } from './types';
@@ -0,0 +1,91 @@
+import { ApiError } from '@/lib/api/errors';
+import type { MemoryStore } from '@/lib/db';
+
+import {
+  DUPLICATE_REVIEW_MESSAGE,
+  emptyHistogram,
+  type ReviewRepository,
+} from './repository';
+import { toReview, type Rating } from './types';
+
+export function createMemoryReviewRepository(
+  store: MemoryStore
+): ReviewRepository {
+  const { tables } = store;
+
+  return {
+    async listForProduct(productId, { limit, offset }) {
+      const rows = tables.reviews
+        .filter((review) => review.product_id === productId)
+        .sort(
+          (a, b) =>
+            b.created_at.getTime() - a.created_at.getTime() || b.id - a.id
+        );
+      return {
+        reviews: rows.slice(offset, offset + limit).map(toReview),
+        total: rows.length,
+      };
+    },
+
+    async getById(id) {
+      const row = tables.reviews.find((review) => review.id === id);
+      return row ? toReview(row) : null;
+    },
+
+    async create({ userId, productId, rating, comment }) {
+      const duplicate = tables.reviews.some(
+        (review) => review.user_id === userId && review.product_id === productId
+      );
+      if (duplicate) {
+        throw new ApiError(409, DUPLICATE_REVIEW_MESSAGE, 'DUPLICATE_REVIEW');
+      }
+      const row = {
+        id: store.nextId('reviews'),
+        user_id: userId,
+        product_id: productId,
+        rating,
+        comment,
+        created_at: new Date(),
+      };
+      tables.reviews.push(row);
+      return toReview(row);
+    },
+
+    async update(id, changes) {
+      const row = tables.reviews.find((review) => review.id === id);
+      if (!row) return null;
+      if (changes.rating !== undefined) row.rating = changes.rating;
+      if (changes.comment !== undefined) row.comment = changes.comment;
+      return toReview(row);
+    },
+
+    async delete(id) {
+      const index = tables.reviews.findIndex((review) => review.id === id);
+      if (index === -1) return false;
+      tables.reviews.splice(index, 1);
+      return true;
+    },
+
+    async countByRating(productId) {
+      const histogram = emptyHistogram();
+      for (const review of tables.reviews) {
+        if (review.product_id === productId) {
+          histogram[review.rating as Rating] += 1;
+        }
+      }
+      return histogram;
+    },
+
+    async hasDeliveredPurchase(userId, productId) {
+      return tables.orders.some(
+        (order) =>
+          order.user_id === userId &&
+          order.status === 'delivered' &&
+          tables.order_items.some(
+            (item) =>
+              item.order_id === order.id && item.product_id === productId
+          )
+      );
+    },
+  };
+}
@@ -0,0 +1,106 @@
+import { DatabaseError, type Pool } from 'pg';
+
+import { ApiError } from '@/lib/api/errors';
+import type { ReviewRow } from '@/lib/db';
+
+import {
+  DUPLICATE_REVIEW_MESSAGE,
+  emptyHistogram,
+  type ReviewRepository,
+} from './repository';
+import { toReview, type Rating } from './types';
+
+const REVIEW_COLUMNS = 'id, user_id, product_id, rating, comment, created_at';
+const UNIQUE_VIOLATION = '23505';
+
+export function createPostgresReviewRepository(pool: Pool): ReviewRepository {
+  return {
+    async listForProduct(productId, { limit, offset }) {
+      const [{ rows }, { rows: countRows }] = await Promise.all([
+        pool.query<ReviewRow>(
+          `SELECT ${REVIEW_COLUMNS} FROM reviews WHERE product_id = $1
+           ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3`,
+          [productId, limit, offset]
+        ),
+        pool.query<{ total: string }>(
+          'SELECT COUNT(*) AS total FROM reviews WHERE product_id = $1',
+          [productId]
+        ),
+      ]);
+      return { reviews: rows.map(toReview), total: Number(countRows[0].total) };
+    },
+
+    async getById(id) {
+      const { rows } = await pool.query<ReviewRow>(
+        `SELECT ${REVIEW_COLUMNS} FROM reviews WHERE id = $1`,
+        [id]
+      );
+      return rows[0] ? toReview(rows[0]) : null;
+    },
+
+    async create({ userId, productId, rating, comment }) {
+      try {
+        const { rows } = await pool.query<ReviewRow>(
+          `INSERT INTO reviews (user_id, product_id, rating, comment)
+           VALUES ($1, $2, $3, $4) RETURNING ${REVIEW_COLUMNS}`,
+          [userId, productId, rating, comment]
+        );
+        return toReview(rows[0]);
+      } catch (error) {
+        // UNIQUE(user_id, product_id)
+        if (error instanceof DatabaseError && error.code === UNIQUE_VIOLATION) {
+          throw new ApiError(409, DUPLICATE_REVIEW_MESSAGE, 'DUPLICATE_REVIEW');
+        }
+        throw error;
+      }
+    },
+
+    async update(id, changes) {
+      const { rows } = await pool.query<ReviewRow>(
+        `UPDATE reviews
+         SET rating = COALESCE($2, rating),
+             comment = CASE WHEN $3 THEN $4 ELSE comment END
+         WHERE id = $1 RETURNING ${REVIEW_COLUMNS}`,
+        [
+          id,
+          changes.rating ?? null,
+          changes.comment !== undefined,
+          changes.comment ?? null,
+        ]
+      );
+      return rows[0] ? toReview(rows[0]) : null;
+    },
+
+    async delete(id) {
+      const { rowCount } = await pool.query(
+        'DELETE FROM reviews WHERE id = $1',
+        [id]
+      );
+      return (rowCount ?? 0) > 0;
+    },
+
+    async countByRating(productId) {
+      const { rows } = await pool.query<{ rating: number; count: string }>(
+        `SELECT rating, COUNT(*) AS count FROM reviews
+         WHERE product_id = $1 GROUP BY rating`,
+        [productId]
+      );
+      const histogram = emptyHistogram();
+      for (const row of rows) {
+        histogram[row.rating as Rating] = Number(row.count);
+      }
+      return histogram;
+    },
+
+    async hasDeliveredPurchase(userId, productId) {
+      const { rows } = await pool.query(
+        `SELECT 1 FROM order_items oi
+         JOIN orders o ON o.id = oi.order_id
+         WHERE o.user_id = $1 AND oi.product_id = $2 AND o.status = 'delivered'
+         LIMIT 1`,
+        [userId, productId]
+      );
+      return rows.length > 0;
+    },
+  };
+}
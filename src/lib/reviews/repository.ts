@@ -0,0 +1,42 @@
+import { getDataSource } from '@/lib/db';
+
+import { createMemoryReviewRepository } from './memory';
+import { createPostgresReviewRepository } from './postgres';
+import type {
+  Rating,
+  Review,
+  ReviewChanges,
+  ReviewInput,
+  ReviewPage,
+} from './types';
+
+export interface ReviewRepository {
+  /** Newest first. */
+  listForProduct(
+    productId: number,
+    page: { limit: number; offset: number }
+  ): Promise<ReviewPage>;
+  getById(id: number): Promise<Review | null>;
+  /** Throws a 409 ApiError when the user already reviewed the product. */
+  create(input: ReviewInput): Promise<Review>;
+  update(id: number, changes: ReviewChanges): Promise<Review | null>;
+  delete(id: number): Promise<boolean>;
+  /** Number of reviews per star rating. */
+  countByRating(productId: number): Promise<Record<Rating, number>>;
+  /** Whether the user has an `order_items` row for the product on a delivered order. */
+  hasDeliveredPurchase(userId: number, productId: number): Promise<boolean>;
+}
+
+export function getReviewRepository(): ReviewRepository {
+  const dataSource = getDataSource();
+  return dataSource.kind === 'postgres'
+    ? createPostgresReviewRepository(dataSource.pool)
+    : createMemoryReviewRepository(dataSource.store);
+}
+
+export function emptyHistogram(): Record<Rating, number> {
+  return { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+}
+
+export const DUPLICATE_REVIEW_MESSAGE =
+  'You have already reviewed this product';
@@ -0,0 +1,115 @@
+import { ApiError } from '@/lib/api/errors';
+import type { AuthUser } from '@/lib/auth';
+import { getCatalogRepository } from '@/lib/catalog';
+
+import { refreshRatingSummary } from './aggregates';
+import { getReviewRepository } from './repository';
+import type { Review, ReviewChanges } from './types';
+
+const MAX_COMMENT_LENGTH = 2000;
+
+function parseRating(value: unknown): number {
+  if (
+    typeof value !== 'number' ||
+    !Number.isInteger(value) ||
+    value < 1 ||
+    value > 5
+  ) {
+    throw new ApiError(400, 'Rating must be an integer from 1 to 5');
+  }
+  return value;
+}
+
+function parseComment(value: unknown): string | null {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') {
+    throw new ApiError(400, 'Comment must be a string');
+  }
+  if (value.length > MAX_COMMENT_LENGTH) {
+    throw new ApiError(
+      400,
+      `Comment must be at most ${MAX_COMMENT_LENGTH} characters`
+    );
+  }
+  return value.trim() || null;
+}
+
+async function findReview(reviewId: number) {
+  const review = await getReviewRepository().getById(reviewId);
+  if (!review) {
+    throw new ApiError(404, `Review with ID ${reviewId} not found`);
+  }
+  return review;
+}
+
+export async function createReview(
+  user: AuthUser,
+  productId: number,
+  body: Record<string, unknown>
+): Promise<Review> {
+  const rating = parseRating(body.rating);
+  const comment = parseComment(body.comment);
+
+  const product = await getCatalogRepository().getProductById(productId);
+  if (!product) {
+    throw new ApiError(404, `Product with ID ${productId} not found`);
+  }
+
+  const repository = getReviewRepository();
+  if (!(await repository.hasDeliveredPurchase(user.id, productId))) {
+    throw new ApiError(
+      403,
+      'You can only review products from your delivered orders',
+      'PURCHASE_REQUIRED'
+    );
+  }
+
+  const review = await repository.create({
+    userId: user.id,
+    productId,
+    rating,
+    comment,
+  });
+  await refreshRatingSummary(productId);
+  return review;
+}
+
+/** Authors can change the rating and/or comment of their own review. */
+export async function updateReview(
+  user: AuthUser,
+  reviewId: number,
+  body: Record<string, unknown>
+): Promise<Review> {
+  const review = await findReview(reviewId);
+  if (review.userId !== user.id) {
+    throw new ApiError(403, 'You can only edit your own reviews');
+  }
+
+  const changes: ReviewChanges = {};
+  if (body.rating !== undefined) changes.rating = parseRating(body.rating);
+  if (body.comment !== undefined) changes.comment = parseComment(body.comment);
+  if (Object.keys(changes).length === 0) {
+    throw new ApiError(400, 'Provide a rating and/or comment to update');
+  }
+
+  const updated = await getReviewRepository().update(reviewId, changes);
+  if (!updated) {
+    throw new ApiError(404, `Review with ID ${reviewId} not found`);
+  }
+  await refreshRatingSummary(updated.productId);
+  return updated;
+}
+
+/** Authors can delete their own reviews; admins can delete any review. */
+export async function deleteReview(
+  user: AuthUser,
+  reviewId: number
+): Promise<void> {
+  const review = await findReview(reviewId);
+  if (review.userId !== user.id && user.role !== 'admin') {
+    throw new ApiError(403, 'You can only delete your own reviews');
+  }
+
+  await getReviewRepository().delete(reviewId);
+  await refreshRatingSummary(review.productId);
+}
@@ -0,0 +1,47 @@
+import type { ReviewRow } from '@/lib/db';
+
+export type Rating = 1 | 2 | 3 | 4 | 5;
+
+export interface Review {
+  id: number;
+  userId: number;
+  productId: number;
+  rating: number;
+  comment: string | null;
+  createdAt: string;
+}
+
+export interface ReviewInput {
+  userId: number;
+  productId: number;
+  rating: number;
+  comment: string | null;
+}
+
+export interface ReviewChanges {
+  rating?: number;
+  comment?: string | null;
+}
+
+export interface ReviewPage {
+  reviews: Review[];
+  total: number;
+}
+
+export interface RatingSummary {
+  productId: number;
+  average: number;
+  count: number;
+  histogram: Record<Rating, number>;
+}
+
+export function toReview(row: ReviewRow): Review {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    productId: row.product_id,
+    rating: row.rating,
+    comment: row.comment,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}